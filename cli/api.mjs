@@ -0,0 +1,49 @@
+// cli/api.mjs
+// A client for the admin API of a deployed Worker, used by the accounts and status commands.
+// Accounts are managed through the API rather than KV, as the pool lives in the account store (see README).
+import { CliError } from './errors.mjs';
+
+// Creates the client. The admin password or a session token is sent as a bearer token.
+// options: { t, log, url, password, token, dryRun }
+export function createAdminClient({ t, log, url, password, token, dryRun }) {
+  if (!url) {
+    throw new CliError(t('api.missingUrl'), { usage: true });
+  }
+  if (!password && !token) {
+    throw new CliError(t('api.missingCredentials'), { usage: true });
+  }
+
+  // Sends a request; `write` marks requests that change something, which a dry run only prints.
+  // `shown` replaces the body in that printout, e.g. to mask an SK.
+  const request = async (method, path, body, { write = false, shown } = {}) => {
+    if (dryRun && write) {
+      log(t('api.planned', { method, path, body: JSON.stringify(shown ?? body) }));
+      return null;
+    }
+    let response;
+    try {
+      response = await fetch(new URL(path, url), {
+        method,
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token || password}` },
+        ...(body !== undefined && { body: JSON.stringify(body) }),
+      });
+    } catch (error) {
+      throw new CliError(t('api.unreachable', { url, reason: error.cause?.message || error.message }));
+    }
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new CliError(t('api.failed', { method, path, status: response.status, error: data.error || response.statusText }));
+    }
+    return data;
+  };
+
+  return {
+    listAccounts: () => request('POST', '/api/admin/list', {}),
+    addAccount: (account) => request('POST', '/api/admin/add', account, { write: true, shown: { ...account, sk: `${account.sk.slice(0, 12)}...` } }),
+    deleteAccount: (email) => request('POST', '/api/admin/delete', { email }, { write: true }),
+    // A dry run is left to the Worker, which reports the changes the import would make
+    importAccounts: (data, mode, passphrase) =>
+      request('POST', '/api/admin/import', { data, mode, dry_run: dryRun, ...(passphrase && { passphrase }) }),
+    getStats: () => request('POST', '/api/admin/stats', { hours: 1 }),
+  };
+}
@@ -0,0 +1,10 @@
+// cli/errors.mjs
+// An error the CLI reports as a message, without a stack trace. Usage errors exit with 2, everything else with 1.
+export class CliError extends Error {
+  constructor(message, { usage = false } = {}) {
+    super(message);
+    this.name = 'CliError';
+    this.exitCode = usage ? 2 : 1;
+    this.usage = usage;
+  }
+}
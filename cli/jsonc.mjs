@@ -0,0 +1,116 @@
+// cli/jsonc.mjs
+// A small JSONC (JSON with comments and trailing commas) reader and editor for wrangler.jsonc.
+// Values are changed in place, so that the comments documenting the configuration survive every deploy.
+
+// Skips whitespace and comments, returning the index of the next meaningful character.
+function skip(text, i) {
+  for (;;) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i);
+      i = end === -1 ? text.length : end + 1;
+    } else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      if (end === -1) throw new SyntaxError('Unterminated comment.');
+      i = end + 2;
+    } else {
+      return i;
+    }
+  }
+}
+
+// Parses the value starting at i into a node that records its span ({start, end}) and its children.
+function parseNode(text, i) {
+  const start = skip(text, i);
+  const char = text[start];
+  if (char === '{' || char === '[') {
+    const isObject = char === '{';
+    const close = isObject ? '}' : ']';
+    const children = [];
+    let pos = start + 1;
+    for (;;) {
+      pos = skip(text, pos);
+      if (text[pos] === close) {
+        return { type: isObject ? 'object' : 'array', start, end: pos + 1, children };
+      }
+      let key;
+      if (isObject) {
+        const keyNode = parseNode(text, pos);
+        if (keyNode.type !== 'string') throw new SyntaxError(`Expected a property name at offset ${pos}.`);
+        key = keyNode.value;
+        pos = skip(text, keyNode.end);
+        if (text[pos] !== ':') throw new SyntaxError(`Expected ":" at offset ${pos}.`);
+        pos++;
+      }
+      const node = parseNode(text, pos);
+      children.push({ key, node });
+      pos = skip(text, node.end);
+      if (text[pos] === ',') {
+        pos++;
+      } else if (text[pos] !== close) {
+        throw new SyntaxError(`Expected "," or "${close}" at offset ${pos}.`);
+      }
+    }
+  }
+  if (char === '"') {
+    let end = start + 1;
+    while (end < text.length && text[end] !== '"') end += text[end] === '\\' ? 2 : 1;
+    if (end >= text.length) throw new SyntaxError('Unterminated string.');
+    return { type: 'string', start, end: end + 1, value: JSON.parse(text.slice(start, end + 1)) };
+  }
+  const literal = text.slice(start).match(/^(?:true|false|null|-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)/);
+  if (!literal) throw new SyntaxError(`Unexpected character at offset ${start}.`);
+  return { type: 'literal', start, end: start + literal[0].length, value: JSON.parse(literal[0]) };
+}
+
+// Converts a node back into a plain value.
+function toValue(node) {
+  if (node.type === 'object') return Object.fromEntries(node.children.map(({ key, node: child }) => [key, toValue(child)]));
+  if (node.type === 'array') return node.children.map(({ node: child }) => toValue(child));
+  return node.value;
+}
+
+// Parses JSONC text (a leading BOM is ignored).
+export function parseJsonc(text) {
+  return toValue(parseNode(text.replace(/^\uFEFF/, ''), 0));
+}
+
+// The indentation of the line containing offset i.
+const lineIndent = (text, i) => text.slice(text.lastIndexOf('\n', i - 1) + 1).match(/^[ \t]*/)[0];
+
+// Formats a value for insertion at the given indentation, using the file's indentation unit.
+function formatValue(text, value, indent) {
+  const unit = /\n\t/.test(text) ? '\t' : '  ';
+  return JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`);
+}
+
+// Sets the value at path (property names and array indexes) and returns the new text. Missing properties are
+// added to their object, and an index equal to an array's length appends to it; everything else is left as it was.
+export function setJsoncValue(text, path, value) {
+  const source = text.replace(/^\uFEFF/, '');
+  let node = parseNode(source, 0);
+  for (const [depth, segment] of path.entries()) {
+    const child =
+      node.type === 'object' ? node.children.find(({ key }) => key === segment)
+      : node.type === 'array' ? node.children[segment]
+      : undefined;
+    if (child) {
+      node = child.node;
+      continue;
+    }
+    if (node.type !== 'object' && !(node.type === 'array' && segment === node.children.length)) {
+      throw new Error(`Cannot set ${path.join('.')}: ${path.slice(0, depth).join('.') || 'the root'} has no ${segment}.`);
+    }
+    // Build the rest of the path as nested objects and insert it after the last member
+    const rest = path.slice(depth + 1).reduceRight((inner, key) => ({ [key]: inner }), value);
+    const last = node.children[node.children.length - 1];
+    const indent = last ? lineIndent(source, last.node.start) : `${lineIndent(source, node.start)}${/\n\t/.test(source) ? '\t' : '  '}`;
+    const member = `${node.type === 'object' ? `${JSON.stringify(segment)}: ` : ''}${formatValue(source, rest, indent)}`;
+    if (last) {
+      return `${source.slice(0, last.node.end)},\n${indent}${member}${source.slice(last.node.end)}`;
+    }
+    const closeIndent = lineIndent(source, node.start);
+    return `${source.slice(0, node.start + 1)}\n${indent}${member}\n${closeIndent}${source.slice(node.end - 1)}`;
+  }
+  return `${source.slice(0, node.start)}${formatValue(source, value, lineIndent(source, node.start))}${source.slice(node.end)}`;
+}
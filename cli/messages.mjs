@@ -0,0 +1,240 @@
+// cli/messages.mjs
+// The message catalog of the deploy CLI (deploy-worker.mjs), shared by every language so that the commands
+// themselves exist only once. Messages use {name} placeholders; a key missing from a language falls back to English.
+
+const USAGE_EN = `Usage: node deploy-worker.mjs <command> [options]
+
+Commands:
+  deploy                      Create or reuse the KV namespace, update wrangler.jsonc, deploy the Worker and set
+                              the secrets that were given
+  init-kv                     Create or reuse the KV namespace and bind it; with --accounts, seed EMAIL_TO_SK_MAP
+  set-secret <NAME> [value]   Set a Worker secret from the argument, --value, FCPM_SECRET_VALUE, stdin or --generate
+  accounts list               List the accounts of a deployed Worker
+  accounts add                Add an account (--email, --sk or FCPM_ACCOUNT_SK, optional --tags, --groups,
+                              --disabled)
+  accounts remove <email...>  Delete accounts
+  accounts import <file>      Import a JSON or CSV export (--mode merge|replace, --passphrase or
+                              FCPM_IMPORT_PASSPHRASE for encrypted exports)
+  status                      Show the configuration, the remote KV namespace and secrets and, with --url, the pool
+
+Options (flag, then environment variable, then config file key):
+  --config-file <path>        FCPM_CONFIG             Config file (default: ./fcpm.config.json if it exists)
+  --wrangler-config <path>    FCPM_WRANGLER_CONFIG    wranglerConfig   (default: ./wrangler.jsonc)
+  --name <name>               FCPM_WORKER_NAME        workerName
+  --kv-namespace <title>      FCPM_KV_NAMESPACE       kvNamespace      (default: <name>-CLAUDE_KV)
+  --account-id <id>           CLOUDFLARE_ACCOUNT_ID   accountId
+  --base-url <url>            FCPM_BASE_URL           baseUrl
+  --token-expires-in <sec>    FCPM_TOKEN_EXPIRES_IN   tokenExpiresIn
+  --var KEY=VALUE             (repeatable)            vars             Further Worker variables
+  --admin-password <pw>       FCPM_ADMIN_PASSWORD                      Set as ADMIN_PASSWORD on deploy; API login
+  --admin-token <token>       FCPM_ADMIN_TOKEN                         Admin session token for the API instead
+  --sk-encryption-key <key>   FCPM_SK_ENCRYPTION_KEY                   Set as SK_ENCRYPTION_KEY; encrypts seeded SKs
+  --generate-sk-encryption-key                                         Generate SK_ENCRYPTION_KEY on deploy if unset
+  --accounts <file>           FCPM_ACCOUNTS_FILE      accountsFile     Initial SK map to seed EMAIL_TO_SK_MAP with
+  --url <url>                 FCPM_URL                url              The deployed Worker, for accounts and status
+  --lang <en|zh>              FCPM_LANG               lang             Language of the messages
+  --dry-run                   Print the wrangler calls and API requests that would change something, without making them
+  --force                     init-kv: overwrite an existing EMAIL_TO_SK_MAP
+  --json                      accounts list / status: print JSON
+  -h, --help                  Show this help
+
+Secrets are best passed as environment variables; values on the command line end up in the shell history.`;
+
+const USAGE_ZH = `用法: node deploy-worker.mjs <命令> [选项]
+
+命令:
+  deploy                      创建或复用 KV 命名空间，更新 wrangler.jsonc，部署 Worker，并设置已提供的 Secret
+  init-kv                     创建或复用 KV 命名空间并绑定；指定 --accounts 时写入 EMAIL_TO_SK_MAP 初始数据
+  set-secret <NAME> [value]   设置 Worker Secret，值来自参数、--value、FCPM_SECRET_VALUE、标准输入或 --generate
+  accounts list               列出已部署 Worker 的账户
+  accounts add                添加账户 (--email、--sk 或 FCPM_ACCOUNT_SK，可选 --tags、--groups、--disabled)
+  accounts remove <email...>  删除账户
+  accounts import <file>      导入 JSON 或 CSV 导出文件 (--mode merge|replace；加密的导出文件需
+                              --passphrase 或 FCPM_IMPORT_PASSPHRASE)
+  status                      显示配置、远程 KV 命名空间和 Secret；指定 --url 时还显示账户池状态
+
+选项 (优先级: 命令行参数 > 环境变量 > 配置文件中的键):
+  --config-file <path>        FCPM_CONFIG             配置文件 (默认: 存在时使用 ./fcpm.config.json)
+  --wrangler-config <path>    FCPM_WRANGLER_CONFIG    wranglerConfig   (默认: ./wrangler.jsonc)
+  --name <name>               FCPM_WORKER_NAME        workerName
+  --kv-namespace <title>      FCPM_KV_NAMESPACE       kvNamespace      (默认: <name>-CLAUDE_KV)
+  --account-id <id>           CLOUDFLARE_ACCOUNT_ID   accountId
+  --base-url <url>            FCPM_BASE_URL           baseUrl
+  --token-expires-in <sec>    FCPM_TOKEN_EXPIRES_IN   tokenExpiresIn
+  --var KEY=VALUE             (可重复)                vars             其他 Worker 变量
+  --admin-password <pw>       FCPM_ADMIN_PASSWORD                      部署时设为 ADMIN_PASSWORD；也用于登录 API
+  --admin-token <token>       FCPM_ADMIN_TOKEN                         改用管理员会话令牌访问 API
+  --sk-encryption-key <key>   FCPM_SK_ENCRYPTION_KEY                   设为 SK_ENCRYPTION_KEY；并用于加密初始 SK
+  --generate-sk-encryption-key                                         部署时若未设置则生成 SK_ENCRYPTION_KEY
+  --accounts <file>           FCPM_ACCOUNTS_FILE      accountsFile     用于写入 EMAIL_TO_SK_MAP 的初始 SK 映射
+  --url <url>                 FCPM_URL                url              已部署 Worker 的地址，用于 accounts 和 status
+  --lang <en|zh>              FCPM_LANG               lang             消息语言
+  --dry-run                   只打印将会产生更改的 wrangler 调用和 API 请求，而不实际执行
+  --force                     init-kv: 覆盖已存在的 EMAIL_TO_SK_MAP
+  --json                      accounts list / status: 输出 JSON
+  -h, --help                  显示此帮助
+
+建议通过环境变量传递 Secret；写在命令行上的值会留在 shell 历史记录中。`;
+
+export const MESSAGES = {
+  en: {
+    usage: USAGE_EN,
+    'error.prefix': 'Error: {message}',
+    'error.usageHint': 'Run "node deploy-worker.mjs --help" for usage.',
+    'error.unknownCommand': 'Unknown command: {command}',
+    'error.unknownSubcommand': 'Unknown accounts command: {command}. Use list, add, remove or import.',
+    'error.missingOption': 'Missing {option}.',
+    'error.invalidOption': 'Invalid {option}: {reason}',
+    'error.fileNotFound': 'File not found: {path}',
+    'error.invalidJson': 'Could not parse {path}: {reason}',
+    'dryRun.notice': 'Dry run: nothing will be changed. Read-only wrangler commands still run.',
+    'config.loaded': 'Using settings from {path}.',
+    'config.set': 'wrangler.jsonc: {key} = {value}',
+    'config.unchanged': '{path} is up to date.',
+    'config.written': 'Updated {path}.',
+    'config.planned': 'Would update {path}.',
+    'wrangler.running': '> {command}',
+    'wrangler.planned': '[dry run] {command}',
+    'wrangler.failed': 'wrangler failed (exit code {code}): {command}',
+    'wrangler.unparsable': 'Could not read the output of: {command}',
+    'wrangler.missing': 'wrangler is not installed. Run "npm install" first.',
+    'kv.found': 'KV namespace "{title}" exists: {id}',
+    'kv.creating': 'Creating KV namespace "{title}"...',
+    'kv.created': 'KV namespace "{title}" created: {id}',
+    'kv.plannedId': '<id of {title}>',
+    'kv.keepConfigured': 'Keeping the configured KV namespace {id}.',
+    'kv.notCreated': 'KV namespace "{title}" was not found after creating it.',
+    'deploy.start': 'Deploying Worker "{name}"...',
+    'deploy.done': 'Deployment complete.',
+    'secret.set': 'Secret {name} set.',
+    'secret.generated': 'Generated {name}. Store it somewhere safe; it cannot be read back:\n  {value}',
+    'secret.notSet': 'Secret {name} is not set. Set it with: node deploy-worker.mjs set-secret {name}',
+    'secret.kept': 'Secret {name} is already set; not generating a new one.',
+    'secret.invalidName': 'Secret names consist of upper-case letters, digits and "_".',
+    'secret.noValue': 'No value for {name}. Pass it as an argument, with --value, FCPM_SECRET_VALUE, stdin or --generate.',
+    'secret.invalidKey': 'SK_ENCRYPTION_KEY is invalid: {reason}',
+    'seed.exists': 'EMAIL_TO_SK_MAP already exists in KV; leaving it alone (use --force to overwrite).',
+    'seed.writing': 'Seeding EMAIL_TO_SK_MAP with {count} account(s){encrypted}.',
+    'seed.encrypted': ', SKs encrypted',
+    'seed.done': 'EMAIL_TO_SK_MAP written.',
+    'seed.note': 'The account store imports EMAIL_TO_SK_MAP on its first request. Once the Worker is in use, use "accounts import" instead.',
+    'api.missingUrl': 'The Worker URL is required: pass --url or set FCPM_URL.',
+    'api.missingCredentials': 'Admin credentials are required: set FCPM_ADMIN_PASSWORD or FCPM_ADMIN_TOKEN.',
+    'api.failed': '{method} {path} failed with HTTP {status}: {error}',
+    'api.unreachable': 'Could not reach {url}: {reason}',
+    'api.planned': '[dry run] {method} {path} {body}',
+    'accounts.empty': 'The pool has no accounts.',
+    'accounts.header': 'EMAIL\tENABLED\tHEALTH\tSK\tGROUPS',
+    'accounts.count': '{count} account(s).',
+    'accounts.added': 'Account {email} added.',
+    'accounts.removed': 'Account {email} deleted.',
+    'accounts.notRemoved': 'Account {email} could not be deleted: {error}',
+    'accounts.importResult': '{message} {added} added, {updated} updated, {removed} removed, {unchanged} unchanged.',
+    'accounts.snapshot': 'The previous pool was saved as snapshot {id}.',
+    'status.config': 'Configuration ({path}):',
+    'status.worker': '  Worker name:   {name}',
+    'status.kv': '  KV namespace:  {id}',
+    'status.kvPlaceholder': '  KV namespace:  not configured (placeholder id); run init-kv or deploy',
+    'status.vars': '  Variables:     {vars}',
+    'status.remote': 'Cloudflare:',
+    'status.kvRemote': '  KV namespace {id}: {state}',
+    'status.kvExists': 'exists ("{title}")',
+    'status.kvMissing': 'not found in the account',
+    'status.secrets': '  Secrets: {secrets}',
+    'status.secretsUnknown': '  Secrets: unknown ({reason})',
+    'status.remoteFailed': '  Could not query Cloudflare: {reason}',
+    'status.pool': 'Pool ({url}): {accounts} account(s), {enabled} enabled, {healthy} healthy, {quarantined} quarantined',
+    'status.poolHint': 'Pass --url (or FCPM_URL) with admin credentials to include the pool.',
+    'status.none': '(none)',
+  },
+  zh: {
+    usage: USAGE_ZH,
+    'error.prefix': '错误: {message}',
+    'error.usageHint': '运行 "node deploy-worker.mjs --help" 查看用法。',
+    'error.unknownCommand': '未知命令: {command}',
+    'error.unknownSubcommand': '未知的 accounts 命令: {command}。请使用 list、add、remove 或 import。',
+    'error.missingOption': '缺少 {option}。',
+    'error.invalidOption': '{option} 无效: {reason}',
+    'error.fileNotFound': '文件不存在: {path}',
+    'error.invalidJson': '无法解析 {path}: {reason}',
+    'dryRun.notice': '试运行: 不会进行任何更改。只读的 wrangler 命令仍会执行。',
+    'config.loaded': '使用 {path} 中的设置。',
+    'config.set': 'wrangler.jsonc: {key} = {value}',
+    'config.unchanged': '{path} 已是最新。',
+    'config.written': '已更新 {path}。',
+    'config.planned': '将会更新 {path}。',
+    'wrangler.running': '> {command}',
+    'wrangler.planned': '[试运行] {command}',
+    'wrangler.failed': 'wrangler 执行失败 (退出码 {code}): {command}',
+    'wrangler.unparsable': '无法读取以下命令的输出: {command}',
+    'wrangler.missing': '未安装 wrangler。请先运行 "npm install"。',
+    'kv.found': 'KV 命名空间 "{title}" 已存在: {id}',
+    'kv.creating': '正在创建 KV 命名空间 "{title}"...',
+    'kv.created': '已创建 KV 命名空间 "{title}": {id}',
+    'kv.plannedId': '<{title} 的 ID>',
+    'kv.keepConfigured': '保留已配置的 KV 命名空间 {id}。',
+    'kv.notCreated': '创建后未找到 KV 命名空间 "{title}"。',
+    'deploy.start': '正在部署 Worker "{name}"...',
+    'deploy.done': '部署完成。',
+    'secret.set': '已设置 Secret {name}。',
+    'secret.generated': '已生成 {name}。请妥善保存，之后无法再读取:\n  {value}',
+    'secret.notSet': '尚未设置 Secret {name}。可使用以下命令设置: node deploy-worker.mjs set-secret {name}',
+    'secret.kept': 'Secret {name} 已设置，不会重新生成。',
+    'secret.invalidName': 'Secret 名称只能包含大写字母、数字和 "_"。',
+    'secret.noValue': '{name} 没有值。请通过参数、--value、FCPM_SECRET_VALUE、标准输入或 --generate 提供。',
+    'secret.invalidKey': 'SK_ENCRYPTION_KEY 无效: {reason}',
+    'seed.exists': 'KV 中已存在 EMAIL_TO_SK_MAP，保持不变 (使用 --force 覆盖)。',
+    'seed.writing': '正在向 EMAIL_TO_SK_MAP 写入 {count} 个账户{encrypted}。',
+    'seed.encrypted': ' (SK 已加密)',
+    'seed.done': '已写入 EMAIL_TO_SK_MAP。',
+    'seed.note': '账户存储会在首次请求时导入 EMAIL_TO_SK_MAP。Worker 投入使用后，请改用 "accounts import"。',
+    'api.missingUrl': '需要 Worker 地址: 请传入 --url 或设置 FCPM_URL。',
+    'api.missingCredentials': '需要管理员凭据: 请设置 FCPM_ADMIN_PASSWORD 或 FCPM_ADMIN_TOKEN。',
+    'api.failed': '{method} {path} 失败，HTTP {status}: {error}',
+    'api.unreachable': '无法访问 {url}: {reason}',
+    'api.planned': '[试运行] {method} {path} {body}',
+    'accounts.empty': '账户池中没有账户。',
+    'accounts.header': '邮箱\t启用\t健康\tSK\t分组',
+    'accounts.count': '共 {count} 个账户。',
+    'accounts.added': '已添加账户 {email}。',
+    'accounts.removed': '已删除账户 {email}。',
+    'accounts.notRemoved': '无法删除账户 {email}: {error}',
+    'accounts.importResult': '{message} 新增 {added}，更新 {updated}，移除 {removed}，未变 {unchanged}。',
+    'accounts.snapshot': '原账户池已保存为快照 {id}。',
+    'status.config': '配置 ({path}):',
+    'status.worker': '  Worker 名称:   {name}',
+    'status.kv': '  KV 命名空间:   {id}',
+    'status.kvPlaceholder': '  KV 命名空间:   未配置 (占位 ID)；请运行 init-kv 或 deploy',
+    'status.vars': '  变量:          {vars}',
+    'status.remote': 'Cloudflare:',
+    'status.kvRemote': '  KV 命名空间 {id}: {state}',
+    'status.kvExists': '存在 ("{title}")',
+    'status.kvMissing': '在该账户中未找到',
+    'status.secrets': '  Secret: {secrets}',
+    'status.secretsUnknown': '  Secret: 未知 ({reason})',
+    'status.remoteFailed': '  无法查询 Cloudflare: {reason}',
+    'status.pool': '账户池 ({url}): 共 {accounts} 个账户，{enabled} 个已启用，{healthy} 个健康，{quarantined} 个已隔离',
+    'status.poolHint': '传入 --url (或 FCPM_URL) 并提供管理员凭据即可显示账户池状态。',
+    'status.none': '(无)',
+  },
+};
+
+export const LANGUAGES = Object.keys(MESSAGES);
+
+// Picks the language: the explicit choice if it is supported, otherwise Chinese for a zh* locale, otherwise English.
+export function detectLanguage(explicit, env = process.env) {
+  if (explicit && LANGUAGES.includes(explicit)) {
+    return explicit;
+  }
+  const locale = env.LC_ALL || env.LC_MESSAGES || env.LANG || Intl.DateTimeFormat().resolvedOptions().locale || '';
+  return locale.toLowerCase().startsWith('zh') ? 'zh' : 'en';
+}
+
+// Returns t(key, params), which looks a message up in the language (or English) and fills in its placeholders.
+export function createTranslator(lang) {
+  const catalog = MESSAGES[lang] || MESSAGES.en;
+  return (key, params = {}) => {
+    const message = catalog[key] ?? MESSAGES.en[key] ?? key;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  };
+}
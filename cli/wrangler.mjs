@@ -0,0 +1,83 @@
+// cli/wrangler.mjs
+// Runs the project's own wrangler with an argument list (never through a shell) and reads the JSON that its
+// list commands print, instead of scraping their tables. In a dry run, commands that change something are only
+// printed; read-only commands still run, so that the plan reflects the account's actual state.
+import { spawnSync } from 'node:child_process';
+import { createRequire } from 'node:module';
+import path from 'node:path';
+import { CliError } from './errors.mjs';
+
+// Quotes an argument for display only.
+const quoteArg = (arg) => (/^[\w@%+=:,./-]+$/.test(arg) ? arg : JSON.stringify(arg));
+
+// Locates wrangler's entry point in node_modules.
+function resolveWranglerBin(t) {
+  try {
+    const require = createRequire(import.meta.url);
+    return path.join(path.dirname(require.resolve('wrangler/package.json')), 'bin', 'wrangler.js');
+  } catch {
+    throw new CliError(t('wrangler.missing'));
+  }
+}
+
+// Extracts the JSON document from a command's output, skipping the banner wrangler may print before it.
+function parseJsonOutput(stdout) {
+  const start = stdout.search(/^[[{]/m);
+  if (start === -1) {
+    throw new SyntaxError('No JSON in the output.');
+  }
+  return JSON.parse(stdout.slice(start));
+}
+
+// Creates the wrangler runner.
+// options: { t, log, dryRun, configPath, accountId }
+export function createWrangler({ t, log, dryRun, configPath, accountId }) {
+  const bin = resolveWranglerBin(t);
+  const env = { ...process.env, ...(accountId && { CLOUDFLARE_ACCOUNT_ID: accountId }) };
+
+  // Runs wrangler with the given arguments (--config is added). `input` is sent to stdin and never shown;
+  // `read` marks read-only commands, whose output is captured and returned.
+  const run = (args, { input, read = false } = {}) => {
+    const fullArgs = [...args, '--config', configPath];
+    const command = `wrangler ${fullArgs.map(quoteArg).join(' ')}`;
+    if (dryRun && !read) {
+      log(t('wrangler.planned', { command }));
+      return '';
+    }
+    log(t('wrangler.running', { command }));
+    const result = spawnSync(process.execPath, [bin, ...fullArgs], {
+      env,
+      input,
+      encoding: 'utf-8',
+      stdio: [input === undefined ? 'inherit' : 'pipe', read ? 'pipe' : 'inherit', 'inherit'],
+    });
+    if (result.error || result.status !== 0) {
+      throw new CliError(t('wrangler.failed', { code: result.status ?? result.error?.message, command }));
+    }
+    return result.stdout || '';
+  };
+
+  // Runs a read-only command and parses its JSON output.
+  const readJson = (args) => {
+    const stdout = run(args, { read: true });
+    try {
+      return parseJsonOutput(stdout);
+    } catch {
+      throw new CliError(t('wrangler.unparsable', { command: `wrangler ${args.join(' ')}` }));
+    }
+  };
+
+  return {
+    run,
+    // Lists the account's KV namespaces as [{ id, title }].
+    listKvNamespaces: () => readJson(['kv', 'namespace', 'list']),
+    // Lists the names of the Worker's secrets.
+    listSecrets: (workerName) => readJson(['secret', 'list', '--name', workerName, '--format', 'json']).map((secret) => secret.name),
+    // Lists the keys of a bound KV namespace that start with a prefix.
+    listKvKeys: (binding, prefix) => readJson(['kv', 'key', 'list', '--binding', binding, '--prefix', prefix, '--remote']).map((key) => key.name),
+    createKvNamespace: (title) => run(['kv', 'namespace', 'create', title]),
+    putKvKey: (binding, key, filePath) => run(['kv', 'key', 'put', key, '--path', filePath, '--binding', binding, '--remote']),
+    putSecret: (workerName, name, value) => run(['secret', 'put', name, '--name', workerName], { input: value }),
+    deploy: () => run(['deploy']),
+  };
+}
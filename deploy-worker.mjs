@@ -1,317 +1,521 @@
-import { execSync, exec } from 'node:child_process';
+#!/usr/bin/env node
+// deploy-worker.mjs
+// Non-interactive deploy and management CLI for the Worker. Every setting comes from a flag, an environment
+// variable or a config file, in that order, so the same command works in a terminal and in CI. Running a command
+// again converges on the same state: an existing KV namespace is reused, wrangler.jsonc is only edited where a value
+// differs (keeping its comments), and existing data and keys are never overwritten without --force.
+// Run `node deploy-worker.mjs --help` for the commands. Messages come from the shared catalog in cli/messages.mjs.
+import { randomBytes } from 'node:crypto';
 import fs from 'node:fs/promises';
-import path from 'node:path';
 import os from 'node:os';
-import prompts from 'prompts'; // For user input
-
-const WRANGLER_CMD = 'npx wrangler';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { encryptSkMap, generateSkEncryptionKey, importSkKey } from './sk-crypto.mjs';
+import { createTranslator, detectLanguage } from './cli/messages.mjs';
+import { parseJsonc, setJsoncValue } from './cli/jsonc.mjs';
+import { createWrangler } from './cli/wrangler.mjs';
+import { createAdminClient } from './cli/api.mjs';
+import { CliError } from './cli/errors.mjs';
 
 // --- Configuration ---
-const DEFAULT_WRANGLER_CONFIG_PATH = './wrangler.jsonc';
-const DEFAULT_INITIAL_SK_MAP_PATH = './initial-sk-map.json'; // Example path
-const DEFAULT_WORKER_NAME_PREFIX = 'fuclaude-pool-manager';
-const DEFAULT_KV_NAMESPACE_PREFIX = 'CLAUDE_KV_STORE';
-const DEFAULT_BASE_URL = 'https://demo.fuclaude.com';
 const KV_BINDING_NAME = 'CLAUDE_KV'; // As used in src/index.ts
+const KV_PLACEHOLDER_ID = '01234567890123456789012345678901'; // The id shipped in wrangler.jsonc
+const SEED_KEY = 'EMAIL_TO_SK_MAP';
+const DEFAULT_CONFIG_FILE = './fcpm.config.json';
+const DEFAULT_WRANGLER_CONFIG = './wrangler.jsonc';
+const REPORTED_SECRETS = ['ADMIN_PASSWORD', 'SK_ENCRYPTION_KEY', 'ADMIN_SESSION_SECRET', 'METRICS_TOKEN'];
+
+const OPTIONS = {
+  'config-file': { type: 'string' },
+  'wrangler-config': { type: 'string' },
+  name: { type: 'string' },
+  'kv-namespace': { type: 'string' },
+  'account-id': { type: 'string' },
+  'base-url': { type: 'string' },
+  'token-expires-in': { type: 'string' },
+  var: { type: 'string', multiple: true },
+  'admin-password': { type: 'string' },
+  'admin-token': { type: 'string' },
+  'sk-encryption-key': { type: 'string' },
+  'generate-sk-encryption-key': { type: 'boolean' },
+  accounts: { type: 'string' },
+  url: { type: 'string' },
+  lang: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  force: { type: 'boolean' },
+  json: { type: 'boolean' },
+  // set-secret
+  value: { type: 'string' },
+  generate: { type: 'boolean' },
+  // accounts add / import
+  email: { type: 'string' },
+  sk: { type: 'string' },
+  tags: { type: 'string' },
+  groups: { type: 'string' },
+  disabled: { type: 'boolean' },
+  mode: { type: 'string' },
+  passphrase: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+// Messages before the settings are known use the language of the environment
+let t = createTranslator(detectLanguage(process.env.FCPM_LANG));
 
 // --- Helper Functions ---
-function executeCommand(command, options = {}) {
-  console.log(`\n▶️ Executing: ${command}`);
+const env = (name) => process.env[name] || undefined;
+
+const usageError = (key, params) => new CliError(t(key, params), { usage: true });
+
+async function readTextFile(filePath) {
   try {
-    const output = execSync(command, { stdio: 'pipe', ...options }); // Use pipe to capture output
-    const stdout = output.toString().trim();
-    if (stdout) console.log(`✅ Output:\n${stdout}`);
-    return stdout;
+    return (await fs.readFile(filePath, 'utf-8')).replace(/^\uFEFF/, '');
   } catch (error) {
-    console.error(`❌ Error executing command: ${command}`);
-    if (error.stdout) console.error(`Stdout: ${error.stdout.toString()}`);
-    if (error.stderr) console.error(`Stderr: ${error.stderr.toString()}`);
-    throw error; // Re-throw to stop script on critical errors
+    if (error.code === 'ENOENT') throw new CliError(t('error.fileNotFound', { path: filePath }));
+    throw error;
   }
 }
 
-async function executeCommandAsync(command, options = {}) {
-  console.log(`\n▶️ Executing (async): ${command}`);
-  return new Promise((resolve, reject) => {
-    const process = exec(command, { ...options }, (error, stdout, stderr) => {
-      if (error) {
-        console.error(`❌ Error executing async command: ${command}`);
-        if (stdout) console.error(`Stdout: ${stdout.toString()}`);
-        if (stderr) console.error(`Stderr: ${stderr.toString()}`);
-        reject(error);
-        return;
-      }
-      const output = stdout.toString().trim();
-      if (output) console.log(`✅ Async Output:\n${output}`);
-      resolve(output);
-    });
-    process.stdout.pipe(process.stdout); // Pipe child process stdout to main stdout
-    process.stderr.pipe(process.stderr); // Pipe child process stderr to main stderr
-  });
+async function readJsonFile(filePath) {
+  const text = await readTextFile(filePath);
+  try {
+    return parseJsonc(text);
+  } catch (error) {
+    throw new CliError(t('error.invalidJson', { path: filePath, reason: error.message }));
+  }
 }
 
+async function fileExists(filePath) {
+  return fs.access(filePath).then(() => true, () => false);
+}
 
-async function readJsonFile(filePath) {
+async function readStdin() {
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf-8').replace(/\r?\n$/, '');
+}
+
+const splitList = (value) => value?.split(',').map((item) => item.trim()).filter(Boolean);
+
+// --- Settings ---
+// Resolves every setting from the flags, the environment and the config file, in that order, and validates them.
+function resolveSettings(values, file) {
+  const pick = (flag, envName, fileKey) => values[flag] ?? env(envName) ?? file[fileKey];
+  const settings = {
+    wranglerConfig: pick('wrangler-config', 'FCPM_WRANGLER_CONFIG', 'wranglerConfig') || DEFAULT_WRANGLER_CONFIG,
+    workerName: pick('name', 'FCPM_WORKER_NAME', 'workerName'),
+    kvNamespace: pick('kv-namespace', 'FCPM_KV_NAMESPACE', 'kvNamespace'),
+    accountId: pick('account-id', 'CLOUDFLARE_ACCOUNT_ID', 'accountId'),
+    vars: { ...file.vars },
+    adminPassword: values['admin-password'] ?? env('FCPM_ADMIN_PASSWORD'),
+    adminToken: values['admin-token'] ?? env('FCPM_ADMIN_TOKEN'),
+    skEncryptionKey: values['sk-encryption-key'] ?? env('FCPM_SK_ENCRYPTION_KEY'),
+    generateSkEncryptionKey: !!values['generate-sk-encryption-key'],
+    accountsFile: pick('accounts', 'FCPM_ACCOUNTS_FILE', 'accountsFile'),
+    url: pick('url', 'FCPM_URL', 'url'),
+    dryRun: !!values['dry-run'],
+    force: !!values.force,
+    json: !!values.json,
+  };
+
+  const baseUrl = pick('base-url', 'FCPM_BASE_URL', 'baseUrl');
+  const tokenExpiresIn = pick('token-expires-in', 'FCPM_TOKEN_EXPIRES_IN', 'tokenExpiresIn');
+  if (baseUrl !== undefined) settings.vars.BASE_URL = baseUrl;
+  if (tokenExpiresIn !== undefined) settings.vars.TOKEN_EXPIRES_IN = String(tokenExpiresIn);
+  for (const pair of values.var || []) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) throw usageError('error.invalidOption', { option: '--var', reason: `"${pair}" is not KEY=VALUE` });
+    settings.vars[pair.slice(0, separator)] = pair.slice(separator + 1);
+  }
+
+  if (settings.workerName !== undefined && !/^[a-zA-Z0-9-]+$/.test(settings.workerName)) {
+    throw usageError('error.invalidOption', { option: '--name', reason: 'letters, digits and "-" only' });
+  }
+  if (settings.kvNamespace !== undefined && !/^[a-zA-Z0-9_-]{1,64}$/.test(settings.kvNamespace)) {
+    throw usageError('error.invalidOption', { option: '--kv-namespace', reason: 'at most 64 letters, digits, "_" or "-"' });
+  }
+  if (settings.vars.BASE_URL !== undefined && !/^https?:\/\/\S+$/.test(settings.vars.BASE_URL)) {
+    throw usageError('error.invalidOption', { option: '--base-url', reason: 'not an http(s) URL' });
+  }
+  if (settings.vars.TOKEN_EXPIRES_IN !== undefined && !/^\d+$/.test(settings.vars.TOKEN_EXPIRES_IN)) {
+    throw usageError('error.invalidOption', { option: '--token-expires-in', reason: 'not a number of seconds' });
+  }
+  for (const key of Object.keys(settings.vars)) {
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) throw usageError('error.invalidOption', { option: '--var', reason: `"${key}" is not a variable name` });
+  }
+  return settings;
+}
+
+// --- wrangler.jsonc ---
+async function loadWranglerConfig(ctx) {
+  const filePath = ctx.settings.wranglerConfig;
+  const text = await readTextFile(filePath);
   try {
-    const fileContent = await fs.readFile(filePath, 'utf-8');
-    // Remove BOM (if present)
-    const cleanedContent = fileContent.replace(/^\uFEFF/, '');
-    // Strip comments from JSONC before parsing
-    const jsonString = cleanedContent.replace(/\/\*[\s\S]*?\*\/|([^\\:]|^)\/\/.*$/gm, '$1');
-    return JSON.parse(jsonString);
+    return { path: filePath, text, config: parseJsonc(text) };
   } catch (error) {
-    console.error(`Error reading or parsing JSON file ${filePath}:`, error);
-    throw error;
+    throw new CliError(t('error.invalidJson', { path: filePath, reason: error.message }));
+  }
+}
+
+const getKvBinding = (config) => config.kv_namespaces?.find((namespace) => namespace.binding === KV_BINDING_NAME);
+
+const getAt = (value, keyPath) => keyPath.reduce((current, key) => current?.[key], value);
+
+// Applies [keyPath, value] changes to wrangler.jsonc, writing it only if a value actually differs.
+async function updateWranglerConfig(ctx, wranglerConfig, changes) {
+  let text = wranglerConfig.text;
+  for (const [keyPath, value] of changes) {
+    if (JSON.stringify(getAt(parseJsonc(text), keyPath)) === JSON.stringify(value)) continue;
+    text = setJsoncValue(text, keyPath, value);
+    ctx.log(t('config.set', { key: keyPath.join('.'), value: JSON.stringify(value) }));
+  }
+  if (text === wranglerConfig.text) {
+    ctx.log(t('config.unchanged', { path: wranglerConfig.path }));
+    return;
+  }
+  if (ctx.settings.dryRun) {
+    ctx.log(t('config.planned', { path: wranglerConfig.path }));
+    return;
+  }
+  await fs.writeFile(wranglerConfig.path, text, 'utf-8');
+  wranglerConfig.text = text;
+  wranglerConfig.config = parseJsonc(text);
+  ctx.log(t('config.written', { path: wranglerConfig.path }));
+}
+
+// The change that binds CLAUDE_KV to a namespace, keeping every other binding and field.
+function kvBindingChange(config, kvId) {
+  const namespaces = config.kv_namespaces;
+  if (!namespaces) return [['kv_namespaces'], [{ binding: KV_BINDING_NAME, id: kvId }]];
+  const index = namespaces.findIndex((namespace) => namespace.binding === KV_BINDING_NAME);
+  return index === -1 ? [['kv_namespaces', namespaces.length], { binding: KV_BINDING_NAME, id: kvId }] : [['kv_namespaces', index, 'id'], kvId];
+}
+
+// --- Steps ---
+// Finds the KV namespace to bind, creating it if needed. A namespace already configured in wrangler.jsonc is kept
+// unless another one is named explicitly.
+function ensureKvNamespace(ctx, wrangler, config, workerName) {
+  const configuredId = getKvBinding(config)?.id;
+  if (!ctx.settings.kvNamespace && configuredId && configuredId !== KV_PLACEHOLDER_ID) {
+    ctx.log(t('kv.keepConfigured', { id: configuredId }));
+    return configuredId;
+  }
+  const title = ctx.settings.kvNamespace || `${workerName}-${KV_BINDING_NAME}`;
+  const find = () => wrangler.listKvNamespaces().find((namespace) => namespace.title === title);
+  const existing = find();
+  if (existing) {
+    ctx.log(t('kv.found', { title, id: existing.id }));
+    return existing.id;
+  }
+  ctx.log(t('kv.creating', { title }));
+  wrangler.createKvNamespace(title);
+  if (ctx.settings.dryRun) return t('kv.plannedId', { title });
+  const created = find();
+  if (!created) throw new CliError(t('kv.notCreated', { title }));
+  ctx.log(t('kv.created', { title, id: created.id }));
+  return created.id;
+}
+
+// Lists the Worker's secrets, or returns an empty list if the Worker has not been deployed yet.
+function listSecretsIfDeployed(wrangler, workerName) {
+  try {
+    return wrangler.listSecrets(workerName);
+  } catch {
+    return [];
   }
 }
 
-async function writeJsonFile(filePath, data) {
+async function validateSkEncryptionKey(value) {
   try {
-    await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
-    console.log(`💾 JSON data written to ${filePath}`);
+    await importSkKey(value);
   } catch (error) {
-    console.error(`Error writing JSON file ${filePath}:`, error);
-    throw error;
+    throw usageError('secret.invalidKey', { reason: error.message });
   }
 }
 
-async function fileExists(filePath) {
-    try {
-        await fs.access(filePath);
-        return true;
-    } catch {
-        return false;
-    }
+// Seeds EMAIL_TO_SK_MAP from an initial SK map, encrypting the SKs if a key is given. An existing value is kept
+// unless --force is set.
+async function seedAccounts(ctx, wrangler, skEncryptionKey) {
+  const skMap = await readJsonFile(ctx.settings.accountsFile);
+  if (!skMap || typeof skMap !== 'object' || Array.isArray(skMap)) {
+    throw new CliError(t('error.invalidJson', { path: ctx.settings.accountsFile, reason: 'expected an object of email: SK pairs' }));
+  }
+  let exists = false;
+  try {
+    exists = wrangler.listKvKeys(KV_BINDING_NAME, SEED_KEY).includes(SEED_KEY);
+  } catch (error) {
+    // In a dry run the namespace may not be bound yet
+    if (!ctx.settings.dryRun) throw error;
+  }
+  if (exists && !ctx.settings.force) {
+    ctx.log(t('seed.exists'));
+    return;
+  }
+  ctx.log(t('seed.writing', { count: Object.keys(skMap).length, encrypted: skEncryptionKey ? t('seed.encrypted') : '' }));
+  const data = skEncryptionKey ? await encryptSkMap(skEncryptionKey, skMap) : skMap;
+  // A temporary file passes the data to wrangler without any quoting issues
+  const tempFilePath = path.join(os.tmpdir(), `temp-sk-map-${Date.now()}.json`);
+  await fs.writeFile(tempFilePath, JSON.stringify(data), { encoding: 'utf-8', mode: 0o600 });
+  try {
+    wrangler.putKvKey(KV_BINDING_NAME, SEED_KEY, tempFilePath);
+  } finally {
+    await fs.unlink(tempFilePath).catch(() => {});
+  }
+  if (!ctx.settings.dryRun) ctx.log(t('seed.done'));
+  ctx.log(t('seed.note'));
 }
 
-// --- Main Deployment Logic ---
-async function deploy() {
-  console.log('🚀 Starting Cloudflare Worker Deployment Script 🚀');
+// --- Commands ---
+async function deployCommand(ctx) {
+  const wranglerConfig = await loadWranglerConfig(ctx);
+  const workerName = ctx.settings.workerName || wranglerConfig.config.name;
+  const wrangler = ctx.createWrangler(wranglerConfig.path);
+
+  const kvId = ensureKvNamespace(ctx, wrangler, wranglerConfig.config, workerName);
+  const changes = [
+    ...(ctx.settings.workerName ? [[['name'], ctx.settings.workerName]] : []),
+    ...(ctx.settings.accountId ? [[['account_id'], ctx.settings.accountId]] : []),
+    ...Object.entries(ctx.settings.vars).map(([key, value]) => [['vars', key], value]),
+    kvBindingChange(wranglerConfig.config, kvId),
+  ];
+  await updateWranglerConfig(ctx, wranglerConfig, changes);
+
+  ctx.log(t('deploy.start', { name: workerName }));
+  wrangler.deploy();
+
+  const secrets = listSecretsIfDeployed(wrangler, workerName);
+  if (ctx.settings.adminPassword) {
+    wrangler.putSecret(workerName, 'ADMIN_PASSWORD', ctx.settings.adminPassword);
+    if (!ctx.settings.dryRun) ctx.log(t('secret.set', { name: 'ADMIN_PASSWORD' }));
+  } else if (!secrets.includes('ADMIN_PASSWORD')) {
+    ctx.log(t('secret.notSet', { name: 'ADMIN_PASSWORD' }));
+  }
 
-  try {
-    // --- Step 0: Check Wrangler Login & Get Account ID ---
-    console.log('Checking Wrangler login status...');
-    let accountId;
-    try {
-      const whoamiOutput = executeCommand(`${WRANGLER_CMD} whoami`);
-      const accountIdMatch = whoamiOutput.match(/│\s*.*\s*│\s*([a-f0-9]{32})\s*│/i);
-      if (!accountIdMatch || !accountIdMatch[1]) {
-        throw new Error(`Could not parse Account ID from '${WRANGLER_CMD} whoami'.`);
-      }
-      accountId = accountIdMatch[1];
-      console.log(`✅ Logged in. Account ID: ${accountId}`);
-    } catch (e) {
-      console.error(`❌ Not logged into Wrangler or '${WRANGLER_CMD} whoami' failed.`);
-      console.log(`Please run '${WRANGLER_CMD} login' manually and then re-run this script.`);
-      process.exit(1);
+  // A key is only generated if none is set yet: replacing it would make the stored SKs unreadable
+  let skEncryptionKey = ctx.settings.skEncryptionKey;
+  const generate = !skEncryptionKey && ctx.settings.generateSkEncryptionKey && !secrets.includes('SK_ENCRYPTION_KEY');
+  if (ctx.settings.generateSkEncryptionKey && !skEncryptionKey && !generate) {
+    ctx.log(t('secret.kept', { name: 'SK_ENCRYPTION_KEY' }));
+  }
+  if (generate) skEncryptionKey = generateSkEncryptionKey();
+  if (skEncryptionKey && (generate || ctx.settings.skEncryptionKey)) {
+    await validateSkEncryptionKey(skEncryptionKey);
+    wrangler.putSecret(workerName, 'SK_ENCRYPTION_KEY', skEncryptionKey);
+    if (!ctx.settings.dryRun) {
+      ctx.log(generate ? t('secret.generated', { name: 'SK_ENCRYPTION_KEY', value: skEncryptionKey }) : t('secret.set', { name: 'SK_ENCRYPTION_KEY' }));
     }
+  }
 
-    // --- Step 1: Gather Configuration ---
-    const responses = await prompts([
-      {
-        type: 'text',
-        name: 'workerName',
-        message: 'Enter a name for your Worker (alphanumeric, dashes):',
-        initial: `${DEFAULT_WORKER_NAME_PREFIX}-${Date.now().toString(36)}`, // Unique default
-        validate: value => /^[a-zA-Z0-9-]+$/.test(value) ? true : 'Invalid characters in Worker name.'
-      },
-      {
-        type: 'text',
-        name: 'kvNamespaceName',
-        message: 'Enter a name for the KV Namespace to create:',
-        initial: `${DEFAULT_KV_NAMESPACE_PREFIX}_${Date.now().toString(36)}`,
-        validate: value => /^[a-zA-Z0-9_-]+$/.test(value) && value.length <= 64 ? true : 'Invalid characters in KV Namespace name (max 64 chars).' // Cloudflare has length limits
-      },
-      {
-        type: 'text',
-        name: 'baseUrl',
-        message: 'Enter the BASE_URL for the Claude API:',
-        initial: DEFAULT_BASE_URL
-      },
-      {
-        type: 'text',
-        name: 'wranglerConfigPath',
-        message: 'Path to your wrangler.jsonc file:',
-        initial: DEFAULT_WRANGLER_CONFIG_PATH
-      }
-    ]);
+  if (ctx.settings.accountsFile) {
+    await seedAccounts(ctx, wrangler, skEncryptionKey);
+  }
+  ctx.log(t('deploy.done'));
+}
 
-    const { workerName, kvNamespaceName, baseUrl, wranglerConfigPath } = responses;
+async function initKvCommand(ctx) {
+  const wranglerConfig = await loadWranglerConfig(ctx);
+  const workerName = ctx.settings.workerName || wranglerConfig.config.name;
+  const wrangler = ctx.createWrangler(wranglerConfig.path);
+  const kvId = ensureKvNamespace(ctx, wrangler, wranglerConfig.config, workerName);
+  await updateWranglerConfig(ctx, wranglerConfig, [kvBindingChange(wranglerConfig.config, kvId)]);
+  if (ctx.settings.accountsFile) {
+    if (ctx.settings.skEncryptionKey) await validateSkEncryptionKey(ctx.settings.skEncryptionKey);
+    await seedAccounts(ctx, wrangler, ctx.settings.skEncryptionKey);
+  }
+}
 
-    if (!workerName || !kvNamespaceName || !baseUrl || !wranglerConfigPath) {
-        console.log('❌ Deployment cancelled: Missing required inputs.');
-        process.exit(1);
-    }
-    
-    // --- Step 2: Prepare or Update wrangler.jsonc ---
-    let wranglerConfig;
-    if (await fileExists(wranglerConfigPath)) {
-        console.log(`Reading existing wrangler config: ${wranglerConfigPath}`);
-        wranglerConfig = await readJsonFile(wranglerConfigPath);
-    } else {
-        console.log(`Creating new wrangler config: ${wranglerConfigPath}`);
-        wranglerConfig = {
-            main: "src/index.ts", // Default entry point
-            compatibility_date: new Date().toISOString().split('T')[0] // Today's date
-        };
-    }
+async function setSecretCommand(ctx) {
+  const [name, argumentValue] = ctx.args;
+  if (!name) throw usageError('error.missingOption', { option: '<NAME>' });
+  if (!/^[A-Z][A-Z0-9_]*$/.test(name)) throw usageError('secret.invalidName');
+
+  let value = argumentValue ?? ctx.values.value ?? env('FCPM_SECRET_VALUE');
+  const generated = value === undefined && !!ctx.values.generate;
+  if (generated) {
+    value = name === 'SK_ENCRYPTION_KEY' ? generateSkEncryptionKey() : randomBytes(32).toString('base64url');
+  } else if (value === undefined && !process.stdin.isTTY) {
+    value = await readStdin();
+  }
+  if (!value) throw usageError('secret.noValue', { name });
+  if (name === 'SK_ENCRYPTION_KEY') await validateSkEncryptionKey(value);
+
+  const wranglerConfig = await loadWranglerConfig(ctx);
+  const workerName = ctx.settings.workerName || wranglerConfig.config.name;
+  ctx.createWrangler(wranglerConfig.path).putSecret(workerName, name, value);
+  if (!ctx.settings.dryRun) {
+    ctx.log(generated ? t('secret.generated', { name, value }) : t('secret.set', { name }));
+  }
+}
 
-    wranglerConfig.name = workerName;
-    wranglerConfig.account_id = accountId;
-    wranglerConfig.vars = { ...(wranglerConfig.vars || {}), BASE_URL: baseUrl };
-    // KV namespace will be added after creation
-
-    console.log('📝 wrangler.jsonc content (before KV binding):', JSON.stringify(wranglerConfig, null, 2));
-
-
-    // --- Step 3: Create KV Namespace ---
-    console.log(`Creating KV Namespace: ${kvNamespaceName}...`);
-    let kvId, kvPreviewId;
-    try {
-        const listOutput = executeCommand(`${WRANGLER_CMD} kv namespace list`);
-        const listRegex = new RegExp(`│\\s*${kvNamespaceName}\\s*│\\s*([a-f0-9]{32})\\s*│`, "i");
-        const listMatch = listOutput.match(listRegex);
-
-        if (listMatch && listMatch[1]) {
-            kvId = listMatch[1];
-            console.log(`✅ KV Namespace "${kvNamespaceName}" already exists. Using existing ID: ${kvId}`);
-            console.warn(`⚠️ NOTE: When using an existing KV namespace, the preview_id cannot be retrieved automatically. Please ensure it is configured in wrangler.jsonc if needed for development.`);
-        } else {
-            console.log(`KV Namespace "${kvNamespaceName}" does not exist, creating...`);
-            const kvCreateOutput = executeCommand(`${WRANGLER_CMD} kv namespace create "${kvNamespaceName}"`);
-            
-            // Try to parse ID and Preview ID from the output
-            const idMatch = kvCreateOutput.match(/"id":\s*"([a-f0-9]{32})"/);
-            const previewIdMatch = kvCreateOutput.match(/"preview_id":\s*"([a-f0-9]{32})"/);
-
-            if (idMatch && idMatch[1]) {
-                kvId = idMatch[1];
-                if (previewIdMatch && previewIdMatch[1]) {
-                    kvPreviewId = previewIdMatch[1];
-                }
-                console.log(`✅ KV Namespace created. ID: ${kvId}, Preview ID: ${kvPreviewId || 'N/A'}`);
-            } else {
-                throw new Error('Failed to parse KV ID from the creation command output. Please check wrangler\'s output.');
-            }
-        }
-    } catch (error) {
-        console.error('❌ Failed to create or find KV Namespace.');
-        throw error;
-    }
-    
-    // --- Step 4: Update wrangler.jsonc with KV Binding ---
-    wranglerConfig.kv_namespaces = [
-      {
-        binding: KV_BINDING_NAME,
-        id: kvId,
-        ...(kvPreviewId && { preview_id: kvPreviewId }) // Add preview_id only if available
-      },
-      // Keep any other existing KV bindings if necessary (more complex logic)
-      ...(wranglerConfig.kv_namespaces?.filter(ns => ns.binding !== KV_BINDING_NAME) || [])
-    ];
-    await writeJsonFile(wranglerConfigPath, wranglerConfig);
-    console.log('📝 wrangler.jsonc updated with KV binding.');
-
-    // --- Step 5: Deploy Worker ---
-    console.log(`Deploying Worker ${workerName} using ${wranglerConfigPath}...`);
-    // Pass --config flag if wrangler.jsonc is not in the current dir or has a different name
-    // Assuming script is run from project root where wrangler.jsonc is.
-    executeCommand(`${WRANGLER_CMD} deploy ${path.basename(wranglerConfigPath) === 'wrangler.jsonc' ? '' : '--config ' + wranglerConfigPath}`);
-    console.log('✅ Worker deployed successfully.');
-
-    // --- Step 6: Set ADMIN_PASSWORD Secret ---
-    const { adminPassword } = await prompts({
-      type: 'password',
-      name: 'adminPassword',
-      message: 'Enter the ADMIN_PASSWORD for the Worker (will be set as a secret):'
-    });
-    if (adminPassword) {
-      // Need to pass input to stdin for wrangler secret put
-      executeCommand(`${WRANGLER_CMD} secret put ADMIN_PASSWORD`, { input: adminPassword });
-      console.log('✅ ADMIN_PASSWORD secret set.');
+async function accountsCommand(ctx) {
+  const [subcommand, ...rest] = ctx.args;
+  if (!['list', 'add', 'remove', 'import'].includes(subcommand)) {
+    throw usageError('error.unknownSubcommand', { command: subcommand ?? '' });
+  }
+  const client = ctx.createAdminClient();
+
+  if (subcommand === 'list') {
+    const accounts = await client.listAccounts();
+    if (ctx.settings.json) {
+      console.log(JSON.stringify(accounts, null, 2));
+    } else if (accounts.length === 0) {
+      ctx.log(t('accounts.empty'));
     } else {
-      console.log('⚠️ ADMIN_PASSWORD not set (input was empty).');
+      ctx.log(t('accounts.header'));
+      for (const account of accounts) {
+        ctx.log([account.email, account.enabled, account.health?.status ?? '-', account.sk_preview, account.groups?.join(',') || '-'].join('\t'));
+      }
+      ctx.log(t('accounts.count', { count: accounts.length }));
     }
-
-    // --- (Optional) Step 6b: Set TOKEN_EXPIRES_IN Variable ---
-    const { tokenExpiresIn } = await prompts({
-        type: 'text',
-        name: 'tokenExpiresIn',
-        message: 'Enter default token expiration in seconds (e.g., 86400 for 24h, optional, leave blank for no expiration):',
-        validate: value => (!value || /^\d+$/.test(value)) ? true : 'Please enter a valid number of seconds.'
+  } else if (subcommand === 'add') {
+    const email = ctx.values.email;
+    const sk = ctx.values.sk ?? env('FCPM_ACCOUNT_SK');
+    if (!email) throw usageError('error.missingOption', { option: '--email' });
+    if (!sk) throw usageError('error.missingOption', { option: '--sk' });
+    await client.addAccount({
+      email,
+      sk,
+      ...(ctx.values.tags && { tags: splitList(ctx.values.tags) }),
+      ...(ctx.values.groups && { groups: splitList(ctx.values.groups) }),
+      ...(ctx.values.disabled && { enabled: false }),
     });
-    if (tokenExpiresIn) {
-        // This is a regular variable, not a secret
-        wranglerConfig.vars = { ...(wranglerConfig.vars || {}), TOKEN_EXPIRES_IN: tokenExpiresIn };
-        await writeJsonFile(wranglerConfigPath, wranglerConfig);
-        console.log('✅ TOKEN_EXPIRES_IN variable set in wrangler.jsonc. Re-deploying to apply...');
-        executeCommand(`${WRANGLER_CMD} deploy ${path.basename(wranglerConfigPath) === 'wrangler.jsonc' ? '' : '--config ' + wranglerConfigPath}`);
-        console.log('✅ Re-deployment complete.');
-    } else {
-        console.log('ℹ️ TOKEN_EXPIRES_IN not set. Tokens will not expire by default.');
+    if (!ctx.settings.dryRun) ctx.log(t('accounts.added', { email }));
+  } else if (subcommand === 'remove') {
+    if (rest.length === 0) throw usageError('error.missingOption', { option: '<email>' });
+    for (const email of rest) {
+      try {
+        await client.deleteAccount(email);
+        if (!ctx.settings.dryRun) ctx.log(t('accounts.removed', { email }));
+      } catch (error) {
+        if (!(error instanceof CliError)) throw error;
+        console.error(t('accounts.notRemoved', { email, error: error.message }));
+        process.exitCode = 1;
+      }
     }
+  } else {
+    const [filePath] = rest;
+    if (!filePath) throw usageError('error.missingOption', { option: '<file>' });
+    const mode = ctx.values.mode ?? 'merge';
+    if (mode !== 'merge' && mode !== 'replace') throw usageError('error.invalidOption', { option: '--mode', reason: 'use merge or replace' });
+    // CSV exports are sent as text, everything else as JSON
+    const data = filePath.toLowerCase().endsWith('.csv') ? await readTextFile(filePath) : await readJsonFile(filePath);
+    const result = await client.importAccounts(data, mode, ctx.values.passphrase ?? env('FCPM_IMPORT_PASSPHRASE'));
+    const { diff } = result;
+    ctx.log(t('accounts.importResult', {
+      message: result.message,
+      added: diff.added.length,
+      updated: diff.updated.length,
+      removed: diff.removed.length,
+      unchanged: diff.unchanged.length,
+    }));
+    if (result.snapshot_id) ctx.log(t('accounts.snapshot', { id: result.snapshot_id }));
+  }
+}
 
+async function statusCommand(ctx) {
+  const wranglerConfig = await loadWranglerConfig(ctx);
+  const { config } = wranglerConfig;
+  const workerName = ctx.settings.workerName || config.name;
+  const kvId = getKvBinding(config)?.id;
+  const report = {
+    config: { path: wranglerConfig.path, name: workerName, kv_namespace_id: kvId && kvId !== KV_PLACEHOLDER_ID ? kvId : null, vars: config.vars || {} },
+    cloudflare: { kv_namespace: null, secrets: null, error: null },
+    pool: null,
+  };
+
+  const wrangler = ctx.createWrangler(wranglerConfig.path);
+  try {
+    const namespace = wrangler.listKvNamespaces().find((candidate) => candidate.id === kvId);
+    report.cloudflare.kv_namespace = namespace ? { id: namespace.id, title: namespace.title } : null;
+    report.cloudflare.secrets = listSecretsIfDeployed(wrangler, workerName);
+  } catch (error) {
+    report.cloudflare.error = error.message;
+  }
+  if (ctx.settings.url && (ctx.settings.adminPassword || ctx.settings.adminToken)) {
+    report.pool = (await ctx.createAdminClient().getStats()).pool;
+  }
 
-    // --- Step 7: Initialize KV Data ---
-    const { setupKv } = await prompts({
-        type: 'confirm',
-        name: 'setupKv',
-        message: `Do you want to initialize EMAIL_TO_SK_MAP in KV Namespace "${kvNamespaceName}"?`,
-        initial: true
-    });
-
-    if (setupKv) {
-        const { kvInitPath } = await prompts({
-            type: 'text',
-            name: 'kvInitPath',
-            message: `Enter path to JSON file for initial SK map (or leave blank for empty map):`,
-            initial: DEFAULT_INITIAL_SK_MAP_PATH
-        });
-
-        let kvData = "{}"; // Default to empty map
-        if (kvInitPath && await fileExists(kvInitPath)) {
-            try {
-                const fileContent = await fs.readFile(kvInitPath, 'utf-8');
-                const cleanedContent = fileContent.replace(/^\uFEFF/, '');
-                const jsonObj = JSON.parse(cleanedContent); // Validate and parse
-                kvData = JSON.stringify(jsonObj); // Use the cleaned and compacted JSON
-                console.log(`Initializing KV with data from: ${kvInitPath}`);
-            } catch (err) {
-                console.error(`❌ Error reading or parsing initial SK map file ${kvInitPath}. Defaulting to empty map.`, err);
-                kvData = "{}"; // Fallback to empty map
-            }
-        } else {
-            if (kvInitPath) console.log(`⚠️ Initial SK map file not found: ${kvInitPath}. Using empty map.`);
-            else console.log(`Initializing KV with an empty map.`);
-        }
-
-        // Use a temporary file to pass data to wrangler, avoiding all shell quoting issues.
-        const tempFilePath = path.join(os.tmpdir(), `temp-sk-map-${Date.now()}.json`);
-        try {
-            await fs.writeFile(tempFilePath, kvData, 'utf-8');
-            
-            executeCommand(`${WRANGLER_CMD} kv key put "EMAIL_TO_SK_MAP" --path "${tempFilePath}" --binding ${KV_BINDING_NAME} --remote`);
-            if (kvPreviewId) {
-                executeCommand(`${WRANGLER_CMD} kv key put "EMAIL_TO_SK_MAP" --path "${tempFilePath}" --binding ${KV_BINDING_NAME} --preview --remote`);
-            }
-            console.log('✅ EMAIL_TO_SK_MAP initialized in KV.');
-
-        } finally {
-            // Clean up the temporary file
-            await fs.unlink(tempFilePath).catch(err => console.error(`⚠️ Could not delete temp file ${tempFilePath}:`, err));
-        }
+  if (ctx.settings.json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+  ctx.log(t('status.config', { path: report.config.path }));
+  ctx.log(t('status.worker', { name: workerName }));
+  ctx.log(report.config.kv_namespace_id ? t('status.kv', { id: kvId }) : t('status.kvPlaceholder'));
+  const vars = Object.entries(report.config.vars).map(([key, value]) => `${key}=${value}`).join(', ');
+  ctx.log(t('status.vars', { vars: vars || t('status.none') }));
+  ctx.log(t('status.remote'));
+  if (report.cloudflare.error) {
+    ctx.log(t('status.remoteFailed', { reason: report.cloudflare.error }));
+  } else {
+    if (report.config.kv_namespace_id) {
+      const namespace = report.cloudflare.kv_namespace;
+      ctx.log(t('status.kvRemote', { id: kvId, state: namespace ? t('status.kvExists', { title: namespace.title }) : t('status.kvMissing') }));
     }
+    const secrets = REPORTED_SECRETS.map((name) => `${name} ${report.cloudflare.secrets.includes(name) ? '✓' : '✗'}`).join(', ');
+    ctx.log(t('status.secrets', { secrets }));
+  }
+  if (report.pool) {
+    ctx.log(t('status.pool', { url: ctx.settings.url, ...report.pool }));
+  } else {
+    ctx.log(t('status.poolHint'));
+  }
+}
 
+const COMMANDS = {
+  deploy: deployCommand,
+  'init-kv': initKvCommand,
+  'set-secret': setSecretCommand,
+  accounts: accountsCommand,
+  status: statusCommand,
+};
+
+// --- Main ---
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    throw new CliError(error.message, { usage: true });
+  }
+  const { values, positionals } = parsed;
 
-    console.log('\n🎉 Cloudflare Worker deployment and setup process complete! 🎉');
-    console.log(`Worker Name: ${workerName}`);
-    // Wrangler deploy command usually prints the URL.
+  const configFile = values['config-file'] ?? env('FCPM_CONFIG');
+  const file = configFile || (await fileExists(DEFAULT_CONFIG_FILE)) ? await readJsonFile(configFile || DEFAULT_CONFIG_FILE) : {};
+  t = createTranslator(detectLanguage(values.lang ?? env('FCPM_LANG') ?? file.lang));
 
-  } catch (error) {
-    console.error('\n❌ Deployment script failed:', error.message || error);
-    process.exit(1);
+  const [command, ...args] = positionals;
+  if (values.help || !command || command === 'help') {
+    console.log(t('usage'));
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw usageError('error.unknownCommand', { command });
   }
+
+  const settings = resolveSettings(values, file);
+  // Progress goes to stderr when stdout carries JSON
+  const log = settings.json ? (message) => console.error(message) : (message) => console.log(message);
+  if (configFile || file !== undefined && Object.keys(file).length > 0) log(t('config.loaded', { path: configFile || DEFAULT_CONFIG_FILE }));
+  if (settings.dryRun) log(t('dryRun.notice'));
+
+  await COMMANDS[command]({
+    t,
+    log,
+    settings,
+    values,
+    args,
+    createWrangler: (configPath) => createWrangler({ t, log, dryRun: settings.dryRun, configPath, accountId: settings.accountId }),
+    createAdminClient: () =>
+      createAdminClient({ t, log, url: settings.url, password: settings.adminPassword, token: settings.adminToken, dryRun: settings.dryRun }),
+  });
 }
 
-// Run the deployment function
-deploy();
\ No newline at end of file
+main(process.argv.slice(2)).catch((error) => {
+  if (error instanceof CliError) {
+    console.error(t('error.prefix', { message: error.message }));
+    if (error.usage) console.error(t('error.usageHint'));
+    process.exit(error.exitCode);
+  }
+  console.error(error);
+  process.exit(1);
+});
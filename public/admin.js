@@ -0,0 +1,426 @@
+// public/admin.js
+/**
+ * The admin console: account list, add/update/delete, batch delete, health checks and bulk import,
+ * all through the /api/admin routes. Signing in exchanges the admin password for a session token, which is kept
+ * in sessionStorage and sent as a bearer token; the password itself is never stored.
+ */
+
+import { api, describeError, escapeHtml, showMessage } from './common.js';
+
+const TOKEN_STORAGE_KEY = 'fcpm_admin_token';
+
+const signInSection = document.getElementById('sign-in');
+const signInForm = document.getElementById('sign-in-form');
+const signInMessage = document.getElementById('sign-in-message');
+const usernameInput = document.getElementById('admin-username');
+const passwordInput = document.getElementById('admin-password');
+const consoleElement = document.getElementById('console');
+const accountsBody = document.getElementById('accounts');
+const accountsMessage = document.getElementById('accounts-message');
+const selectAll = document.getElementById('select-all');
+const accountForm = document.getElementById('account-form');
+const accountFormMessage = document.getElementById('account-form-message');
+const importMessage = document.getElementById('import-message');
+
+const formFields = {
+	email: document.getElementById('form-email'),
+	newEmail: document.getElementById('form-new-email'),
+	sk: document.getElementById('form-sk'),
+	label: document.getElementById('form-label'),
+	plan: document.getElementById('form-plan'),
+	tags: document.getElementById('form-tags'),
+	upstreams: document.getElementById('form-upstreams'),
+	groups: document.getElementById('form-groups'),
+	weight: document.getElementById('form-weight'),
+	notes: document.getElementById('form-notes'),
+	enabled: document.getElementById('form-enabled'),
+};
+
+let accounts = [];
+let editingEmail = null; // The account being edited, or null when the form adds a new account
+
+/**
+ * Calls an admin route with the stored session token.
+ * @param {string} path The route, e.g. "/api/admin/list".
+ * @param {object} [body] The request body; without one, the route is called with GET.
+ * @returns {Promise<any>} The parsed response body.
+ */
+const adminApi = (path, body) =>
+	api(path, {
+		method: body === undefined ? 'GET' : 'POST',
+		body,
+		headers: { Authorization: `Bearer ${sessionStorage.getItem(TOKEN_STORAGE_KEY) || ''}` },
+	});
+
+/**
+ * Reports an error; a 401 means the session expired or was invalidated, so the console is locked again.
+ * @param {HTMLElement} element The message box.
+ * @param {Error & { status?: number }} error The error.
+ */
+const reportError = (element, error) => {
+	if (error.status === 401) {
+		signOut(error.message);
+		return;
+	}
+	showMessage(element, describeError(error), 'error');
+};
+
+function signOut(reason = '') {
+	sessionStorage.removeItem(TOKEN_STORAGE_KEY);
+	consoleElement.hidden = true;
+	signInSection.hidden = false;
+	showMessage(signInMessage, reason, 'error');
+}
+
+/**
+ * Renders the health status of an account as a badge.
+ * @param {object} account An entry of /api/admin/list.
+ * @returns {string} HTML.
+ */
+const statusBadge = (account) => {
+	const badges = [];
+	if (!account.enabled) {
+		badges.push('<span class="badge disabled">disabled</span>');
+	}
+	const status = account.health?.status || 'unknown';
+	const title = account.health?.last_error ? ` title="${escapeHtml(account.health.last_error)}"` : '';
+	badges.push(`<span class="badge ${escapeHtml(status)}"${title}>${escapeHtml(status)}</span>`);
+	if (account.cooldown) {
+		const until = new Date(account.cooldown.until).toLocaleString();
+		const reason = account.cooldown.reason ? `: ${account.cooldown.reason}` : '';
+		badges.push(`<span class="badge cooling" title="${escapeHtml(`${account.cooldown.set_by}${reason}`)}">cooling until ${escapeHtml(until)}</span>`);
+	}
+	return badges.join(' ');
+};
+
+function renderAccounts() {
+	selectAll.checked = false;
+	if (accounts.length === 0) {
+		accountsBody.innerHTML = '<tr><td colspan="9">No accounts yet. Add one below or use bulk import.</td></tr>';
+		return;
+	}
+	accountsBody.innerHTML = accounts
+		.map((account) => {
+			const email = escapeHtml(account.email);
+			const pinned = account.upstreams ? `upstreams: ${account.upstreams.join(', ')}` : '';
+			const groups = account.groups ? `groups: ${account.groups.join(', ')}` : '';
+			const details = [account.label, account.plan, (account.tags || []).join(', '), groups, pinned].filter(Boolean).map(escapeHtml).join(' · ');
+			const quarantined = account.health?.status === 'quarantined';
+			return `<tr>
+				<td><input type="checkbox" class="select-account" value="${email}" aria-label="Select ${email}" /></td>
+				<td>${account.index}</td>
+				<td>${email}${account.notes ? `<div class="hint">${escapeHtml(account.notes)}</div>` : ''}</td>
+				<td class="nowrap"><code>${escapeHtml(account.sk_preview)}</code></td>
+				<td>${details}</td>
+				<td>${account.weight ?? ''}</td>
+				<td class="nowrap">${statusBadge(account)}</td>
+				<td class="nowrap">${account.health?.last_checked ? escapeHtml(new Date(account.health.last_checked).toLocaleString()) : '-'}</td>
+				<td class="nowrap">
+					<button type="button" class="small secondary" data-action="edit" data-email="${email}">Edit</button>
+					<button type="button" class="small secondary" data-action="login" data-email="${email}">Login</button>
+					<button type="button" class="small secondary" data-action="check" data-email="${email}">Check</button>
+					${quarantined ? `<button type="button" class="small secondary" data-action="release" data-email="${email}">Release</button>` : ''}
+					${account.cooldown
+						? `<button type="button" class="small secondary" data-action="end-cooldown" data-email="${email}">End cooldown</button>`
+						: `<button type="button" class="small secondary" data-action="cooldown" data-email="${email}">Cool down</button>`}
+					<button type="button" class="small secondary" data-action="delete" data-email="${email}">Delete</button>
+				</td>
+			</tr>`;
+		})
+		.join('');
+}
+
+async function loadAccounts() {
+	try {
+		const me = await adminApi('/api/admin/admins/me');
+		document.getElementById('signed-in-as').textContent = `signed in as ${me.username} (${me.role})`;
+		accounts = await adminApi('/api/admin/list');
+		renderAccounts();
+		return true;
+	} catch (error) {
+		reportError(accountsMessage, error);
+		return false;
+	}
+}
+
+/**
+ * Summarizes the per-item results of a batch request.
+ * @param {{ email: string, status: string, reason?: string }[]} results
+ * @returns {string}
+ */
+const summarizeResults = (results) =>
+	results.map((result) => `${result.email}: ${result.status}${result.reason ? ` (${result.reason})` : ''}`).join('\n');
+
+// --- Sign in ---
+
+signInForm.addEventListener('submit', async (event) => {
+	event.preventDefault();
+	showMessage(signInMessage, 'Signing in...');
+	try {
+		// Named admin users sign in with username and password; the built-in owner with ADMIN_PASSWORD alone
+		const username = usernameInput.value.trim();
+		const { token } = username
+			? await api('/api/admin/session', { method: 'POST', body: { admin_username: username, admin_password: passwordInput.value } })
+			: await api('/api/admin/session', { method: 'POST', headers: { Authorization: `Bearer ${passwordInput.value}` } });
+		sessionStorage.setItem(TOKEN_STORAGE_KEY, token);
+	} catch (error) {
+		showMessage(signInMessage, describeError(error), 'error');
+		return;
+	}
+	if (await loadAccounts()) {
+		passwordInput.value = '';
+		showMessage(signInMessage, '');
+		signInSection.hidden = true;
+		consoleElement.hidden = false;
+	}
+});
+
+document.getElementById('sign-out').addEventListener('click', () => signOut());
+
+// --- Account list actions ---
+
+document.getElementById('refresh').addEventListener('click', async () => {
+	if (await loadAccounts()) {
+		showMessage(accountsMessage, '');
+	}
+});
+
+selectAll.addEventListener('change', () => {
+	for (const checkbox of accountsBody.querySelectorAll('.select-account')) {
+		checkbox.checked = selectAll.checked;
+	}
+});
+
+document.getElementById('check-all').addEventListener('click', async () => {
+	showMessage(accountsMessage, 'Checking every enabled account. This may take a while...');
+	try {
+		const { results } = await adminApi('/api/admin/health-check', {});
+		const failing = results.filter((result) => result.outcome !== 'ok');
+		showMessage(
+			accountsMessage,
+			`Checked ${results.length} account(s).${failing.length ? `\n${failing.map((r) => `${r.email}: ${r.status} (${r.error || r.outcome})`).join('\n')}` : ' All healthy.'}`,
+			failing.length ? 'error' : 'success',
+		);
+		await loadAccounts();
+	} catch (error) {
+		reportError(accountsMessage, error);
+	}
+});
+
+document.getElementById('delete-selected').addEventListener('click', async () => {
+	const emails = [...accountsBody.querySelectorAll('.select-account:checked')].map((checkbox) => checkbox.value);
+	if (emails.length === 0) {
+		showMessage(accountsMessage, 'Select the accounts to delete first.', 'error');
+		return;
+	}
+	if (!confirm(`Delete ${emails.length} account(s)?\n${emails.join('\n')}`)) {
+		return;
+	}
+	try {
+		const { results } = await adminApi('/api/admin/batch', { actions: emails.map((email) => ({ action: 'delete', email })) });
+		showMessage(accountsMessage, summarizeResults(results), 'success');
+		await loadAccounts();
+	} catch (error) {
+		reportError(accountsMessage, error);
+	}
+});
+
+accountsBody.addEventListener('click', async (event) => {
+	const button = event.target.closest('button[data-action]');
+	if (!button) {
+		return;
+	}
+	const { action, email } = button.dataset;
+	try {
+		if (action === 'edit') {
+			startEditing(accounts.find((account) => account.email === email));
+		} else if (action === 'login') {
+			const uniqueName = prompt(`Log in to ${email} as (unique_name):`, 'admin');
+			if (uniqueName) {
+				const { login_url } = await adminApi('/api/admin/login', { mode: 'specific', email, unique_name: uniqueName });
+				window.open(login_url, '_blank', 'noopener');
+			}
+		} else if (action === 'check') {
+			showMessage(accountsMessage, `Checking ${email}...`);
+			const [result] = (await adminApi('/api/admin/health-check', { email })).results;
+			showMessage(accountsMessage, `${email}: ${result.status}${result.error ? ` (${result.error})` : ''}`, result.outcome === 'ok' ? 'success' : 'error');
+			await loadAccounts();
+		} else if (action === 'release') {
+			const { message } = await adminApi('/api/admin/unquarantine', { email });
+			showMessage(accountsMessage, message, 'success');
+			await loadAccounts();
+		} else if (action === 'cooldown') {
+			const minutes = prompt(`Cool ${email} down for how many minutes?`, '60');
+			if (minutes) {
+				const { message } = await adminApi('/api/admin/cooldowns/set', { email, duration: Number(minutes) * 60 });
+				showMessage(accountsMessage, message, 'success');
+				await loadAccounts();
+			}
+		} else if (action === 'end-cooldown') {
+			const { message } = await adminApi('/api/admin/cooldowns/clear', { email });
+			showMessage(accountsMessage, message, 'success');
+			await loadAccounts();
+		} else if (action === 'delete') {
+			if (confirm(`Delete ${email}?`)) {
+				const { message } = await adminApi('/api/admin/delete', { email });
+				showMessage(accountsMessage, message, 'success');
+				await loadAccounts();
+			}
+		}
+	} catch (error) {
+		reportError(accountsMessage, error);
+	}
+});
+
+// --- Add / update form ---
+
+function startEditing(account) {
+	editingEmail = account.email;
+	formFields.email.value = account.email;
+	formFields.email.disabled = true;
+	formFields.newEmail.value = '';
+	formFields.sk.value = '';
+	formFields.label.value = account.label || '';
+	formFields.plan.value = account.plan || '';
+	formFields.tags.value = (account.tags || []).join(', ');
+	formFields.upstreams.value = (account.upstreams || []).join(', ');
+	formFields.groups.value = (account.groups || []).join(', ');
+	formFields.weight.value = account.weight ?? '';
+	formFields.notes.value = account.notes || '';
+	formFields.enabled.checked = account.enabled;
+	document.getElementById('form-new-email-field').hidden = false;
+	document.getElementById('form-sk-label').textContent = 'New SK (leave empty to keep)';
+	document.getElementById('account-form-title').textContent = `Edit ${account.email}`;
+	document.getElementById('account-form-submit').textContent = 'Save changes';
+	document.getElementById('account-form-cancel').hidden = false;
+	showMessage(accountFormMessage, '');
+	accountForm.scrollIntoView({ behavior: 'smooth' });
+}
+
+function stopEditing() {
+	editingEmail = null;
+	accountForm.reset();
+	formFields.email.disabled = false;
+	document.getElementById('form-new-email-field').hidden = true;
+	document.getElementById('form-sk-label').textContent = 'SK';
+	document.getElementById('account-form-title').textContent = 'Add account';
+	document.getElementById('account-form-submit').textContent = 'Add account';
+	document.getElementById('account-form-cancel').hidden = true;
+}
+
+document.getElementById('account-form-cancel').addEventListener('click', () => {
+	stopEditing();
+	showMessage(accountFormMessage, '');
+});
+
+/**
+ * Reads the metadata fields of the form. Empty text fields are sent as "" so that updates clear them.
+ * @returns {object}
+ */
+const readMetadata = () => ({
+	label: formFields.label.value.trim(),
+	plan: formFields.plan.value.trim(),
+	notes: formFields.notes.value.trim(),
+	tags: formFields.tags.value
+		.split(',')
+		.map((tag) => tag.trim())
+		.filter(Boolean),
+	upstreams: formFields.upstreams.value
+		.split(',')
+		.map((name) => name.trim())
+		.filter(Boolean),
+	groups: formFields.groups.value
+		.split(',')
+		.map((name) => name.trim())
+		.filter(Boolean),
+	enabled: formFields.enabled.checked,
+	...(formFields.weight.value !== '' && { weight: Number(formFields.weight.value) }),
+});
+
+accountForm.addEventListener('submit', async (event) => {
+	event.preventDefault();
+	try {
+		let result;
+		if (editingEmail) {
+			result = await adminApi('/api/admin/update', {
+				email: editingEmail,
+				...(formFields.newEmail.value.trim() && { new_email: formFields.newEmail.value.trim() }),
+				...(formFields.sk.value.trim() && { new_sk: formFields.sk.value.trim() }),
+				...readMetadata(),
+			});
+		} else {
+			result = await adminApi('/api/admin/add', { email: formFields.email.value.trim(), sk: formFields.sk.value.trim(), ...readMetadata() });
+		}
+		stopEditing();
+		showMessage(accountFormMessage, result.message, 'success');
+		await loadAccounts();
+	} catch (error) {
+		reportError(accountFormMessage, error);
+	}
+});
+
+// --- Bulk import ---
+
+/**
+ * Parses the bulk import text into batch actions.
+ * @param {string} text A JSON object (email to SK or to account record), a JSON array of batch actions, or "email,sk" lines.
+ * @returns {object[]} The batch actions.
+ * @throws {Error} If a line cannot be parsed.
+ */
+const parseImport = (text) => {
+	const trimmed = text.trim();
+	if (trimmed.startsWith('[')) {
+		return JSON.parse(trimmed);
+	}
+	if (trimmed.startsWith('{')) {
+		return Object.entries(JSON.parse(trimmed)).map(([email, value]) =>
+			typeof value === 'string' ? { action: 'upsert', email, sk: value } : { action: 'upsert', email, ...value },
+		);
+	}
+	return trimmed
+		.split('\n')
+		.map((line) => line.trim())
+		.filter(Boolean)
+		.map((line, index) => {
+			const [email, sk] = line.split(/[,\s]+/);
+			if (!email || !sk) {
+				throw new Error(`Line ${index + 1} is not an "email,sk" pair.`);
+			}
+			return { action: 'upsert', email, sk };
+		});
+};
+
+document.getElementById('import').addEventListener('click', async () => {
+	let actions;
+	try {
+		actions = parseImport(document.getElementById('import-data').value);
+	} catch (error) {
+		showMessage(importMessage, `Could not read the import data: ${error.message}`, 'error');
+		return;
+	}
+	if (actions.length === 0) {
+		showMessage(importMessage, 'Nothing to import.', 'error');
+		return;
+	}
+	try {
+		const { results } = await adminApi('/api/admin/batch', { actions });
+		const failed = results.filter((result) => result.status === 'failed');
+		showMessage(importMessage, summarizeResults(results), failed.length ? 'error' : 'success');
+		if (!failed.length) {
+			document.getElementById('import-data').value = '';
+		}
+		await loadAccounts();
+	} catch (error) {
+		reportError(importMessage, error);
+	}
+});
+
+// Resume the session if this tab already signed in
+if (sessionStorage.getItem(TOKEN_STORAGE_KEY)) {
+	loadAccounts().then((ok) => {
+		if (ok) {
+			signInSection.hidden = true;
+			consoleElement.hidden = false;
+		}
+	});
+}
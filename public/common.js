@@ -0,0 +1,61 @@
+// public/common.js
+/**
+ * Helpers shared by the user page and the admin console.
+ * Both pages talk to the Worker's JSON API on the same origin; nothing here is specific to either page.
+ */
+
+/**
+ * Calls a JSON API route of the Worker.
+ * @param {string} path The route, e.g. "/api/emails".
+ * @param {{ method?: string, body?: object, headers?: Record<string, string> }} [options]
+ * @returns {Promise<any>} The parsed response body.
+ * @throws {Error} With the API's `error` message (and `status`/`retryAfter` properties) if the response is not OK.
+ */
+export async function api(path, { method = 'GET', body, headers = {} } = {}) {
+	const response = await fetch(path, {
+		method,
+		headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+		body: body === undefined ? undefined : JSON.stringify(body),
+	});
+	let data = null;
+	try {
+		data = await response.json();
+	} catch (e) {
+		// Non-JSON responses are reported by status below
+	}
+	if (!response.ok) {
+		const error = new Error((data && data.error) || `Request failed with status ${response.status}.`);
+		error.status = response.status;
+		error.retryAfter = response.headers.get('Retry-After');
+		throw error;
+	}
+	return data;
+}
+
+/**
+ * Escapes text for safe insertion into HTML.
+ * @param {unknown} value The value to escape.
+ * @returns {string} The escaped string.
+ */
+export const escapeHtml = (value) =>
+	String(value ?? '').replace(/[&<>"']/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+/**
+ * Shows a status message in a message box element.
+ * @param {HTMLElement} element The message box.
+ * @param {string} text The message; an empty string hides the box.
+ * @param {'info' | 'success' | 'error'} [kind]
+ */
+export const showMessage = (element, text, kind = 'info') => {
+	element.textContent = text;
+	element.className = `message ${kind}`;
+	element.hidden = !text;
+};
+
+/**
+ * Formats an API error for display, including when to retry after a 429.
+ * @param {Error & { retryAfter?: string | null }} error The error thrown by `api`.
+ * @returns {string} The message to show.
+ */
+export const describeError = (error) =>
+	error.retryAfter ? `${error.message} (retry in ${error.retryAfter}s)` : error.message;
@@ -0,0 +1,129 @@
+// public/user.js
+/**
+ * The user page: lists the available accounts and logs in through /api/login,
+ * then sends the browser to the returned login_url. Users can also report the
+ * account of their last login as limited through /api/report-limited.
+ */
+
+import { api, describeError, escapeHtml, showMessage } from './common.js';
+
+const ACCESS_CODE_STORAGE_KEY = 'fcpm_access_code';
+const UNIQUE_NAME_STORAGE_KEY = 'fcpm_unique_name';
+
+const accessCodeInput = document.getElementById('access-code');
+const accessMessage = document.getElementById('access-message');
+const loginForm = document.getElementById('login-form');
+const loginButton = document.getElementById('login-button');
+const loginMessage = document.getElementById('login-message');
+const emailSelect = document.getElementById('email');
+const uniqueNameInput = document.getElementById('unique-name');
+const strategySelect = document.getElementById('strategy');
+const expiresInInput = document.getElementById('expires-in');
+const specificFields = document.getElementById('specific-fields');
+const strategyFields = document.getElementById('strategy-fields');
+const reportButton = document.getElementById('report-button');
+const reportMessage = document.getElementById('report-message');
+
+accessCodeInput.value = localStorage.getItem(ACCESS_CODE_STORAGE_KEY) || '';
+uniqueNameInput.value = localStorage.getItem(UNIQUE_NAME_STORAGE_KEY) || '';
+
+/**
+ * Builds the headers that carry the access code, if one was entered.
+ * @returns {Record<string, string>}
+ */
+const accessHeaders = () => {
+	const code = accessCodeInput.value.trim();
+	return code ? { Authorization: `Bearer ${code}` } : {};
+};
+
+/**
+ * Returns the selected login mode.
+ * @returns {'random' | 'sticky' | 'specific'}
+ */
+const selectedMode = () => loginForm.querySelector('input[name="mode"]:checked').value;
+
+/**
+ * Loads the account list into the account selector.
+ */
+async function loadEmails() {
+	localStorage.setItem(ACCESS_CODE_STORAGE_KEY, accessCodeInput.value.trim());
+	try {
+		const { emails, cooling_down: coolingDown = {} } = await api('/api/emails', { headers: accessHeaders() });
+		const optionLabel = (email) => (coolingDown[email] ? `${email} (limited until ${new Date(coolingDown[email]).toLocaleString()})` : email);
+		emailSelect.innerHTML = emails.map((email) => `<option value="${escapeHtml(email)}">${escapeHtml(optionLabel(email))}</option>`).join('');
+		showMessage(accessMessage, emails.length ? `${emails.length} account(s) available.` : 'No accounts are available.', emails.length ? 'success' : 'info');
+	} catch (error) {
+		emailSelect.innerHTML = '';
+		showMessage(accessMessage, describeError(error), 'error');
+	}
+}
+
+const updateModeFields = () => {
+	const mode = selectedMode();
+	specificFields.hidden = mode !== 'specific';
+	strategyFields.hidden = mode === 'specific';
+};
+
+loginForm.addEventListener('change', updateModeFields);
+document.getElementById('load-emails').addEventListener('click', loadEmails);
+
+loginForm.addEventListener('submit', async (event) => {
+	event.preventDefault();
+	const mode = selectedMode();
+	const body = { mode };
+	if (mode === 'specific') {
+		body.email = emailSelect.value;
+		body.unique_name = uniqueNameInput.value.trim();
+		if (!body.email || !body.unique_name) {
+			showMessage(loginMessage, 'Choose an account and enter your name.', 'error');
+			return;
+		}
+		localStorage.setItem(UNIQUE_NAME_STORAGE_KEY, body.unique_name);
+	} else if (strategySelect.value) {
+		body.strategy = strategySelect.value;
+	}
+	if (expiresInInput.value !== '') {
+		body.expires_in = Number(expiresInInput.value);
+	}
+
+	localStorage.setItem(ACCESS_CODE_STORAGE_KEY, accessCodeInput.value.trim());
+	loginButton.disabled = true;
+	showMessage(loginMessage, 'Logging in...');
+	try {
+		const result = await api('/api/login', { method: 'POST', body, headers: accessHeaders() });
+		if (result.warning) {
+			// Let the user read the warning before leaving the page
+			loginMessage.innerHTML = `${escapeHtml(result.warning)}<br /><a href="${escapeHtml(result.login_url)}">Continue to Claude</a>`;
+			loginMessage.className = 'message info';
+			loginMessage.hidden = false;
+		} else {
+			showMessage(loginMessage, 'Redirecting to Claude...', 'success');
+			window.location.href = result.login_url;
+		}
+	} catch (error) {
+		showMessage(loginMessage, describeError(error), 'error');
+	} finally {
+		loginButton.disabled = false;
+	}
+});
+
+reportButton.addEventListener('click', async () => {
+	const hours = prompt('Reached the usage limit? In how many hours does it reset? (Leave empty if unknown.)', '');
+	if (hours === null) {
+		return;
+	}
+	const body = hours.trim() ? { retry_after: Math.round(Number(hours) * 3600) } : {};
+	reportButton.disabled = true;
+	try {
+		const { message } = await api('/api/report-limited', { method: 'POST', body, headers: accessHeaders() });
+		showMessage(reportMessage, message, 'success');
+		await loadEmails();
+	} catch (error) {
+		showMessage(reportMessage, describeError(error), 'error');
+	} finally {
+		reportButton.disabled = false;
+	}
+});
+
+updateModeFields();
+loadEmails();
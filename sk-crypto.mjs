@@ -0,0 +1,52 @@
+// sk-crypto.mjs
+// Node counterpart of src/skcrypto.ts, used by the deploy scripts to seed EMAIL_TO_SK_MAP with encrypted SKs.
+// The value format must stay identical: "enc:v1:<key id>:<iv>:<ciphertext>" with AES-256-GCM.
+import { webcrypto } from 'node:crypto';
+
+const { subtle } = webcrypto;
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+const toBase64Url = (bytes) => Buffer.from(bytes).toString('base64url');
+
+// Generates a new SK_ENCRYPTION_KEY: 32 random bytes, base64-encoded.
+export function generateSkEncryptionKey() {
+  return Buffer.from(webcrypto.getRandomValues(new Uint8Array(32))).toString('base64');
+}
+
+// Imports a base64-encoded SK_ENCRYPTION_KEY and derives its key id (first 8 hex digits of its SHA-256).
+export async function importSkKey(secret) {
+  const raw = Buffer.from(secret.trim(), 'base64');
+  if (raw.length !== 32) {
+    throw new Error('SK encryption keys must be 32 bytes, base64-encoded.');
+  }
+  const digest = Buffer.from(await subtle.digest('SHA-256', raw));
+  const key = await subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt']);
+  return { id: digest.subarray(0, 4).toString('hex'), key };
+}
+
+// Encrypts one SK; values that are already encrypted are returned unchanged.
+export async function encryptSk(key, sk) {
+  if (sk.startsWith(ENCRYPTED_PREFIX)) {
+    return sk;
+  }
+  const iv = webcrypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await subtle.encrypt({ name: 'AES-GCM', iv }, key.key, new TextEncoder().encode(sk));
+  return `${ENCRYPTED_PREFIX}${key.id}:${toBase64Url(iv)}:${toBase64Url(new Uint8Array(ciphertext))}`;
+}
+
+// Encrypts every SK of an initial SK map ({ email: sk } or { email: record }) into account records
+// in the format the Worker stores, including the sk_preview shown by the admin list.
+export async function encryptSkMap(secret, skMap) {
+  const key = await importSkKey(secret);
+  const now = new Date().toISOString();
+  const encrypted = {};
+  for (const [email, value] of Object.entries(skMap)) {
+    const record = typeof value === 'string' ? { sk: value, enabled: true, created_at: now, updated_at: now } : { ...value };
+    if (record.sk && !record.sk.startsWith(ENCRYPTED_PREFIX)) {
+      record.sk_preview = `${record.sk.slice(0, 20)}...${record.sk.slice(-10)}`;
+      record.sk = await encryptSk(key, record.sk);
+    }
+    encrypted[email] = record;
+  }
+  return encrypted;
+}
@@ -0,0 +1,281 @@
+// src/access.ts
+/**
+ * Access codes for the user endpoints (/api/emails and /api/login).
+ * Codes are issued by admins, each with an owner, an optional expiry, optional lists of allowed
+ * accounts and account groups, and an optional cap on `expires_in`. Only a SHA-256 hash of each code is stored in KV;
+ * the plain code is shown once, when it is created or rotated.
+ */
+
+import type { AccountMap, AccountRecord, Env } from './types';
+import { isInGroup, isValidGroupName } from './groups';
+
+const ACCESS_CODE_KEY_PREFIX = 'ACCESS_CODE:';
+
+/**
+ * An access code as stored in KV.
+ */
+export interface AccessCode {
+  /**
+   * The SHA-256 hex digest of the code, used to identify it in admin requests.
+   */
+  id: string;
+  /**
+   * The first characters of the code, so that admins can tell codes apart.
+   */
+  code_preview: string;
+  /**
+   * The person or team the code was issued to.
+   */
+  owner: string;
+  created_at: string;
+  /**
+   * ISO timestamp after which the code is no longer accepted, or null if it never expires.
+   */
+  expires_at: string | null;
+  /**
+   * The accounts the code may use. Unless this or `allowed_groups` is set, every account in the pool may be used.
+   */
+  allowed_accounts: string[] | null;
+  /**
+   * The account groups whose members the code may use, in addition to `allowed_accounts`. Missing on codes
+   * created before groups existed.
+   */
+  allowed_groups?: string[] | null;
+  /**
+   * The maximum `expires_in` (seconds) the code may request, or null to only apply TOKEN_EXPIRES_IN.
+   */
+  max_expires_in: number | null;
+  /**
+   * ISO timestamp of when the code was rotated, if this record was created by a rotation.
+   */
+  rotated_at?: string;
+}
+
+/**
+ * The settings an admin can choose when creating an access code.
+ */
+export interface AccessCodeSettings {
+  owner: string;
+  expires_at: string | null;
+  allowed_accounts: string[] | null;
+  allowed_groups: string[] | null;
+  max_expires_in: number | null;
+}
+
+/**
+ * The outcome of authenticating a user request.
+ * `code` is null when no code was presented and none is required.
+ */
+export type AccessCheckResult = { ok: true; code: AccessCode | null } | { ok: false; error: string };
+
+/**
+ * Computes the hex-encoded SHA-256 digest of a code.
+ * @param code The plain access code.
+ * @returns A Promise that resolves to the digest.
+ */
+async function hashCode(code: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(code));
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generates a new random access code.
+ * @returns The plain code, e.g. `fcpm_3f9a...` (32 random bytes in hex).
+ */
+const generateCode = (): string => {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return `fcpm_${[...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+};
+
+/**
+ * Extracts the access code presented with a request.
+ * The code is read from the `Authorization: Bearer` header, the `X-Access-Code` header, or the body field.
+ * @param request The incoming Request object.
+ * @param bodyCode Optional: The `access_code` field of the JSON body.
+ * @returns The presented code, or undefined if there is none.
+ */
+export const getPresentedAccessCode = (request: Request, bodyCode?: unknown): string | undefined => {
+  const authorization = request.headers.get('Authorization');
+  if (authorization?.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return request.headers.get('X-Access-Code') || (typeof bodyCode === 'string' ? bodyCode : undefined);
+};
+
+/**
+ * Checks whether access codes are mandatory for the user endpoints.
+ * @param env The Environment object containing REQUIRE_ACCESS_CODE.
+ * @returns True if requests without a valid code must be rejected.
+ */
+const isAccessCodeRequired = (env: Env): boolean => env.REQUIRE_ACCESS_CODE === 'true';
+
+/**
+ * Validates the access code presented with a user request.
+ * A presented code is always validated, even when codes are not required.
+ * @param env The Environment object.
+ * @param presented The presented code, if any.
+ * @returns A Promise that resolves to the AccessCheckResult.
+ */
+export async function checkAccessCode(env: Env, presented: string | undefined): Promise<AccessCheckResult> {
+  if (!presented) {
+    return isAccessCodeRequired(env) ? { ok: false, error: 'An access code is required.' } : { ok: true, code: null };
+  }
+  const code = await getAccessCodeById(env, await hashCode(presented));
+  if (!code) {
+    return { ok: false, error: 'Invalid or revoked access code.' };
+  }
+  if (code.expires_at && Date.parse(code.expires_at) <= Date.now()) {
+    return { ok: false, error: 'The access code has expired.' };
+  }
+  return { ok: true, code };
+}
+
+/**
+ * Checks whether an access code may use an account: either no restriction is set, or the account is listed in
+ * `allowed_accounts` or belongs to one of `allowed_groups`.
+ * @param code The authenticated access code, or null if no code was presented.
+ * @param email The account to check.
+ * @param record The account's record, needed to check its groups.
+ * @returns True if the account may be used.
+ */
+export const isAccountAllowed = (code: AccessCode | null, email: string, record: AccountRecord | undefined): boolean =>
+  (!code?.allowed_accounts && !code?.allowed_groups) ||
+  !!code?.allowed_accounts?.includes(email) ||
+  !!code?.allowed_groups?.some((group) => isInGroup(record, group));
+
+/**
+ * Restricts an account map to the accounts an access code may use.
+ * @param accountMap The full AccountMap.
+ * @param code The authenticated access code, or null if no code was presented.
+ * @returns The AccountMap itself if unrestricted, otherwise a filtered copy.
+ */
+export const filterAccountsForCode = (accountMap: AccountMap, code: AccessCode | null): AccountMap => {
+  if (!code?.allowed_accounts && !code?.allowed_groups) {
+    return accountMap;
+  }
+  const filtered: AccountMap = {};
+  for (const email of Object.keys(accountMap)) {
+    if (isAccountAllowed(code, email, accountMap[email])) {
+      filtered[email] = accountMap[email];
+    }
+  }
+  return filtered;
+};
+
+/**
+ * Validates the settings of an admin request for creating an access code.
+ * @param body The request body.
+ * @returns The parsed AccessCodeSettings, or an error message.
+ */
+export const parseAccessCodeSettings = (body: any): AccessCodeSettings | string => {
+  if (typeof body.owner !== 'string' || !body.owner.trim()) {
+    return 'Field "owner" is required and must be a non-empty string.';
+  }
+  let expiresAt: string | null = null;
+  if (body.expires_at !== undefined && body.expires_at !== null) {
+    const timestamp = typeof body.expires_at === 'string' ? Date.parse(body.expires_at) : NaN;
+    if (isNaN(timestamp)) {
+      return 'Field "expires_at" must be an ISO date string.';
+    }
+    expiresAt = new Date(timestamp).toISOString();
+  }
+  if (body.allowed_accounts !== undefined && body.allowed_accounts !== null) {
+    if (!Array.isArray(body.allowed_accounts) || body.allowed_accounts.some((email: unknown) => typeof email !== 'string')) {
+      return 'Field "allowed_accounts" must be an array of emails.';
+    }
+  }
+  if (body.allowed_groups !== undefined && body.allowed_groups !== null) {
+    if (!Array.isArray(body.allowed_groups) || !body.allowed_groups.every(isValidGroupName)) {
+      return 'Field "allowed_groups" must be an array of group names.';
+    }
+  }
+  if (body.max_expires_in !== undefined && body.max_expires_in !== null) {
+    if (typeof body.max_expires_in !== 'number' || !Number.isInteger(body.max_expires_in) || body.max_expires_in <= 0) {
+      return 'Field "max_expires_in" must be a positive integer.';
+    }
+  }
+  return {
+    owner: body.owner.trim(),
+    expires_at: expiresAt,
+    allowed_accounts: body.allowed_accounts ?? null,
+    allowed_groups: body.allowed_groups ?? null,
+    max_expires_in: body.max_expires_in ?? null,
+  };
+};
+
+/**
+ * Retrieves an access code by its id.
+ * @param env The Environment object containing the KV namespace.
+ * @param id The SHA-256 hex digest of the code.
+ * @returns A Promise that resolves to the AccessCode, or null if it does not exist.
+ */
+export async function getAccessCodeById(env: Env, id: string): Promise<AccessCode | null> {
+  return env.CLAUDE_KV.get<AccessCode>(`${ACCESS_CODE_KEY_PREFIX}${id}`, 'json');
+}
+
+/**
+ * Creates and stores a new access code.
+ * @param env The Environment object containing the KV namespace.
+ * @param settings The settings of the new code.
+ * @param rotatedFrom Optional: The record this code replaces, whose creation date is kept.
+ * @returns A Promise that resolves to the plain code (shown only once) and its stored record.
+ */
+export async function createAccessCode(env: Env, settings: AccessCodeSettings, rotatedFrom?: AccessCode): Promise<{ code: string; record: AccessCode }> {
+  const code = generateCode();
+  const now = new Date().toISOString();
+  const record: AccessCode = {
+    id: await hashCode(code),
+    code_preview: `${code.slice(0, 12)}...`,
+    ...settings,
+    created_at: rotatedFrom?.created_at || now,
+    ...(rotatedFrom && { rotated_at: now }),
+  };
+  await env.CLAUDE_KV.put(`${ACCESS_CODE_KEY_PREFIX}${record.id}`, JSON.stringify(record));
+  return { code, record };
+}
+
+/**
+ * Lists all access codes.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the stored records, oldest first.
+ */
+export async function listAccessCodes(env: Env): Promise<AccessCode[]> {
+  const ids: string[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await env.CLAUDE_KV.list({ prefix: ACCESS_CODE_KEY_PREFIX, cursor });
+    ids.push(...page.keys.map((key) => key.name.slice(ACCESS_CODE_KEY_PREFIX.length)));
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  const records = await Promise.all(ids.map((id) => getAccessCodeById(env, id)));
+  return records.filter((record): record is AccessCode => record !== null).sort((a, b) => a.created_at.localeCompare(b.created_at));
+}
+
+/**
+ * Revokes an access code by deleting it.
+ * @param env The Environment object containing the KV namespace.
+ * @param id The id of the code to revoke.
+ * @returns A Promise that resolves to the revoked record, or null if it did not exist.
+ */
+export async function revokeAccessCode(env: Env, id: string): Promise<AccessCode | null> {
+  const record = await getAccessCodeById(env, id);
+  if (record) {
+    await env.CLAUDE_KV.delete(`${ACCESS_CODE_KEY_PREFIX}${id}`);
+  }
+  return record;
+}
+
+/**
+ * Rotates an access code: the old code stops working and a new code with the same settings is issued.
+ * @param env The Environment object containing the KV namespace.
+ * @param id The id of the code to rotate.
+ * @returns A Promise that resolves to the new plain code and record, or null if the code did not exist.
+ */
+export async function rotateAccessCode(env: Env, id: string): Promise<{ code: string; record: AccessCode } | null> {
+  const previous = await revokeAccessCode(env, id);
+  if (!previous) {
+    return null;
+  }
+  const { owner, expires_at, allowed_accounts, allowed_groups = null, max_expires_in } = previous;
+  return createAccessCode(env, { owner, expires_at, allowed_accounts, allowed_groups, max_expires_in }, previous);
+}
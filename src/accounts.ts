@@ -0,0 +1,310 @@
+// src/accounts.ts
+/**
+ * Account records: normalizing stored values, applying admin-supplied metadata, and the operations that
+ * modify the pool. The operations are plain data so that every storage backend (see storage.ts) applies them
+ * the same way, in one place.
+ * EMAIL_TO_SK_MAP originally mapped each email straight to its SK string. Such values are still
+ * accepted and are converted to full records on read; the next write stores the structured form.
+ */
+
+import type { AccountFields, AccountMap, AccountRecord, AdminBatchAction } from './types';
+import { isValidUpstreamName } from './routing';
+import { isValidGroupName } from './groups';
+
+/**
+ * A change to the pool.
+ * - 'create': adds an account; fails with 'exists' if the email is taken.
+ * - 'upsert': adds an account, or replaces the SK and applies the fields of an existing one.
+ * - 'update': changes the SK, fields and/or email of an existing account; fails with 'not_found', or with
+ *   'conflict' if `new_email` is taken.
+ * - 'delete': removes an account; fails with 'not_found'.
+ * - 'put': stores a complete record as given, replacing any existing one (used by import and restore).
+ * - 'replace_sk': swaps the stored SK value for another form of it (e.g. re-encrypted), only if the stored value
+ *   is still `expected_sk`; fails with 'conflict' otherwise. The record's updated_at is kept.
+ * - 'update_groups': adds the account to and/or removes it from groups, leaving its other groups alone; fails
+ *   with 'not_found'.
+ * `sk_preview` accompanies encrypted SKs, see skcrypto.ts.
+ */
+export type AccountOp =
+  | { type: 'create' | 'upsert'; email: string; sk: string; sk_preview?: string; fields?: AccountFields }
+  | { type: 'update'; email: string; new_email?: string; sk?: string; sk_preview?: string; fields?: AccountFields }
+  | { type: 'delete'; email: string }
+  | { type: 'put'; email: string; record: AccountRecord }
+  | { type: 'replace_sk'; email: string; expected_sk: string; sk: string; sk_preview?: string }
+  | { type: 'update_groups'; email: string; add?: string[]; remove?: string[] };
+
+/**
+ * The outcome of one AccountOp. On success, `email` is the account's final email, `previous` its record before
+ * the operation (null if it was created) and `record` its record afterwards (null if it was deleted).
+ */
+export type AccountOpResult =
+  | { ok: true; email: string; previous: AccountRecord | null; record: AccountRecord | null }
+  | { ok: false; email: string; reason: 'exists' | 'not_found' | 'conflict' };
+
+/**
+ * Converts a stored value (a legacy SK string or an account record) into a complete AccountRecord.
+ * @param value The value read from storage.
+ * @returns The normalized AccountRecord.
+ */
+export const toAccountRecord = (value: string | AccountRecord): AccountRecord => {
+  if (typeof value === 'string') {
+    return { sk: value, enabled: true, created_at: null, updated_at: null };
+  }
+  return {
+    ...value,
+    enabled: value.enabled !== false,
+    created_at: value.created_at ?? null,
+    updated_at: value.updated_at ?? null,
+  };
+};
+
+/**
+ * Builds the masked SK shown by the admin list.
+ * @param sk The plaintext SK.
+ * @returns The first 20 and last 10 characters of the SK.
+ */
+export const previewSk = (sk: string): string => `${sk.slice(0, 20)}...${sk.slice(-10)}`;
+
+/**
+ * Validates the email address of a new account (or the new address of a rename).
+ * @param email The email address.
+ * @returns An error message if it is not a plausible email address, otherwise null.
+ */
+export const validateEmail = (email: unknown): string | null =>
+  typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)
+    ? null
+    : `"${email}" is not a valid email address.`;
+
+/**
+ * Validates the format of an SK. The SK itself is never echoed in the message.
+ * @param sk The plaintext SK.
+ * @returns An error message if it is not an "sk-..." key of 20-512 URL-safe characters, otherwise null.
+ */
+export const validateSk = (sk: unknown): string | null =>
+  typeof sk === 'string' && /^sk-[A-Za-z0-9_-]{17,509}$/.test(sk)
+    ? null
+    : 'The SK must start with "sk-" and consist of 20 to 512 letters, digits, "-" or "_".';
+
+/**
+ * Validates the metadata fields of an admin request.
+ * @param fields The request body (or batch item) carrying the fields.
+ * @returns An error message if a field has the wrong type, otherwise null.
+ */
+export const validateAccountFields = (fields: AccountFields): string | null => {
+  for (const key of ['label', 'plan', 'notes'] as const) {
+    if (fields[key] !== undefined && typeof fields[key] !== 'string') {
+      return `Field "${key}" must be a string.`;
+    }
+  }
+  if (fields.enabled !== undefined && typeof fields.enabled !== 'boolean') {
+    return 'Field "enabled" must be a boolean.';
+  }
+  if (fields.tags !== undefined && (!Array.isArray(fields.tags) || fields.tags.some((tag) => typeof tag !== 'string'))) {
+    return 'Field "tags" must be an array of strings.';
+  }
+  if (fields.weight !== undefined && (typeof fields.weight !== 'number' || !isFinite(fields.weight) || fields.weight < 0)) {
+    return 'Field "weight" must be a non-negative number.';
+  }
+  if (fields.upstreams !== undefined && (!Array.isArray(fields.upstreams) || !fields.upstreams.every(isValidUpstreamName))) {
+    return 'Field "upstreams" must be an array of upstream names (1-32 letters, digits, "_" or "-").';
+  }
+  if (fields.groups !== undefined && (!Array.isArray(fields.groups) || !fields.groups.every(isValidGroupName))) {
+    return 'Field "groups" must be an array of group names (1-64 letters, digits, ".", "_" or "-").';
+  }
+  return null;
+};
+
+/**
+ * Checks whether a request carries at least one metadata field.
+ * @param fields The request body carrying the fields.
+ * @returns True if any metadata field is present.
+ */
+export const hasAccountFields = (fields: AccountFields): boolean =>
+  fields.label !== undefined ||
+  fields.enabled !== undefined ||
+  fields.plan !== undefined ||
+  fields.notes !== undefined ||
+  fields.tags !== undefined ||
+  fields.weight !== undefined ||
+  fields.upstreams !== undefined ||
+  fields.groups !== undefined;
+
+/**
+ * Applies the metadata fields present in a request to an account record.
+ * Empty strings and empty tag, upstream or group arrays clear the corresponding field.
+ * @param record The record to update; it is not modified.
+ * @param fields The request body (or batch item) carrying the fields.
+ * @returns A new AccountRecord with the fields applied and updated_at refreshed.
+ */
+export const applyAccountFields = (record: AccountRecord, fields: AccountFields): AccountRecord => {
+  const updated: AccountRecord = { ...record, updated_at: new Date().toISOString() };
+  for (const key of ['label', 'plan', 'notes'] as const) {
+    if (fields[key] !== undefined) {
+      if (fields[key]) {
+        updated[key] = fields[key];
+      } else {
+        delete updated[key];
+      }
+    }
+  }
+  if (fields.enabled !== undefined) {
+    updated.enabled = fields.enabled;
+  }
+  if (fields.weight !== undefined) {
+    updated.weight = fields.weight;
+  }
+  for (const key of ['tags', 'upstreams', 'groups'] as const) {
+    if (fields[key] !== undefined) {
+      if (fields[key].length > 0) {
+        updated[key] = [...new Set(fields[key])];
+      } else {
+        delete updated[key];
+      }
+    }
+  }
+  return updated;
+};
+
+/**
+ * Creates a new account record.
+ * @param sk The session key of the account.
+ * @param fields Optional metadata to apply to the new record.
+ * @returns The new AccountRecord, enabled unless the fields say otherwise.
+ */
+export const createAccountRecord = (sk: string, fields: AccountFields = {}): AccountRecord => {
+  const now = new Date().toISOString();
+  return applyAccountFields({ sk, enabled: true, created_at: now, updated_at: now }, fields);
+};
+
+/**
+ * Stores an SK in a record, replacing the preview of the previous SK.
+ * @param record The record; it is not modified.
+ * @param sk The stored form of the SK.
+ * @param skPreview The preview of an encrypted SK; a plaintext SK needs none.
+ * @returns The updated AccountRecord.
+ */
+const withSk = (record: AccountRecord, sk: string, skPreview?: string): AccountRecord => {
+  const { sk_preview, ...rest } = record;
+  return skPreview ? { ...rest, sk, sk_preview: skPreview } : { ...rest, sk };
+};
+
+/**
+ * Applies one operation to an account map.
+ * @param accountMap The map to modify in place.
+ * @param op The operation.
+ * @returns The AccountOpResult; the map is unchanged if the operation failed.
+ */
+export function applyAccountOp(accountMap: AccountMap, op: AccountOp): AccountOpResult {
+  const previous = accountMap[op.email] || null;
+  switch (op.type) {
+    case 'create':
+    case 'upsert': {
+      if (previous && op.type === 'create') {
+        return { ok: false, email: op.email, reason: 'exists' };
+      }
+      const record = previous
+        ? withSk(applyAccountFields(previous, op.fields || {}), op.sk, op.sk_preview)
+        : withSk(createAccountRecord(op.sk, op.fields), op.sk, op.sk_preview);
+      accountMap[op.email] = record;
+      return { ok: true, email: op.email, previous, record };
+    }
+    case 'update': {
+      if (!previous) {
+        return { ok: false, email: op.email, reason: 'not_found' };
+      }
+      const email = op.new_email || op.email;
+      if (email !== op.email && accountMap[email]) {
+        return { ok: false, email, reason: 'conflict' };
+      }
+      let record = applyAccountFields(previous, op.fields || {});
+      if (op.sk) {
+        record = withSk(record, op.sk, op.sk_preview);
+      }
+      delete accountMap[op.email];
+      accountMap[email] = record;
+      return { ok: true, email, previous, record };
+    }
+    case 'delete':
+      if (!previous) {
+        return { ok: false, email: op.email, reason: 'not_found' };
+      }
+      delete accountMap[op.email];
+      return { ok: true, email: op.email, previous, record: null };
+    case 'put':
+      accountMap[op.email] = op.record;
+      return { ok: true, email: op.email, previous, record: op.record };
+    case 'replace_sk': {
+      if (!previous || previous.sk !== op.expected_sk) {
+        return { ok: false, email: op.email, reason: 'conflict' };
+      }
+      const record = withSk(previous, op.sk, op.sk_preview);
+      accountMap[op.email] = record;
+      return { ok: true, email: op.email, previous, record };
+    }
+    case 'update_groups': {
+      if (!previous) {
+        return { ok: false, email: op.email, reason: 'not_found' };
+      }
+      const groups = [...(previous.groups || []), ...(op.add || [])].filter((group) => !op.remove?.includes(group));
+      const record = applyAccountFields(previous, { groups });
+      accountMap[op.email] = record;
+      return { ok: true, email: op.email, previous, record };
+    }
+  }
+}
+
+/**
+ * The status reported for a successful batch item, by action. An upsert that creates the account reports 'added'.
+ */
+export const BATCH_STATUSES: Record<AdminBatchAction['action'], string> = {
+  add: 'added',
+  upsert: 'updated',
+  update: 'updated',
+  enable: 'enabled',
+  disable: 'disabled',
+  delete: 'deleted',
+};
+
+/**
+ * Validates a batch item and converts it into the operation that carries it out.
+ * - 'add' creates the account and fails if it exists; 'upsert' creates it or replaces its SK and fields.
+ * - 'update' works like /api/admin/update, with `new_email` and `new_sk`.
+ * - 'enable' and 'disable' set the `enabled` flag of an existing account.
+ * - 'delete' removes the account.
+ * @param item The batch item.
+ * @returns The AccountOp, or an error message if the item is invalid.
+ */
+export function batchItemToOp(item: AdminBatchAction): AccountOp | string {
+  if (!item || typeof item !== 'object') {
+    return 'Each action must be an object.';
+  }
+  if (!item.email || typeof item.email !== 'string') {
+    return `Email is required for ${item.action || 'every'} action.`;
+  }
+  const fieldError = validateAccountFields(item);
+  if (fieldError) {
+    return fieldError;
+  }
+  switch (item.action) {
+    case 'add':
+    case 'upsert': {
+      const error = validateEmail(item.email) || validateSk(item.sk);
+      return error || { type: item.action === 'add' ? 'create' : 'upsert', email: item.email, sk: item.sk!, fields: item };
+    }
+    case 'update': {
+      if (!item.new_email && !item.new_sk && !hasAccountFields(item)) {
+        return 'At least one of new_email, new_sk or a metadata field is required for update action.';
+      }
+      const error = (item.new_email !== undefined && validateEmail(item.new_email)) || (item.new_sk !== undefined && validateSk(item.new_sk));
+      return error || { type: 'update', email: item.email, new_email: item.new_email, sk: item.new_sk, fields: item };
+    }
+    case 'enable':
+    case 'disable':
+      return { type: 'update', email: item.email, fields: { enabled: item.action === 'enable' } };
+    case 'delete':
+      return { type: 'delete', email: item.email };
+    default:
+      return `Unknown action: ${item.action}`;
+  }
+}
+
@@ -0,0 +1,291 @@
+// src/adminauth.ts
+/**
+ * Admin authentication.
+ * Admin requests authenticate with `Authorization: Bearer <token>`, where the token is either a session token
+ * issued by /api/admin/session or ADMIN_PASSWORD itself. The legacy `admin_password` body field is still
+ * accepted, together with `admin_username` for named admin users (see admins.ts). Session tokens are HMAC-SHA256 signed and expire; passwords are compared in constant time, and
+ * repeated failures from one client IP lock that IP out for a while.
+ */
+
+import type { Env } from './types';
+import { AdminRole, BOOTSTRAP_ADMIN, getAdminUser, verifyAdminUser } from './admins';
+
+const LOCKOUT_KEY_PREFIX = 'ADMIN_LOCKOUT:';
+
+// Sessions last 8 hours by default.
+const DEFAULT_SESSION_TTL = 28800;
+
+// Five failures within the lockout window lock the client out for 15 minutes by default.
+const DEFAULT_LOCKOUT_THRESHOLD = 5;
+const DEFAULT_LOCKOUT_DURATION = 900;
+
+// KV refuses expiration TTLs shorter than 60 seconds.
+const MIN_KV_TTL = 60;
+
+/**
+ * The claims of an admin session token.
+ */
+interface SessionClaims {
+  /**
+   * The principal the session was issued to.
+   */
+  sub: string;
+  /**
+   * Issue and expiry times in epoch seconds.
+   */
+  iat: number;
+  exp: number;
+  /**
+   * The named user's session_version when the token was issued.
+   */
+  ver?: number;
+}
+
+/**
+ * Failed admin authentications of one client, as stored in KV.
+ */
+interface LockoutRecord {
+  failures: number;
+  /**
+   * Epoch milliseconds until which the client is locked out, if it is.
+   */
+  locked_until?: number;
+}
+
+/**
+ * The outcome of authenticating an admin request.
+ * `status` and `retryAfter` (seconds) describe the response to send on failure.
+ */
+export type AdminAuthResult =
+  | { ok: true; method: 'session' | 'password'; subject: string; role: AdminRole }
+  | { ok: false; status: 401 | 429; error: string; retryAfter?: number };
+
+const encoder = new TextEncoder();
+
+/**
+ * Encodes bytes as unpadded base64url.
+ */
+const toBase64Url = (bytes: Uint8Array): string =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/**
+ * Decodes unpadded base64url into bytes.
+ * @throws If the input is not valid base64url.
+ */
+const fromBase64Url = (value: string): Uint8Array =>
+  Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+/**
+ * Compares two strings in constant time. Both are hashed first so that their lengths are not leaked either.
+ * @param a The first string.
+ * @param b The second string.
+ * @returns A Promise that resolves to true if the strings are equal.
+ */
+export async function timingSafeEqualStrings(a: string, b: string): Promise<boolean> {
+  const [hashA, hashB] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(a)),
+    crypto.subtle.digest('SHA-256', encoder.encode(b)),
+  ]);
+  return crypto.subtle.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Imports the key used to sign session tokens.
+ * ADMIN_SESSION_SECRET is preferred; without it the admin password is used, so that changing the password
+ * also invalidates every session.
+ * @param env The Environment object.
+ * @returns A Promise that resolves to the HMAC key, or null if neither secret is set and sessions are unavailable.
+ */
+const getSigningKey = async (env: Env): Promise<CryptoKey | null> => {
+  const secret = env.ADMIN_SESSION_SECRET || env.ADMIN_PASSWORD;
+  if (!secret) {
+    return null;
+  }
+  return crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign', 'verify']);
+};
+
+/**
+ * Reads the session lifetime from the environment.
+ * @param env The Environment object.
+ * @returns The lifetime in seconds.
+ */
+export const getSessionTtl = (env: Env): number => {
+  const ttl = env.ADMIN_SESSION_TTL ? parseInt(env.ADMIN_SESSION_TTL, 10) : DEFAULT_SESSION_TTL;
+  return ttl > 0 ? ttl : DEFAULT_SESSION_TTL;
+};
+
+/**
+ * Issues a signed admin session token.
+ * @param env The Environment object.
+ * @param subject The principal the session is issued to.
+ * @returns A Promise that resolves to the token and its ISO expiry time, or null if no signing secret is configured.
+ */
+export async function createSessionToken(env: Env, subject: string): Promise<{ token: string; expires_at: string } | null> {
+  const key = await getSigningKey(env);
+  if (!key) {
+    return null;
+  }
+  const now = Math.floor(Date.now() / 1000);
+  const claims: SessionClaims = { sub: subject, iat: now, exp: now + getSessionTtl(env) };
+  if (subject !== BOOTSTRAP_ADMIN) {
+    claims.ver = (await getAdminUser(env, subject))?.session_version;
+  }
+  const payload = toBase64Url(encoder.encode(JSON.stringify(claims)));
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(payload));
+  return { token: `${payload}.${toBase64Url(new Uint8Array(signature))}`, expires_at: new Date(claims.exp * 1000).toISOString() };
+}
+
+/**
+ * Verifies a session token's signature and expiry.
+ * @param env The Environment object.
+ * @param token The presented token.
+ * @returns A Promise that resolves to the token's claims and whether they have expired, or null if the token is
+ * malformed or forged, or no signing secret is configured.
+ */
+async function verifySessionToken(env: Env, token: string): Promise<{ claims: SessionClaims; expired: boolean } | null> {
+  const [payload, signature, extra] = token.split('.');
+  if (!payload || !signature || extra !== undefined) {
+    return null;
+  }
+  const key = await getSigningKey(env);
+  if (!key) {
+    return null;
+  }
+  try {
+    // HMAC verification compares the signature in constant time.
+    const valid = await crypto.subtle.verify('HMAC', key, fromBase64Url(signature), encoder.encode(payload));
+    if (!valid) {
+      return null;
+    }
+    const claims: SessionClaims = JSON.parse(new TextDecoder().decode(fromBase64Url(payload)));
+    return typeof claims.exp === 'number' ? { claims, expired: claims.exp <= Date.now() / 1000 } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Resolves the principal of a valid session token.
+ * Sessions of named users end when the user is deleted or disabled, or their password changes.
+ * @param env The Environment object.
+ * @param claims The verified claims.
+ * @returns A Promise that resolves to the principal's role, or null if the session has ended.
+ */
+async function resolveSessionRole(env: Env, claims: SessionClaims): Promise<AdminRole | null> {
+  if (claims.sub === BOOTSTRAP_ADMIN) {
+    return 'owner';
+  }
+  const user = await getAdminUser(env, claims.sub);
+  return user && !user.disabled && user.session_version === claims.ver ? user.role : null;
+}
+
+/**
+ * Reads a positive integer setting from the environment.
+ */
+const readPositiveInt = (value: string | undefined, fallback: number): number => {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Reads the failure record of a client.
+ * @param env The Environment object containing the KV namespace.
+ * @param client The client key (usually the IP address).
+ * @returns A Promise that resolves to the LockoutRecord, or null if the client has no recent failures.
+ */
+const getLockoutRecord = (env: Env, client: string): Promise<LockoutRecord | null> =>
+  env.CLAUDE_KV.get<LockoutRecord>(`${LOCKOUT_KEY_PREFIX}${client}`, 'json');
+
+/**
+ * Records a failed authentication, locking the client out once the threshold is reached.
+ * Failures are forgotten after the lockout duration without further failures.
+ * @param env The Environment object.
+ * @param client The client key.
+ * @param previous The client's current failure record, if any.
+ * @returns A Promise that resolves to the lockout duration in seconds if the client is now locked out, otherwise 0.
+ */
+async function recordFailure(env: Env, client: string, previous: LockoutRecord | null): Promise<number> {
+  const threshold = readPositiveInt(env.ADMIN_LOCKOUT_THRESHOLD, DEFAULT_LOCKOUT_THRESHOLD);
+  const duration = readPositiveInt(env.ADMIN_LOCKOUT_DURATION, DEFAULT_LOCKOUT_DURATION);
+  const record: LockoutRecord = { failures: (previous?.failures || 0) + 1 };
+  if (record.failures >= threshold) {
+    record.locked_until = Date.now() + duration * 1000;
+  }
+  await env.CLAUDE_KV.put(`${LOCKOUT_KEY_PREFIX}${client}`, JSON.stringify(record), { expirationTtl: Math.max(MIN_KV_TTL, duration) });
+  return record.locked_until ? duration : 0;
+}
+
+/**
+ * Authenticates an admin request.
+ * A bearer token is tried as a session token first and then as ADMIN_PASSWORD; without one, the body fields are used.
+ * @param env The Environment object.
+ * @param request The incoming Request object.
+ * @param client The client key used for lockouts (usually the IP address).
+ * @param options Set `passwordOnly` to refuse session tokens, e.g. when issuing a new session.
+ * @returns A Promise that resolves to the AdminAuthResult.
+ */
+export async function authenticateAdmin(
+  env: Env,
+  request: Request,
+  client: string,
+  options: { passwordOnly?: boolean } = {},
+): Promise<AdminAuthResult> {
+  const lockoutRecord = await getLockoutRecord(env, client);
+  const lockedFor = lockoutRecord?.locked_until ? Math.ceil((lockoutRecord.locked_until - Date.now()) / 1000) : 0;
+  if (lockedFor > 0) {
+    return { ok: false, status: 429, error: 'Too many failed admin authentication attempts. Please try again later.', retryAfter: lockedFor };
+  }
+
+  const authorization = request.headers.get('Authorization');
+  let presented: string | undefined;
+  let username: string | undefined;
+  if (authorization?.startsWith('Bearer ')) {
+    presented = authorization.slice('Bearer '.length).trim();
+    if (!options.passwordOnly) {
+      const session = await verifySessionToken(env, presented);
+      // A token we signed is not a guessed password, so an expired or ended session does not count towards the lockout
+      if (session?.expired) {
+        return { ok: false, status: 401, error: 'The admin session has expired. Please sign in again.' };
+      }
+      if (session) {
+        const { claims } = session;
+        const role = await resolveSessionRole(env, claims);
+        return role
+          ? { ok: true, method: 'session', subject: claims.sub, role }
+          : { ok: false, status: 401, error: 'The admin session has ended. Please sign in again.' };
+      }
+    }
+  } else if (request.method !== 'GET' && request.method !== 'HEAD') {
+    // Backward compatibility: the credentials in the JSON body
+    try {
+      const body: { admin_username?: unknown; admin_password?: unknown } = await request.clone().json();
+      presented = typeof body.admin_password === 'string' ? body.admin_password : undefined;
+      username = typeof body.admin_username === 'string' && body.admin_username ? body.admin_username : undefined;
+    } catch (e) {
+      // Treated as a missing password below
+    }
+  }
+
+  // Requests without any credentials do not count towards the lockout
+  if (!presented) {
+    return { ok: false, status: 401, error: 'Unauthorized. Admin credentials are required.' };
+  }
+  let role: AdminRole | null = null;
+  if (username && username !== BOOTSTRAP_ADMIN) {
+    role = (await verifyAdminUser(env, username, presented))?.role || null;
+  } else if (env.ADMIN_PASSWORD && (await timingSafeEqualStrings(presented, env.ADMIN_PASSWORD))) {
+    role = 'owner';
+  }
+  if (role) {
+    if (lockoutRecord) {
+      await env.CLAUDE_KV.delete(`${LOCKOUT_KEY_PREFIX}${client}`);
+    }
+    return { ok: true, method: 'password', subject: username || BOOTSTRAP_ADMIN, role };
+  }
+
+  const lockout = await recordFailure(env, client, lockoutRecord);
+  if (lockout > 0) {
+    return { ok: false, status: 429, error: 'Too many failed admin authentication attempts. Please try again later.', retryAfter: lockout };
+  }
+  return { ok: false, status: 401, error: 'Unauthorized. Invalid admin credentials.' };
+}
@@ -0,0 +1,297 @@
+// src/admins.ts
+/**
+ * Named admin users and role-based permissions.
+ * Admin users are stored in KV under ADMIN_USERS, each with a role and a PBKDF2 password hash. ADMIN_PASSWORD
+ * remains the password of the built-in owner "admin", which is used to create the first named users.
+ */
+
+import type { Env } from './types';
+
+const ADMIN_USERS_KEY = 'ADMIN_USERS';
+
+/**
+ * The name of the built-in owner that authenticates with ADMIN_PASSWORD.
+ */
+export const BOOTSTRAP_ADMIN = 'admin';
+
+// Cloudflare Workers support at most 100000 PBKDF2 iterations.
+const PBKDF2_ITERATIONS = 100000;
+
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Admin roles, from least to most privileged. Each role may do everything the roles before it may.
+ * - viewer: read-only access (lists, usage, audit log).
+ * - operator: adds and updates accounts, logs into accounts, runs health checks.
+ * - owner: deletes accounts, runs batches, manages access codes and admin users.
+ */
+export const ADMIN_ROLES = ['viewer', 'operator', 'owner'] as const;
+export type AdminRole = (typeof ADMIN_ROLES)[number];
+
+/**
+ * The role required by each admin route. Routes not listed here require 'owner'.
+ */
+const ROUTE_ROLES: Record<string, AdminRole> = {
+  '/api/admin/session': 'viewer',
+  '/api/admin/admins/me': 'viewer',
+  '/api/admin/list': 'viewer',
+  '/api/admin/sticky/list': 'viewer',
+  '/api/admin/access-codes/list': 'viewer',
+  '/api/admin/usage': 'viewer',
+  '/api/admin/audit': 'viewer',
+  '/api/admin/snapshots/list': 'viewer',
+  '/api/admin/sessions/list': 'viewer',
+  '/api/admin/upstreams/list': 'viewer',
+  '/api/admin/groups/list': 'viewer',
+  '/api/admin/stats': 'viewer',
+  '/api/admin/cooldowns/list': 'viewer',
+  '/api/admin/login': 'operator',
+  '/api/admin/add': 'operator',
+  '/api/admin/update': 'operator',
+  '/api/admin/health-check': 'operator',
+  '/api/admin/unquarantine': 'operator',
+  '/api/admin/cooldowns/set': 'operator',
+  '/api/admin/cooldowns/clear': 'operator',
+  '/api/admin/upstreams/check': 'operator',
+  '/api/admin/groups/update': 'operator',
+  '/api/admin/sticky/clear': 'operator',
+  '/api/admin/usage/reset': 'operator',
+  '/api/admin/sessions/revoke': 'operator',
+  '/api/admin/sessions/unrevoke': 'operator',
+};
+
+/**
+ * A named admin user as stored in KV.
+ */
+export interface AdminUser {
+  role: AdminRole;
+  /**
+   * "pbkdf2$<iterations>$<salt hex>$<hash hex>".
+   */
+  password_hash: string;
+  disabled: boolean;
+  /**
+   * Incremented whenever the password changes or the user is disabled, which ends the user's sessions.
+   */
+  session_version: number;
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * An admin user as returned by the admin endpoints, without the password hash.
+ */
+export type AdminUserSummary = Omit<AdminUser, 'password_hash' | 'session_version'> & { username: string };
+
+type AdminUserMap = Record<string, AdminUser>;
+
+const toHex = (bytes: Uint8Array): string => [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+const fromHex = (hex: string): Uint8Array => Uint8Array.from(hex.match(/../g) || [], (pair) => parseInt(pair, 16));
+
+/**
+ * Derives a PBKDF2-SHA256 hash of a password.
+ * @param password The password.
+ * @param salt The salt.
+ * @param iterations The iteration count.
+ * @returns A Promise that resolves to the 32-byte hash.
+ */
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return new Uint8Array(bits);
+}
+
+/**
+ * Hashes a password for storage.
+ * @param password The password.
+ * @returns A Promise that resolves to the encoded hash.
+ */
+async function hashPassword(password: string): Promise<string> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  return `pbkdf2$${PBKDF2_ITERATIONS}$${toHex(salt)}$${toHex(await pbkdf2(password, salt, PBKDF2_ITERATIONS))}`;
+}
+
+/**
+ * Checks a password against a stored hash in constant time.
+ * @param password The presented password.
+ * @param encoded The stored hash.
+ * @returns A Promise that resolves to true if the password matches.
+ */
+async function verifyPassword(password: string, encoded: string): Promise<boolean> {
+  const [scheme, iterations, salt, hash] = encoded.split('$');
+  if (scheme !== 'pbkdf2' || !iterations || !salt || !hash) {
+    return false;
+  }
+  const derived = await pbkdf2(password, fromHex(salt), parseInt(iterations, 10));
+  const expected = fromHex(hash);
+  return derived.length === expected.length && crypto.subtle.timingSafeEqual(derived, expected);
+}
+
+/**
+ * Checks whether a role includes the permissions of another.
+ * @param role The role a principal has.
+ * @param required The role a route requires.
+ * @returns True if `role` is at least `required`.
+ */
+export const hasRole = (role: AdminRole, required: AdminRole): boolean => ADMIN_ROLES.indexOf(role) >= ADMIN_ROLES.indexOf(required);
+
+/**
+ * Looks up the role required by an admin route.
+ * @param pathname The request path.
+ * @returns The required role; unknown routes require 'owner'.
+ */
+export const getRequiredRole = (pathname: string): AdminRole => ROUTE_ROLES[pathname] || 'owner';
+
+/**
+ * Checks whether a value names an admin role.
+ * @param value The value to check.
+ * @returns True if the value is an AdminRole.
+ */
+export const isAdminRole = (value: unknown): value is AdminRole => ADMIN_ROLES.includes(value as AdminRole);
+
+/**
+ * Checks whether a username is acceptable for a named admin user.
+ * @param username The username to check.
+ * @returns True if it is 1-64 letters, digits, '.', '_', '@' or '-', and not the built-in owner's name.
+ */
+export const isValidAdminUsername = (username: unknown): username is string =>
+  typeof username === 'string' && /^[A-Za-z0-9._@-]{1,64}$/.test(username) && username !== BOOTSTRAP_ADMIN;
+
+/**
+ * Validates a new admin password.
+ * @param password The password to check.
+ * @returns An error message, or null if the password is acceptable.
+ */
+export const validateAdminPassword = (password: unknown): string | null =>
+  typeof password === 'string' && password.length >= MIN_PASSWORD_LENGTH
+    ? null
+    : `Field "password" must be a string of at least ${MIN_PASSWORD_LENGTH} characters.`;
+
+/**
+ * Retrieves all named admin users.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the users keyed by username.
+ */
+async function getAdminUsers(env: Env): Promise<AdminUserMap> {
+  return (await env.CLAUDE_KV.get<AdminUserMap>(ADMIN_USERS_KEY, 'json')) || {};
+}
+
+/**
+ * Writes the admin users back to KV.
+ * @param env The Environment object containing the KV namespace.
+ * @param users The users keyed by username.
+ */
+async function saveAdminUsers(env: Env, users: AdminUserMap): Promise<void> {
+  await env.CLAUDE_KV.put(ADMIN_USERS_KEY, JSON.stringify(users));
+}
+
+/**
+ * Retrieves a named admin user.
+ * @param env The Environment object containing the KV namespace.
+ * @param username The username.
+ * @returns A Promise that resolves to the user, or null if there is no such user.
+ */
+export async function getAdminUser(env: Env, username: string): Promise<AdminUser | null> {
+  return (await getAdminUsers(env))[username] || null;
+}
+
+/**
+ * Verifies the credentials of a named admin user.
+ * @param env The Environment object containing the KV namespace.
+ * @param username The username.
+ * @param password The presented password.
+ * @returns A Promise that resolves to the user if the credentials are valid and the user is enabled, otherwise null.
+ */
+export async function verifyAdminUser(env: Env, username: string, password: string): Promise<AdminUser | null> {
+  const user = await getAdminUser(env, username);
+  if (!user || user.disabled) {
+    return null;
+  }
+  return (await verifyPassword(password, user.password_hash)) ? user : null;
+}
+
+/**
+ * Lists the named admin users.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the users, without password hashes, sorted by username.
+ */
+export async function listAdminUsers(env: Env): Promise<AdminUserSummary[]> {
+  const users = await getAdminUsers(env);
+  return Object.keys(users)
+    .sort()
+    .map((username) => {
+      const { password_hash, session_version, ...summary } = users[username];
+      return { username, ...summary };
+    });
+}
+
+/**
+ * Creates a named admin user.
+ * @param env The Environment object containing the KV namespace.
+ * @param username The new username.
+ * @param password The new user's password.
+ * @param role The new user's role.
+ * @returns A Promise that resolves to false if the username is already taken, otherwise true.
+ */
+export async function createAdminUser(env: Env, username: string, password: string, role: AdminRole): Promise<boolean> {
+  const users = await getAdminUsers(env);
+  if (users[username]) {
+    return false;
+  }
+  const now = new Date().toISOString();
+  users[username] = { role, password_hash: await hashPassword(password), disabled: false, session_version: 1, created_at: now, updated_at: now };
+  await saveAdminUsers(env, users);
+  return true;
+}
+
+/**
+ * Updates a named admin user. Changing the password or disabling the user ends the user's sessions.
+ * @param env The Environment object containing the KV namespace.
+ * @param username The username.
+ * @param changes The new role, password and/or disabled flag.
+ * @returns A Promise that resolves to false if there is no such user, otherwise true.
+ */
+export async function updateAdminUser(
+  env: Env,
+  username: string,
+  changes: { role?: AdminRole; password?: string; disabled?: boolean },
+): Promise<boolean> {
+  const users = await getAdminUsers(env);
+  const user = users[username];
+  if (!user) {
+    return false;
+  }
+  if (changes.role) {
+    user.role = changes.role;
+  }
+  if (changes.password) {
+    user.password_hash = await hashPassword(changes.password);
+    user.session_version += 1;
+  }
+  if (changes.disabled !== undefined) {
+    if (changes.disabled && !user.disabled) {
+      user.session_version += 1;
+    }
+    user.disabled = changes.disabled;
+  }
+  user.updated_at = new Date().toISOString();
+  await saveAdminUsers(env, users);
+  return true;
+}
+
+/**
+ * Deletes a named admin user, which also ends the user's sessions.
+ * @param env The Environment object containing the KV namespace.
+ * @param username The username.
+ * @returns A Promise that resolves to false if there is no such user, otherwise true.
+ */
+export async function deleteAdminUser(env: Env, username: string): Promise<boolean> {
+  const users = await getAdminUsers(env);
+  if (!users[username]) {
+    return false;
+  }
+  delete users[username];
+  await saveAdminUsers(env, users);
+  return true;
+}
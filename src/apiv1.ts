@@ -0,0 +1,727 @@
+// src/apiv1.ts
+/**
+ * The versioned API under /api/v1.
+ * Each route declares its method, path, parameters and the schema of its query or body (see schema.ts), which
+ * are validated before anything else runs and published at /api/v1/openapi.json (see openapi.ts). Accounts,
+ * groups, webhooks and the other admin objects are exposed as resources (`GET/PUT/DELETE
+ * /api/v1/admin/accounts/{email}`). A validated request is served by the matching legacy endpoint, so both APIs
+ * share their behaviour, authentication, roles, audit log and metrics; v1 only changes the envelope:
+ * - Success: `{"data": ...}`, with 201 for created resources.
+ * - Failure: `{"error": {"code": "NOT_FOUND", "message": "...", "details"?: [...]}}`. Codes of the legacy
+ *   endpoints (e.g. SK_REJECTED) are kept; other failures get a code for their HTTP status.
+ */
+
+import { jsonResponse } from './utils';
+import { anything, arr, bool, int, nullable, num, obj, oneOf, readQuery, Schema, SchemaIssue, str, validateSchema } from './schema';
+import { buildOpenApiDocument } from './openapi';
+import { SELECTION_STRATEGIES } from './selection';
+import { ADMIN_ROLES } from './admins';
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from './webhooks';
+import { CORS_SCOPES } from './cors';
+
+export const API_V1_PREFIX = '/api/v1';
+
+/**
+ * The validated parts of a request.
+ */
+export interface ApiInput {
+  params: Record<string, string>;
+  query: Record<string, unknown>;
+  body: Record<string, unknown>;
+}
+
+/**
+ * A failed request, rendered as the error envelope.
+ */
+export interface ApiFailure {
+  ok: false;
+  status: number;
+  code: string;
+  message: string;
+  details?: SchemaIssue[];
+}
+
+export type ApiResult = { ok: true; data: unknown } | ApiFailure;
+
+/**
+ * A route of the v1 API.
+ */
+export interface ApiRoute {
+  method: 'GET' | 'POST' | 'PUT' | 'DELETE';
+  /**
+   * The path below /api/v1, with `{name}` for each path parameter.
+   */
+  path: string;
+  summary: string;
+  tag: 'User' | 'Admin' | 'Meta';
+  /**
+   * The legacy endpoint serving the route, e.g. 'POST /api/admin/list'. Its admin role applies to the route.
+   */
+  legacy?: string;
+  params?: Record<string, Schema>;
+  query?: Schema;
+  body?: Schema;
+  /**
+   * Answer 201 Created on success.
+   */
+  created?: boolean;
+  /**
+   * Pass successful responses through unchanged (downloads, the OpenAPI document).
+   */
+  raw?: boolean;
+  /**
+   * Builds the legacy request body (or query, for GET) from the input. Defaults to merging query, body and params.
+   */
+  toLegacy?: (input: ApiInput) => Record<string, unknown>;
+  /**
+   * Reshapes the legacy response payload. Defaults to returning it as the data.
+   */
+  fromLegacy?: (payload: any, input: ApiInput) => ApiResult;
+  /**
+   * Serves the route without a legacy endpoint.
+   */
+  handle?: () => unknown;
+}
+
+// The code of failures that carry none, by HTTP status.
+const STATUS_CODES: Record<number, string> = {
+  400: 'INVALID_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  409: 'CONFLICT',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR',
+  502: 'BAD_GATEWAY',
+  503: 'SERVICE_UNAVAILABLE',
+  504: 'GATEWAY_TIMEOUT',
+};
+
+/**
+ * Renders the error envelope.
+ * @param failure The failure.
+ * @param headers Additional headers, e.g. Retry-After.
+ * @returns A JSON Response.
+ */
+export const apiErrorResponse = ({ status, code, message, details }: Omit<ApiFailure, 'ok'>, headers: Record<string, string> = {}): Response =>
+  jsonResponse({ error: { code, message, ...(details && { details }) } }, status, headers);
+
+const fail = (status: number, message: string, code = STATUS_CODES[status] || 'ERROR'): ApiFailure => ({ ok: false, status, code, message });
+
+// --- Schemas ---
+
+const email = (description?: string) => str({ format: 'email', ...(description && { description }) });
+const identity = str({ pattern: '^[A-Za-z0-9._@-]{1,128}$', description: 'The sticky-session identity.' });
+const uniqueName = (description?: string) => str({ pattern: '^[A-Za-z0-9._@-]{1,128}$', ...(description && { description }) });
+const groupName = str({ pattern: '^[A-Za-z0-9._-]{1,64}$' });
+const upstreamName = str({ pattern: '^[A-Za-z0-9_-]{1,32}$' });
+
+// The metadata of an account (AccountFields)
+const accountFields: Record<string, Schema> = {
+  label: str(),
+  enabled: bool({ description: 'Disabled accounts are never handed out.' }),
+  plan: str(),
+  notes: str(),
+  tags: arr(str()),
+  weight: num({ minimum: 0, description: 'The share of logins under the weighted strategy.' }),
+  upstreams: arr(upstreamName, { description: 'The upstreams the account is pinned to, in order.' }),
+  groups: arr(groupName),
+};
+
+const loginFields: Record<string, Schema> = {
+  email: email('The account, for specific mode.'),
+  unique_name: uniqueName('The session name, for specific mode.'),
+  expires_in: int({ minimum: 0, description: 'Token lifetime in seconds; 0 means no expiry.' }),
+  strategy: oneOf(SELECTION_STRATEGIES),
+  upstream: str(),
+  group: str(),
+};
+
+const webhookFields: Record<string, Schema> = {
+  name: str({ maxLength: 100 }),
+  url: str({ format: 'uri', description: 'The http(s) URL events are POSTed to.' }),
+  format: oneOf(WEBHOOK_FORMATS),
+  events: arr(oneOf(['*', ...WEBHOOK_EVENTS])),
+  secret: str({ minLength: 16, description: 'The HMAC signing secret; generated if omitted.' }),
+  chat_id: { type: ['string', 'integer'], description: 'The chat to post to, for the telegram format.' },
+  enabled: bool(),
+};
+
+const usageQuery = obj({ scope: oneOf(['ip', 'identity', 'account']), subject: str({ description: 'An IP, access code id or email. Requires scope.' }) });
+const dryRunBody = obj({ dry_run: bool({ description: 'Only report what would change.' }) });
+
+const emailParam = { email: str({ minLength: 1 }) };
+const idParam = { id: str({ minLength: 1 }) };
+const corsScopeParam = { scope: oneOf(CORS_SCOPES) };
+
+// --- Routes ---
+
+const ok = (data: unknown): ApiResult => ({ ok: true, data });
+
+/**
+ * The routes of the v1 API. Literal paths come before parameterized ones that could match the same URL.
+ */
+export const API_ROUTES: ApiRoute[] = [
+  {
+    method: 'GET',
+    path: '/openapi.json',
+    summary: 'The OpenAPI description of this API.',
+    tag: 'Meta',
+    raw: true,
+    handle: () => buildOpenApiDocument(API_ROUTES),
+  },
+
+  // User endpoints
+  {
+    method: 'GET',
+    path: '/emails',
+    summary: 'Lists the accounts the caller may log into.',
+    tag: 'User',
+    legacy: 'GET /api/emails',
+    query: obj({ group: str({ description: 'Only list the members of this group.' }) }),
+  },
+  {
+    method: 'POST',
+    path: '/login',
+    summary: 'Obtains a login URL for an account.',
+    tag: 'User',
+    legacy: 'POST /api/login',
+    body: obj({ mode: oneOf(['specific', 'random', 'sticky']), ...loginFields, identity, access_code: str() }, ['mode']),
+  },
+  {
+    method: 'POST',
+    path: '/limit-reports',
+    summary: 'Reports that the account of a recent login reached its usage limit.',
+    tag: 'User',
+    legacy: 'POST /api/report-limited',
+    body: obj({
+      email: email('Defaults to the account of the latest login.'),
+      until: str({ format: 'date-time', description: 'When the limit resets.' }),
+      retry_after: num({ minimum: 0, description: 'Seconds until the limit resets.' }),
+      reason: str(),
+      identity,
+      access_code: str(),
+    }),
+  },
+
+  // Admin session and identity
+  {
+    method: 'POST',
+    path: '/admin/sessions',
+    summary: 'Opens an admin session with a password.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/session',
+    body: obj({ admin_username: str({ description: 'A named admin user; omit for ADMIN_PASSWORD.' }), admin_password: str({ description: 'Or send it as a bearer token.' }) }),
+    created: true,
+  },
+  { method: 'GET', path: '/admin/me', summary: 'Shows the authenticated admin and their role.', tag: 'Admin', legacy: 'POST /api/admin/admins/me' },
+
+  // Accounts
+  {
+    method: 'GET',
+    path: '/admin/accounts',
+    summary: 'Lists the accounts with their metadata, health and cooldown.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/list',
+    fromLegacy: (accounts) => ok({ accounts }),
+  },
+  {
+    method: 'POST',
+    path: '/admin/accounts',
+    summary: 'Adds an account.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/add',
+    body: obj({ email: email(), sk: str({ minLength: 1 }), ...accountFields }, ['email', 'sk']),
+    created: true,
+  },
+  {
+    method: 'POST',
+    path: '/admin/accounts/batch',
+    summary: 'Applies several account actions at once.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/batch',
+    body: obj(
+      {
+        actions: arr(
+          obj(
+            {
+              action: oneOf(['add', 'upsert', 'update', 'enable', 'disable', 'delete']),
+              email: str(),
+              sk: str(),
+              new_email: str(),
+              new_sk: str(),
+              ...accountFields,
+            },
+            ['action', 'email'],
+          ),
+        ),
+        all_or_nothing: bool(),
+        dry_run: bool(),
+      },
+      ['actions'],
+    ),
+  },
+  {
+    method: 'GET',
+    path: '/admin/accounts/{email}',
+    summary: 'Shows one account.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/list',
+    params: emailParam,
+    toLegacy: () => ({}),
+    fromLegacy: (accounts: { email: string }[], { params }) => {
+      const account = accounts.find((entry) => entry.email === params.email);
+      return account ? ok(account) : fail(404, `Account for ${params.email} not found.`);
+    },
+  },
+  {
+    method: 'PUT',
+    path: '/admin/accounts/{email}',
+    summary: 'Changes an account. Omitted fields are left unchanged; `email` renames the account.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/update',
+    params: emailParam,
+    body: obj({ email: email('The new email.'), sk: str({ minLength: 1, description: 'The new SK.' }), ...accountFields }, [], { minProperties: 1 }),
+    toLegacy: ({ params, body: { email: newEmail, sk, ...fields } }) => ({ ...fields, email: params.email, new_email: newEmail, new_sk: sk }),
+  },
+  { method: 'DELETE', path: '/admin/accounts/{email}', summary: 'Deletes an account.', tag: 'Admin', legacy: 'POST /api/admin/delete', params: emailParam },
+  {
+    method: 'PUT',
+    path: '/admin/accounts/{email}/cooldown',
+    summary: 'Puts an account on cooldown (for one hour unless `until` or `duration` is given).',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/cooldowns/set',
+    params: emailParam,
+    body: obj({ until: str({ format: 'date-time' }), duration: num({ minimum: 1, description: 'Seconds.' }), reason: str() }),
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/accounts/{email}/cooldown',
+    summary: "Ends an account's cooldown.",
+    tag: 'Admin',
+    legacy: 'POST /api/admin/cooldowns/clear',
+    params: emailParam,
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/accounts/{email}/quarantine',
+    summary: 'Releases an account from quarantine.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/unquarantine',
+    params: emailParam,
+  },
+  {
+    method: 'POST',
+    path: '/admin/health-checks',
+    summary: 'Health-checks every account, or one.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/health-check',
+    body: obj({ email: str({ description: 'Only check this account.' }) }),
+  },
+  { method: 'GET', path: '/admin/cooldowns', summary: 'Lists the accounts cooling down and the pending reports.', tag: 'Admin', legacy: 'POST /api/admin/cooldowns/list' },
+  {
+    method: 'POST',
+    path: '/admin/login',
+    summary: 'Obtains a login URL for any account, without expiry limits.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/login',
+    body: obj({ mode: oneOf(['specific', 'random']), ...loginFields }, ['mode']),
+  },
+
+  // Upstreams and groups
+  { method: 'GET', path: '/admin/upstreams', summary: 'Lists the upstreams with their health.', tag: 'Admin', legacy: 'POST /api/admin/upstreams/list' },
+  { method: 'POST', path: '/admin/upstreams/check', summary: 'Probes every upstream now.', tag: 'Admin', legacy: 'POST /api/admin/upstreams/check' },
+  { method: 'GET', path: '/admin/groups', summary: 'Lists the account groups with their members.', tag: 'Admin', legacy: 'POST /api/admin/groups/list' },
+  {
+    method: 'POST',
+    path: '/admin/groups',
+    summary: 'Creates an account group.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/groups/create',
+    body: obj({ name: groupName, description: str() }, ['name']),
+    created: true,
+  },
+  {
+    method: 'PUT',
+    path: '/admin/groups/{name}',
+    summary: "Changes a group's description and members.",
+    tag: 'Admin',
+    legacy: 'POST /api/admin/groups/update',
+    params: { name: groupName },
+    body: obj({ description: str(), add_accounts: arr(str()), remove_accounts: arr(str()) }, [], { minProperties: 1 }),
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/groups/{name}',
+    summary: 'Deletes a group, keeping its members.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/groups/delete',
+    params: { name: groupName },
+  },
+
+  // Sticky bindings and issued sessions
+  {
+    method: 'GET',
+    path: '/admin/sticky-bindings',
+    summary: 'Lists the sticky-session bindings.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/sticky/list',
+    query: obj({ email: str({ description: 'Only the identities bound to this account.' }) }),
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/sticky-bindings',
+    summary: 'Removes the binding of an identity, or every binding of an account.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/sticky/clear',
+    query: obj({ identity, email: str() }, [], { minProperties: 1 }),
+  },
+  {
+    method: 'GET',
+    path: '/admin/sessions',
+    summary: 'Lists the issued sessions.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/sessions/list',
+    query: obj({ email: str(), unique_name: str(), include_inactive: bool() }),
+  },
+  {
+    method: 'PUT',
+    path: '/admin/revocations/{unique_name}',
+    summary: 'Revokes a unique_name.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/sessions/revoke',
+    params: { unique_name: uniqueName() },
+    body: obj({ reason: str() }),
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/revocations/{unique_name}',
+    summary: 'Lifts the revocation of a unique_name.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/sessions/unrevoke',
+    params: { unique_name: uniqueName() },
+  },
+
+  // Access codes
+  { method: 'GET', path: '/admin/access-codes', summary: 'Lists the access codes.', tag: 'Admin', legacy: 'POST /api/admin/access-codes/list' },
+  {
+    method: 'POST',
+    path: '/admin/access-codes',
+    summary: 'Issues an access code. The code is only returned here.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/access-codes/create',
+    body: obj(
+      {
+        owner: str({ minLength: 1 }),
+        expires_at: nullable(str({ format: 'date-time' })),
+        allowed_accounts: nullable(arr(str())),
+        allowed_groups: nullable(arr(groupName)),
+        max_expires_in: nullable(int({ minimum: 1 })),
+      },
+      ['owner'],
+    ),
+    created: true,
+  },
+  { method: 'DELETE', path: '/admin/access-codes/{id}', summary: 'Revokes an access code.', tag: 'Admin', legacy: 'POST /api/admin/access-codes/revoke', params: idParam },
+  {
+    method: 'POST',
+    path: '/admin/access-codes/{id}/rotate',
+    summary: 'Replaces an access code with a new one.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/access-codes/rotate',
+    params: idParam,
+  },
+
+  // Stats, usage and audit
+  {
+    method: 'GET',
+    path: '/admin/stats',
+    summary: 'Summarizes the metrics.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/stats',
+    query: obj({ hours: int({ minimum: 1, description: 'Hours of history; defaults to 24.' }) }),
+  },
+  { method: 'GET', path: '/admin/usage', summary: 'Lists the rate-limit and quota counters.', tag: 'Admin', legacy: 'POST /api/admin/usage', query: usageQuery },
+  { method: 'DELETE', path: '/admin/usage', summary: 'Resets rate-limit and quota counters.', tag: 'Admin', legacy: 'POST /api/admin/usage/reset', query: usageQuery },
+  {
+    method: 'GET',
+    path: '/admin/audit',
+    summary: 'Reads the audit log, newest first.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/audit',
+    query: obj({
+      action: str(),
+      actor: str(),
+      email: str(),
+      ip: str(),
+      result: oneOf(['success', 'failure']),
+      since: str({ format: 'date-time' }),
+      until: str({ format: 'date-time' }),
+      limit: int({ minimum: 1, maximum: 500 }),
+      cursor: str(),
+    }),
+  },
+
+  // Webhooks
+  { method: 'GET', path: '/admin/webhooks', summary: 'Lists the webhooks.', tag: 'Admin', legacy: 'POST /api/admin/webhooks/list' },
+  {
+    method: 'POST',
+    path: '/admin/webhooks',
+    summary: 'Registers a webhook. Its secret is only returned here.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/webhooks/create',
+    body: obj(webhookFields, ['url']),
+    created: true,
+  },
+  {
+    method: 'PUT',
+    path: '/admin/webhooks/{id}',
+    summary: 'Changes the given settings of a webhook.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/webhooks/update',
+    params: idParam,
+    body: obj(webhookFields, [], { minProperties: 1 }),
+  },
+  { method: 'DELETE', path: '/admin/webhooks/{id}', summary: 'Deletes a webhook.', tag: 'Admin', legacy: 'POST /api/admin/webhooks/delete', params: idParam },
+  { method: 'POST', path: '/admin/webhooks/{id}/test', summary: 'Sends a test event to a webhook.', tag: 'Admin', legacy: 'POST /api/admin/webhooks/test', params: idParam },
+
+  // CORS policies
+  { method: 'GET', path: '/admin/cors', summary: 'Shows the CORS policies of the user and the admin routes.', tag: 'Admin', legacy: 'POST /api/admin/cors' },
+  {
+    method: 'PUT',
+    path: '/admin/cors/{scope}',
+    summary: 'Saves the CORS policy of the user or the admin routes.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/cors/update',
+    params: corsScopeParam,
+    body: obj(
+      {
+        origins: arr(str(), { maxItems: 50, description: 'E.g. "https://app.example.com", "https://*.example.com", or "*" for any origin.' }),
+        credentials: bool({ description: 'Whether the listed origins may send cookies.' }),
+      },
+      [],
+      { minProperties: 1 },
+    ),
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/cors/{scope}',
+    summary: 'Removes the saved CORS policy of a scope; the environment applies again.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/cors/reset',
+    params: corsScopeParam,
+  },
+
+  // Admin users
+  { method: 'GET', path: '/admin/admins', summary: 'Lists the named admin users.', tag: 'Admin', legacy: 'POST /api/admin/admins/list' },
+  {
+    method: 'POST',
+    path: '/admin/admins',
+    summary: 'Creates a named admin user.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/admins/create',
+    body: obj({ username: str({ minLength: 1 }), password: str({ minLength: 1 }), role: oneOf(ADMIN_ROLES) }, ['username', 'password', 'role']),
+    created: true,
+  },
+  {
+    method: 'PUT',
+    path: '/admin/admins/{username}',
+    summary: 'Changes the role, password or disabled flag of an admin user.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/admins/update',
+    params: { username: str({ minLength: 1 }) },
+    body: obj({ role: oneOf(ADMIN_ROLES), password: str({ minLength: 1 }), disabled: bool() }, [], { minProperties: 1 }),
+  },
+  {
+    method: 'DELETE',
+    path: '/admin/admins/{username}',
+    summary: 'Deletes a named admin user.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/admins/delete',
+    params: { username: str({ minLength: 1 }) },
+  },
+
+  // Encryption, storage, export and import, snapshots
+  { method: 'GET', path: '/admin/encryption', summary: 'Shows how the SKs are encrypted.', tag: 'Admin', legacy: 'POST /api/admin/encryption/status' },
+  { method: 'POST', path: '/admin/encryption/rotate', summary: 'Re-encrypts every SK with the current key.', tag: 'Admin', legacy: 'POST /api/admin/encryption/rotate', body: dryRunBody },
+  {
+    method: 'POST',
+    path: '/admin/storage/migrate',
+    summary: 'Imports EMAIL_TO_SK_MAP into the Durable Object store.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/storage/migrate',
+    body: obj({ replace: bool() }),
+  },
+  {
+    method: 'POST',
+    path: '/admin/export',
+    summary: 'Downloads the pool with plaintext SKs, optionally encrypted.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/export',
+    body: obj({ format: oneOf(['json', 'csv']), passphrase: str({ minLength: 8 }) }),
+    raw: true,
+  },
+  {
+    method: 'POST',
+    path: '/admin/import',
+    summary: 'Merges accounts into the pool or replaces it.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/import',
+    body: obj(
+      {
+        mode: oneOf(['merge', 'replace']),
+        data: anything('An export, an email-to-SK map or CSV text.'),
+        passphrase: str(),
+        dry_run: bool(),
+      },
+      ['mode', 'data'],
+    ),
+  },
+  { method: 'GET', path: '/admin/snapshots', summary: 'Lists the pool snapshots.', tag: 'Admin', legacy: 'POST /api/admin/snapshots/list' },
+  {
+    method: 'POST',
+    path: '/admin/snapshots',
+    summary: 'Takes a snapshot of the pool.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/snapshots/create',
+    body: obj({ reason: str({ maxLength: 200 }) }),
+    created: true,
+  },
+  {
+    method: 'POST',
+    path: '/admin/snapshots/{id}/restore',
+    summary: 'Restores the pool from a snapshot.',
+    tag: 'Admin',
+    legacy: 'POST /api/admin/snapshots/restore',
+    params: idParam,
+    body: dryRunBody,
+  },
+];
+
+// --- Dispatch ---
+
+/**
+ * Matches a path against a route path.
+ * @returns The path parameters, or null if the path does not match.
+ */
+function matchPath(template: string, path: string): Record<string, string> | null {
+  const expected = template.split('/');
+  const actual = path.split('/');
+  if (expected.length !== actual.length) {
+    return null;
+  }
+  const params: Record<string, string> = {};
+  for (const [index, segment] of expected.entries()) {
+    const name = segment.match(/^\{(\w+)\}$/)?.[1];
+    if (!name) {
+      if (segment !== actual[index]) return null;
+      continue;
+    }
+    try {
+      params[name] = decodeURIComponent(actual[index]);
+    } catch {
+      return null;
+    }
+    if (!params[name]) return null;
+  }
+  return params;
+}
+
+/**
+ * Reads and validates the parameters, query and body of a request.
+ * @returns The input, or the failure to answer with.
+ */
+async function readInput(route: ApiRoute, request: Request, params: Record<string, string>): Promise<ApiInput | ApiFailure> {
+  const query = route.query ? readQuery(route.query, new URL(request.url).searchParams) : {};
+  let body: Record<string, unknown> = {};
+  if (route.body) {
+    const text = await request.text();
+    try {
+      body = text.trim() ? JSON.parse(text) : {};
+    } catch {
+      return fail(400, 'Invalid JSON request body.', 'INVALID_JSON');
+    }
+  }
+  const issues = [
+    ...Object.entries(route.params || {}).flatMap(([name, schema]) => validateSchema(schema, params[name], name)),
+    ...(route.query ? validateSchema(route.query, query, '', 'query') : []),
+    ...(route.body ? validateSchema(route.body, body) : []),
+  ];
+  if (issues.length > 0) {
+    return { ...fail(400, issues[0].message), details: issues };
+  }
+  return { params, query, body };
+}
+
+/**
+ * Builds the request to the legacy endpoint that serves a route.
+ */
+function toLegacyRequest(route: ApiRoute, request: Request, input: ApiInput): Request {
+  const [method, path] = route.legacy!.split(' ');
+  const values = route.toLegacy ? route.toLegacy(input) : { ...input.query, ...input.body, ...input.params };
+  const url = new URL(path, request.url);
+  // Authentication, access codes, cookies and the client IP travel in the headers
+  const headers = new Headers(request.headers);
+  headers.delete('Content-Length');
+  if (method === 'GET') {
+    for (const [name, value] of Object.entries(values)) {
+      if (value !== undefined) url.searchParams.set(name, String(value));
+    }
+    return new Request(url, { method, headers });
+  }
+  headers.set('Content-Type', 'application/json');
+  return new Request(url, { method, headers, body: JSON.stringify(values) });
+}
+
+/**
+ * Handles a request to /api/v1.
+ * @param request The incoming Request object.
+ * @param callLegacy Serves a request with the legacy endpoints.
+ * @returns A Promise that resolves to the Response.
+ */
+export async function handleApiV1(request: Request, callLegacy: (request: Request) => Promise<Response>): Promise<Response> {
+  const url = new URL(request.url);
+  const path = url.pathname.slice(API_V1_PREFIX.length).replace(/\/$/, '') || '/';
+  const matches = API_ROUTES.flatMap((route) => {
+    const params = matchPath(route.path, path);
+    return params ? [{ route, params }] : [];
+  });
+  if (matches.length === 0) {
+    return apiErrorResponse(fail(404, `No API route matches ${url.pathname}.`));
+  }
+  const match = matches.find(({ route }) => route.method === request.method);
+  if (!match) {
+    const allowed = [...new Set(matches.map(({ route }) => route.method))];
+    return apiErrorResponse(fail(405, `${request.method} is not allowed on ${url.pathname}. Use ${allowed.join(' or ')}.`), { Allow: allowed.join(', ') });
+  }
+  const { route, params } = match;
+
+  const input = await readInput(route, request, params);
+  if ('ok' in input) {
+    return apiErrorResponse(input);
+  }
+  if (route.handle) {
+    return jsonResponse(route.handle());
+  }
+
+  const response = await callLegacy(toLegacyRequest(route, request, input));
+  if ((route.raw && response.ok) || !response.headers.get('Content-Type')?.includes('application/json')) {
+    return response;
+  }
+  const payload: any = await response.json();
+  // Retry-After, WWW-Authenticate, Set-Cookie and the CORS headers are kept
+  const headers: Record<string, string> = {};
+  response.headers.forEach((value, name) => {
+    if (name !== 'content-type' && name !== 'content-length') headers[name] = value;
+  });
+  if (!response.ok) {
+    const failure = fail(response.status, payload?.error || response.statusText, payload?.code);
+    return apiErrorResponse(failure, headers);
+  }
+  const result = route.fromLegacy ? route.fromLegacy(payload, input) : ok(payload);
+  if (!result.ok) {
+    return apiErrorResponse(result, headers);
+  }
+  return jsonResponse({ data: result.data }, route.created ? 201 : 200, headers);
+}
@@ -0,0 +1,221 @@
+// src/audit.ts
+/**
+ * Append-only audit log of admin actions and user logins.
+ * Every entry is its own KV key, named with an inverted timestamp so that listing returns the newest
+ * entries first. Entries are never modified or deleted by the Worker; with AUDIT_RETENTION_DAYS set,
+ * KV expires them after the retention period. Session keys are never written to the log.
+ */
+
+import type { Env } from './types';
+
+const AUDIT_KEY_PREFIX = 'AUDIT:';
+
+// Inverting against this bound keeps timestamps sortable as fixed-width strings.
+const MAX_TIMESTAMP = 9999999999999;
+
+// The longest value kept for each text field, so that an entry normally fits the 1024-byte KV metadata limit.
+// Emails and actors come from callers, so they are bounded as well as the detail.
+const MAX_FIELD_LENGTH = { actor: 100, action: 64, email: 254, ip: 64, detail: 200 } as const;
+
+const MAX_METADATA_BYTES = 1024;
+
+/**
+ * The default and maximum number of entries per page of /api/admin/audit.
+ */
+export const DEFAULT_AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 500;
+
+/**
+ * A single audit log entry.
+ */
+export interface AuditEntry {
+  id: string;
+  timestamp: string;
+  /**
+   * Who performed the action: 'admin' for admin requests, or the owner of the access code
+   * ('anonymous' if none) for user logins.
+   */
+  actor: string;
+  /**
+   * What was done, e.g. 'login', 'admin.login', 'admin.add' or 'admin.auth'.
+   */
+  action: string;
+  /**
+   * The account the action concerned, if any.
+   */
+  email?: string;
+  /**
+   * The client IP address (CF-Connecting-IP).
+   */
+  ip?: string;
+  result: 'success' | 'failure';
+  /**
+   * The HTTP status returned to the client.
+   */
+  status?: number;
+  /**
+   * A short, human-readable description, e.g. the error message of a failure.
+   */
+  detail?: string;
+}
+
+/**
+ * The fields of an entry that the caller provides.
+ */
+export type AuditEvent = Omit<AuditEntry, 'id' | 'timestamp'>;
+
+/**
+ * The key metadata of an entry too large to serve as its own metadata, e.g. one with many multi-byte characters.
+ * Such entries are read from their value when listing.
+ */
+interface PartialAuditEntry {
+  id: string;
+  timestamp: string;
+  partial: true;
+}
+
+/**
+ * Filters and pagination for reading the log.
+ */
+export interface AuditQuery {
+  action?: string;
+  actor?: string;
+  email?: string;
+  ip?: string;
+  result?: 'success' | 'failure';
+  /**
+   * ISO timestamps bounding the entries to return (inclusive).
+   */
+  since?: string;
+  until?: string;
+  limit?: number;
+  cursor?: string;
+}
+
+/**
+ * Reads the retention period from the environment.
+ * @param env The Environment object.
+ * @returns The retention in seconds, or 0 to keep entries forever.
+ */
+const getRetentionSeconds = (env: Env): number => {
+  const days = env.AUDIT_RETENTION_DAYS ? parseFloat(env.AUDIT_RETENTION_DAYS) : 0;
+  return days > 0 ? Math.max(60, Math.round(days * 86400)) : 0;
+};
+
+/**
+ * Appends an entry to the audit log.
+ * Failures are logged rather than thrown, so that auditing never breaks the request being audited.
+ * @param env The Environment object containing the KV namespace.
+ * @param event The event to record.
+ */
+export async function recordAudit(env: Env, event: AuditEvent): Promise<void> {
+  const now = Date.now();
+  const suffix = crypto.randomUUID().slice(0, 8);
+  const entry: AuditEntry = {
+    id: `${String(MAX_TIMESTAMP - now).padStart(13, '0')}-${suffix}`,
+    timestamp: new Date(now).toISOString(),
+    ...event,
+  };
+  try {
+    // Request bodies reach here unchecked on failure paths, so the fields are coerced before they are shortened.
+    for (const [field, length] of Object.entries(MAX_FIELD_LENGTH) as [keyof typeof MAX_FIELD_LENGTH, number][]) {
+      if (entry[field] !== undefined) {
+        entry[field] = String(entry[field]).slice(0, length);
+      }
+    }
+    const serialized = JSON.stringify(entry);
+    // The entry doubles as key metadata so that reading the log does not need a read per key, unless it is too large.
+    const metadata: AuditEntry | PartialAuditEntry =
+      new TextEncoder().encode(serialized).length <= MAX_METADATA_BYTES ? entry : { id: entry.id, timestamp: entry.timestamp, partial: true };
+    const retention = getRetentionSeconds(env);
+    await env.CLAUDE_KV.put(`${AUDIT_KEY_PREFIX}${entry.id}`, serialized, {
+      metadata,
+      ...(retention > 0 && { expirationTtl: retention }),
+    });
+  } catch (e) {
+    console.error(`Failed to write audit entry for ${entry.action}:`, e);
+  }
+}
+
+/**
+ * Checks whether an entry matches the filters of a query.
+ * @param entry The entry to check.
+ * @param query The query.
+ * @returns True if the entry should be returned.
+ */
+const matchesQuery = (entry: AuditEntry, query: AuditQuery): boolean =>
+  (!query.action || entry.action === query.action) &&
+  (!query.actor || entry.actor === query.actor) &&
+  (!query.email || entry.email === query.email) &&
+  (!query.ip || entry.ip === query.ip) &&
+  (!query.result || entry.result === query.result) &&
+  (!query.until || entry.timestamp <= query.until);
+
+/**
+ * Reads a page of the audit log, newest entries first.
+ * The log is scanned in KV pages of `limit` keys until at least `limit` matching entries are found,
+ * so a filtered page may hold slightly more than `limit` entries.
+ * @param env The Environment object containing the KV namespace.
+ * @param query The filters and pagination cursor.
+ * @returns A Promise that resolves to the entries and the cursor of the next page (null on the last page).
+ */
+export async function queryAudit(env: Env, query: AuditQuery): Promise<{ entries: AuditEntry[]; cursor: string | null }> {
+  const limit = Math.min(Math.max(Math.floor(query.limit || DEFAULT_AUDIT_PAGE_SIZE), 1), MAX_AUDIT_PAGE_SIZE);
+  const entries: AuditEntry[] = [];
+  let cursor: string | undefined = query.cursor || undefined;
+  do {
+    const page = await env.CLAUDE_KV.list<AuditEntry | PartialAuditEntry>({ prefix: AUDIT_KEY_PREFIX, cursor, limit });
+    for (const key of page.keys) {
+      if (!key.metadata) continue;
+      // Entries are ordered newest first, so nothing after an entry older than `since` can match.
+      if (query.since && key.metadata.timestamp < query.since) {
+        return { entries, cursor: null };
+      }
+      const entry = 'partial' in key.metadata ? await env.CLAUDE_KV.get<AuditEntry>(key.name, 'json') : key.metadata;
+      if (entry && matchesQuery(entry, query)) {
+        entries.push(entry);
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor && entries.length < limit);
+  return { entries, cursor: cursor || null };
+}
+
+/**
+ * Validates the filters of an admin audit request.
+ * @param body The request body.
+ * @returns The parsed AuditQuery, or an error message.
+ */
+export const parseAuditQuery = (body: any): AuditQuery | string => {
+  for (const key of ['action', 'actor', 'email', 'ip', 'cursor'] as const) {
+    if (body[key] !== undefined && typeof body[key] !== 'string') {
+      return `Field "${key}" must be a string.`;
+    }
+  }
+  if (body.result !== undefined && body.result !== 'success' && body.result !== 'failure') {
+    return 'Field "result" must be "success" or "failure".';
+  }
+  const bounds: { since?: string; until?: string } = {};
+  for (const key of ['since', 'until'] as const) {
+    if (body[key] !== undefined) {
+      const timestamp = typeof body[key] === 'string' ? Date.parse(body[key]) : NaN;
+      if (isNaN(timestamp)) {
+        return `Field "${key}" must be an ISO date string.`;
+      }
+      bounds[key] = new Date(timestamp).toISOString();
+    }
+  }
+  if (body.limit !== undefined && (typeof body.limit !== 'number' || !Number.isInteger(body.limit) || body.limit <= 0)) {
+    return 'Field "limit" must be a positive integer.';
+  }
+  return {
+    action: body.action,
+    actor: body.actor,
+    email: body.email,
+    ip: body.ip,
+    result: body.result,
+    ...bounds,
+    limit: body.limit,
+    cursor: body.cursor,
+  };
+};
@@ -0,0 +1,535 @@
+// src/backup.ts
+/**
+ * Export, import, snapshots and restore of the account pool.
+ * Exports carry the plaintext SKs, as JSON or CSV, optionally encrypted with a passphrase (PBKDF2-SHA256 and
+ * AES-256-GCM) so the file can be stored safely. Imports accept the same files, initial-sk-map.json and plain
+ * `{"email": "sk"}` maps, and are planned as a diff against the current pool before anything is written.
+ * Snapshots are copies of the pool exactly as stored (encrypted SKs stay encrypted), kept in KV under
+ * SNAPSHOT:<inverted timestamp>-<id> so that listing returns the newest first. One is taken before every
+ * destructive operation, and SNAPSHOT_RETENTION_DAYS (default 30) controls how long they are kept.
+ */
+
+import type { AccountFields, AccountMap, AccountRecord, Env } from './types';
+import { AccountOp, validateAccountFields, validateEmail, validateSk } from './accounts';
+import { decryptSk } from './skcrypto';
+
+const SNAPSHOT_KEY_PREFIX = 'SNAPSHOT:';
+
+// Inverting against this bound keeps timestamps sortable as fixed-width strings.
+const MAX_TIMESTAMP = 9999999999999;
+
+const DEFAULT_SNAPSHOT_RETENTION_DAYS = 30;
+
+// Cloudflare Workers support at most 100000 PBKDF2 iterations.
+const PBKDF2_ITERATIONS = 100000;
+
+const ENCRYPTED_EXPORT_FORMAT = 'fcpm-encrypted-export';
+
+// The metadata fields compared when diffing, in the order they are reported.
+const DIFF_FIELDS = ['label', 'enabled', 'plan', 'notes', 'tags', 'weight', 'upstreams', 'groups'] as const;
+
+const CSV_COLUMNS = ['email', 'sk', 'label', 'enabled', 'plan', 'notes', 'tags', 'weight', 'upstreams', 'groups', 'created_at', 'updated_at'] as const;
+
+export type ExportFormat = 'json' | 'csv';
+
+/**
+ * The JSON export of the pool. SKs are in plaintext.
+ */
+export interface ExportDocument {
+  version: 1;
+  exported_at: string;
+  accounts: AccountMap;
+}
+
+/**
+ * An export encrypted with a passphrase. `data` is the encrypted JSON or CSV export.
+ */
+export interface EncryptedExport {
+  format: typeof ENCRYPTED_EXPORT_FORMAT;
+  version: 1;
+  content_type: ExportFormat;
+  kdf: 'PBKDF2-SHA256';
+  iterations: number;
+  salt: string;
+  iv: string;
+  data: string;
+}
+
+/**
+ * A snapshot as listed by the admin endpoints; also stored as the snapshot's KV metadata.
+ */
+export interface SnapshotInfo {
+  id: string;
+  created_at: string;
+  /**
+   * The operation the snapshot was taken before, e.g. 'delete' or 'import', or 'manual'.
+   */
+  reason: string;
+  /**
+   * The admin who triggered it.
+   */
+  actor: string;
+  /**
+   * The number of accounts in the snapshot.
+   */
+  count: number;
+}
+
+/**
+ * The changes an import or restore makes (or would make, in a dry run).
+ */
+export interface PoolDiff {
+  added: string[];
+  updated: { email: string; changes: string[] }[];
+  unchanged: string[];
+  removed: string[];
+}
+
+/**
+ * An account as read from an import file: an SK plus whichever fields the file provides.
+ */
+type ImportRecord = AccountFields & { sk: string; created_at?: string | null; updated_at?: string | null };
+
+const toBase64 = (bytes: Uint8Array): string => {
+  let binary = '';
+  // Converted in chunks, as spreading a large export into String.fromCharCode would overflow the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value: string): Uint8Array => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+/**
+ * Derives the AES key of an encrypted export from its passphrase.
+ * @param passphrase The passphrase.
+ * @param salt The salt stored with the export.
+ * @param iterations The PBKDF2 iteration count.
+ * @returns A Promise that resolves to the AES-GCM key.
+ */
+async function deriveExportKey(passphrase: string, salt: Uint8Array, iterations: number): Promise<CryptoKey> {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, { name: 'AES-GCM', length: 256 }, false, [
+    'encrypt',
+    'decrypt',
+  ]);
+}
+
+/**
+ * Encrypts an export with a passphrase.
+ * @param content The JSON or CSV export.
+ * @param contentType The format of `content`.
+ * @param passphrase The passphrase.
+ * @returns A Promise that resolves to the EncryptedExport.
+ */
+async function encryptExport(content: string, contentType: ExportFormat, passphrase: string): Promise<EncryptedExport> {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveExportKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(content));
+  return {
+    format: ENCRYPTED_EXPORT_FORMAT,
+    version: 1,
+    content_type: contentType,
+    kdf: 'PBKDF2-SHA256',
+    iterations: PBKDF2_ITERATIONS,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data)),
+  };
+}
+
+/**
+ * Decrypts an encrypted export.
+ * @param envelope The EncryptedExport.
+ * @param passphrase The passphrase.
+ * @returns A Promise that resolves to the JSON or CSV export, or null if the passphrase is wrong.
+ */
+async function decryptExport(envelope: EncryptedExport, passphrase: string): Promise<string | null> {
+  try {
+    const key = await deriveExportKey(passphrase, fromBase64(envelope.salt), envelope.iterations);
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(envelope.iv) }, key, fromBase64(envelope.data));
+    return new TextDecoder().decode(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+const isEncryptedExport = (value: any): value is EncryptedExport =>
+  !!value && typeof value === 'object' && value.format === ENCRYPTED_EXPORT_FORMAT;
+
+/**
+ * Quotes a CSV cell if needed.
+ */
+const csvCell = (value: unknown): string => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Writes an account map as CSV, one account per row. Tags, upstreams and groups are separated by ";".
+ * @param accountMap The accounts with plaintext SKs.
+ * @returns The CSV text, with a header row.
+ */
+function toCsv(accountMap: AccountMap): string {
+  const rows = Object.entries(accountMap).map(([email, record]) =>
+    CSV_COLUMNS.map((column) => {
+      if (column === 'email') return csvCell(email);
+      if (column === 'tags' || column === 'upstreams' || column === 'groups') return csvCell(record[column]?.join(';'));
+      return csvCell(record[column]);
+    }).join(','),
+  );
+  return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Parses CSV text (RFC 4180: quoted cells may contain commas, quotes and line breaks).
+ * @param text The CSV text.
+ * @returns The rows, each an array of cells. Blank lines are skipped.
+ */
+function parseCsv(text: string): string[][] {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      if (row.some((value) => value !== '')) rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell);
+  if (row.some((value) => value !== '')) rows.push(row);
+  return rows;
+}
+
+/**
+ * Reads accounts from CSV rows.
+ * @param text The CSV text; the header row names the columns, of which email and sk are required.
+ * @returns The accounts by email, or an error message.
+ */
+function readCsvAccounts(text: string): Record<string, unknown> | string {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const columns = (header || []).map((column) => column.trim().toLowerCase());
+  if (!columns.includes('email') || !columns.includes('sk')) {
+    return 'The CSV header must include the "email" and "sk" columns.';
+  }
+  const accounts: Record<string, unknown> = {};
+  for (const [index, row] of rows.entries()) {
+    const record: Record<string, unknown> = {};
+    for (const [i, column] of columns.entries()) {
+      const value = (row[i] ?? '').trim();
+      if (value === '' || !(CSV_COLUMNS as readonly string[]).includes(column)) continue;
+      if (column === 'enabled') {
+        if (value !== 'true' && value !== 'false') return `Row ${index + 2}: "enabled" must be true or false.`;
+        record.enabled = value === 'true';
+      } else if (column === 'weight') {
+        record.weight = Number(value);
+      } else if (column === 'tags' || column === 'upstreams' || column === 'groups') {
+        record[column] = value.split(';').map((item) => item.trim()).filter(Boolean);
+      } else {
+        record[column] = value;
+      }
+    }
+    const { email, ...rest } = record;
+    if (typeof email !== 'string') return `Row ${index + 2}: "email" is required.`;
+    accounts[email] = rest;
+  }
+  return accounts;
+}
+
+/**
+ * Validates the accounts of an import.
+ * @param accounts The accounts by email: SK strings or records.
+ * @returns The ImportRecords by email, or an error message naming the first invalid account.
+ */
+function readImportAccounts(accounts: Record<string, unknown>): Record<string, ImportRecord> | string {
+  const records: Record<string, ImportRecord> = {};
+  for (const [email, value] of Object.entries(accounts)) {
+    const emailError = validateEmail(email);
+    if (emailError) {
+      return emailError;
+    }
+    const record = typeof value === 'string' ? { sk: value } : value;
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      return `Account ${email}: expected an SK string or an account record.`;
+    }
+    const { sk, created_at, updated_at, label, enabled, plan, notes, tags, weight, upstreams, groups } = record as Record<string, any>;
+    const fields: AccountFields = { label, enabled, plan, notes, tags, weight, upstreams, groups };
+    const fieldError = validateSk(sk) || validateAccountFields(fields);
+    if (fieldError) {
+      return `Account ${email}: ${fieldError}`;
+    }
+    records[email] = { sk: sk as string, ...JSON.parse(JSON.stringify(fields)), created_at, updated_at };
+  }
+  return records;
+}
+
+/**
+ * Parses the data of an import request.
+ * @param data A JSON export, an encrypted export, an `{"email": "sk" | record}` map, or CSV text; objects may also
+ *   be given as JSON text.
+ * @param passphrase The passphrase of an encrypted export.
+ * @returns A Promise that resolves to the ImportRecords by email, or an error message.
+ */
+export async function parseImportData(data: unknown, passphrase?: string): Promise<Record<string, ImportRecord> | string> {
+  let value = data;
+  if (typeof value === 'string' && value.trim().startsWith('{')) {
+    try {
+      value = JSON.parse(value);
+    } catch (e) {
+      return 'The import data is not valid JSON.';
+    }
+  }
+  if (isEncryptedExport(value)) {
+    if (!passphrase) {
+      return 'The import data is encrypted. Provide its "passphrase".';
+    }
+    const content = await decryptExport(value, passphrase);
+    if (content === null) {
+      return 'The passphrase is wrong or the encrypted data is corrupt.';
+    }
+    return parseImportData(value.content_type === 'csv' ? content : JSON.parse(content));
+  }
+  if (typeof value === 'string') {
+    const accounts = readCsvAccounts(value);
+    return typeof accounts === 'string' ? accounts : readImportAccounts(accounts);
+  }
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return 'Field "data" must be an export, an email-to-SK map or CSV text.';
+  }
+  const accounts = (value as any).accounts && typeof (value as any).accounts === 'object' ? (value as any).accounts : value;
+  return readImportAccounts(accounts);
+}
+
+/**
+ * Decrypts every SK of the pool.
+ * @param env The Environment object.
+ * @param accountMap The pool as stored.
+ * @returns A Promise that resolves to the pool with plaintext SKs and without SK previews.
+ * @throws If any SK cannot be decrypted; an export missing SKs would be a broken backup.
+ */
+async function decryptAccountMap(env: Env, accountMap: AccountMap): Promise<AccountMap> {
+  const plain: AccountMap = {};
+  const failed: string[] = [];
+  for (const [email, { sk_preview, ...record }] of Object.entries(accountMap)) {
+    try {
+      plain[email] = { ...record, sk: await decryptSk(env, record.sk) };
+    } catch (e) {
+      failed.push(email);
+    }
+  }
+  if (failed.length > 0) {
+    throw new Error(`The SKs of ${failed.join(', ')} could not be decrypted.`);
+  }
+  return plain;
+}
+
+/**
+ * Exports the pool with plaintext SKs.
+ * @param env The Environment object.
+ * @param accountMap The pool as stored.
+ * @param format 'json' or 'csv'.
+ * @param passphrase Optional: Encrypt the export with this passphrase.
+ * @returns A Promise that resolves to the export: a string for plain CSV, otherwise an object to send as JSON.
+ */
+export async function exportAccounts(
+  env: Env,
+  accountMap: AccountMap,
+  format: ExportFormat,
+  passphrase?: string,
+): Promise<string | ExportDocument | EncryptedExport> {
+  const accounts = await decryptAccountMap(env, accountMap);
+  const content = format === 'csv' ? toCsv(accounts) : { version: 1 as const, exported_at: new Date().toISOString(), accounts };
+  if (!passphrase) {
+    return content;
+  }
+  return encryptExport(typeof content === 'string' ? content : JSON.stringify(content), format, passphrase);
+}
+
+/**
+ * Compares two stored or plaintext SK values.
+ */
+async function sameSk(env: Env, a: string, b: string): Promise<boolean> {
+  if (a === b) {
+    return true;
+  }
+  try {
+    return (await decryptSk(env, a)) === (await decryptSk(env, b));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Plans the changes that turn the current pool into a target pool.
+ * Accounts whose SK and metadata already match are left alone, and a matching SK keeps its stored form.
+ * @param env The Environment object.
+ * @param current The current pool.
+ * @param target The accounts to write, by email.
+ * @param removeMissing If true, accounts missing from `target` are deleted.
+ * @returns A Promise that resolves to the diff and the operations that apply it.
+ */
+async function planChanges(
+  env: Env,
+  current: AccountMap,
+  target: AccountMap,
+  removeMissing: boolean,
+): Promise<{ diff: PoolDiff; ops: AccountOp[] }> {
+  const diff: PoolDiff = { added: [], updated: [], unchanged: [], removed: [] };
+  const ops: AccountOp[] = [];
+  for (const [email, record] of Object.entries(target)) {
+    const existing = current[email];
+    if (!existing) {
+      diff.added.push(email);
+      ops.push({ type: 'put', email, record });
+      continue;
+    }
+    const changes: string[] = DIFF_FIELDS.filter((field) => JSON.stringify(existing[field]) !== JSON.stringify(record[field]));
+    let next = record;
+    if (await sameSk(env, existing.sk, record.sk)) {
+      next = { ...record, sk: existing.sk, ...(existing.sk_preview && { sk_preview: existing.sk_preview }) };
+    } else {
+      changes.unshift('sk');
+    }
+    if (changes.length === 0) {
+      diff.unchanged.push(email);
+    } else {
+      diff.updated.push({ email, changes });
+      ops.push({ type: 'put', email, record: next });
+    }
+  }
+  if (removeMissing) {
+    for (const email of Object.keys(current)) {
+      if (!target[email]) {
+        diff.removed.push(email);
+        ops.push({ type: 'delete', email });
+      }
+    }
+  }
+  return { diff, ops };
+}
+
+/**
+ * Plans an import.
+ * - 'merge': new accounts are added; existing accounts take the SK and the fields the import provides and keep the rest.
+ * - 'replace': the pool becomes exactly the imported accounts; accounts missing from the import are deleted.
+ * @param env The Environment object.
+ * @param current The current pool.
+ * @param incoming The parsed import.
+ * @param mode 'merge' or 'replace'.
+ * @returns A Promise that resolves to the diff and the operations that apply it.
+ */
+export async function planImport(
+  env: Env,
+  current: AccountMap,
+  incoming: Record<string, ImportRecord>,
+  mode: 'merge' | 'replace',
+): Promise<{ diff: PoolDiff; ops: AccountOp[] }> {
+  const now = new Date().toISOString();
+  const target: AccountMap = {};
+  for (const [email, { sk, created_at, updated_at, ...fields }] of Object.entries(incoming)) {
+    const existing = current[email];
+    const base: AccountRecord =
+      existing && mode === 'merge'
+        ? { ...existing }
+        : { sk, enabled: true, created_at: created_at || existing?.created_at || now, updated_at: updated_at || now };
+    delete base.sk_preview;
+    target[email] = { ...base, ...fields, sk, ...(existing && { updated_at: now }) };
+  }
+  return planChanges(env, current, target, mode === 'replace');
+}
+
+/**
+ * Plans restoring a snapshot: the pool becomes exactly the snapshot.
+ * @param env The Environment object.
+ * @param current The current pool.
+ * @param snapshot The pool as stored in the snapshot.
+ * @returns A Promise that resolves to the diff and the operations that apply it.
+ */
+export const planRestore = (env: Env, current: AccountMap, snapshot: AccountMap): Promise<{ diff: PoolDiff; ops: AccountOp[] }> =>
+  planChanges(env, current, snapshot, true);
+
+/**
+ * Reads the snapshot retention from the environment.
+ * @param env The Environment object.
+ * @returns The retention in seconds, or 0 to keep snapshots forever.
+ */
+const getSnapshotRetentionSeconds = (env: Env): number => {
+  const days = env.SNAPSHOT_RETENTION_DAYS !== undefined ? parseFloat(env.SNAPSHOT_RETENTION_DAYS) : DEFAULT_SNAPSHOT_RETENTION_DAYS;
+  return days > 0 ? Math.max(60, Math.round(days * 86400)) : 0;
+};
+
+/**
+ * Stores a snapshot of the pool.
+ * @param env The Environment object containing the KV namespace.
+ * @param accountMap The pool as stored.
+ * @param reason The operation the snapshot is taken before, or 'manual'.
+ * @param actor The admin who triggered it.
+ * @returns A Promise that resolves to the SnapshotInfo.
+ */
+export async function createSnapshot(env: Env, accountMap: AccountMap, reason: string, actor: string): Promise<SnapshotInfo> {
+  const now = Date.now();
+  const info: SnapshotInfo = {
+    id: `${String(MAX_TIMESTAMP - now).padStart(13, '0')}-${crypto.randomUUID().slice(0, 8)}`,
+    created_at: new Date(now).toISOString(),
+    reason,
+    actor,
+    count: Object.keys(accountMap).length,
+  };
+  const retention = getSnapshotRetentionSeconds(env);
+  await env.CLAUDE_KV.put(`${SNAPSHOT_KEY_PREFIX}${info.id}`, JSON.stringify(accountMap), {
+    metadata: info,
+    ...(retention > 0 && { expirationTtl: retention }),
+  });
+  console.log(`Snapshot ${info.id} of ${info.count} account(s) taken before ${reason}.`);
+  return info;
+}
+
+/**
+ * Lists the snapshots, newest first.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the SnapshotInfos.
+ */
+export async function listSnapshots(env: Env): Promise<SnapshotInfo[]> {
+  const snapshots: SnapshotInfo[] = [];
+  let cursor: string | undefined;
+  do {
+    const page: KVNamespaceListResult<SnapshotInfo> = await env.CLAUDE_KV.list<SnapshotInfo>({ prefix: SNAPSHOT_KEY_PREFIX, cursor });
+    for (const key of page.keys) {
+      if (key.metadata) snapshots.push(key.metadata);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return snapshots;
+}
+
+/**
+ * Reads a snapshot.
+ * @param env The Environment object containing the KV namespace.
+ * @param id The snapshot id.
+ * @returns A Promise that resolves to the pool as stored in the snapshot, or null if there is no such snapshot.
+ */
+export const getSnapshot = (env: Env, id: string): Promise<AccountMap | null> =>
+  env.CLAUDE_KV.get<AccountMap>(`${SNAPSHOT_KEY_PREFIX}${id}`, 'json');
@@ -0,0 +1,430 @@
+// src/cooldowns.ts
+/**
+ * Cooldowns for accounts that reached their usage limit.
+ * An admin, or the users of an account, can put it on cooldown until a given time. Selection skips accounts on
+ * cooldown and falls back to the others; a cooldown stops counting as soon as its time has passed, and the
+ * scheduled handler then removes it from KV.
+ * User reports are guarded against abuse: a reporter may only report an account they logged in with recently,
+ * reports are rate limited per reporter, a report cannot hold an account longer than COOLDOWN_REPORT_DURATION, and
+ * with COOLDOWN_REPORT_THRESHOLD above 1 an account only cools down once that many different reporters agree.
+ * Like health records, cooldowns live under their own KV key, apart from the account pool.
+ */
+
+import type { AccountCooldown, CooldownMap, Env } from './types';
+import { listSessions, SessionRecord } from './sessions';
+
+const COOLDOWN_MAP_KEY = 'ACCOUNT_COOLDOWNS';
+
+const REPORTS_KEY = 'ACCOUNT_COOLDOWN_REPORTS';
+
+const REPORT_COUNT_KEY_PREFIX = 'COOLDOWN_REPORT_COUNT:';
+
+/**
+ * The length of an admin cooldown set without an end, and the longest one allowed, in seconds.
+ */
+export const DEFAULT_ADMIN_COOLDOWN = 3600;
+
+export const MAX_ADMIN_COOLDOWN = 30 * 86400;
+
+const DEFAULT_REPORT_DURATION = 18000;
+
+const DEFAULT_REPORT_THRESHOLD = 1;
+
+const DEFAULT_REPORT_RATE = { limit: 5, windowSeconds: 3600 };
+
+// A reporter may only report an account they were issued a token for this recently.
+const REPORT_LOGIN_WINDOW = 86400;
+
+// KV refuses expiration TTLs shorter than 60 seconds.
+const MIN_KV_TTL = 60;
+
+/**
+ * A user report that has not yet put its account on cooldown (COOLDOWN_REPORT_THRESHOLD is above 1).
+ */
+export interface CooldownReport {
+  reporter: string;
+  reported_at: string;
+  /**
+   * When the reporter said the limit resets.
+   */
+  until: string;
+  reason?: string;
+}
+
+/**
+ * The pending reports per account.
+ */
+export interface CooldownReportMap {
+  [email: string]: CooldownReport[];
+}
+
+/**
+ * Who sends a report: the access code they use, or else their sticky identity and IP address.
+ */
+export interface Reporter {
+  access_code_id?: string;
+  identity?: string;
+  ip?: string;
+}
+
+/**
+ * The outcome of a report. `cooldown` is set once the account is cooling down; `reporters` counts the different
+ * reporters whose reports are pending or triggered the cooldown (0 if the account was already cooling down).
+ */
+export type ReportResult =
+  | { ok: true; email: string; cooldown: AccountCooldown | null; reporters: number; threshold: number }
+  | { ok: false; error: string; status: number; retryAfter?: number };
+
+/**
+ * Reads a JSON map from KV.
+ * @param env The Environment object containing the KV namespace.
+ * @param key The KV key.
+ * @returns A Promise that resolves to the map. Returns an empty object if not found or on parse error.
+ */
+async function getMap<T>(env: Env, key: string): Promise<T> {
+  const mapStr = await env.CLAUDE_KV.get(key);
+  if (!mapStr) {
+    return {} as T;
+  }
+  try {
+    return JSON.parse(mapStr) as T;
+  } catch (e) {
+    console.error(`Error parsing ${key} from KV:`, e);
+    return {} as T;
+  }
+}
+
+/**
+ * Retrieves the cooldowns from KV, including those that have already ended but were not pruned yet.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the CooldownMap.
+ */
+export const getCooldownMap = (env: Env): Promise<CooldownMap> => getMap<CooldownMap>(env, COOLDOWN_MAP_KEY);
+
+const saveCooldownMap = (env: Env, cooldownMap: CooldownMap): Promise<void> =>
+  env.CLAUDE_KV.put(COOLDOWN_MAP_KEY, JSON.stringify(cooldownMap));
+
+const saveReports = (env: Env, reports: CooldownReportMap): Promise<void> => env.CLAUDE_KV.put(REPORTS_KEY, JSON.stringify(reports));
+
+/**
+ * Checks whether an account is cooling down.
+ * @param cooldownMap The current CooldownMap.
+ * @param email The account to look up.
+ * @param now Optional: The current time in epoch milliseconds.
+ * @returns True if the account has a cooldown that has not ended yet.
+ */
+export const isCoolingDown = (cooldownMap: CooldownMap, email: string, now = Date.now()): boolean =>
+  !!cooldownMap[email] && Date.parse(cooldownMap[email].until) > now;
+
+/**
+ * Leaves out the cooldowns that have ended.
+ * @param cooldownMap The CooldownMap.
+ * @param now Optional: The current time in epoch milliseconds.
+ * @returns The cooldowns still in effect.
+ */
+export const getActiveCooldowns = (cooldownMap: CooldownMap, now = Date.now()): CooldownMap =>
+  Object.fromEntries(Object.entries(cooldownMap).filter(([email]) => isCoolingDown(cooldownMap, email, now)));
+
+/**
+ * Reads a "<count>/<seconds>" setting, as used by the login rate limits.
+ * @param value The environment variable value.
+ * @returns The limit and window, or the default if unset or malformed.
+ */
+const parseReportRate = (value: string | undefined): { limit: number; windowSeconds: number } => {
+  const match = value?.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || !(parseInt(match[1], 10) > 0) || !(parseInt(match[2], 10) > 0)) {
+    if (value) console.warn(`Ignoring malformed COOLDOWN_REPORT_RATE "${value}". Expected "<count>/<seconds>".`);
+    return DEFAULT_REPORT_RATE;
+  }
+  return { limit: parseInt(match[1], 10), windowSeconds: parseInt(match[2], 10) };
+};
+
+/**
+ * Reads a positive integer setting.
+ * @param value The environment variable value.
+ * @param fallback The default.
+ * @returns The setting, or the default if unset or not a positive integer.
+ */
+const readPositive = (value: string | undefined, fallback: number): number => {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Works out when a cooldown ends from an ISO timestamp or a number of seconds.
+ * @param until Optional: The end as an ISO timestamp.
+ * @param seconds Optional: The length in seconds, used if `until` is not given.
+ * @param fallbackSeconds The length used if neither is given.
+ * @param now Optional: The current time in epoch milliseconds.
+ * @returns The end in epoch milliseconds, or an error message.
+ */
+export function parseCooldownEnd(until: unknown, seconds: unknown, fallbackSeconds: number, now = Date.now()): number | string {
+  if (until !== undefined) {
+    const end = typeof until === 'string' ? Date.parse(until) : NaN;
+    if (isNaN(end) || end <= now) {
+      return 'until must be an ISO timestamp in the future.';
+    }
+    return end;
+  }
+  if (seconds !== undefined) {
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0) {
+      return 'The cooldown length must be a positive number of seconds.';
+    }
+    return now + Math.ceil(seconds) * 1000;
+  }
+  return now + fallbackSeconds * 1000;
+}
+
+/**
+ * Puts an account on cooldown, replacing any earlier cooldown and its pending reports.
+ * @param env The Environment object containing the KV namespace.
+ * @param email The account.
+ * @param cooldown The cooldown.
+ */
+export async function setCooldown(env: Env, email: string, cooldown: AccountCooldown): Promise<void> {
+  const cooldownMap = await getCooldownMap(env);
+  cooldownMap[email] = cooldown;
+  await saveCooldownMap(env, cooldownMap);
+  await forgetReports(env, [email]);
+  console.log(`Account ${email} is cooling down until ${cooldown.until} (${cooldown.source}: ${cooldown.set_by}).`);
+}
+
+/**
+ * Ends an account's cooldown early and drops its pending reports.
+ * @param env The Environment object containing the KV namespace.
+ * @param email The account.
+ * @returns A Promise that resolves to true if the account was cooling down.
+ */
+export async function clearCooldown(env: Env, email: string): Promise<boolean> {
+  const cooldownMap = await getCooldownMap(env);
+  const wasCooling = isCoolingDown(cooldownMap, email);
+  if (cooldownMap[email]) {
+    delete cooldownMap[email];
+    await saveCooldownMap(env, cooldownMap);
+  }
+  await forgetReports(env, [email]);
+  return wasCooling;
+}
+
+/**
+ * Drops the pending reports of the given accounts.
+ * @param env The Environment object containing the KV namespace.
+ * @param emails The accounts.
+ */
+async function forgetReports(env: Env, emails: string[]): Promise<void> {
+  const reports = await getMap<CooldownReportMap>(env, REPORTS_KEY);
+  const known = emails.filter((email) => reports[email]);
+  if (known.length === 0) {
+    return;
+  }
+  for (const email of known) {
+    delete reports[email];
+  }
+  await saveReports(env, reports);
+}
+
+/**
+ * Drops the cooldowns and pending reports of the given accounts, e.g. after they were deleted or received a new SK.
+ * @param env The Environment object containing the KV namespace.
+ * @param emails The accounts.
+ */
+export async function forgetAccountCooldowns(env: Env, emails: string[]): Promise<void> {
+  const cooldownMap = await getCooldownMap(env);
+  const known = emails.filter((email) => cooldownMap[email]);
+  if (known.length > 0) {
+    for (const email of known) {
+      delete cooldownMap[email];
+    }
+    await saveCooldownMap(env, cooldownMap);
+  }
+  await forgetReports(env, emails);
+}
+
+/**
+ * Moves an account's cooldown and pending reports to a new email address after a rename.
+ * @param env The Environment object containing the KV namespace.
+ * @param fromEmail The previous email address.
+ * @param toEmail The new email address.
+ */
+export async function renameAccountCooldown(env: Env, fromEmail: string, toEmail: string): Promise<void> {
+  const cooldownMap = await getCooldownMap(env);
+  if (cooldownMap[fromEmail]) {
+    cooldownMap[toEmail] = cooldownMap[fromEmail];
+    delete cooldownMap[fromEmail];
+    await saveCooldownMap(env, cooldownMap);
+  }
+  const reports = await getMap<CooldownReportMap>(env, REPORTS_KEY);
+  if (reports[fromEmail]) {
+    reports[toEmail] = reports[fromEmail];
+    delete reports[fromEmail];
+    await saveReports(env, reports);
+  }
+}
+
+/**
+ * Leaves out the reports whose reset time has passed.
+ * @param reports The CooldownReportMap.
+ * @param now The current time in epoch milliseconds.
+ * @returns The reports that still count.
+ */
+const freshReports = (reports: CooldownReportMap, now: number): CooldownReportMap =>
+  Object.fromEntries(
+    Object.entries(reports)
+      .map(([email, list]): [string, CooldownReport[]] => [email, list.filter((report) => Date.parse(report.until) > now)])
+      .filter(([, list]) => list.length > 0),
+  );
+
+/**
+ * Lists the reports that have not yet put their account on cooldown.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the pending reports per account.
+ */
+export async function listCooldownReports(env: Env): Promise<CooldownReportMap> {
+  return freshReports(await getMap<CooldownReportMap>(env, REPORTS_KEY), Date.now());
+}
+
+/**
+ * Removes the cooldowns that have ended and the reports whose reset time has passed. Called by the scheduled handler.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the accounts whose cooldown was removed.
+ */
+export async function pruneCooldowns(env: Env): Promise<string[]> {
+  const now = Date.now();
+  const cooldownMap = await getCooldownMap(env);
+  const ended = Object.keys(cooldownMap).filter((email) => !isCoolingDown(cooldownMap, email, now));
+  if (ended.length > 0) {
+    for (const email of ended) {
+      delete cooldownMap[email];
+    }
+    await saveCooldownMap(env, cooldownMap);
+    console.log(`Cooldown ended for ${ended.length} account(s): ${ended.join(', ')}`);
+  }
+  const reports = await getMap<CooldownReportMap>(env, REPORTS_KEY);
+  const fresh = freshReports(reports, now);
+  if (JSON.stringify(fresh) !== JSON.stringify(reports)) {
+    await saveReports(env, fresh);
+  }
+  return ended;
+}
+
+/**
+ * The key reports are counted and told apart by: the access code, or else the IP address.
+ * @param reporter The reporter.
+ * @returns The reporter key.
+ */
+const reporterKey = (reporter: Reporter): string =>
+  reporter.access_code_id ? `code:${reporter.access_code_id}` : reporter.ip ? `ip:${reporter.ip}` : 'anonymous';
+
+/**
+ * Checks whether a session was issued to the reporter.
+ * @param session The session record.
+ * @param reporter The reporter.
+ * @returns True if the session belongs to the reporter.
+ */
+const isReportersSession = (session: SessionRecord, reporter: Reporter): boolean => {
+  if (session.via !== 'user') {
+    return false;
+  }
+  if (reporter.access_code_id) {
+    return session.access_code_id === reporter.access_code_id;
+  }
+  return (!!reporter.identity && session.identity === reporter.identity) || (!!reporter.ip && session.ip === reporter.ip);
+};
+
+/**
+ * Counts a report against the reporter's allowance.
+ * @param env The Environment object containing the KV namespace.
+ * @param key The reporter key.
+ * @returns A Promise that resolves to null if the report is allowed, or the seconds until the next one is.
+ */
+async function consumeReportAllowance(env: Env, key: string): Promise<number | null> {
+  const { limit, windowSeconds } = parseReportRate(env.COOLDOWN_REPORT_RATE);
+  const now = Date.now();
+  const windowMs = windowSeconds * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  const counterKey = `${REPORT_COUNT_KEY_PREFIX}${encodeURIComponent(key)}:${start / 1000}`;
+  const value = await env.CLAUDE_KV.get(counterKey);
+  const count = value ? parseInt(value, 10) || 0 : 0;
+  const retryAfter = Math.max(1, Math.ceil((start + windowMs - now) / 1000));
+  if (count >= limit) {
+    return retryAfter;
+  }
+  await env.CLAUDE_KV.put(counterKey, String(count + 1), { expirationTtl: Math.max(MIN_KV_TTL, retryAfter) });
+  return null;
+}
+
+/**
+ * Handles a user's report that an account reached its limit.
+ * @param env The Environment object.
+ * @param reporter Who sends the report.
+ * @param allowed Returns whether the reporter may use an account (access code and enabled state).
+ * @param report The account (defaults to that of the reporter's latest login), the reset time and an optional note.
+ * @returns A Promise that resolves to the ReportResult.
+ */
+export async function reportAccountLimited(
+  env: Env,
+  reporter: Reporter,
+  allowed: (email: string) => boolean,
+  report: { email?: string; until?: unknown; retry_after?: unknown; reason?: string },
+): Promise<ReportResult> {
+  const key = reporterKey(reporter);
+  const retryAfter = await consumeReportAllowance(env, key);
+  if (retryAfter !== null) {
+    return { ok: false, error: 'Too many reports. Please try again later.', status: 429, retryAfter };
+  }
+
+  // Only an account the reporter was recently issued a token for may be reported
+  const now = Date.now();
+  const sessions = await listSessions(env, { email: report.email, include_inactive: true });
+  const session = sessions.find(
+    (candidate) => isReportersSession(candidate, reporter) && now - Date.parse(candidate.issued_at) < REPORT_LOGIN_WINDOW * 1000,
+  );
+  if (!session) {
+    const hours = REPORT_LOGIN_WINDOW / 3600;
+    const error = report.email
+      ? `You can only report account ${report.email} if you logged in with it in the last ${hours} hours.`
+      : `You can only report an account you logged in with in the last ${hours} hours.`;
+    return { ok: false, error, status: 403 };
+  }
+  const email = session.email;
+  if (!allowed(email)) {
+    return { ok: false, error: `Account ${email} is not available to you.`, status: 403 };
+  }
+
+  const threshold = readPositive(env.COOLDOWN_REPORT_THRESHOLD, DEFAULT_REPORT_THRESHOLD);
+  const cooldownMap = await getCooldownMap(env);
+  if (isCoolingDown(cooldownMap, email, now)) {
+    return { ok: true, email, cooldown: cooldownMap[email], reporters: 0, threshold };
+  }
+
+  // A report may end the cooldown sooner than COOLDOWN_REPORT_DURATION, never later
+  const maxSeconds = readPositive(env.COOLDOWN_REPORT_DURATION, DEFAULT_REPORT_DURATION);
+  const end = parseCooldownEnd(report.until, report.retry_after, maxSeconds, now);
+  if (typeof end === 'string') {
+    return { ok: false, error: end, status: 400 };
+  }
+  const until = new Date(Math.min(end, now + maxSeconds * 1000)).toISOString();
+  const reason = typeof report.reason === 'string' && report.reason.trim() ? report.reason.trim().slice(0, 200) : undefined;
+
+  const reports = freshReports(await getMap<CooldownReportMap>(env, REPORTS_KEY), now);
+  const pending = [
+    ...(reports[email] || []).filter((previous) => previous.reporter !== key),
+    { reporter: key, reported_at: new Date(now).toISOString(), until, ...(reason && { reason }) },
+  ];
+  if (pending.length < threshold) {
+    reports[email] = pending;
+    await saveReports(env, reports);
+    return { ok: true, email, cooldown: null, reporters: pending.length, threshold };
+  }
+
+  // The agreeing reports put the account on cooldown until the earliest reset time they gave
+  const cooldown: AccountCooldown = {
+    until: pending.map((previous) => previous.until).sort()[0],
+    source: 'report',
+    set_by: pending.map((previous) => previous.reporter).join(', '),
+    set_at: new Date(now).toISOString(),
+    ...(reason && { reason }),
+  };
+  await setCooldown(env, email, cooldown);
+  return { ok: true, email, cooldown, reporters: pending.length, threshold };
+}
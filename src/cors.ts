@@ -0,0 +1,293 @@
+// src/cors.ts
+/**
+ * Cross-origin access to the API.
+ * User routes and admin routes (/api/admin and /api/v1/admin) have separate policies: the origins whose pages may
+ * call them from a browser, and whether those origins may send credentials such as the sticky-session cookie.
+ * A policy comes from CORS_ALLOWED_ORIGINS / CORS_ADMIN_ALLOWED_ORIGINS (and CORS_ALLOW_CREDENTIALS /
+ * CORS_ADMIN_ALLOW_CREDENTIALS) unless an owner saved one under a single KV key with /api/admin/cors/update.
+ * Responses only carry CORS headers for allowed origins, and preflights from other origins are refused.
+ * Same-origin requests, such as those of the bundled web UI, are not subject to CORS and always work.
+ */
+
+import type { Env } from './types';
+import { jsonResponse } from './utils';
+
+const CORS_KEY = 'CORS_SETTINGS';
+
+// The methods and request headers the API accepts from other origins
+const ALLOWED_METHODS = 'GET, POST, PUT, DELETE, OPTIONS';
+const ALLOWED_HEADERS = 'Content-Type, Authorization, X-Access-Code';
+
+// Response headers scripts on other origins may read, besides the CORS-safelisted ones
+const EXPOSED_HEADERS = 'Retry-After, WWW-Authenticate';
+
+// How long browsers may cache a preflight, in seconds (Chromium caps this at 2 hours)
+const PREFLIGHT_MAX_AGE = 7200;
+
+const MAX_ORIGINS = 50;
+
+// Without configuration, any page may call the user routes, as before policies existed, and only the Worker's own
+// origin may call the admin routes.
+const DEFAULT_ORIGINS: Record<CorsScope, string> = { user: '*', admin: '' };
+
+/**
+ * The route groups with a policy of their own.
+ */
+export const CORS_SCOPES = ['user', 'admin'] as const;
+
+export type CorsScope = (typeof CORS_SCOPES)[number];
+
+/**
+ * The cross-origin policy of a scope.
+ */
+export interface CorsPolicy {
+  /**
+   * The allowed origins, e.g. "https://app.example.com", "https://*.example.com" for its subdomains, or "*" for any origin.
+   */
+  origins: string[];
+  /**
+   * Whether the listed origins may send credentials (cookies). Origins only allowed through "*" never may.
+   */
+  credentials: boolean;
+}
+
+/**
+ * A policy as reported by the admin API, with where it comes from: saved by an admin ('kv') or the environment ('env').
+ */
+export type CorsPolicyStatus = CorsPolicy & { scope: CorsScope; source: 'kv' | 'env'; updated_at?: string; updated_by?: string };
+
+/**
+ * The policies saved by admins, as stored in KV. A scope without one falls back to the environment.
+ */
+type StoredCorsPolicies = Partial<Record<CorsScope, CorsPolicy & { updated_at: string; updated_by: string }>>;
+
+/**
+ * Checks whether a value names a scope.
+ * @param value The value to check.
+ * @returns True for 'user' and 'admin'.
+ */
+export const isCorsScope = (value: unknown): value is CorsScope => CORS_SCOPES.includes(value as CorsScope);
+
+/**
+ * Tells which policy applies to a path.
+ * @param pathname The path of the request.
+ * @returns 'admin' for the admin API, 'user' for everything else.
+ */
+export const getCorsScope = (pathname: string): CorsScope => (/^\/api\/(v1\/)?admin(\/|$)/.test(pathname) ? 'admin' : 'user');
+
+/**
+ * Normalizes an allowlist entry: "*", or a scheme, host (optionally starting with "*.") and port.
+ * @param value The entry, e.g. "https://App.example.com/".
+ * @returns The entry in lowercase without a trailing slash, or null if it is not an origin.
+ */
+export const normalizeOrigin = (value: unknown): string | null => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+  const origin = value.trim().toLowerCase().replace(/\/$/, '');
+  return origin === '*' || /^https?:\/\/(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d{1,5})?$/.test(origin) ? origin : null;
+};
+
+/**
+ * Reads a scope's policy from the environment, skipping entries that are not origins.
+ */
+const getEnvPolicy = (env: Env, scope: CorsScope): CorsPolicy => {
+  const origins = scope === 'admin' ? env.CORS_ADMIN_ALLOWED_ORIGINS : env.CORS_ALLOWED_ORIGINS;
+  const credentials = scope === 'admin' ? env.CORS_ADMIN_ALLOW_CREDENTIALS : env.CORS_ALLOW_CREDENTIALS;
+  return {
+    origins: [...new Set((origins ?? DEFAULT_ORIGINS[scope]).split(',').flatMap((entry) => normalizeOrigin(entry) ?? []))],
+    credentials: credentials === 'true',
+  };
+};
+
+/**
+ * Retrieves the policies saved by admins.
+ */
+async function getStoredPolicies(env: Env): Promise<StoredCorsPolicies> {
+  return (await env.CLAUDE_KV.get<StoredCorsPolicies>(CORS_KEY, 'json')) || {};
+}
+
+/**
+ * Retrieves the policy in effect for a scope. If KV cannot be read, the environment's policy applies.
+ * @param env The Environment object containing the KV namespace and the CORS variables.
+ * @param scope The scope.
+ * @returns A Promise that resolves to the policy.
+ */
+export async function getCorsPolicy(env: Env, scope: CorsScope): Promise<CorsPolicy> {
+  try {
+    const stored = (await getStoredPolicies(env))[scope];
+    if (stored) {
+      return { origins: stored.origins, credentials: stored.credentials };
+    }
+  } catch (e) {
+    console.error('Failed to read the CORS settings, using the environment:', e);
+  }
+  return getEnvPolicy(env, scope);
+}
+
+/**
+ * Lists the policy in effect for every scope.
+ * @param env The Environment object containing the KV namespace and the CORS variables.
+ * @returns A Promise that resolves to the policies.
+ */
+export async function listCorsPolicies(env: Env): Promise<CorsPolicyStatus[]> {
+  const stored = await getStoredPolicies(env);
+  return CORS_SCOPES.map((scope) => {
+    const saved = stored[scope];
+    return saved ? { scope, source: 'kv', ...saved } : { scope, source: 'env', ...getEnvPolicy(env, scope) };
+  });
+}
+
+/**
+ * Validates a policy change from an admin request.
+ * @param body The request body: `origins` and/or `credentials`.
+ * @returns The fields that were given, or an error message.
+ */
+export const parseCorsPolicy = (body: any): Partial<CorsPolicy> | string => {
+  const policy: Partial<CorsPolicy> = {};
+  if (body.origins !== undefined) {
+    if (!Array.isArray(body.origins) || body.origins.length > MAX_ORIGINS) {
+      return `Field "origins" must be an array of at most ${MAX_ORIGINS} origins.`;
+    }
+    const origins = body.origins.map(normalizeOrigin);
+    const invalid = body.origins.find((_: unknown, index: number) => origins[index] === null);
+    if (invalid !== undefined) {
+      return `Invalid origin: ${invalid}. Use "*" or a scheme and host such as "https://app.example.com" or "https://*.example.com".`;
+    }
+    policy.origins = [...new Set<string>(origins)];
+  }
+  if (body.credentials !== undefined) {
+    if (typeof body.credentials !== 'boolean') {
+      return 'Field "credentials" must be a boolean.';
+    }
+    policy.credentials = body.credentials;
+  }
+  return policy;
+};
+
+/**
+ * Saves a scope's policy, starting from the policy in effect for the fields that are not given.
+ * @param env The Environment object containing the KV namespace.
+ * @param scope The scope.
+ * @param changes The fields to change.
+ * @param actor The admin making the change.
+ * @returns A Promise that resolves to the saved policy.
+ */
+export async function updateCorsPolicy(env: Env, scope: CorsScope, changes: Partial<CorsPolicy>, actor: string): Promise<CorsPolicyStatus> {
+  const stored = await getStoredPolicies(env);
+  const current = stored[scope] || getEnvPolicy(env, scope);
+  stored[scope] = {
+    origins: changes.origins ?? current.origins,
+    credentials: changes.credentials ?? current.credentials,
+    updated_at: new Date().toISOString(),
+    updated_by: actor,
+  };
+  await env.CLAUDE_KV.put(CORS_KEY, JSON.stringify(stored));
+  return { scope, source: 'kv', ...stored[scope] };
+}
+
+/**
+ * Removes a scope's saved policy, so that the environment's applies again.
+ * @param env The Environment object containing the KV namespace and the CORS variables.
+ * @param scope The scope.
+ * @returns A Promise that resolves to the policy now in effect.
+ */
+export async function resetCorsPolicy(env: Env, scope: CorsScope): Promise<CorsPolicyStatus> {
+  const stored = await getStoredPolicies(env);
+  if (stored[scope]) {
+    delete stored[scope];
+    await env.CLAUDE_KV.put(CORS_KEY, JSON.stringify(stored));
+  }
+  return { scope, source: 'env', ...getEnvPolicy(env, scope) };
+}
+
+/**
+ * Checks whether an origin matches an allowlist entry other than "*".
+ */
+const matchesOrigin = (entry: string, origin: string): boolean => {
+  if (!entry.includes('://*.')) {
+    return entry === origin;
+  }
+  const [scheme, host] = entry.split('://*.');
+  return origin.startsWith(`${scheme}://`) && origin.endsWith(`.${host}`);
+};
+
+/**
+ * Decides how a cross-origin request is answered.
+ * @returns The Access-Control-Allow-Origin value and whether credentials are allowed, or null if the origin is not allowed.
+ */
+const resolveOrigin = (policy: CorsPolicy, origin: string): { allowOrigin: string; credentials: boolean } | null => {
+  const normalized = origin.toLowerCase();
+  if (policy.origins.some((entry) => entry !== '*' && matchesOrigin(entry, normalized))) {
+    return { allowOrigin: origin, credentials: policy.credentials };
+  }
+  if (policy.origins.includes('*')) {
+    return { allowOrigin: '*', credentials: false };
+  }
+  return null;
+};
+
+/**
+ * Returns the Origin of a cross-origin request.
+ * @returns The origin, or null for requests without one and same-origin requests.
+ */
+const getCrossOrigin = (request: Request): string | null => {
+  const origin = request.headers.get('Origin');
+  return origin && origin !== new URL(request.url).origin ? origin : null;
+};
+
+/**
+ * Answers an OPTIONS request. A CORS preflight from an origin the policy does not allow is refused with 403.
+ * @param request The incoming Request object.
+ * @param policy The policy of the requested route.
+ * @returns A Response object.
+ */
+export const handlePreflight = (request: Request, policy: CorsPolicy): Response => {
+  const origin = getCrossOrigin(request);
+  if (!origin || !request.headers.get('Access-Control-Request-Method')) {
+    // Not a CORS preflight
+    return new Response(null, { status: 204, headers: { Allow: ALLOWED_METHODS, Vary: 'Origin' } });
+  }
+  const allowed = resolveOrigin(policy, origin);
+  if (!allowed) {
+    return jsonResponse({ error: `Origin ${origin} is not allowed to call this endpoint.` }, 403, { Vary: 'Origin' });
+  }
+  return new Response(null, {
+    status: 204,
+    headers: {
+      'Access-Control-Allow-Origin': allowed.allowOrigin,
+      'Access-Control-Allow-Methods': ALLOWED_METHODS,
+      'Access-Control-Allow-Headers': ALLOWED_HEADERS,
+      'Access-Control-Max-Age': String(PREFLIGHT_MAX_AGE),
+      ...(allowed.credentials && { 'Access-Control-Allow-Credentials': 'true' }),
+      Vary: 'Origin',
+    },
+  });
+};
+
+/**
+ * Adds the CORS headers for the request's origin to a response. Responses to origins the policy does not allow get
+ * none, so browsers keep them from the calling page.
+ * @param request The incoming Request object.
+ * @param policy The policy of the requested route.
+ * @param response The response of the route.
+ * @returns The response with `Vary: Origin` and, for allowed origins, the CORS headers.
+ */
+export const applyCors = (request: Request, policy: CorsPolicy, response: Response): Response => {
+  // Responses of fetch() and of the assets binding have immutable headers
+  const result = new Response(response.body, response);
+  const vary = result.headers.get('Vary');
+  if (!vary?.split(',').some((name) => name.trim().toLowerCase() === 'origin')) {
+    result.headers.set('Vary', vary ? `${vary}, Origin` : 'Origin');
+  }
+  const origin = getCrossOrigin(request);
+  const allowed = origin ? resolveOrigin(policy, origin) : null;
+  if (allowed) {
+    result.headers.set('Access-Control-Allow-Origin', allowed.allowOrigin);
+    result.headers.set('Access-Control-Expose-Headers', EXPOSED_HEADERS);
+    if (allowed.credentials) {
+      result.headers.set('Access-Control-Allow-Credentials', 'true');
+    }
+  }
+  return result;
+};
@@ -0,0 +1,148 @@
+// src/groups.ts
+/**
+ * Account groups: named sub-pools of the account pool.
+ * Membership is kept on the accounts themselves (their `groups` field), so it follows every rename, import and
+ * restore. The groups' own definitions live under a single KV key. A login or listing may be restricted to one
+ * group, and access codes may be limited to groups, so that several teams can share one Worker without seeing
+ * each other's accounts.
+ */
+
+import type { AccountMap, AccountRecord, Env } from './types';
+
+const GROUPS_KEY = 'ACCOUNT_GROUPS';
+
+/**
+ * A group definition as stored in KV.
+ */
+export interface AccountGroup {
+  name: string;
+  description?: string;
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * Group definitions by name.
+ */
+export type GroupMap = Record<string, AccountGroup>;
+
+/**
+ * Checks whether a value is a valid group name: 1-64 letters, digits, ".", "_" or "-".
+ * @param value The value to check.
+ * @returns True if the value can name a group.
+ */
+export const isValidGroupName = (value: unknown): value is string => typeof value === 'string' && /^[A-Za-z0-9._-]{1,64}$/.test(value);
+
+/**
+ * Retrieves the group definitions.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the GroupMap (empty if no group was created yet).
+ */
+export async function getGroupMap(env: Env): Promise<GroupMap> {
+  return (await env.CLAUDE_KV.get<GroupMap>(GROUPS_KEY, 'json')) || {};
+}
+
+/**
+ * Checks whether a group is defined.
+ * @param env The Environment object containing the KV namespace.
+ * @param name The name to look up; any value is accepted.
+ * @returns A Promise that resolves to true if a group with that name exists.
+ */
+export async function groupExists(env: Env, name: unknown): Promise<boolean> {
+  return isValidGroupName(name) && !!(await getGroupMap(env))[name];
+}
+
+/**
+ * Saves the group definitions.
+ * @param env The Environment object containing the KV namespace.
+ * @param groupMap The GroupMap to store.
+ */
+async function saveGroupMap(env: Env, groupMap: GroupMap): Promise<void> {
+  await env.CLAUDE_KV.put(GROUPS_KEY, JSON.stringify(groupMap));
+}
+
+/**
+ * Creates a group.
+ * @param env The Environment object containing the KV namespace.
+ * @param name The name of the group.
+ * @param description Optional: A description of the group.
+ * @returns A Promise that resolves to the new group, or null if a group with that name exists.
+ */
+export async function createGroup(env: Env, name: string, description?: string): Promise<AccountGroup | null> {
+  const groupMap = await getGroupMap(env);
+  if (groupMap[name]) {
+    return null;
+  }
+  const now = new Date().toISOString();
+  groupMap[name] = { name, ...(description && { description }), created_at: now, updated_at: now };
+  await saveGroupMap(env, groupMap);
+  return groupMap[name];
+}
+
+/**
+ * Changes the description of a group. An empty description clears it.
+ * @param env The Environment object containing the KV namespace.
+ * @param name The name of the group.
+ * @param description The new description.
+ * @returns A Promise that resolves to the updated group, or null if it does not exist.
+ */
+export async function updateGroup(env: Env, name: string, description: string): Promise<AccountGroup | null> {
+  const groupMap = await getGroupMap(env);
+  if (!groupMap[name]) {
+    return null;
+  }
+  const { description: _previous, ...group } = groupMap[name];
+  groupMap[name] = { ...group, ...(description && { description }), updated_at: new Date().toISOString() };
+  await saveGroupMap(env, groupMap);
+  return groupMap[name];
+}
+
+/**
+ * Deletes a group definition. Removing the group from its members is up to the caller.
+ * @param env The Environment object containing the KV namespace.
+ * @param name The name of the group.
+ * @returns A Promise that resolves to true if the group existed.
+ */
+export async function deleteGroup(env: Env, name: string): Promise<boolean> {
+  const groupMap = await getGroupMap(env);
+  if (!groupMap[name]) {
+    return false;
+  }
+  delete groupMap[name];
+  await saveGroupMap(env, groupMap);
+  return true;
+}
+
+/**
+ * Checks whether an account belongs to a group.
+ * @param record The account record.
+ * @param group The name of the group.
+ * @returns True if the account is a member.
+ */
+export const isInGroup = (record: AccountRecord | undefined, group: string): boolean => !!record?.groups?.includes(group);
+
+/**
+ * Lists the members of a group.
+ * @param accountMap The AccountMap to search.
+ * @param group The name of the group.
+ * @returns The emails of the member accounts.
+ */
+export const getGroupMembers = (accountMap: AccountMap, group: string): string[] =>
+  Object.keys(accountMap).filter((email) => isInGroup(accountMap[email], group));
+
+/**
+ * Restricts an account map to the members of a group.
+ * @param accountMap The AccountMap.
+ * @param group The name of the group, or undefined for no restriction.
+ * @returns The AccountMap itself if unrestricted, otherwise a filtered copy.
+ */
+export const filterAccountsForGroup = (accountMap: AccountMap, group: string | undefined): AccountMap => {
+  if (group === undefined) {
+    return accountMap;
+  }
+  const filtered: AccountMap = {};
+  for (const email of getGroupMembers(accountMap, group)) {
+    filtered[email] = accountMap[email];
+  }
+  return filtered;
+};
@@ -0,0 +1,278 @@
+// src/health.ts
+/**
+ * SK health checking.
+ * Each account's SK is tested against the upstream token endpoint, and accounts whose SK keeps being
+ * rejected are moved into quarantine so that random mode stops handing them out.
+ * Health records live under their own KV key so that the scheduled checks never overwrite admin edits
+ * made to the account pool in the meantime.
+ */
+
+import type { AccountHealth, Env, HealthMap } from './types';
+import { getAccountMap } from './storage';
+import { decryptSk } from './skcrypto';
+import { exchangeToken } from './upstream';
+import { getUpstreamHealthMap, getUpstreams, routeAccount, Upstream } from './routing';
+
+const HEALTH_MAP_KEY = 'ACCOUNT_HEALTH_MAP';
+
+// The health check mints a real, short-lived token under a dedicated unique_name.
+const HEALTH_CHECK_UNIQUE_NAME = 'pool_health_check';
+const HEALTH_CHECK_EXPIRES_IN = 60;
+
+/**
+ * The outcome of testing a single SK against the upstream.
+ * - 'ok': the token exchange succeeded.
+ * - 'rejected': the upstream refused the SK (401 or 403), which counts towards quarantine.
+ * - 'error': the upstream failed (5xx, 429, network) or refused the request itself (another 4xx), which says
+ *   nothing about the SK.
+ */
+type CheckOutcome = 'ok' | 'rejected' | 'error';
+
+/**
+ * The per-account result returned by a health check run.
+ */
+export interface HealthCheckResult {
+  email: string;
+  outcome: CheckOutcome;
+  status: AccountHealth['status'];
+  error?: string;
+  /**
+   * True if this check moved the account into quarantine.
+   */
+  quarantined: boolean;
+}
+
+/**
+ * Creates the health record used for accounts that have never been checked.
+ * @returns A fresh AccountHealth object.
+ */
+export const defaultHealth = (): AccountHealth => ({
+  status: 'unknown',
+  last_checked: null,
+  consecutive_failures: 0,
+});
+
+/**
+ * Retrieves and parses the ACCOUNT_HEALTH_MAP from KV storage.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the HealthMap object. Returns an empty object if not found or on parse error.
+ */
+export async function getHealthMap(env: Env): Promise<HealthMap> {
+  const mapStr = await env.CLAUDE_KV.get(HEALTH_MAP_KEY);
+  if (!mapStr) {
+    return {};
+  }
+  try {
+    return JSON.parse(mapStr) as HealthMap;
+  } catch (e) {
+    console.error('Error parsing ACCOUNT_HEALTH_MAP from KV:', e);
+    return {};
+  }
+}
+
+/**
+ * Writes the health map back to KV.
+ * @param env The Environment object containing the KV namespace.
+ * @param healthMap The HealthMap to store.
+ */
+async function saveHealthMap(env: Env, healthMap: HealthMap): Promise<void> {
+  await env.CLAUDE_KV.put(HEALTH_MAP_KEY, JSON.stringify(healthMap));
+}
+
+/**
+ * Checks whether an account is currently quarantined.
+ * @param healthMap The current HealthMap.
+ * @param email The account to look up.
+ * @returns True if the account must be skipped by random selection.
+ */
+export const isQuarantined = (healthMap: HealthMap, email: string): boolean => healthMap[email]?.status === 'quarantined';
+
+/**
+ * Reads the quarantine threshold from the environment.
+ * @param env The Environment object.
+ * @returns The number of consecutive rejections that triggers quarantine (at least 1).
+ */
+const getQuarantineThreshold = (env: Env): number => {
+  const threshold = env.HEALTH_QUARANTINE_THRESHOLD ? parseInt(env.HEALTH_QUARANTINE_THRESHOLD, 10) : 1;
+  return isNaN(threshold) || threshold < 1 ? 1 : threshold;
+};
+
+/**
+ * Tests a single SK by performing a token exchange with an upstream.
+ * @param env The Environment object.
+ * @param upstream The upstream to test it at.
+ * @param sk The session key to test.
+ * @returns The outcome of the check and, if it did not succeed, a short error description.
+ */
+async function checkSk(env: Env, upstream: Upstream, sk: string): Promise<{ outcome: CheckOutcome; error?: string }> {
+  // A single attempt: a transient failure only means the account is checked again on the next run
+  const result = await exchangeToken(
+    env,
+    upstream,
+    { session_key: sk, unique_name: HEALTH_CHECK_UNIQUE_NAME, expires_in: HEALTH_CHECK_EXPIRES_IN },
+    { retries: 0 },
+  );
+  if (result.ok) {
+    return { outcome: 'ok' };
+  }
+  return { outcome: result.code === 'SK_REJECTED' ? 'rejected' : 'error', error: result.error };
+}
+
+/**
+ * Computes the new health record for an account from the outcome of a check.
+ * @param previous The account's previous health record.
+ * @param result The outcome of the check.
+ * @param threshold The number of consecutive rejections that triggers quarantine.
+ * @returns The updated AccountHealth object.
+ */
+function applyCheckResult(previous: AccountHealth, result: { outcome: CheckOutcome; error?: string }, threshold: number): AccountHealth {
+  const now = new Date().toISOString();
+
+  if (result.outcome === 'ok') {
+    return { status: 'healthy', last_checked: now, consecutive_failures: 0 };
+  }
+
+  if (result.outcome === 'error') {
+    // Upstream trouble: record it, but leave the status and failure count untouched.
+    return { ...previous, last_checked: now, last_error: result.error };
+  }
+
+  const failures = previous.consecutive_failures + 1;
+  if (failures >= threshold) {
+    return {
+      status: 'quarantined',
+      last_checked: now,
+      last_error: result.error,
+      consecutive_failures: failures,
+      quarantined_at: previous.quarantined_at || now,
+    };
+  }
+  return { status: 'failing', last_checked: now, last_error: result.error, consecutive_failures: failures };
+}
+
+/**
+ * Runs health checks against the pool and stores the results.
+ * When checking the whole pool, disabled accounts are skipped and health records of accounts that no longer exist are dropped.
+ * @param env The Environment object.
+ * @param emails Optional: Only check these accounts. All enabled accounts are checked if omitted.
+ * @returns A Promise that resolves to the per-account results, in the order they were checked.
+ */
+export async function runHealthChecks(env: Env, emails?: string[]): Promise<HealthCheckResult[]> {
+  const accountMap = await getAccountMap(env);
+  const targets = emails ?? Object.keys(accountMap).filter((email) => accountMap[email].enabled);
+  const threshold = getQuarantineThreshold(env);
+  const previousHealth = await getHealthMap(env);
+  const upstreams = getUpstreams(env);
+  const upstreamHealth = await getUpstreamHealthMap(env);
+  const results: HealthCheckResult[] = [];
+  const checked: HealthMap = {};
+
+  // Checks run sequentially to stay well within the Worker's subrequest limits.
+  for (const email of targets) {
+    const storedSk = accountMap[email]?.sk;
+    if (!storedSk) {
+      continue;
+    }
+    const previous = previousHealth[email] || defaultHealth();
+    // Each SK is tested at the first upstream its account would be routed to
+    const [upstream] = routeAccount(upstreams, upstreamHealth, accountMap[email]);
+    let result: { outcome: CheckOutcome; error?: string };
+    try {
+      result = upstream
+        ? await checkSk(env, upstream, await decryptSk(env, storedSk))
+        : { outcome: 'error', error: 'The account is not routed to any configured upstream.' };
+    } catch (e: any) {
+      // An SK that cannot be decrypted says nothing about the account itself
+      result = { outcome: 'error', error: `Decryption failed: ${e.message}` };
+    }
+    checked[email] = applyCheckResult(previous, result, threshold);
+    const quarantined = checked[email].status === 'quarantined' && previous.status !== 'quarantined';
+    results.push({ email, outcome: result.outcome, status: checked[email].status, error: result.error, quarantined });
+    if (quarantined) {
+      console.warn(`Health check: Account ${email} has been quarantined. Reason: ${result.error}`);
+    }
+  }
+
+  // Re-read right before writing so that concurrent unquarantine requests are not lost.
+  const healthMap = await getHealthMap(env);
+  Object.assign(healthMap, checked);
+  if (!emails) {
+    for (const email of Object.keys(healthMap)) {
+      if (!accountMap[email]) {
+        delete healthMap[email];
+      }
+    }
+  }
+  await saveHealthMap(env, healthMap);
+  console.log(`Health check completed for ${results.length} account(s).`);
+  return results;
+}
+
+/**
+ * Counts an SK rejected during a login against the account's health, exactly as a rejected health check would,
+ * so that an account whose SK stopped working is quarantined without waiting for the next scheduled check.
+ * @param env The Environment object.
+ * @param email The account whose SK was rejected.
+ * @param error The upstream's answer.
+ * @returns A Promise that resolves to true if this rejection moved the account into quarantine.
+ */
+export async function recordSkRejection(env: Env, email: string, error: string): Promise<boolean> {
+  const healthMap = await getHealthMap(env);
+  const previous = healthMap[email] || defaultHealth();
+  healthMap[email] = applyCheckResult(previous, { outcome: 'rejected', error }, getQuarantineThreshold(env));
+  await saveHealthMap(env, healthMap);
+  const quarantined = healthMap[email].status === 'quarantined' && previous.status !== 'quarantined';
+  if (quarantined) {
+    console.warn(`Login: Account ${email} has been quarantined. Reason: ${error}`);
+  }
+  return quarantined;
+}
+
+/**
+ * Releases an account from quarantine, resetting its health to 'unknown'.
+ * @param env The Environment object.
+ * @param email The account to release.
+ * @returns True if the account was quarantined and has been released, false otherwise.
+ */
+export async function releaseFromQuarantine(env: Env, email: string): Promise<boolean> {
+  const healthMap = await getHealthMap(env);
+  if (!isQuarantined(healthMap, email)) {
+    return false;
+  }
+  healthMap[email] = defaultHealth();
+  await saveHealthMap(env, healthMap);
+  return true;
+}
+
+/**
+ * Drops the health records of the given accounts, e.g. after they were deleted or received a new SK.
+ * @param env The Environment object.
+ * @param emails The accounts whose health records should be removed.
+ */
+export async function forgetAccountHealth(env: Env, emails: string[]): Promise<void> {
+  const healthMap = await getHealthMap(env);
+  const known = emails.filter((email) => healthMap[email]);
+  if (known.length === 0) {
+    return;
+  }
+  for (const email of known) {
+    delete healthMap[email];
+  }
+  await saveHealthMap(env, healthMap);
+}
+
+/**
+ * Moves an account's health record to a new email address after a rename.
+ * @param env The Environment object.
+ * @param fromEmail The previous email address.
+ * @param toEmail The new email address.
+ */
+export async function renameAccountHealth(env: Env, fromEmail: string, toEmail: string): Promise<void> {
+  const healthMap = await getHealthMap(env);
+  if (!healthMap[fromEmail]) {
+    return;
+  }
+  healthMap[toEmail] = healthMap[fromEmail];
+  delete healthMap[fromEmail];
+  await saveHealthMap(env, healthMap);
+}
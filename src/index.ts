@@ -1,298 +1,402 @@
 // src/index.ts
 /**
  * Cloudflare Worker for managing Claude API access through session keys (SKs).
- * Provides endpoints for users to login (randomly or specifically) and for admins to manage SKs.
- * Utilizes KV storage for email-to-SK mappings and supports optional Sentry integration for error tracking.
+ * Provides endpoints for users to login (randomly, specifically or sticky to one account) and for admins to manage SKs.
+ * Stores the account pool in a Durable Object (or, legacy, a KV blob) and supports optional Sentry integration for error tracking.
+ * A scheduled handler periodically health-checks every SK and quarantines accounts whose SK is rejected.
  */
 
-// --- Type Definitions ---
+import type {
+  AccountMap,
+  AdminAccessCodeCreateRequest,
+  AdminAccessCodeIdRequest,
+  AdminAddRequest,
+  AdminAuditRequest,
+  AdminBatchAction,
+  AdminBatchRequest,
+  AdminCooldownClearRequest,
+  AdminCooldownSetRequest,
+  AdminCorsResetRequest,
+  AdminCorsUpdateRequest,
+  AdminDeleteRequest,
+  AdminEncryptionRotateRequest,
+  AdminExportRequest,
+  AdminGroupCreateRequest,
+  AdminGroupDeleteRequest,
+  AdminGroupUpdateRequest,
+  AdminHealthCheckRequest,
+  AdminImportRequest,
+  AdminLoginRequest,
+  AdminSessionListRequest,
+  AdminSessionRevokeRequest,
+  AdminSnapshotCreateRequest,
+  AdminSnapshotRestoreRequest,
+  AdminStatsRequest,
+  AdminStickyClearRequest,
+  AdminStickyListRequest,
+  AdminStorageMigrateRequest,
+  AdminUnquarantineRequest,
+  AdminUpdateRequest,
+  AdminUsageRequest,
+  AdminUserCreateRequest,
+  AdminUserDeleteRequest,
+  AdminUserUpdateRequest,
+  AdminWebhookIdRequest,
+  AdminWebhookRequest,
+  Env,
+  LoginRequest,
+  ReportLimitedRequest,
+} from './types';
+import { fileResponse, getCookie, jsonResponse, maskSk, sortEmails, textResponse } from './utils';
+import { AccountOp, BATCH_STATUSES, batchItemToOp, hasAccountFields, previewSk, validateAccountFields, validateEmail, validateSk } from './accounts';
+import {
+  getAccountMap,
+  getAccountStore,
+  getEncryptionStatus,
+  migrateAccountsToDurableObject,
+  mutateAccounts,
+  reencryptAccountMap,
+} from './storage';
+import { isEncryptedSk, skMatches } from './skcrypto';
+import { createSnapshot, exportAccounts, getSnapshot, listSnapshots, parseImportData, planImport, planRestore, PoolDiff } from './backup';
+import { requestRevocation } from './upstream';
+import { exchangeLoginToken, FailoverOptions, LoginErrorCode } from './login';
+import { checkUpstreams, getUpstreamHealthMap, getUpstreams, isUpstreamDown, routeAccount } from './routing';
+import { createGroup, deleteGroup, filterAccountsForGroup, getGroupMap, getGroupMembers, groupExists, isValidGroupName, updateGroup } from './groups';
+import { forgetAccountUsage, getSelectableEmails, recordAccountUsage, resolveStrategy, selectAccount, SELECTION_STRATEGIES } from './selection';
+import { defaultHealth, forgetAccountHealth, getHealthMap, releaseFromQuarantine, renameAccountHealth, runHealthChecks } from './health';
+import {
+  clearCooldown,
+  DEFAULT_ADMIN_COOLDOWN,
+  forgetAccountCooldowns,
+  getActiveCooldowns,
+  getCooldownMap,
+  listCooldownReports,
+  MAX_ADMIN_COOLDOWN,
+  parseCooldownEnd,
+  pruneCooldowns,
+  renameAccountCooldown,
+  reportAccountLimited,
+  setCooldown,
+} from './cooldowns';
+import {
+  buildStickyCookie,
+  clearStickyBindings,
+  generateIdentity,
+  generateStickyUniqueName,
+  getStickyBinding,
+  getStickyTtl,
+  isValidIdentity,
+  listStickyBindings,
+  renameStickyBindings,
+  rotateStickyUniqueName,
+  saveStickyBinding,
+  STICKY_COOKIE_NAME,
+  StickyBinding,
+} from './sticky';
+import { getRevokedName, isValidUniqueName, listSessions, pruneSessions, recordSession, renameAccountSessions, revokeUniqueName, unrevokeUniqueName } from './sessions';
+import {
+  AccessCode,
+  checkAccessCode,
+  createAccessCode,
+  filterAccountsForCode,
+  getPresentedAccessCode,
+  isAccountAllowed,
+  listAccessCodes,
+  parseAccessCodeSettings,
+  revokeAccessCode,
+  rotateAccessCode,
+} from './access';
+import { authenticateAdmin, createSessionToken, timingSafeEqualStrings } from './adminauth';
+import {
+  ADMIN_ROLES,
+  BOOTSTRAP_ADMIN,
+  createAdminUser,
+  deleteAdminUser,
+  getRequiredRole,
+  hasRole,
+  isAdminRole,
+  isValidAdminUsername,
+  listAdminUsers,
+  updateAdminUser,
+  validateAdminPassword,
+} from './admins';
+import { AuditEntry, AuditEvent, parseAuditQuery, queryAudit, recordAudit } from './audit';
+import { consumeLoginLimits, findExhaustedAccounts, isLimitScope, listUsage, resetUsage } from './ratelimit';
+import {
+  countAdminAction,
+  countExchanges,
+  countLogin,
+  createMetricsRecorder,
+  DEFAULT_HISTORY_HOURS,
+  flushMetrics,
+  getMetricsHistory,
+  getMetricsTotals,
+  mergeBuckets,
+  readPoolGauges,
+  recordPoolGauges,
+  renderPrometheus,
+  summarizeMetrics,
+} from './metrics';
+import { API_V1_PREFIX, handleApiV1 } from './apiv1';
+import {
+  applyCors,
+  CORS_SCOPES,
+  getCorsPolicy,
+  getCorsScope,
+  handlePreflight,
+  isCorsScope,
+  listCorsPolicies,
+  parseCorsPolicy,
+  resetCorsPolicy,
+  updateCorsPolicy,
+} from './cors';
+import {
+  accountCooldownEvent,
+  accountsChangedEvent,
+  checkPoolLevel,
+  createWebhook,
+  deleteWebhook,
+  dispatchWebhookEvent,
+  listWebhooks,
+  notifyHealthCheckResults,
+  notifyLoginExchange,
+  parseWebhookSettings,
+  poolEmptyEvent,
+  summarizeWebhook,
+  testWebhook,
+  updateWebhook,
+  WebhookEvent,
+} from './webhooks';
 
-/**
- * Defines the environment variables and bindings expected by the Worker.
- * These are configured in the Cloudflare dashboard or via wrangler.toml/wrangler.jsonc.
- */
-interface Env {
-  /**
-   * The KV Namespace used to store the email-to-SK mapping.
-   * This is where `EMAIL_TO_SK_MAP` key holds the JSON string of mappings.
-   */
-  CLAUDE_KV: KVNamespace;
-  /**
-   * The password required for accessing administrative endpoints (e.g., /api/admin/*).
-   * This should be set as a Secret in the Worker's settings.
-   */
-  ADMIN_PASSWORD: string;
-  /**
-   * The base URL for the Claude API (e.g., https://demo.fuclaude.com).
-   * Used to construct the final login URL.
-   */
-  BASE_URL: string;
-  /**
-  /**
-   * Optional: The token expiration time in seconds.
-   * Defaults to 0 (never expires) if not set.
-   * Can be overridden by the 'expires_in' parameter in the login request.
-   */
-  TOKEN_EXPIRES_IN?: string;
-}
-
-/**
- * Represents the structure of the email to session key mapping stored in KV.
- * Keys are email addresses (string), and values are their corresponding session keys (sk, string).
- */
-interface EmailSkMap {
-  [email: string]: string;
-}
-
-/**
- * Defines the structure of the request body for the /api/login endpoint.
- */
-interface LoginRequest {
-  /**
-   * The mode of login: 'specific' (requires email and unique_name) or 'random'.
-   */
-  mode: 'specific' | 'random';
-  /**
-   * Optional: The email address for 'specific' mode login.
-   */
-  email?: string;
-  /**
-   * Optional: A unique identifier for the session, required for 'specific' mode.
-   * For 'random' mode, this is generated by the worker.
-   */
-  unique_name?: string;
-  /**
-   * Optional: The desired token expiration time in seconds.
-   * Overrides the default and the TOKEN_EXPIRES_IN environment variable.
-   * A value of 0 means the token should not expire.
-   */
-  expires_in?: number;
-}
-
-/**
- * Defines the structure of the request body for the /api/admin/login endpoint.
- * Inherits from LoginRequest and requires an admin password.
- */
-interface AdminLoginRequest extends LoginRequest, AdminRequestBase {}
-
-/**
- * Base interface for administrative requests, requiring an admin password.
- */
-interface AdminRequestBase {
-  /**
-   * The password to authenticate administrative actions.
-   * Must match the ADMIN_PASSWORD secret.
-   */
-  admin_password: string;
-}
-
-/**
- * Defines the structure for adding a new email-SK pair via an admin endpoint.
- * Inherits admin_password from AdminRequestBase.
- */
-interface AdminAddRequest extends AdminRequestBase {
-  /**
-   * The email address to add or update.
-   */
-  email: string;
-  /**
-   * The session key (sk) associated with the email.
-   */
-  sk: string;
-}
-
-/**
- * Defines the structure for deleting an email-SK pair via an admin endpoint.
- * Inherits admin_password from AdminRequestBase.
- */
-interface AdminDeleteRequest extends AdminRequestBase {
-  /**
-   * The email address to delete from the mapping.
-   */
-  email: string;
-}
-
-/**
- * Defines the structure for updating an email-SK pair via an admin endpoint.
- * Inherits admin_password from AdminRequestBase.
- */
-interface AdminUpdateRequest extends AdminRequestBase {
-  /**
-   * The current email address to identify the record to be updated.
-   */
-  email: string;
-  /**
-   * Optional: The new email address to replace the old one.
-   */
-  new_email?: string;
-  /**
-   * Optional: The new session key to replace the old one.
-   */
-  new_sk?: string;
- }
- 
- /**
-  * Defines a single action within a batch request.
-  */
- interface AdminBatchAction {
-   action: 'add' | 'delete';
-   email: string;
-   sk?: string; // Required for 'add', ignored for 'delete'
- }
- 
- /**
-  * Defines the structure for a batch processing request.
-  * Inherits admin_password from AdminRequestBase.
-  */
- interface AdminBatchRequest extends AdminRequestBase {
-   actions: AdminBatchAction[];
- }
- 
- // --- Helper Functions ---
-
-/**
- * Creates a JSON response with appropriate CORS headers.
- * @param data The data to be stringified into the response body.
- * @param status The HTTP status code for the response (default is 200).
- * @param extraHeaders Additional headers to include in the response.
- * @returns A Response object.
- */
-const jsonResponse = (data: any, status = 200, extraHeaders = {}) => {
-  const headers = {
-    'Content-Type': 'application/json',
-    'Access-Control-Allow-Origin': '*', // Allow all origins
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS', // Allow common methods
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization', // Allow necessary headers
-    ...extraHeaders,
-  };
-  return new Response(JSON.stringify(data, null, 2), { status, headers });
-};
-
-/**
- * Handles CORS preflight (OPTIONS) requests.
- * @param request The incoming Request object.
- * @returns A Response object with appropriate CORS headers for preflight.
- */
-const handleOptions = (request: Request) => {
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-  };
-  return new Response(null, { headers }); // No body for OPTIONS response
-};
-
-/**
- * Sorts an array of email addresses, primarily by domain, then by the local part.
- * @param emails An array of email strings.
- * @returns A new array with sorted email strings.
- */
-const sortEmails = (emails: string[]): string[] => {
-  return emails.sort((a, b) => {
-    const [, domainA = ''] = a.split('@'); // Robust split with default
-    const [, domainB = ''] = b.split('@');
-    if (domainA !== domainB) {
-      return domainA.localeCompare(domainB); // Sort by domain first
-    }
-    return a.localeCompare(b); // Then by full email
-  });
-};
-
-/**
- * Retrieves and parses the EMAIL_TO_SK_MAP from KV storage.
- * @param env The Environment object containing the KV namespace.
- * @returns A Promise that resolves to the EmailSkMap object. Returns an empty object if not found or on parse error.
- */
-async function getEmailSkMap(env: Env): Promise<EmailSkMap> {
-  const mapStr = await env.CLAUDE_KV.get('EMAIL_TO_SK_MAP');
-  if (!mapStr) {
-    console.log("EMAIL_TO_SK_MAP not found in KV, returning empty map.");
-    return {}; // Return an empty object if KV key doesn't exist
-  }
-  try {
-    return JSON.parse(mapStr) as EmailSkMap;
-  } catch (e) {
-    console.error("Error parsing EMAIL_TO_SK_MAP from KV:", e);
-    return {}; // Return empty on parse error to prevent worker crashes
-  }
-}
+// The Durable Object class must be exported from the Worker's main module
+export { AccountStoreObject } from './storage';
 
 // --- Main Worker Fetch Handler ---
-export default {
+const app = {
   /**
-   * Handles incoming HTTP requests to the Worker.
+   * Handles incoming HTTP requests to the Worker. CORS is left to the exported handler below.
    * @param request The incoming Request object.
    * @param env The Environment object with bindings and secrets.
    * @param ctx The ExecutionContext for the request.
    * @returns A Promise that resolves to a Response object.
    */
   async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
-    // Handle CORS preflight requests first
-    if (request.method === 'OPTIONS') {
-      return handleOptions(request);
+    // The versioned API validates the request and hands it to the legacy endpoint below (see apiv1.ts)
+    const { pathname } = new URL(request.url);
+    if (pathname === API_V1_PREFIX || pathname.startsWith(`${API_V1_PREFIX}/`)) {
+      return handleApiV1(request, (legacyRequest) => app.fetch(legacyRequest, env, ctx));
     }
 
+    // Counts collected while handling the request, written once the response is sent
+    const metrics = createMetricsRecorder();
+    // Webhook notifications are delivered once the response is sent
+    const notify = (event: WebhookEvent, throttleKey?: string) => ctx.waitUntil(dispatchWebhookEvent(env, event, throttleKey));
 
     try {
       const url = new URL(request.url);
+      const clientIp = request.headers.get('CF-Connecting-IP') || undefined;
+
+      // GET /metrics: Prometheus exposition of the counters and the pool state, for scrapers holding METRICS_TOKEN
+      if (url.pathname === '/metrics' && request.method === 'GET') {
+        if (!env.METRICS_TOKEN) {
+          return jsonResponse({ error: 'Metrics are disabled. Set METRICS_TOKEN to enable /metrics.' }, 404);
+        }
+        const authorization = request.headers.get('Authorization') || '';
+        if (!authorization.startsWith('Bearer ') || !(await timingSafeEqualStrings(authorization.slice('Bearer '.length).trim(), env.METRICS_TOKEN))) {
+          return jsonResponse({ error: 'Unauthorized.' }, 401, { 'WWW-Authenticate': 'Bearer' });
+        }
+        const pool = await readPoolGauges(env);
+        const upstreams = getUpstreams(env).map((upstream) => upstream.name);
+        const body = renderPrometheus(await getMetricsTotals(env), pool, upstreams, await getUpstreamHealthMap(env));
+        return textResponse(body, 'text/plain; version=0.0.4; charset=utf-8');
+      }
 
       // --- User Endpoints ---
 
-      // GET /api/emails: Lists available email addresses (sorted)
+      // GET /api/emails: Lists available email addresses (sorted), leaving out disabled accounts
+      // and accounts the caller's access code may not use; ?group= lists the members of one group.
+      // Accounts cooling down are listed with the end of their cooldown in cooling_down
       if (url.pathname === '/api/emails' && request.method === 'GET') {
-        const emailMap = await getEmailSkMap(env);
-        const sortedEmails = sortEmails(Object.keys(emailMap));
-        return jsonResponse({ emails: sortedEmails });
+        const access = await checkAccessCode(env, getPresentedAccessCode(request));
+        if (!access.ok) {
+          return jsonResponse({ error: access.error }, 401, { 'WWW-Authenticate': 'Bearer' });
+        }
+        const group = url.searchParams.get('group') ?? undefined;
+        if (group !== undefined && !(await groupExists(env, group))) {
+          return jsonResponse({ error: `Unknown group: ${group}` }, 400);
+        }
+        const accountMap = filterAccountsForGroup(filterAccountsForCode(await getAccountMap(env), access.code), group);
+        const sortedEmails = sortEmails(Object.keys(accountMap).filter((email) => accountMap[email].enabled));
+        const cooldowns = getActiveCooldowns(await getCooldownMap(env));
+        const coolingDown = Object.fromEntries(sortedEmails.filter((email) => cooldowns[email]).map((email) => [email, cooldowns[email].until]));
+        return jsonResponse({ emails: sortedEmails, cooling_down: coolingDown });
       }
 
-      // POST /api/login: Handles user login requests (specific or random)
+      // POST /api/login: Handles user login requests (specific, random or sticky)
       if (url.pathname === '/api/login' && request.method === 'POST') {
+        let accessCode: AccessCode | null = null;
+        let selectedEmailForLog: string | undefined; // For logging purposes
+        let loginMode: unknown; // For the metrics, once the body is read
+        let poolMap: AccountMap | undefined; // For the metrics, once the pool is read
+
+        // Every attempt ends up in the audit log, attributed to the access code's owner, and in the metrics
+        const auditLogin = (result: AuditEntry['result'], status: number, detail: string) => {
+          countLogin(metrics, { via: 'user', mode: loginMode, account: selectedEmailForLog, status }, poolMap);
+          ctx.waitUntil(recordAudit(env, { actor: accessCode?.owner || 'anonymous', action: 'login', email: selectedEmailForLog, ip: clientIp, result, status, detail }));
+        };
+        const rejectLogin = (error: string, status: number, headers?: Record<string, string>, code?: LoginErrorCode) => {
+          auditLogin('failure', status, code ? `${code}: ${error}` : error);
+          return jsonResponse({ error, ...(code && { code }) }, status, headers);
+        };
+
         let body: LoginRequest;
         try {
           body = await request.json();
         } catch (e) {
-          return jsonResponse({ error: 'Invalid JSON request body.' }, 400);
+          return rejectLogin('Invalid JSON request body.', 400);
+        }
+        loginMode = body.mode;
+
+        const access = await checkAccessCode(env, getPresentedAccessCode(request, body.access_code));
+        if (!access.ok) {
+          return rejectLogin(access.error, 401, { 'WWW-Authenticate': 'Bearer' });
         }
+        accessCode = access.code;
 
-        const emailMap = await getEmailSkMap(env);
+        const upstreamNames = getUpstreams(env).map((upstream) => upstream.name);
+        if (body.upstream !== undefined && !upstreamNames.includes(body.upstream)) {
+          return rejectLogin(`Invalid upstream specified. Must be one of: ${upstreamNames.join(', ')}.`, 400);
+        }
+        if (body.group !== undefined && !(await groupExists(env, body.group))) {
+          return rejectLogin(`Unknown group: ${body.group}`, 400);
+        }
+
+        // Only the accounts the access code may use, and of those the members of the requested group,
+        // take part in selection
+        poolMap = await getAccountMap(env);
+        const allowedMap = filterAccountsForCode(poolMap, accessCode);
+        const accountMap = filterAccountsForGroup(allowedMap, body.group);
         let sk: string | undefined;
         let uniqueName: string;
-        let selectedEmailForLog: string | undefined; // For logging purposes
+        let selectedByStrategy = false; // True if the account was picked by the selection strategy
+        let stickyBinding: StickyBinding | undefined; // Set in sticky mode, saved once the login succeeds
+        let failover: FailoverOptions | undefined; // Set when a rejected SK may fall over to another account
+        // Accounts tried after a rejected SK count against their own limits only
+        const admitFailover = async (email: string) => (await consumeLoginLimits(env, { account: email })).ok;
 
         if (body.mode === 'random') {
-          const emails = Object.keys(emailMap);
+          const strategy = resolveStrategy(env, body.strategy);
+          if (!strategy) {
+            return rejectLogin(`Invalid strategy specified. Must be one of: ${SELECTION_STRATEGIES.join(', ')}.`, 400);
+          }
+          const selectable = getSelectableEmails(accountMap, await getHealthMap(env), await getCooldownMap(env));
+          if (selectable.length === 0) {
+            notify(poolEmptyEvent('user', 'random', body.group), 'pool.empty');
+            return rejectLogin('No accounts available for random selection', 503); // Service Unavailable
+          }
+          // Accounts that used up their own rate limit or quota are skipped
+          const exhausted = await findExhaustedAccounts(env, selectable);
+          const emails = selectable.filter((email) => !exhausted.has(email));
           if (emails.length === 0) {
-            return jsonResponse({ error: 'No accounts available for random selection' }, 503); // Service Unavailable
+            const retryAfter = Math.min(...exhausted.values());
+            return rejectLogin('Every available account has reached its login limit. Please try again later.', 429, { 'Retry-After': String(retryAfter) });
           }
-          selectedEmailForLog = emails[Math.floor(Math.random() * emails.length)];
-          sk = emailMap[selectedEmailForLog];
+          selectedEmailForLog = await selectAccount(env, accountMap, emails, strategy);
+          selectedByStrategy = true;
+          failover = { strategy, candidates: emails, admit: admitFailover };
+          sk = accountMap[selectedEmailForLog].sk;
           uniqueName = `rand_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`; // More unique random name
+        } else if (body.mode === 'sticky') {
+          if (body.identity !== undefined && !isValidIdentity(body.identity)) {
+            return rejectLogin('Invalid identity. Use 1-128 letters, digits, ".", "_", "@" or "-".', 400);
+          }
+          const cookieIdentity = getCookie(request, STICKY_COOKIE_NAME);
+          const identity = body.identity || (isValidIdentity(cookieIdentity) ? cookieIdentity : generateIdentity());
+          const existing = await getStickyBinding(env, identity);
+          const emails = getSelectableEmails(accountMap, await getHealthMap(env), await getCooldownMap(env));
+          const now = new Date().toISOString();
+
+          if (existing && emails.includes(existing.email)) {
+            stickyBinding = { ...existing, last_used_at: now };
+          } else {
+            // Unbound identity, or the bound account was deleted, disabled, quarantined or is cooling down: (re)bind it.
+            const strategy = resolveStrategy(env, body.strategy);
+            if (!strategy) {
+              return rejectLogin(`Invalid strategy specified. Must be one of: ${SELECTION_STRATEGIES.join(', ')}.`, 400);
+            }
+            if (emails.length === 0) {
+              notify(poolEmptyEvent('user', 'sticky', body.group), 'pool.empty');
+              return rejectLogin('No accounts available for sticky selection', 503);
+            }
+            const exhausted = await findExhaustedAccounts(env, emails);
+            const candidates = emails.filter((email) => !exhausted.has(email));
+            if (candidates.length === 0) {
+              const retryAfter = Math.min(...exhausted.values());
+              return rejectLogin('Every available account has reached its login limit. Please try again later.', 429, { 'Retry-After': String(retryAfter) });
+            }
+            const email = await selectAccount(env, accountMap, candidates, strategy);
+            selectedByStrategy = true;
+            failover = { strategy, candidates, admit: admitFailover };
+            if (existing) {
+              console.log(`Sticky login: Identity ${identity} rebound from ${existing.email} to ${email}.`);
+            }
+            stickyBinding = {
+              identity,
+              email,
+              unique_name: existing?.unique_name || generateStickyUniqueName(),
+              bound_at: now,
+              last_used_at: now,
+            };
+          }
+          selectedEmailForLog = stickyBinding.email;
+          sk = accountMap[selectedEmailForLog].sk;
+          uniqueName = stickyBinding.unique_name;
         } else if (body.mode === 'specific') {
           if (!body.email || !body.unique_name) {
-            return jsonResponse({ error: 'Email and unique_name are required for specific mode' }, 400);
+            return rejectLogin('Email and unique_name are required for specific mode', 400);
+          }
+          if (!isValidUniqueName(body.unique_name)) {
+            return rejectLogin('Invalid unique_name. Use 1-128 letters, digits, ".", "_", "@" or "-".', 400);
           }
           selectedEmailForLog = body.email;
-          sk = emailMap[selectedEmailForLog];
+          if (!isAccountAllowed(accessCode, selectedEmailForLog, allowedMap[selectedEmailForLog])) {
+            return rejectLogin(`Your access code does not allow using account ${selectedEmailForLog}.`, 403);
+          }
+          if (body.group !== undefined && allowedMap[selectedEmailForLog] && !accountMap[selectedEmailForLog]) {
+            return rejectLogin(`Account ${selectedEmailForLog} is not in group ${body.group}.`, 403);
+          }
+          if (accountMap[selectedEmailForLog]?.enabled === false) {
+            return rejectLogin(`Account ${selectedEmailForLog} is currently disabled.`, 403);
+          }
+          if (await getRevokedName(env, body.unique_name)) {
+            return rejectLogin(`The unique_name ${body.unique_name} has been revoked.`, 403);
+          }
+          sk = accountMap[selectedEmailForLog]?.sk;
           uniqueName = body.unique_name;
         } else {
-          return jsonResponse({ error: 'Invalid login mode specified. Must be \"specific\" or \"random\".' }, 400);
+          return rejectLogin('Invalid login mode specified. Must be \"specific\", \"random\" or \"sticky\".', 400);
         }
 
         if (!sk) {
           const errorMessage = `Account for ${selectedEmailForLog || 'random selection'} not found or SK is invalid`;
           console.error(`Login attempt for ${selectedEmailForLog || 'random'} failed: SK not found.`);
-          return jsonResponse({ error: errorMessage }, 404); // Not Found
+          return rejectLogin(errorMessage, 404); // Not Found
         }
 
         // --- Token Expiration Logic for User Endpoint ---
         let expiresIn: number;
         let warning: string | undefined;
-        const maxExpiresIn = env.TOKEN_EXPIRES_IN ? parseInt(env.TOKEN_EXPIRES_IN, 10) : 0;
+        let maxExpiresIn = env.TOKEN_EXPIRES_IN ? parseInt(env.TOKEN_EXPIRES_IN, 10) : 0;
+        // The access code's own limit applies if it is stricter
+        if (accessCode?.max_expires_in && (!(maxExpiresIn > 0) || accessCode.max_expires_in < maxExpiresIn)) {
+          maxExpiresIn = accessCode.max_expires_in;
+        }
 
         if (typeof body.expires_in === 'number') {
           expiresIn = body.expires_in;
-          // If a maximum duration is set via environment variable and it's not 0 (unlimited)
-          if (maxExpiresIn > 0 && expiresIn > maxExpiresIn) {
+          // If a maximum duration is in effect and it's not 0 (unlimited); requesting 0 (never expires) exceeds it too
+          if (maxExpiresIn > 0 && (expiresIn > maxExpiresIn || expiresIn <= 0)) {
             warning = `Requested expiration of ${expiresIn}s exceeds the maximum allowed of ${maxExpiresIn}s. The expiration has been adjusted.`;
             expiresIn = maxExpiresIn;
           }
@@ -301,250 +405,1265 @@ export default {
           expiresIn = isNaN(maxExpiresIn) ? 0 : maxExpiresIn;
         }
 
-        // --- Claude API Token Exchange ---
-        const oauthPayload = { session_key: sk, unique_name: uniqueName, expires_in: expiresIn };
-        const oauthResponse = await fetch(`${env.BASE_URL}/manage-api/auth/oauth_token`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(oauthPayload),
+        // --- Rate Limits and Quotas ---
+        // Counted before the exchange so that a refused login never reaches the upstream
+        const limits = await consumeLoginLimits(env, {
+          ip: clientIp,
+          identity: accessCode?.id,
+          account: selectedEmailForLog,
         });
+        if (!limits.ok) {
+          return rejectLogin(limits.error, 429, { 'Retry-After': String(limits.retryAfter) });
+        }
 
-        if (!oauthResponse.ok) {
-          const errorText = await oauthResponse.text();
-          const logMessage = `Token exchange failed for ${selectedEmailForLog} (SK preview: ${sk.slice(0,15)}...): ${oauthResponse.status}`;
-          console.error(`${logMessage} - Response: ${errorText}`);
-          throw new Error(`Token exchange failed with status ${oauthResponse.status}. Check server logs for details.`);
+        // --- Claude API Token Exchange ---
+        // The SK is only decrypted for the exchange itself; a rejected SK may fall over to another account
+        const exchange = await exchangeLoginToken(env, accountMap, selectedEmailForLog, { unique_name: uniqueName, expires_in: expiresIn }, {
+          failover,
+          upstream: body.upstream,
+          recordRejections: body.mode !== 'specific',
+        });
+        countExchanges(metrics, exchange.exchanges);
+        ctx.waitUntil(notifyLoginExchange(env, exchange));
+        selectedEmailForLog = exchange.email;
+        if (!exchange.ok) {
+          const retryHeaders = exchange.retryAfter !== undefined ? { 'Retry-After': String(exchange.retryAfter) } : undefined;
+          return rejectLogin(exchange.error, exchange.status, retryHeaders, exchange.code);
         }
-        
-        const oauthData: any = await oauthResponse.json();
-        if (!oauthData.login_url) {
-            const logMessage = `Token exchange response for ${selectedEmailForLog} missing login_url.`;
-            console.error(`${logMessage} - Response: ${JSON.stringify(oauthData)}`);
-            throw new Error('Token exchange successful, but login_url was not returned.');
+        if (stickyBinding) {
+          stickyBinding.email = exchange.email; // Only differs if a new binding failed over
         }
 
-        const responsePayload: { login_url: string; warning?: string } = {
-          login_url: `${env.BASE_URL}${oauthData.login_url}`
+        ctx.waitUntil(recordAccountUsage(env, selectedEmailForLog, expiresIn, selectedByStrategy));
+        ctx.waitUntil(recordSession(env, {
+          email: selectedEmailForLog,
+          unique_name: uniqueName,
+          mode: body.mode,
+          via: 'user',
+          requester: accessCode?.owner || 'anonymous',
+          ...(accessCode && { access_code_id: accessCode.id }),
+          ...(stickyBinding && { identity: stickyBinding.identity }),
+          ip: clientIp,
+          upstream: exchange.upstream,
+          expires_in: expiresIn,
+        }));
+        const failedOver = exchange.rejected.length > 0 ? `, failed over from ${exchange.rejected.join(', ')}` : '';
+        auditLogin('success', 200, `${body.mode} login via ${exchange.upstream}, expires_in=${expiresIn}${failedOver}`);
+
+        const responsePayload: { login_url: string; upstream: string; warning?: string; identity?: string } = {
+          login_url: exchange.login_url,
+          upstream: exchange.upstream,
         };
         if (warning) {
           responsePayload.warning = warning;
         }
+        if (stickyBinding) {
+          await saveStickyBinding(env, stickyBinding);
+          responsePayload.identity = stickyBinding.identity;
+          return jsonResponse(responsePayload, 200, { 'Set-Cookie': buildStickyCookie(stickyBinding.identity, getStickyTtl(env)) });
+        }
         return jsonResponse(responsePayload);
       }
 
+      // POST /api/report-limited: Reports that an account reached its usage limit, putting it on cooldown.
+      // Only accounts the caller recently logged in with can be reported (see cooldowns.ts)
+      if (url.pathname === '/api/report-limited' && request.method === 'POST') {
+        let body: ReportLimitedRequest;
+        try {
+          body = await request.json();
+        } catch (e) {
+          return jsonResponse({ error: 'Invalid JSON request body.' }, 400);
+        }
+        const access = await checkAccessCode(env, getPresentedAccessCode(request, body.access_code));
+        if (!access.ok) {
+          return jsonResponse({ error: access.error }, 401, { 'WWW-Authenticate': 'Bearer' });
+        }
+        if (body.identity !== undefined && !isValidIdentity(body.identity)) {
+          return jsonResponse({ error: 'Invalid identity. Use 1-128 letters, digits, ".", "_", "@" or "-".' }, 400);
+        }
+        const cookieIdentity = getCookie(request, STICKY_COOKIE_NAME);
+        const accountMap = await getAccountMap(env);
+        const result = await reportAccountLimited(
+          env,
+          { access_code_id: access.code?.id, identity: body.identity || (isValidIdentity(cookieIdentity) ? cookieIdentity : undefined), ip: clientIp },
+          (email) => accountMap[email]?.enabled === true && isAccountAllowed(access.code, email, accountMap[email]),
+          body,
+        );
+        const actor = access.code?.owner || 'anonymous';
+        if (!result.ok) {
+          ctx.waitUntil(recordAudit(env, { actor, action: 'report-limited', email: body.email, ip: clientIp, result: 'failure', status: result.status, detail: result.error }));
+          return jsonResponse({ error: result.error }, result.status, result.retryAfter ? { 'Retry-After': String(result.retryAfter) } : undefined);
+        }
+        const detail = result.cooldown ? `cooling down until ${result.cooldown.until}` : `${result.reporters} of ${result.threshold} report(s)`;
+        ctx.waitUntil(recordAudit(env, { actor, action: 'report-limited', email: result.email, ip: clientIp, result: 'success', status: 200, detail }));
+        if (result.cooldown && result.reporters > 0) {
+          notify(accountCooldownEvent(result.email, result.cooldown));
+          ctx.waitUntil(checkPoolLevel(env));
+        }
+        return jsonResponse({
+          message: result.cooldown
+            ? `Account ${result.email} is cooling down until ${result.cooldown.until}.`
+            : `Report recorded. Account ${result.email} cools down once ${result.threshold} users report it (${result.reporters} so far).`,
+          email: result.email,
+          cooldown_until: result.cooldown?.until ?? null,
+          reports: result.reporters,
+          threshold: result.threshold,
+        });
+      }
+
       // --- Admin Endpoints (prefixed with /api/admin) ---
       if (url.pathname.startsWith('/api/admin')) {
-        // Centralized admin password extraction and validation for POST, PUT, DELETE
-        if (request.method === 'POST' || request.method === 'PUT' || request.method === 'DELETE') {
-          let adminRequestData: AdminRequestBase;
-          try {
-            adminRequestData = await request.clone().json(); // Clone for body re-read if needed
-          } catch (e) {
-            return jsonResponse({ error: 'Invalid JSON body for admin request.' }, 400);
-          }
-          if (adminRequestData.admin_password !== env.ADMIN_PASSWORD) {
-            return jsonResponse({ error: 'Unauthorized. Invalid admin password.' }, 401);
-          }
+        // Centralized admin authentication: a bearer session token or password, or the legacy body password.
+        // New sessions can only be opened with the password.
+        const isSessionRequest = url.pathname === '/api/admin/session' && request.method === 'POST';
+        const auth = await authenticateAdmin(env, request, clientIp || 'unknown', { passwordOnly: isSessionRequest });
+        if (!auth.ok) {
+          ctx.waitUntil(recordAudit(env, { actor: 'unknown', action: 'admin.auth', ip: clientIp, result: 'failure', status: auth.status, detail: `${auth.error} (${url.pathname})` }));
+          notify({
+            type: 'admin.auth_failed',
+            summary: `Admin authentication failed from ${clientIp || 'an unknown IP'} on ${url.pathname}: ${auth.error}`,
+            data: { ip: clientIp ?? null, path: url.pathname, status: auth.status, error: auth.error },
+          }, `admin.auth_failed:${clientIp || 'unknown'}`);
+          return jsonResponse({ error: auth.error }, auth.status, {
+            ...(auth.status === 401 && { 'WWW-Authenticate': 'Bearer' }),
+            ...(auth.retryAfter && { 'Retry-After': String(auth.retryAfter) }),
+          });
         }
-        
-        // POST /api/admin/list: Lists all email-SK pairs (requires admin password in body)
-        if (url.pathname === '/api/admin/list' && request.method === 'POST') {
-            // Password check is now handled by the centralized logic above for POST requests
-            const emailMap = await getEmailSkMap(env);
-            const sortedEmails = sortEmails(Object.keys(emailMap));
-            const listWithIndexAndPreview = sortedEmails.map((email, index) => ({
-                index: index + 1,
-                email: email,
-                sk_preview: emailMap[email] ? `${emailMap[email].slice(0, 20)}...${emailMap[email].slice(-10)}` : "SK_INVALID_OR_MISSING" // Show a safer preview
-            }));
+
+        // Each route requires a minimum role (see admins.ts)
+        const requiredRole = getRequiredRole(url.pathname);
+        if (!hasRole(auth.role, requiredRole)) {
+          ctx.waitUntil(recordAudit(env, { actor: auth.subject, action: 'admin.forbidden', ip: clientIp, result: 'failure', status: 403, detail: `${auth.role} may not use ${url.pathname}` }));
+          return jsonResponse({ error: `Forbidden. This endpoint requires the ${requiredRole} role; you are ${auth.role}.` }, 403);
+        }
+
+        // Records an admin action in the audit log (a success unless the event says otherwise)
+        const auditAdmin = (action: string, event: Partial<AuditEvent> = {}) => {
+          countAdminAction(metrics, action, event.result || 'success');
+          ctx.waitUntil(recordAudit(env, { actor: auth.subject, action: `admin.${action}`, ip: clientIp, result: 'success', status: 200, ...event }));
+        };
+
+        // Tells the webhooks about accounts that were added or removed and, after removals, whether the pool ran low
+        const notifyPoolChanges = (via: string, added: string[], removed: string[], checkLevel = removed.length > 0) => {
+            if (added.length > 0) {
+                notify(accountsChangedEvent('account.added', added, auth.subject, via));
+            }
+            if (removed.length > 0) {
+                notify(accountsChangedEvent('account.removed', removed, auth.subject, via));
+            }
+            if (checkLevel) {
+                ctx.waitUntil(checkPoolLevel(env));
+            }
+        };
+
+        // Snapshots the pool before a destructive operation, so that it can be restored (see backup.ts)
+        const snapshotBefore = async (reason: string, accountMap?: AccountMap) =>
+            createSnapshot(env, accountMap ?? (await getAccountMap(env)), reason, auth.subject);
+
+        // Applies an import or restore and forgets the state of accounts that were removed or got a new SK
+        const applyPoolChanges = async (diff: PoolDiff, ops: AccountOp[]) => {
+            await mutateAccounts(env, ops);
+            const skChanged = diff.updated.filter((update) => update.changes.includes('sk')).map((update) => update.email);
+            await forgetAccountHealth(env, [...skChanged, ...diff.removed]);
+            await forgetAccountCooldowns(env, [...skChanged, ...diff.removed]);
+            await forgetAccountUsage(env, diff.removed);
+            for (const email of diff.removed) {
+                await clearStickyBindings(env, { email });
+            }
+        };
+
+        // POST /api/admin/session: Exchanges the admin password for a signed, expiring session token
+        if (isSessionRequest) {
+            const session = await createSessionToken(env, auth.subject);
+            if (!session) {
+                return jsonResponse({ error: 'Admin sessions are not available. Set ADMIN_SESSION_SECRET or ADMIN_PASSWORD.' }, 503);
+            }
+            auditAdmin('session', { detail: `session issued until ${session.expires_at}` });
+            return jsonResponse({ token: session.token, expires_at: session.expires_at });
+        }
+
+        // Every other route reads a JSON object from the body of a POST. It is parsed once here, so that a missing or
+        // malformed body is refused instead of failing inside the route; GET requests have no body.
+        let requestBody: any = {};
+        if (request.method !== 'GET' && request.method !== 'HEAD') {
+            try {
+                requestBody = await request.json();
+            } catch (e) {
+                return jsonResponse({ error: 'Invalid JSON request body.' }, 400);
+            }
+            if (!requestBody || typeof requestBody !== 'object' || Array.isArray(requestBody)) {
+                return jsonResponse({ error: 'The request body must be a JSON object.' }, 400);
+            }
+        }
+
+        // GET or POST /api/admin/list: Lists all accounts with their metadata
+        if (url.pathname === '/api/admin/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const accountMap = await getAccountMap(env);
+            const healthMap = await getHealthMap(env);
+            const cooldowns = getActiveCooldowns(await getCooldownMap(env));
+            const sortedEmails = sortEmails(Object.keys(accountMap));
+            const listWithIndexAndPreview = sortedEmails.map((email, index) => {
+                const { sk, sk_preview, ...metadata } = accountMap[email];
+                return {
+                    index: index + 1,
+                    email: email,
+                    // Show a safer preview; encrypted SKs carry the one taken before encryption
+                    sk_preview: !sk ? "SK_INVALID_OR_MISSING" : isEncryptedSk(sk) ? sk_preview || "ENCRYPTED" : previewSk(sk),
+                    sk_encrypted: !!sk && isEncryptedSk(sk),
+                    ...metadata,
+                    health: healthMap[email] || defaultHealth(),
+                    cooldown: cooldowns[email] || null
+                };
+            });
             return jsonResponse(listWithIndexAndPreview);
         }
 
         // POST /api/admin/login: Admin version of the login endpoint with no expiration limits
         if (url.pathname === '/api/admin/login' && request.method === 'POST') {
-            const body: AdminLoginRequest = await request.json();
-            const emailMap = await getEmailSkMap(env);
+            const body: AdminLoginRequest = requestBody;
+            const fullAccountMap = await getAccountMap(env);
+            const accountMap = filterAccountsForGroup(fullAccountMap, body.group);
+            const upstreamNames = getUpstreams(env).map((upstream) => upstream.name);
             let sk: string | undefined;
             let uniqueName: string;
             let selectedEmailForLog: string | undefined;
+            let failover: FailoverOptions | undefined;
+            const rejectAdminLogin = (error: string, status: number, headers?: Record<string, string>, code?: LoginErrorCode) => {
+                countLogin(metrics, { via: 'admin', mode: body.mode, account: selectedEmailForLog, status }, fullAccountMap);
+                auditAdmin('login', { email: selectedEmailForLog, result: 'failure', status, detail: code ? `${code}: ${error}` : error });
+                return jsonResponse({ error, ...(code && { code }) }, status, headers);
+            };
+
+            if (body.upstream !== undefined && !upstreamNames.includes(body.upstream)) {
+                return rejectAdminLogin(`Invalid upstream specified. Must be one of: ${upstreamNames.join(', ')}.`, 400);
+            }
+            if (body.group !== undefined && !(await groupExists(env, body.group))) {
+                return rejectAdminLogin(`Unknown group: ${body.group}`, 400);
+            }
 
             if (body.mode === 'random') {
-                const emails = Object.keys(emailMap);
+                const strategy = resolveStrategy(env, body.strategy);
+                if (!strategy) {
+                    return rejectAdminLogin(`Invalid strategy specified. Must be one of: ${SELECTION_STRATEGIES.join(', ')}.`, 400);
+                }
+                const emails = getSelectableEmails(accountMap, await getHealthMap(env), await getCooldownMap(env));
                 if (emails.length === 0) {
-                    return jsonResponse({ error: 'No accounts available for random selection' }, 503);
+                    notify(poolEmptyEvent('admin', 'random', body.group), 'pool.empty');
+                    return rejectAdminLogin('No accounts available for random selection', 503);
                 }
-                selectedEmailForLog = emails[Math.floor(Math.random() * emails.length)];
-                sk = emailMap[selectedEmailForLog];
+                selectedEmailForLog = await selectAccount(env, accountMap, emails, strategy);
+                failover = { strategy, candidates: emails };
+                sk = accountMap[selectedEmailForLog].sk;
                 uniqueName = `rand_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`;
             } else if (body.mode === 'specific') {
                 if (!body.email || !body.unique_name) {
-                    return jsonResponse({ error: 'Email and unique_name are required for specific mode' }, 400);
+                    return rejectAdminLogin('Email and unique_name are required for specific mode', 400);
                 }
+                if (!isValidUniqueName(body.unique_name)) {
+                    return rejectAdminLogin('Invalid unique_name. Use 1-128 letters, digits, ".", "_", "@" or "-".', 400);
+                }
+                // Admins may log into disabled accounts, e.g. to verify them before re-enabling.
                 selectedEmailForLog = body.email;
-                sk = emailMap[selectedEmailForLog];
+                if (body.group !== undefined && fullAccountMap[selectedEmailForLog] && !accountMap[selectedEmailForLog]) {
+                    return rejectAdminLogin(`Account ${selectedEmailForLog} is not in group ${body.group}.`, 403);
+                }
+                if (await getRevokedName(env, body.unique_name)) {
+                    return rejectAdminLogin(`The unique_name ${body.unique_name} has been revoked. Lift the revocation before using it again.`, 403);
+                }
+                sk = accountMap[selectedEmailForLog]?.sk;
                 uniqueName = body.unique_name;
             } else {
-                return jsonResponse({ error: 'Invalid login mode specified. Must be "specific" or "random".' }, 400);
+                return rejectAdminLogin('Invalid login mode specified. Must be "specific" or "random".', 400);
             }
 
             if (!sk) {
                 const errorMessage = `Account for ${selectedEmailForLog || 'random selection'} not found or SK is invalid`;
-                return jsonResponse({ error: errorMessage }, 404);
+                return rejectAdminLogin(errorMessage, 404);
             }
 
             // Admin has no expiration limit, defaults to 0 if not provided.
             const expiresIn = typeof body.expires_in === 'number' ? body.expires_in : 0;
 
-            const oauthPayload = { session_key: sk, unique_name: uniqueName, expires_in: expiresIn };
-            const oauthResponse = await fetch(`${env.BASE_URL}/manage-api/auth/oauth_token`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(oauthPayload),
+            const exchange = await exchangeLoginToken(env, accountMap, selectedEmailForLog, { unique_name: uniqueName, expires_in: expiresIn }, {
+                failover,
+                upstream: body.upstream,
             });
-
-            if (!oauthResponse.ok) {
-                const errorText = await oauthResponse.text();
-                const logMessage = `Admin Token exchange failed for ${selectedEmailForLog}: ${oauthResponse.status}`;
-                console.error(`${logMessage} - Response: ${errorText}`);
-                throw new Error(`Token exchange failed with status ${oauthResponse.status}.`);
-            }
-            
-            const oauthData: any = await oauthResponse.json();
-            if (!oauthData.login_url) {
-                throw new Error('Token exchange successful, but login_url was not returned.');
+            countExchanges(metrics, exchange.exchanges);
+            ctx.waitUntil(notifyLoginExchange(env, exchange));
+            selectedEmailForLog = exchange.email;
+            if (!exchange.ok) {
+                const retryHeaders = exchange.retryAfter !== undefined ? { 'Retry-After': String(exchange.retryAfter) } : undefined;
+                return rejectAdminLogin(exchange.error, exchange.status, retryHeaders, exchange.code);
             }
-            return jsonResponse({ login_url: `${env.BASE_URL}${oauthData.login_url}` });
+            ctx.waitUntil(recordAccountUsage(env, selectedEmailForLog, expiresIn, body.mode === 'random'));
+            ctx.waitUntil(recordSession(env, {
+                email: selectedEmailForLog,
+                unique_name: uniqueName,
+                mode: body.mode,
+                via: 'admin',
+                requester: auth.subject,
+                ip: clientIp,
+                upstream: exchange.upstream,
+                expires_in: expiresIn,
+            }));
+            const failedOver = exchange.rejected.length > 0 ? `, failed over from ${exchange.rejected.join(', ')}` : '';
+            countLogin(metrics, { via: 'admin', mode: body.mode, account: selectedEmailForLog, status: 200 }, fullAccountMap);
+            auditAdmin('login', { email: selectedEmailForLog, detail: `${body.mode} login via ${exchange.upstream}, expires_in=${expiresIn}${failedOver}` });
+            return jsonResponse({ login_url: exchange.login_url, upstream: exchange.upstream });
         }
 
-        // POST /api/admin/add: Adds a new email-SK pair
+        // POST /api/admin/add: Adds a new account, optionally with metadata
         // Password check already happened above for POST requests
         if (url.pathname === '/api/admin/add' && request.method === 'POST') {
-            const body: AdminAddRequest = await request.json(); // Re-read body, safe as password check cloned
+            const body: AdminAddRequest = requestBody;
             if (!body.email || !body.sk) {
                 return jsonResponse({ error: 'Email and SK are required for adding an account.' }, 400);
             }
-            const emailMap = await getEmailSkMap(env);
-            if (emailMap[body.email]) {
+            const fieldError = validateEmail(body.email) || validateSk(body.sk) || validateAccountFields(body);
+            if (fieldError) {
+                return jsonResponse({ error: fieldError }, 400);
+            }
+            const [result] = await mutateAccounts(env, [{ type: 'create', email: body.email, sk: body.sk, fields: body }]);
+            if (!result.ok) {
                 return jsonResponse({ error: `Email ${body.email} already exists. Use update if intended.` }, 409); // 409 Conflict
             }
-            emailMap[body.email] = body.sk;
-            await env.CLAUDE_KV.put('EMAIL_TO_SK_MAP', JSON.stringify(emailMap));
             console.log(`Admin action: Account ${body.email} added successfully.`);
+            auditAdmin('add', { email: body.email, detail: `SK ${maskSk(body.sk)}` });
+            notifyPoolChanges('add', [body.email], []);
             return jsonResponse({ message: `Account ${body.email} added successfully.` });
         }
 
         // POST /api/admin/delete: Deletes an email-SK pair
         // Password check already happened above for POST requests
         if (url.pathname === '/api/admin/delete' && request.method === 'POST') {
-             const body: AdminDeleteRequest = await request.json(); // Re-read body
+             const body: AdminDeleteRequest = requestBody;
              if (!body.email) {
                  return jsonResponse({ error: 'Email is required for deleting an account.' }, 400);
              }
-             const emailMap = await getEmailSkMap(env);
-             if (!emailMap[body.email]) {
+             // Unknown emails (typos, retries) are refused before a snapshot is taken
+             const accountMap = await getAccountMap(env);
+             if (!accountMap[body.email]) {
+                 return jsonResponse({ error: `Email ${body.email} not found. Cannot delete.` }, 404);
+             }
+             await snapshotBefore('delete', accountMap);
+             const [result] = await mutateAccounts(env, [{ type: 'delete', email: body.email }]);
+             if (!result.ok) {
                  return jsonResponse({ error: `Email ${body.email} not found. Cannot delete.` }, 404);
              }
-             delete emailMap[body.email];
-             await env.CLAUDE_KV.put('EMAIL_TO_SK_MAP', JSON.stringify(emailMap));
+             await forgetAccountHealth(env, [body.email]);
+             await forgetAccountCooldowns(env, [body.email]);
+             await forgetAccountUsage(env, [body.email]);
+             await clearStickyBindings(env, { email: body.email });
              console.log(`Admin action: Account ${body.email} deleted successfully.`);
+             auditAdmin('delete', { email: body.email });
+             notifyPoolChanges('delete', [], [body.email]);
              return jsonResponse({ message: `Account ${body.email} deleted successfully.` });
         }
 
-        // POST /api/admin/update: Updates an email-SK pair
+        // POST /api/admin/update: Updates an account's email, SK and/or metadata
         // Password check already happened above for POST requests
         if (url.pathname === '/api/admin/update' && request.method === 'POST') {
-            const body: AdminUpdateRequest = await request.json();
+            const body: AdminUpdateRequest = requestBody;
             if (!body.email) {
                 return jsonResponse({ error: 'The original email is required to identify the account to update.' }, 400);
             }
-            if (!body.new_email && !body.new_sk) {
-                return jsonResponse({ error: 'Either new_email or new_sk must be provided to perform an update.' }, 400);
+            if (!body.new_email && !body.new_sk && !hasAccountFields(body)) {
+                return jsonResponse({ error: 'At least one of new_email, new_sk or a metadata field must be provided to perform an update.' }, 400);
             }
-
-            const emailMap = await getEmailSkMap(env);
-
-            if (!emailMap[body.email]) {
-                return jsonResponse({ error: `Account for ${body.email} not found. Cannot update.` }, 404);
+            const fieldError =
+                (body.new_email !== undefined && validateEmail(body.new_email)) ||
+                (body.new_sk !== undefined && validateSk(body.new_sk)) ||
+                validateAccountFields(body);
+            if (fieldError) {
+                return jsonResponse({ error: fieldError }, 400);
             }
 
-            // Check for new_email conflict before proceeding
-            if (body.new_email && body.new_email !== body.email && emailMap[body.new_email]) {
-                return jsonResponse({ error: `The new email ${body.new_email} already exists. Cannot update.` }, 409);
+            if (body.new_email || body.new_sk) {
+                const accountMap = await getAccountMap(env);
+                if (!accountMap[body.email]) {
+                    return jsonResponse({ error: `Account for ${body.email} not found. Cannot update.` }, 404);
+                }
+                await snapshotBefore('update', accountMap);
             }
-            
-            // Store the original SK before any potential modification
-            const originalSk = emailMap[body.email];
 
-            // If renaming the email, we must delete the old entry
-            if (body.new_email && body.new_email !== body.email) {
-                delete emailMap[body.email];
+            // The rename, SK and metadata are applied together, against the current record
+            const [result] = await mutateAccounts(env, [
+                { type: 'update', email: body.email, new_email: body.new_email, sk: body.new_sk, fields: body },
+            ]);
+            if (!result.ok) {
+                return result.reason === 'not_found'
+                    ? jsonResponse({ error: `Account for ${body.email} not found. Cannot update.` }, 404)
+                    : jsonResponse({ error: `The new email ${body.new_email} already exists. Cannot update.` }, 409);
             }
-            
-            // Determine the final email key and SK value
-            const finalEmail = body.new_email || body.email;
-            const finalSk = body.new_sk || originalSk;
+            const finalEmail = result.email;
+            // Stored SKs may be encrypted, so compare against the decrypted value
+            const skChanged = !!body.new_sk && !!result.previous && !(await skMatches(env, result.previous.sk, body.new_sk));
 
-            emailMap[finalEmail] = finalSk;
-
-            await env.CLAUDE_KV.put('EMAIL_TO_SK_MAP', JSON.stringify(emailMap));
-            console.log(`Admin action: Account ${body.email} updated successfully. New details -> Email: ${finalEmail}, SK updated: ${!!body.new_sk}`);
+            // Keep the health record and cooldown attached to the account; a new SK starts with a clean record.
+            if (finalEmail !== body.email) {
+                await renameAccountHealth(env, body.email, finalEmail);
+                await renameAccountCooldown(env, body.email, finalEmail);
+                await renameStickyBindings(env, body.email, finalEmail);
+                await renameAccountSessions(env, body.email, finalEmail);
+            }
+            if (skChanged) {
+                await forgetAccountHealth(env, [finalEmail]);
+                await forgetAccountCooldowns(env, [finalEmail]);
+            }
+            console.log(`Admin action: Account ${body.email} updated successfully. New details -> Email: ${finalEmail}, SK updated: ${!!body.new_sk}, Enabled: ${result.record?.enabled}`);
+            auditAdmin('update', {
+                email: body.email,
+                detail: [
+                    finalEmail !== body.email && `renamed to ${finalEmail}`,
+                    skChanged && body.new_sk && `SK changed to ${maskSk(body.new_sk)}`,
+                    hasAccountFields(body) && 'metadata updated',
+                ].filter(Boolean).join(', ') || 'no changes',
+            });
+            if (body.enabled === false) {
+                ctx.waitUntil(checkPoolLevel(env));
+            }
             return jsonResponse({ message: `Account ${body.email} has been updated successfully.` });
         }
         
-        // POST /api/admin/batch: Processes multiple add/delete operations in one request
+        // POST /api/admin/batch: Processes multiple account actions in one request
         if (url.pathname === '/api/admin/batch' && request.method === 'POST') {
-            const body: AdminBatchRequest = await request.json();
+            const body: AdminBatchRequest = requestBody;
             if (!body.actions || !Array.isArray(body.actions)) {
                 return jsonResponse({ error: 'The "actions" array is required for batch processing.' }, 400);
             }
+            const allOrNothing = body.all_or_nothing === true;
+            const dryRun = body.dry_run === true;
 
-            const emailMap = await getEmailSkMap(env);
-            const results = [];
-            let modified = false;
-
+            // Valid items become store operations, applied together once every item has been checked
+            const results: { email: string; status: string; reason?: string; new_email?: string }[] = [];
+            const ops: AccountOp[] = [];
+            const opItems: { index: number; item: AdminBatchAction }[] = [];
             for (const item of body.actions) {
-                switch (item.action) {
-                    case 'add':
-                        if (!item.email || !item.sk) {
-                            results.push({ email: item.email, status: 'failed', reason: 'Email and SK are required for add action.' });
-                            continue;
-                        }
-                        if (emailMap[item.email]) {
-                            // To make it idempotent, we can treat adding an existing key as an update.
-                            emailMap[item.email] = item.sk;
-                            results.push({ email: item.email, status: 'updated' });
-                        } else {
-                            emailMap[item.email] = item.sk;
-                            results.push({ email: item.email, status: 'added' });
-                        }
-                        modified = true;
-                        break;
-                    
-                    case 'delete':
-                        if (!item.email) {
-                            results.push({ email: 'N/A', status: 'failed', reason: 'Email is required for delete action.' });
-                            continue;
-                        }
-                        if (emailMap[item.email]) {
-                            delete emailMap[item.email];
-                            results.push({ email: item.email, status: 'deleted' });
-                            modified = true;
-                        } else {
-                            results.push({ email: item.email, status: 'skipped', reason: 'Email not found.' });
-                        }
-                        break;
-
-                    default:
-                        results.push({ email: item.email, status: 'failed', reason: `Unknown action: ${item.action}` });
+                const op = batchItemToOp(item);
+                if (typeof op === 'string') {
+                    results.push({ email: item?.email || 'N/A', status: 'failed', reason: op });
+                    continue;
                 }
+                ops.push(op);
+                opItems.push({ index: results.length, item });
+                results.push({ email: item.email, status: 'pending' });
             }
 
-            if (modified) {
-                await env.CLAUDE_KV.put('EMAIL_TO_SK_MAP', JSON.stringify(emailMap));
+            // An all-or-nothing batch with an invalid item is only evaluated, like a dry run
+            const write = !dryRun && !(allOrNothing && results.some((result) => result.status === 'failed'));
+            if (write && ops.length > 0) {
+                await snapshotBefore('batch');
+            }
+            const opResults = ops.length > 0 ? await mutateAccounts(env, ops, { atomic: allOrNothing, dry_run: !write }) : [];
+
+            const resetHealthFor: string[] = [];
+            const deletedEmails: string[] = [];
+            const renamed: [string, string][] = [];
+            for (const [i, opResult] of opResults.entries()) {
+                const { index, item } = opItems[i];
+                if (!opResult.ok) {
+                    const reason =
+                        opResult.reason === 'exists' ? 'Email already exists. Use upsert or update.'
+                        : opResult.reason === 'conflict' ? `The new email ${item.new_email} already exists.`
+                        : 'Email not found.';
+                    // A missing account is nothing to delete, which only counts as a failure when the batch is all-or-nothing
+                    results[index] = { email: item.email, status: item.action === 'delete' && !allOrNothing ? 'skipped' : 'failed', reason };
+                    continue;
+                }
+                const newSk = item.action === 'update' ? item.new_sk : item.action === 'upsert' ? item.sk : undefined;
+                // Stored SKs may be encrypted, so compare against the decrypted value
+                if (item.action === 'delete' || (newSk && opResult.previous && !(await skMatches(env, opResult.previous.sk, newSk)))) {
+                    resetHealthFor.push(opResult.email);
+                }
+                if (item.action === 'delete') {
+                    deletedEmails.push(item.email);
+                }
+                if (opResult.email !== item.email) {
+                    renamed.push([item.email, opResult.email]);
+                }
+                const status = item.action === 'upsert' ? (opResult.previous ? 'updated' : 'added') : BATCH_STATUSES[item.action];
+                results[index] = { email: item.email, status, ...(opResult.email !== item.email && { new_email: opResult.email }) };
+            }
+
+            // Nothing was written if the batch was all-or-nothing and an item failed
+            const committed = write && opResults.some((result) => result.ok) && (!allOrNothing || opResults.every((result) => result.ok));
+            if (!committed && !dryRun && allOrNothing) {
+                for (const result of results) {
+                    if (result.status !== 'failed') {
+                        Object.assign(result, { status: 'rolled_back', reason: 'Another action in the batch failed.' });
+                    }
+                }
+            }
+
+            if (committed) {
+                // Health, cooldowns, sticky bindings and sessions follow renamed accounts; a new SK starts with a clean health record
+                for (const [from, to] of renamed) {
+                    await renameAccountHealth(env, from, to);
+                    await renameAccountCooldown(env, from, to);
+                    await renameStickyBindings(env, from, to);
+                    await renameAccountSessions(env, from, to);
+                }
+                await forgetAccountHealth(env, resetHealthFor);
+                await forgetAccountCooldowns(env, resetHealthFor);
+                await forgetAccountUsage(env, deletedEmails);
+                for (const email of deletedEmails) {
+                    await clearStickyBindings(env, { email });
+                }
                 console.log(`Admin action: Batch processing completed with ${body.actions.length} actions.`);
+                for (const [i, result] of results.entries()) {
+                    if (result.status !== 'failed' && result.status !== 'skipped') {
+                        auditAdmin(`batch.${body.actions[i].action}`, { email: result.email, detail: result.new_email ? `${result.status}, renamed to ${result.new_email}` : result.status });
+                    }
+                }
+                const added = results.filter((result) => result.status === 'added').map((result) => result.email);
+                notifyPoolChanges('batch', added, deletedEmails, true);
+            }
+
+            return jsonResponse({
+                message: dryRun ? 'Dry run: no changes were made.' : committed ? 'Batch processing complete.' : 'No changes were made.',
+                dry_run: dryRun,
+                all_or_nothing: allOrNothing,
+                committed,
+                results,
+            });
+        }
+
+        // POST /api/admin/health-check: Tests one or all SKs against the upstream and updates their health
+        if (url.pathname === '/api/admin/health-check' && request.method === 'POST') {
+            const body: AdminHealthCheckRequest = requestBody;
+            if (body.email) {
+                const accountMap = await getAccountMap(env);
+                if (!accountMap[body.email]) {
+                    return jsonResponse({ error: `Account for ${body.email} not found. Cannot check health.` }, 404);
+                }
+            }
+            const results = await runHealthChecks(env, body.email ? [body.email] : undefined);
+            console.log(`Admin action: Health check triggered for ${body.email || 'all accounts'}.`);
+            auditAdmin('health-check', { email: body.email, detail: `${results.length} account(s) checked` });
+            ctx.waitUntil(notifyHealthCheckResults(env, results));
+            return jsonResponse({ message: 'Health check complete.', results });
+        }
+
+        // POST /api/admin/unquarantine: Manually releases an account from quarantine
+        if (url.pathname === '/api/admin/unquarantine' && request.method === 'POST') {
+            const body: AdminUnquarantineRequest = requestBody;
+            if (!body.email) {
+                return jsonResponse({ error: 'Email is required for releasing an account from quarantine.' }, 400);
             }
+            const released = await releaseFromQuarantine(env, body.email);
+            if (!released) {
+                return jsonResponse({ error: `Account ${body.email} is not quarantined.` }, 404);
+            }
+            console.log(`Admin action: Account ${body.email} released from quarantine.`);
+            auditAdmin('unquarantine', { email: body.email });
+            return jsonResponse({ message: `Account ${body.email} has been released from quarantine.` });
+        }
+
+        // GET or POST /api/admin/cooldowns/list: Lists the accounts cooling down and the reports still below the threshold
+        if (url.pathname === '/api/admin/cooldowns/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const cooldowns = getActiveCooldowns(await getCooldownMap(env));
+            return jsonResponse({
+                cooldowns: sortEmails(Object.keys(cooldowns)).map((email) => ({ email, ...cooldowns[email] })),
+                pending_reports: await listCooldownReports(env),
+            });
+        }
+
+        // POST /api/admin/cooldowns/set: Puts an account on cooldown until a time or for a number of seconds
+        if (url.pathname === '/api/admin/cooldowns/set' && request.method === 'POST') {
+            const body: AdminCooldownSetRequest = requestBody;
+            if (!body.email) {
+                return jsonResponse({ error: 'Email is required for setting a cooldown.' }, 400);
+            }
+            if (!(await getAccountMap(env))[body.email]) {
+                return jsonResponse({ error: `Account for ${body.email} not found. Cannot set a cooldown.` }, 404);
+            }
+            if (body.reason !== undefined && typeof body.reason !== 'string') {
+                return jsonResponse({ error: 'Field "reason" must be a string.' }, 400);
+            }
+            const now = Date.now();
+            const end = parseCooldownEnd(body.until, body.duration, DEFAULT_ADMIN_COOLDOWN, now);
+            if (typeof end === 'string') {
+                return jsonResponse({ error: end }, 400);
+            }
+            if (end > now + MAX_ADMIN_COOLDOWN * 1000) {
+                return jsonResponse({ error: `A cooldown may last at most ${MAX_ADMIN_COOLDOWN / 86400} days. Disable the account instead.` }, 400);
+            }
+            const cooldown = {
+                until: new Date(end).toISOString(),
+                source: 'admin' as const,
+                set_by: auth.subject,
+                set_at: new Date(now).toISOString(),
+                ...(body.reason?.trim() && { reason: body.reason.trim() }),
+            };
+            await setCooldown(env, body.email, cooldown);
+            auditAdmin('cooldowns.set', { email: body.email, detail: `until ${cooldown.until}${cooldown.reason ? `: ${cooldown.reason}` : ''}` });
+            notify(accountCooldownEvent(body.email, cooldown));
+            ctx.waitUntil(checkPoolLevel(env));
+            return jsonResponse({ message: `Account ${body.email} is cooling down until ${cooldown.until}.`, cooldown: { email: body.email, ...cooldown } });
+        }
+
+        // POST /api/admin/cooldowns/clear: Ends an account's cooldown early
+        if (url.pathname === '/api/admin/cooldowns/clear' && request.method === 'POST') {
+            const body: AdminCooldownClearRequest = requestBody;
+            if (!body.email) {
+                return jsonResponse({ error: 'Email is required for clearing a cooldown.' }, 400);
+            }
+            if (!(await clearCooldown(env, body.email))) {
+                return jsonResponse({ error: `Account ${body.email} is not cooling down.` }, 404);
+            }
+            console.log(`Admin action: Cooldown of account ${body.email} cleared.`);
+            auditAdmin('cooldowns.clear', { email: body.email });
+            return jsonResponse({ message: `The cooldown of account ${body.email} has been cleared.` });
+        }
+
+        // GET or POST /api/admin/upstreams/list: Lists the configured upstreams with their health and pinned accounts
+        if (url.pathname === '/api/admin/upstreams/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const upstreams = getUpstreams(env);
+            const healthMap = await getUpstreamHealthMap(env);
+            const accountMap = await getAccountMap(env);
+            const pinned = Object.keys(accountMap).filter((email) => accountMap[email].upstreams?.length);
+            return jsonResponse({
+                upstreams: upstreams.map((upstream) => ({
+                    ...upstream,
+                    health: healthMap[upstream.name] || null,
+                    skipped: isUpstreamDown(healthMap, upstream.name),
+                    pinned_accounts: pinned.filter((email) => accountMap[email].upstreams!.includes(upstream.name)).length,
+                })),
+                // Accounts pinned only to upstreams that are not configured cannot be used
+                unrouted_accounts: sortEmails(pinned.filter((email) => routeAccount(upstreams, healthMap, accountMap[email]).length === 0)),
+            });
+        }
+
+        // POST /api/admin/upstreams/check: Probes every upstream now instead of waiting for the Cron Trigger
+        if (url.pathname === '/api/admin/upstreams/check' && request.method === 'POST') {
+            const healthMap = await checkUpstreams(env);
+            const down = Object.keys(healthMap).filter((name) => healthMap[name].status === 'down');
+            auditAdmin('upstreams.check', { detail: `${Object.keys(healthMap).length} upstream(s) checked, ${down.length} down` });
+            return jsonResponse({ message: 'Upstream check complete.', health: healthMap });
+        }
+
+        // GET or POST /api/admin/groups/list: Lists the account groups with their members
+        if (url.pathname === '/api/admin/groups/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const groupMap = await getGroupMap(env);
+            const accountMap = await getAccountMap(env);
+            const used = new Set(Object.values(accountMap).flatMap((record) => record.groups || []));
+            return jsonResponse({
+                groups: Object.values(groupMap)
+                    .sort((a, b) => a.name.localeCompare(b.name))
+                    .map((group) => ({ ...group, members: sortEmails(getGroupMembers(accountMap, group.name)) })),
+                // Names on accounts without a group definition; logins cannot select them until the group is created
+                undefined_groups: [...used].filter((name) => !groupMap[name]).sort(),
+            });
+        }
+
+        // POST /api/admin/groups/create: Defines a new account group
+        if (url.pathname === '/api/admin/groups/create' && request.method === 'POST') {
+            const body: AdminGroupCreateRequest = requestBody;
+            if (!isValidGroupName(body.name)) {
+                return jsonResponse({ error: 'A group name of 1-64 letters, digits, ".", "_" or "-" is required.' }, 400);
+            }
+            if (body.description !== undefined && typeof body.description !== 'string') {
+                return jsonResponse({ error: 'Field "description" must be a string.' }, 400);
+            }
+            const group = await createGroup(env, body.name, body.description);
+            if (!group) {
+                return jsonResponse({ error: `Group ${body.name} already exists.` }, 409);
+            }
+            console.log(`Admin action: Group ${body.name} created.`);
+            auditAdmin('groups.create', { detail: body.name });
+            return jsonResponse({ message: `Group ${body.name} created.`, group });
+        }
+
+        // POST /api/admin/groups/update: Changes a group's description and/or adds and removes members
+        if (url.pathname === '/api/admin/groups/update' && request.method === 'POST') {
+            const body: AdminGroupUpdateRequest = requestBody;
+            const isEmailList = (value: unknown) => value === undefined || (Array.isArray(value) && value.every((email) => typeof email === 'string'));
+            if (!isValidGroupName(body.name)) {
+                return jsonResponse({ error: 'A group name of 1-64 letters, digits, ".", "_" or "-" is required.' }, 400);
+            }
+            if (body.description !== undefined && typeof body.description !== 'string') {
+                return jsonResponse({ error: 'Field "description" must be a string.' }, 400);
+            }
+            if (!isEmailList(body.add_accounts) || !isEmailList(body.remove_accounts)) {
+                return jsonResponse({ error: 'Fields "add_accounts" and "remove_accounts" must be arrays of emails.' }, 400);
+            }
+            const add = body.add_accounts || [];
+            const remove = body.remove_accounts || [];
+            if (body.description === undefined && add.length === 0 && remove.length === 0) {
+                return jsonResponse({ error: 'At least one of description, add_accounts or remove_accounts must be provided.' }, 400);
+            }
+            if (!(await groupExists(env, body.name))) {
+                return jsonResponse({ error: `Group ${body.name} not found.` }, 404);
+            }
+
+            // Membership changes are all or nothing, so that a typo in one email changes nothing
+            const ops: AccountOp[] = [
+                ...add.map((email): AccountOp => ({ type: 'update_groups', email, add: [body.name] })),
+                ...remove.map((email): AccountOp => ({ type: 'update_groups', email, remove: [body.name] })),
+            ];
+            if (ops.length > 0) {
+                const results = await mutateAccounts(env, ops, { atomic: true });
+                const missing = results.filter((result) => !result.ok).map((result) => result.email);
+                if (missing.length > 0) {
+                    return jsonResponse({ error: `Account(s) not found: ${[...new Set(missing)].join(', ')}. No membership was changed.` }, 404);
+                }
+            }
+            const group = body.description !== undefined ? await updateGroup(env, body.name, body.description) : (await getGroupMap(env))[body.name];
+            console.log(`Admin action: Group ${body.name} updated (${add.length} added, ${remove.length} removed).`);
+            auditAdmin('groups.update', {
+                detail: [
+                    body.name,
+                    body.description !== undefined && 'description changed',
+                    add.length > 0 && `added ${add.join(', ')}`,
+                    remove.length > 0 && `removed ${remove.join(', ')}`,
+                ].filter(Boolean).join(', '),
+            });
+            return jsonResponse({ message: `Group ${body.name} updated.`, group, members: sortEmails(getGroupMembers(await getAccountMap(env), body.name)) });
+        }
+
+        // POST /api/admin/groups/delete: Deletes a group and removes it from every member (the accounts are kept)
+        if (url.pathname === '/api/admin/groups/delete' && request.method === 'POST') {
+            const body: AdminGroupDeleteRequest = requestBody;
+            if (!isValidGroupName(body.name)) {
+                return jsonResponse({ error: 'A group name of 1-64 letters, digits, ".", "_" or "-" is required.' }, 400);
+            }
+            if (!(await groupExists(env, body.name))) {
+                return jsonResponse({ error: `Group ${body.name} not found.` }, 404);
+            }
+            const members = getGroupMembers(await getAccountMap(env), body.name);
+            if (members.length > 0) {
+                await mutateAccounts(env, members.map((email): AccountOp => ({ type: 'update_groups', email, remove: [body.name] })));
+            }
+            await deleteGroup(env, body.name);
+            console.log(`Admin action: Group ${body.name} deleted (${members.length} member(s)).`);
+            auditAdmin('groups.delete', { detail: `${body.name}, ${members.length} member(s) removed` });
+            return jsonResponse({ message: `Group ${body.name} deleted.`, removed_members: sortEmails(members) });
+        }
+
+        // GET or POST /api/admin/sticky/list: Lists sticky-session bindings, optionally for one account
+        if (url.pathname === '/api/admin/sticky/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const body: AdminStickyListRequest = requestBody;
+            const bindings = await listStickyBindings(env, body.email ?? url.searchParams.get('email') ?? undefined);
+            bindings.sort((a, b) => a.email.localeCompare(b.email) || a.identity.localeCompare(b.identity));
+            return jsonResponse({ bindings });
+        }
+
+        // POST /api/admin/sticky/clear: Removes the binding of an identity, or all bindings of an account
+        if (url.pathname === '/api/admin/sticky/clear' && request.method === 'POST') {
+            const body: AdminStickyClearRequest = requestBody;
+            if (!body.identity && !body.email) {
+                return jsonResponse({ error: 'Either identity or email is required for clearing sticky bindings.' }, 400);
+            }
+            const cleared = await clearStickyBindings(env, { identity: body.identity, email: body.email });
+            console.log(`Admin action: Cleared ${cleared.length} sticky binding(s) for ${body.identity || body.email}.`);
+            auditAdmin('sticky.clear', { email: body.email, detail: `${cleared.length} binding(s) cleared${body.identity ? ` for identity ${body.identity}` : ''}` });
+            return jsonResponse({ message: `Cleared ${cleared.length} sticky binding(s).`, cleared });
+        }
+
+        // GET or POST /api/admin/sessions/list: Lists issued tokens that are still active, per account
+        if (url.pathname === '/api/admin/sessions/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const body: AdminSessionListRequest = requestBody;
+            const sessions = await listSessions(env, {
+                email: body.email ?? url.searchParams.get('email') ?? undefined,
+                unique_name: body.unique_name ?? url.searchParams.get('unique_name') ?? undefined,
+                include_inactive: (body.include_inactive ?? url.searchParams.get('include_inactive') === 'true') === true,
+            });
+            const byAccount: Record<string, number> = {};
+            for (const session of sessions) {
+                byAccount[session.email] = (byAccount[session.email] || 0) + 1;
+            }
+            return jsonResponse({ sessions, by_account: byAccount });
+        }
+
+        // POST /api/admin/sessions/revoke: Revokes a unique_name, cutting off its sessions where the upstream allows it
+        if (url.pathname === '/api/admin/sessions/revoke' && request.method === 'POST') {
+            const body: AdminSessionRevokeRequest = requestBody;
+            if (!isValidUniqueName(body.unique_name)) {
+                return jsonResponse({ error: 'A unique_name of 1-128 letters, digits, ".", "_", "@" or "-" is required for revoking.' }, 400);
+            }
+            const revoked = await revokeUniqueName(env, body.unique_name, auth.subject, body.reason);
+            // Sticky identities using the name keep their account but get a new unique_name on their next login
+            const rotated = await rotateStickyUniqueName(env, body.unique_name);
+            const upstream = await requestRevocation(env, body.unique_name);
+            console.log(`Admin action: Revoked unique_name ${body.unique_name} (${revoked.length} session(s), upstream: ${upstream}).`);
+            auditAdmin('sessions.revoke', {
+                result: upstream === 'failed' ? 'failure' : 'success',
+                detail: `${body.unique_name}: ${revoked.length} session(s) revoked, ${rotated.length} sticky binding(s) rotated, upstream ${upstream}`,
+            });
+            return jsonResponse({
+                message: `Revoked ${body.unique_name}.`,
+                revoked_sessions: revoked,
+                rotated_identities: rotated,
+                upstream,
+            });
+        }
+
+        // POST /api/admin/sessions/unrevoke: Allows tokens to be issued for a revoked unique_name again
+        if (url.pathname === '/api/admin/sessions/unrevoke' && request.method === 'POST') {
+            const body: AdminSessionRevokeRequest = requestBody;
+            if (!isValidUniqueName(body.unique_name)) {
+                return jsonResponse({ error: 'A unique_name of 1-128 letters, digits, ".", "_", "@" or "-" is required.' }, 400);
+            }
+            if (!(await unrevokeUniqueName(env, body.unique_name))) {
+                return jsonResponse({ error: `The unique_name ${body.unique_name} is not revoked.` }, 404);
+            }
+            auditAdmin('sessions.unrevoke', { detail: body.unique_name });
+            return jsonResponse({ message: `The revocation of ${body.unique_name} has been lifted.` });
+        }
+
+        // POST /api/admin/access-codes/create: Issues a new access code for the user endpoints
+        if (url.pathname === '/api/admin/access-codes/create' && request.method === 'POST') {
+            const body: AdminAccessCodeCreateRequest = requestBody;
+            const settings = parseAccessCodeSettings(body);
+            if (typeof settings === 'string') {
+                return jsonResponse({ error: settings }, 400);
+            }
+            const { code, record } = await createAccessCode(env, settings);
+            console.log(`Admin action: Access code ${record.code_preview} created for ${record.owner}.`);
+            auditAdmin('access-codes.create', { detail: `${record.code_preview} for ${record.owner}` });
+            return jsonResponse({ message: `Access code created for ${record.owner}. Store it now; it cannot be shown again.`, code, access_code: record });
+        }
+
+        // GET or POST /api/admin/access-codes/list: Lists all access codes (without the codes themselves)
+        if (url.pathname === '/api/admin/access-codes/list' && (request.method === 'GET' || request.method === 'POST')) {
+            const accessCodes = await listAccessCodes(env);
+            return jsonResponse({ access_codes: accessCodes });
+        }
+
+        // POST /api/admin/access-codes/revoke: Revokes an access code
+        if (url.pathname === '/api/admin/access-codes/revoke' && request.method === 'POST') {
+            const body: AdminAccessCodeIdRequest = requestBody;
+            if (!body.id) {
+                return jsonResponse({ error: 'The id of the access code is required.' }, 400);
+            }
+            const revoked = await revokeAccessCode(env, body.id);
+            if (!revoked) {
+                return jsonResponse({ error: `Access code ${body.id} not found.` }, 404);
+            }
+            console.log(`Admin action: Access code ${revoked.code_preview} of ${revoked.owner} revoked.`);
+            auditAdmin('access-codes.revoke', { detail: `${revoked.code_preview} of ${revoked.owner}` });
+            return jsonResponse({ message: `Access code ${revoked.code_preview} of ${revoked.owner} has been revoked.` });
+        }
+
+        // POST /api/admin/access-codes/rotate: Replaces an access code with a new one that has the same settings
+        if (url.pathname === '/api/admin/access-codes/rotate' && request.method === 'POST') {
+            const body: AdminAccessCodeIdRequest = requestBody;
+            if (!body.id) {
+                return jsonResponse({ error: 'The id of the access code is required.' }, 400);
+            }
+            const rotated = await rotateAccessCode(env, body.id);
+            if (!rotated) {
+                return jsonResponse({ error: `Access code ${body.id} not found.` }, 404);
+            }
+            console.log(`Admin action: Access code of ${rotated.record.owner} rotated to ${rotated.record.code_preview}.`);
+            auditAdmin('access-codes.rotate', { detail: `${rotated.record.owner} rotated to ${rotated.record.code_preview}` });
+            return jsonResponse({ message: `Access code of ${rotated.record.owner} rotated. Store the new code now; it cannot be shown again.`, code: rotated.code, access_code: rotated.record });
+        }
+
+        // GET or POST /api/admin/stats: Summarizes the metrics: the pool now, totals and hourly history
+        if (url.pathname === '/api/admin/stats' && (request.method === 'GET' || request.method === 'POST')) {
+            const body: AdminStatsRequest = requestBody;
+            const hours = body.hours ?? (url.searchParams.has('hours') ? Number(url.searchParams.get('hours')) : DEFAULT_HISTORY_HOURS);
+            if (!Number.isInteger(hours) || hours <= 0) {
+                return jsonResponse({ error: 'Field "hours" must be a positive integer.' }, 400);
+            }
+            const history = await getMetricsHistory(env, hours);
+            const totals = await getMetricsTotals(env);
+            return jsonResponse({
+                generated_at: new Date().toISOString(),
+                pool: await readPoolGauges(env),
+                window: { since: history[0].start, hours: history.length, ...summarizeMetrics(mergeBuckets(history), true) },
+                totals: { since: totals.since, ...summarizeMetrics(totals, true) },
+                history: history.map((bucket) => ({ start: bucket.start, ...summarizeMetrics(bucket, false), pool: bucket.pool || null })),
+            });
+        }
+
+        // GET or POST /api/admin/usage: Lists the live rate-limit and quota counters, optionally for one scope/subject
+        if (url.pathname === '/api/admin/usage' && (request.method === 'GET' || request.method === 'POST')) {
+            const body: AdminUsageRequest = requestBody;
+            const scope = body.scope ?? url.searchParams.get('scope') ?? undefined;
+            const subject = body.subject ?? url.searchParams.get('subject') ?? undefined;
+            if (scope !== undefined && !isLimitScope(scope)) {
+                return jsonResponse({ error: 'Invalid scope specified. Must be "ip", "identity" or "account".' }, 400);
+            }
+            if (subject && !scope) {
+                return jsonResponse({ error: 'A scope is required when filtering by subject.' }, 400);
+            }
+            const usage = await listUsage(env, { scope, subject });
+            usage.sort((a, b) => a.scope.localeCompare(b.scope) || a.subject.localeCompare(b.subject) || a.kind.localeCompare(b.kind));
+            return jsonResponse({ usage });
+        }
+
+        // POST /api/admin/usage/reset: Resets rate-limit and quota counters, optionally for one scope/subject
+        if (url.pathname === '/api/admin/usage/reset' && request.method === 'POST') {
+            const body: AdminUsageRequest = requestBody;
+            if (body.scope !== undefined && !isLimitScope(body.scope)) {
+                return jsonResponse({ error: 'Invalid scope specified. Must be "ip", "identity" or "account".' }, 400);
+            }
+            if (body.subject && !body.scope) {
+                return jsonResponse({ error: 'A scope is required when resetting the counters of a subject.' }, 400);
+            }
+            const reset = await resetUsage(env, { scope: body.scope, subject: body.subject });
+            console.log(`Admin action: Reset ${reset} usage counter(s) for ${body.subject || body.scope || 'all subjects'}.`);
+            auditAdmin('usage.reset', { detail: `${reset} counter(s) reset for ${body.subject || body.scope || 'all subjects'}` });
+            return jsonResponse({ message: `Reset ${reset} usage counter(s).`, reset });
+        }
+
+        // GET or POST /api/admin/audit: Reads the audit log, newest first, with optional filters and pagination
+        if (url.pathname === '/api/admin/audit' && (request.method === 'GET' || request.method === 'POST')) {
+            const body: AdminAuditRequest = requestBody;
+            const query = parseAuditQuery({
+                action: body.action ?? url.searchParams.get('action') ?? undefined,
+                actor: body.actor ?? url.searchParams.get('actor') ?? undefined,
+                email: body.email ?? url.searchParams.get('email') ?? undefined,
+                ip: body.ip ?? url.searchParams.get('ip') ?? undefined,
+                result: body.result ?? url.searchParams.get('result') ?? undefined,
+                since: body.since ?? url.searchParams.get('since') ?? undefined,
+                until: body.until ?? url.searchParams.get('until') ?? undefined,
+                limit: body.limit ?? (url.searchParams.has('limit') ? Number(url.searchParams.get('limit')) : undefined),
+                cursor: body.cursor ?? url.searchParams.get('cursor') ?? undefined,
+            });
+            if (typeof query === 'string') {
+                return jsonResponse({ error: query }, 400);
+            }
+            const { entries, cursor } = await queryAudit(env, query);
+            return jsonResponse({ entries, cursor });
+        }
+
+        // GET or POST /api/admin/webhooks/list: Lists the webhooks with their last delivery (without their secrets)
+        if (url.pathname === '/api/admin/webhooks/list' && (request.method === 'GET' || request.method === 'POST')) {
+            return jsonResponse({ webhooks: await listWebhooks(env) });
+        }
+
+        // POST /api/admin/webhooks/create: Registers a webhook; its signing secret is only returned here
+        if (url.pathname === '/api/admin/webhooks/create' && request.method === 'POST') {
+            const body: AdminWebhookRequest = requestBody;
+            const settings = parseWebhookSettings(body);
+            if (typeof settings === 'string') {
+                return jsonResponse({ error: settings }, 400);
+            }
+            const webhook = await createWebhook(env, settings);
+            if (typeof webhook === 'string') {
+                return jsonResponse({ error: webhook }, 400);
+            }
+            console.log(`Admin action: Webhook ${webhook.id} created (${webhook.format}, events: ${webhook.events.join(', ')}).`);
+            auditAdmin('webhooks.create', { detail: `${webhook.id} (${webhook.format}) for ${webhook.events.join(', ')}` });
+            return jsonResponse({ message: `Webhook ${webhook.id} created. Store its secret now; it cannot be shown again.`, secret: webhook.secret, webhook: summarizeWebhook(webhook) });
+        }
+
+        // POST /api/admin/webhooks/update: Changes the given settings of a webhook
+        if (url.pathname === '/api/admin/webhooks/update' && request.method === 'POST') {
+            const body: AdminWebhookRequest = requestBody;
+            if (!body.id) {
+                return jsonResponse({ error: 'The webhook id is required for updating.' }, 400);
+            }
+            const settings = parseWebhookSettings(body, true);
+            if (typeof settings === 'string') {
+                return jsonResponse({ error: settings }, 400);
+            }
+            const webhook = await updateWebhook(env, body.id, settings);
+            if (webhook === null) {
+                return jsonResponse({ error: `Webhook ${body.id} not found.` }, 404);
+            }
+            if (typeof webhook === 'string') {
+                return jsonResponse({ error: webhook }, 400);
+            }
+            auditAdmin('webhooks.update', { detail: `${body.id}: ${Object.keys(settings).join(', ') || 'no changes'}` });
+            return jsonResponse({ message: `Webhook ${body.id} updated.`, webhook: summarizeWebhook(webhook) });
+        }
+
+        // POST /api/admin/webhooks/delete: Unregisters a webhook
+        if (url.pathname === '/api/admin/webhooks/delete' && request.method === 'POST') {
+            const body: AdminWebhookIdRequest = requestBody;
+            if (!body.id) {
+                return jsonResponse({ error: 'The webhook id is required for deleting.' }, 400);
+            }
+            const webhook = await deleteWebhook(env, body.id);
+            if (!webhook) {
+                return jsonResponse({ error: `Webhook ${body.id} not found.` }, 404);
+            }
+            auditAdmin('webhooks.delete', { detail: `${webhook.id} (${webhook.url})` });
+            return jsonResponse({ message: `Webhook ${body.id} deleted.` });
+        }
+
+        // POST /api/admin/webhooks/test: Sends a test event to a webhook now and reports how the delivery went
+        if (url.pathname === '/api/admin/webhooks/test' && request.method === 'POST') {
+            const body: AdminWebhookIdRequest = requestBody;
+            if (!body.id) {
+                return jsonResponse({ error: 'The webhook id is required for testing.' }, 400);
+            }
+            const delivery = await testWebhook(env, body.id, auth.subject);
+            if (!delivery) {
+                return jsonResponse({ error: `Webhook ${body.id} not found.` }, 404);
+            }
+            auditAdmin('webhooks.test', {
+                result: delivery.ok ? 'success' : 'failure',
+                status: delivery.ok ? 200 : 502,
+                detail: `${body.id}: ${delivery.ok ? `delivered (HTTP ${delivery.status})` : delivery.error} after ${delivery.attempts} attempt(s)`,
+            });
+            return jsonResponse({ message: delivery.ok ? 'Test event delivered.' : 'Test event could not be delivered.', delivery });
+        }
+
+        // GET or POST /api/admin/cors: Shows the CORS policy of the user and the admin routes and where each comes from
+        if (url.pathname === '/api/admin/cors' && (request.method === 'GET' || request.method === 'POST')) {
+            return jsonResponse({ policies: await listCorsPolicies(env) });
+        }
+
+        // POST /api/admin/cors/update: Saves the CORS policy of a scope, which then takes precedence over the environment
+        if (url.pathname === '/api/admin/cors/update' && request.method === 'POST') {
+            const body: AdminCorsUpdateRequest = requestBody;
+            if (!isCorsScope(body.scope)) {
+                return jsonResponse({ error: `Field "scope" must be one of: ${CORS_SCOPES.join(', ')}.` }, 400);
+            }
+            const changes = parseCorsPolicy(body);
+            if (typeof changes === 'string') {
+                return jsonResponse({ error: changes }, 400);
+            }
+            const policy = await updateCorsPolicy(env, body.scope, changes, auth.subject);
+            const summary = `${policy.origins.join(', ') || 'same origin only'}${policy.credentials ? ', with credentials' : ''}`;
+            console.log(`Admin action: CORS policy of the ${body.scope} routes set to ${summary}.`);
+            auditAdmin('cors.update', { detail: `${body.scope}: ${summary}` });
+            return jsonResponse({ message: `CORS policy of the ${body.scope} routes updated.`, policy });
+        }
+
+        // POST /api/admin/cors/reset: Removes the saved CORS policy of a scope, so that the environment's applies again
+        if (url.pathname === '/api/admin/cors/reset' && request.method === 'POST') {
+            const body: AdminCorsResetRequest = requestBody;
+            if (!isCorsScope(body.scope)) {
+                return jsonResponse({ error: `Field "scope" must be one of: ${CORS_SCOPES.join(', ')}.` }, 400);
+            }
+            const policy = await resetCorsPolicy(env, body.scope);
+            auditAdmin('cors.reset', { detail: body.scope });
+            return jsonResponse({ message: `CORS policy of the ${body.scope} routes reset to the environment.`, policy });
+        }
+
+        // GET or POST /api/admin/admins/me: Returns the authenticated admin and their role
+        if (url.pathname === '/api/admin/admins/me' && (request.method === 'GET' || request.method === 'POST')) {
+            return jsonResponse({ username: auth.subject, role: auth.role });
+        }
+
+        // GET or POST /api/admin/admins/list: Lists the named admin users
+        if (url.pathname === '/api/admin/admins/list' && (request.method === 'GET' || request.method === 'POST')) {
+            return jsonResponse({ admins: await listAdminUsers(env) });
+        }
+
+        // POST /api/admin/admins/create: Creates a named admin user
+        if (url.pathname === '/api/admin/admins/create' && request.method === 'POST') {
+            const body: AdminUserCreateRequest = requestBody;
+            if (!isValidAdminUsername(body.username)) {
+                return jsonResponse({ error: `Invalid username. Use 1-64 letters, digits, ".", "_", "@" or "-", other than "${BOOTSTRAP_ADMIN}".` }, 400);
+            }
+            if (!isAdminRole(body.role)) {
+                return jsonResponse({ error: `Invalid role specified. Must be one of: ${ADMIN_ROLES.join(', ')}.` }, 400);
+            }
+            const passwordError = validateAdminPassword(body.password);
+            if (passwordError) {
+                return jsonResponse({ error: passwordError }, 400);
+            }
+            if (!(await createAdminUser(env, body.username, body.password, body.role))) {
+                return jsonResponse({ error: `Admin user ${body.username} already exists.` }, 409);
+            }
+            console.log(`Admin action: Admin user ${body.username} created with role ${body.role}.`);
+            auditAdmin('admins.create', { detail: `${body.username} as ${body.role}` });
+            return jsonResponse({ message: `Admin user ${body.username} created with role ${body.role}.` });
+        }
+
+        // POST /api/admin/admins/update: Changes the role, password or disabled flag of a named admin user
+        if (url.pathname === '/api/admin/admins/update' && request.method === 'POST') {
+            const body: AdminUserUpdateRequest = requestBody;
+            if (!body.username) {
+                return jsonResponse({ error: 'The username of the admin user is required.' }, 400);
+            }
+            if (body.role !== undefined && !isAdminRole(body.role)) {
+                return jsonResponse({ error: `Invalid role specified. Must be one of: ${ADMIN_ROLES.join(', ')}.` }, 400);
+            }
+            if (body.password !== undefined) {
+                const passwordError = validateAdminPassword(body.password);
+                if (passwordError) {
+                    return jsonResponse({ error: passwordError }, 400);
+                }
+            }
+            if (body.disabled !== undefined && typeof body.disabled !== 'boolean') {
+                return jsonResponse({ error: 'Field "disabled" must be a boolean.' }, 400);
+            }
+            if (body.role === undefined && body.password === undefined && body.disabled === undefined) {
+                return jsonResponse({ error: 'At least one of role, password or disabled must be provided to perform an update.' }, 400);
+            }
+            if (!(await updateAdminUser(env, body.username, { role: body.role, password: body.password, disabled: body.disabled }))) {
+                return jsonResponse({ error: `Admin user ${body.username} not found.` }, 404);
+            }
+            const changes = [body.role && `role ${body.role}`, body.password && 'password changed', body.disabled !== undefined && (body.disabled ? 'disabled' : 'enabled')];
+            console.log(`Admin action: Admin user ${body.username} updated.`);
+            auditAdmin('admins.update', { detail: `${body.username}: ${changes.filter(Boolean).join(', ')}` });
+            return jsonResponse({ message: `Admin user ${body.username} has been updated successfully.` });
+        }
+
+        // POST /api/admin/admins/delete: Deletes a named admin user
+        if (url.pathname === '/api/admin/admins/delete' && request.method === 'POST') {
+            const body: AdminUserDeleteRequest = requestBody;
+            if (!body.username) {
+                return jsonResponse({ error: 'The username of the admin user is required.' }, 400);
+            }
+            if (!(await deleteAdminUser(env, body.username))) {
+                return jsonResponse({ error: `Admin user ${body.username} not found.` }, 404);
+            }
+            console.log(`Admin action: Admin user ${body.username} deleted.`);
+            auditAdmin('admins.delete', { detail: body.username });
+            return jsonResponse({ message: `Admin user ${body.username} deleted successfully.` });
+        }
 
-            return jsonResponse({ message: 'Batch processing complete.', results });
+        // GET or POST /api/admin/encryption/status: Reports the current SK encryption key and how the SKs are stored
+        if (url.pathname === '/api/admin/encryption/status' && (request.method === 'GET' || request.method === 'POST')) {
+            return jsonResponse(await getEncryptionStatus(env));
+        }
+
+        // POST /api/admin/encryption/rotate: Re-encrypts every SK with the current SK_ENCRYPTION_KEY
+        if (url.pathname === '/api/admin/encryption/rotate' && request.method === 'POST') {
+            const body: AdminEncryptionRotateRequest = requestBody;
+            if (!env.SK_ENCRYPTION_KEY) {
+                return jsonResponse({ error: 'SK_ENCRYPTION_KEY is not set. Set it as a secret before rotating.' }, 400);
+            }
+            const result = await reencryptAccountMap(env, body.dry_run === true);
+            if (!body.dry_run) {
+                console.log(`Admin action: Re-encrypted ${result.reencrypted.length} SK(s) with key ${result.key_id}, ${result.failed.length} failed.`);
+                auditAdmin('encryption.rotate', {
+                    result: result.failed.length > 0 ? 'failure' : 'success',
+                    detail: `${result.reencrypted.length} SK(s) re-encrypted with key ${result.key_id}, ${result.failed.length} failed`,
+                });
+            }
+            return jsonResponse({ ...result, dry_run: body.dry_run === true });
+        }
+
+        // POST /api/admin/storage/migrate: Imports EMAIL_TO_SK_MAP from KV into the Durable Object account store
+        if (url.pathname === '/api/admin/storage/migrate' && request.method === 'POST') {
+            const body: AdminStorageMigrateRequest = requestBody;
+            if (!env.ACCOUNT_STORE) {
+                return jsonResponse({ error: 'The ACCOUNT_STORE Durable Object binding is not configured.' }, 400);
+            }
+            if (body.replace) {
+                await snapshotBefore('storage.migrate');
+            }
+            const result = await migrateAccountsToDurableObject(env, body.replace === true);
+            if (result.imported === null) {
+                return jsonResponse({
+                    message: `The accounts were already imported at ${result.imported_at}. Pass "replace": true to import again.`,
+                    backend: getAccountStore(env).backend,
+                    ...result,
+                });
+            }
+            console.log(`Admin action: Imported ${result.imported} account(s) into the Durable Object account store.`);
+            auditAdmin('storage.migrate', { detail: `${result.imported} account(s) imported${body.replace ? ', replacing the existing ones' : ''}` });
+            return jsonResponse({ message: `Imported ${result.imported} account(s).`, backend: getAccountStore(env).backend, ...result });
+        }
+
+        // POST /api/admin/export: Exports the pool with plaintext SKs as JSON or CSV, optionally encrypted with a passphrase
+        if (url.pathname === '/api/admin/export' && request.method === 'POST') {
+            const body: AdminExportRequest = requestBody;
+            const format = body.format || 'json';
+            if (format !== 'json' && format !== 'csv') {
+                return jsonResponse({ error: 'Field "format" must be "json" or "csv".' }, 400);
+            }
+            if (body.passphrase !== undefined && (typeof body.passphrase !== 'string' || body.passphrase.length < 8)) {
+                return jsonResponse({ error: 'Field "passphrase" must be a string of at least 8 characters.' }, 400);
+            }
+            const accountMap = await getAccountMap(env);
+            let exported;
+            try {
+                exported = await exportAccounts(env, accountMap, format, body.passphrase);
+            } catch (e: any) {
+                return jsonResponse({ error: e.message }, 500);
+            }
+            const filename = `accounts-${new Date().toISOString().slice(0, 10)}.${body.passphrase ? `${format}.enc.json` : format}`;
+            console.log(`Admin action: Exported ${Object.keys(accountMap).length} account(s) as ${format}.`);
+            auditAdmin('export', { detail: `${Object.keys(accountMap).length} account(s) as ${format}${body.passphrase ? ', encrypted' : ''}` });
+            return typeof exported === 'string'
+                ? fileResponse(exported, 'text/csv; charset=utf-8', filename)
+                : jsonResponse(exported, 200, { 'Content-Disposition': `attachment; filename="${filename}"` });
+        }
+
+        // POST /api/admin/import: Merges accounts into the pool or replaces it, reporting the changes
+        if (url.pathname === '/api/admin/import' && request.method === 'POST') {
+            const body: AdminImportRequest = requestBody;
+            if (body.mode !== 'merge' && body.mode !== 'replace') {
+                return jsonResponse({ error: 'Field "mode" must be "merge" or "replace".' }, 400);
+            }
+            if (body.data === undefined || body.data === null) {
+                return jsonResponse({ error: 'Field "data" is required for importing.' }, 400);
+            }
+            // Nothing is written unless every account in the import is valid
+            const incoming = await parseImportData(body.data, body.passphrase);
+            if (typeof incoming === 'string') {
+                return jsonResponse({ error: incoming }, 400);
+            }
+            if (body.mode === 'replace' && Object.keys(incoming).length === 0) {
+                return jsonResponse({ error: 'The import contains no accounts. Refusing to replace the pool with an empty one.' }, 400);
+            }
+            const dryRun = body.dry_run === true;
+            const current = await getAccountMap(env);
+            const { diff, ops } = await planImport(env, current, incoming, body.mode);
+            let snapshotId: string | undefined;
+            if (!dryRun && ops.length > 0) {
+                snapshotId = (await createSnapshot(env, current, 'import', auth.subject)).id;
+                await applyPoolChanges(diff, ops);
+                const summary = `${diff.added.length} added, ${diff.updated.length} updated, ${diff.removed.length} removed`;
+                console.log(`Admin action: Imported accounts (${body.mode}): ${summary}.`);
+                auditAdmin('import', { detail: `${body.mode}: ${summary}, snapshot ${snapshotId}` });
+                notifyPoolChanges('import', diff.added, diff.removed);
+            }
+            return jsonResponse({
+                message: dryRun ? 'Dry run: no changes were made.' : ops.length > 0 ? 'Import complete.' : 'Nothing to import: the pool already matches.',
+                mode: body.mode,
+                dry_run: dryRun,
+                ...(snapshotId && { snapshot_id: snapshotId }),
+                diff,
+            });
+        }
+
+        // GET or POST /api/admin/snapshots/list: Lists the pool snapshots, newest first
+        if (url.pathname === '/api/admin/snapshots/list' && (request.method === 'GET' || request.method === 'POST')) {
+            return jsonResponse({ snapshots: await listSnapshots(env) });
+        }
+
+        // POST /api/admin/snapshots/create: Takes a snapshot of the pool
+        if (url.pathname === '/api/admin/snapshots/create' && request.method === 'POST') {
+            const body: AdminSnapshotCreateRequest = requestBody;
+            if (body.reason !== undefined && (typeof body.reason !== 'string' || body.reason.length > 200)) {
+                return jsonResponse({ error: 'Field "reason" must be a string of at most 200 characters.' }, 400);
+            }
+            const snapshot = await snapshotBefore(body.reason?.trim() || 'manual');
+            auditAdmin('snapshots.create', { detail: `${snapshot.id} (${snapshot.count} account(s))` });
+            return jsonResponse({ message: `Snapshot ${snapshot.id} created.`, snapshot });
+        }
+
+        // POST /api/admin/snapshots/restore: Restores the pool exactly as it was in a snapshot
+        if (url.pathname === '/api/admin/snapshots/restore' && request.method === 'POST') {
+            const body: AdminSnapshotRestoreRequest = requestBody;
+            if (!body.id) {
+                return jsonResponse({ error: 'The snapshot id is required for restoring.' }, 400);
+            }
+            const snapshot = await getSnapshot(env, body.id);
+            if (!snapshot) {
+                return jsonResponse({ error: `Snapshot ${body.id} not found. It may have expired.` }, 404);
+            }
+            const dryRun = body.dry_run === true;
+            const current = await getAccountMap(env);
+            const { diff, ops } = await planRestore(env, current, snapshot);
+            let snapshotId: string | undefined;
+            if (!dryRun && ops.length > 0) {
+                // The pool being replaced is itself snapshotted, so a restore can be undone
+                snapshotId = (await createSnapshot(env, current, 'restore', auth.subject)).id;
+                await applyPoolChanges(diff, ops);
+                const summary = `${diff.added.length} added, ${diff.updated.length} updated, ${diff.removed.length} removed`;
+                console.log(`Admin action: Restored snapshot ${body.id}: ${summary}.`);
+                auditAdmin('snapshots.restore', { detail: `${body.id}: ${summary}, previous pool in snapshot ${snapshotId}` });
+                notifyPoolChanges('restore', diff.added, diff.removed);
+            }
+            return jsonResponse({
+                message: dryRun ? 'Dry run: no changes were made.' : ops.length > 0 ? `Snapshot ${body.id} restored.` : 'Nothing to restore: the pool already matches the snapshot.',
+                dry_run: dryRun,
+                ...(snapshotId && { snapshot_id: snapshotId }),
+                diff,
+            });
         }
 
         // If an admin path was hit but not any of the specific routes above
@@ -552,6 +1671,11 @@ export default {
 
       } // End of /api/admin block
 
+      // Anything outside the API is the web UI
+      if (env.ASSETS && !url.pathname.startsWith('/api/') && request.method === 'GET') {
+        return env.ASSETS.fetch(request);
+      }
+
       // Fallback for any other route not matched
       return jsonResponse({ error: 'Not Found. The requested endpoint does not exist.' }, 404);
 
@@ -559,6 +1683,45 @@ export default {
       console.error("Worker encountered an unhandled error:", error.stack || error);
       // Return a generic error message to the client
       return jsonResponse({ error: 'An internal server error occurred. Please try again later.' }, 500);
+    } finally {
+      ctx.waitUntil(flushMetrics(env, metrics));
+    }
+  },
+
+  /**
+   * Handles Cron Trigger invocations by health-checking every SK in the pool, notifying webhooks of accounts that were
+   * quarantined or a pool that runs low, recording the pool's size and health in the metrics, and pruning expired
+   * session records and ended cooldowns.
+   * @param controller The ScheduledController describing the trigger.
+   * @param env The Environment object with bindings and secrets.
+   * @param ctx The ExecutionContext for the invocation.
+   */
+  async scheduled(controller: ScheduledController, env: Env, ctx: ExecutionContext): Promise<void> {
+    console.log(`Scheduled maintenance triggered by cron "${controller.cron}".`);
+    // Upstreams are probed first, so that SKs are tested at an upstream that is up
+    ctx.waitUntil(
+      checkUpstreams(env)
+        .catch((e) => console.error('Upstream check failed:', e))
+        .then(() => runHealthChecks(env))
+        .then((results) => notifyHealthCheckResults(env, results))
+        .then(() => recordPoolGauges(env)),
+    );
+    ctx.waitUntil(pruneSessions(env));
+    ctx.waitUntil(pruneCooldowns(env));
+  },
+};
+
+/**
+ * The Worker: answers CORS preflights and adds the CORS headers of the requested route's policy (user or admin)
+ * to every response of the app (see cors.ts).
+ */
+export default {
+  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
+    const cors = await getCorsPolicy(env, getCorsScope(new URL(request.url).pathname));
+    if (request.method === 'OPTIONS') {
+      return handlePreflight(request, cors);
     }
+    return applyCors(request, cors, await app.fetch(request, env, ctx));
   },
+  scheduled: app.scheduled,
 };
\ No newline at end of file
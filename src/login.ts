@@ -0,0 +1,241 @@
+// src/login.ts
+/**
+ * The token exchange step shared by /api/login and /api/admin/login.
+ * The chosen account's SK is decrypted and exchanged through the upstream client (see upstream.ts), at the
+ * upstreams the account is routed to (see routing.ts); while an upstream fails, the next one is tried. An SK the
+ * upstream rejects counts against the account's health (except in specific-mode user logins), and when the account
+ * was picked by a selection strategy the login fails over to another candidate, at most LOGIN_FAILOVER_ATTEMPTS
+ * times. Every failure carries a stable error code and the HTTP status to answer with, so that callers never have to
+ * throw.
+ */
+
+import type { AccountMap, Env } from './types';
+import { decryptSk } from './skcrypto';
+import { exchangeToken, OAuthTokenPayload, TokenExchangeResult, UpstreamErrorCode } from './upstream';
+import { getUpstreamHealthMap, getUpstreams, recordUpstreamResult, routeAccount, Upstream, UpstreamHealthMap } from './routing';
+import { selectAccount, SelectionStrategy } from './selection';
+import { recordSkRejection } from './health';
+import type { ExchangeSample } from './metrics';
+
+const DEFAULT_FAILOVER_ATTEMPTS = 2;
+
+/**
+ * The error codes a login can fail with after the account was chosen.
+ */
+export type LoginErrorCode = UpstreamErrorCode | 'SK_DECRYPTION_FAILED' | 'NO_UPSTREAM';
+
+/**
+ * The HTTP status returned for each error code. A rejected SK is the upstream's verdict on the account, not on the
+ * caller, so it is reported as a bad gateway rather than a 4xx; a refused request is passed on as a bad request.
+ */
+export const LOGIN_ERROR_STATUS: Record<LoginErrorCode, number> = {
+  SK_REJECTED: 502,
+  UPSTREAM_BAD_REQUEST: 400,
+  UPSTREAM_UNAVAILABLE: 503,
+  UPSTREAM_TIMEOUT: 504,
+  UPSTREAM_RATE_LIMITED: 503,
+  UPSTREAM_BAD_RESPONSE: 502,
+  SK_DECRYPTION_FAILED: 500,
+  NO_UPSTREAM: 503,
+};
+
+/**
+ * How a login may fail over to another account when the chosen SK is rejected.
+ */
+export interface FailoverOptions {
+  strategy: SelectionStrategy;
+  /**
+   * The accounts that were eligible for selection, including the one chosen first.
+   */
+  candidates: string[];
+  /**
+   * Optional: Called before falling over to an account; returning false skips it (e.g. its login limit is reached).
+   */
+  admit?: (email: string) => Promise<boolean>;
+}
+
+/**
+ * Options of a login's token exchange.
+ */
+export interface LoginExchangeOptions {
+  /**
+   * Enables failover, for accounts picked by a selection strategy.
+   */
+  failover?: FailoverOptions;
+  /**
+   * The name of the upstream the caller prefers, tried first where the account may use it.
+   */
+  upstream?: string;
+  /**
+   * Whether a rejected SK counts against the account's health (default true). Off for logins whose account and
+   * payload the caller chooses freely, such as specific-mode user logins, so that callers cannot quarantine accounts.
+   */
+  recordRejections?: boolean;
+}
+
+/**
+ * The outcome of a login's token exchange. `email` is the account that was used last and `rejected` lists the
+ * accounts whose SK the upstream refused along the way, of which `quarantined` lists those the rejection moved
+ * into quarantine; `exchanges` describes every exchange made, for the metrics. On success, `login_url` is
+ * absolute, built from the upstream that served the exchange.
+ */
+export type LoginExchangeResult = { email: string; rejected: string[]; quarantined: string[]; attempts: number; exchanges: ExchangeSample[] } & (
+  | { ok: true; login_url: string; upstream: string }
+  | { ok: false; code: LoginErrorCode; error: string; status: number; retryAfter?: number }
+);
+
+/**
+ * Reads the maximum number of failovers from the environment.
+ * @param env The Environment object.
+ * @returns The number of further accounts a login may try (0 disables failover).
+ */
+const getFailoverAttempts = (env: Env): number => {
+  const attempts = env.LOGIN_FAILOVER_ATTEMPTS ? parseInt(env.LOGIN_FAILOVER_ATTEMPTS, 10) : DEFAULT_FAILOVER_ATTEMPTS;
+  return isNaN(attempts) || attempts < 0 ? DEFAULT_FAILOVER_ATTEMPTS : attempts;
+};
+
+/**
+ * Describes an upstream failure for the caller. The upstream's own answer only goes to the logs and the audit
+ * log, as it may reveal details of the upstream.
+ * @param code The error code.
+ * @param email The account used last.
+ * @param rejected The accounts whose SK was rejected.
+ * @returns The error message.
+ */
+const describeFailure = (code: UpstreamErrorCode, email: string, rejected: string[]): string => {
+  switch (code) {
+    case 'SK_REJECTED':
+      return rejected.length > 1
+        ? `The upstream rejected the SK of every account tried (${rejected.length}).`
+        : `The upstream rejected the SK of account ${email}.`;
+    case 'UPSTREAM_BAD_REQUEST':
+      return 'The upstream refused the login request. Check unique_name and expires_in.';
+    case 'UPSTREAM_TIMEOUT':
+      return 'The upstream did not respond in time. Please try again later.';
+    case 'UPSTREAM_RATE_LIMITED':
+      return 'The upstream is rate limiting token requests. Please try again later.';
+    case 'UPSTREAM_BAD_RESPONSE':
+      return 'The upstream returned an invalid response to the token exchange.';
+    default:
+      return 'The upstream is currently unavailable. Please try again later.';
+  }
+};
+
+/**
+ * Exchanges an SK at the upstreams of a route, moving on while an upstream fails. A rejected SK or a refused request
+ * ends the search, as another upstream would refuse it as well. Upstreams that could not be reached are marked down.
+ * @param env The Environment object.
+ * @param route The upstreams to try, in order; not empty.
+ * @param healthMap The UpstreamHealthMap the route was computed from.
+ * @param payload The token exchange payload.
+ * @param exchanges The list each exchange is appended to.
+ * @returns A Promise that resolves to the last outcome, the upstream it came from and the total number of requests.
+ */
+async function exchangeOnRoute(
+  env: Env,
+  route: Upstream[],
+  healthMap: UpstreamHealthMap,
+  payload: OAuthTokenPayload,
+  exchanges: ExchangeSample[],
+): Promise<{ result: TokenExchangeResult; upstream: Upstream; attempts: number }> {
+  let attempts = 0;
+  for (const [index, upstream] of route.entries()) {
+    const startedAt = Date.now();
+    const result = await exchangeToken(env, upstream, payload);
+    exchanges.push({ upstream: upstream.name, outcome: result.ok ? 'ok' : result.code, duration_ms: Date.now() - startedAt });
+    attempts += result.attempts;
+    const unreachable = !result.ok && (result.code === 'UPSTREAM_UNAVAILABLE' || result.code === 'UPSTREAM_TIMEOUT');
+    await recordUpstreamResult(env, healthMap, upstream.name, unreachable ? result.error : undefined);
+    if (result.ok || result.code === 'SK_REJECTED' || result.code === 'UPSTREAM_BAD_REQUEST' || index === route.length - 1) {
+      return { result, upstream, attempts };
+    }
+    console.warn(`Token exchange at ${upstream.name} failed (${result.code}); trying ${route[index + 1].name}.`);
+  }
+  throw new Error('exchangeOnRoute requires at least one upstream.');
+}
+
+/**
+ * Exchanges the SK of the chosen account for a login URL, failing over to other candidates if it is rejected.
+ * @param env The Environment object.
+ * @param accountMap The AccountMap the account was chosen from.
+ * @param email The chosen account.
+ * @param payload The unique name and expiration to send upstream.
+ * @param options Optional: Failover and the preferred upstream.
+ * @returns A Promise that resolves to the outcome. It never rejects on upstream or decryption failures.
+ */
+export async function exchangeLoginToken(
+  env: Env,
+  accountMap: AccountMap,
+  email: string,
+  payload: Omit<OAuthTokenPayload, 'session_key'>,
+  options: LoginExchangeOptions = {},
+): Promise<LoginExchangeResult> {
+  const { failover } = options;
+  const upstreams = getUpstreams(env);
+  const healthMap = await getUpstreamHealthMap(env);
+  const rejected: string[] = [];
+  const quarantined: string[] = [];
+  const exchanges: ExchangeSample[] = [];
+  const remaining = (failover?.candidates ?? []).filter((candidate) => candidate !== email);
+  let failoversLeft = failover ? getFailoverAttempts(env) : 0;
+  let attempts = 0;
+
+  for (;;) {
+    const route = routeAccount(upstreams, healthMap, accountMap[email], options.upstream);
+    if (route.length === 0) {
+      const error = `Account ${email} is not routed to any configured upstream.`;
+      console.error(`Login for ${email} failed: pinned to ${accountMap[email].upstreams?.join(', ')}, none of which is configured.`);
+      return { ok: false, email, rejected, quarantined, attempts, exchanges, code: 'NO_UPSTREAM', error, status: LOGIN_ERROR_STATUS.NO_UPSTREAM };
+    }
+
+    let sessionKey: string;
+    try {
+      sessionKey = await decryptSk(env, accountMap[email].sk);
+    } catch (e: any) {
+      console.error(`Login for ${email} failed: ${e.message}`);
+      const error = `The SK of account ${email} could not be decrypted.`;
+      return { ok: false, email, rejected, quarantined, attempts, exchanges, code: 'SK_DECRYPTION_FAILED', error, status: LOGIN_ERROR_STATUS.SK_DECRYPTION_FAILED };
+    }
+
+    const { result, upstream, attempts: made } = await exchangeOnRoute(env, route, healthMap, { session_key: sessionKey, ...payload }, exchanges);
+    attempts += made;
+    if (result.ok) {
+      return { ok: true, email, rejected, quarantined, attempts, exchanges, login_url: `${upstream.base_url}${result.login_url}`, upstream: upstream.name };
+    }
+    console.error(`Token exchange failed for ${email} at ${upstream.name} after ${made} attempt(s) (${result.code}): ${result.error}`);
+
+    if (result.code === 'SK_REJECTED') {
+      rejected.push(email);
+      if (options.recordRejections !== false && (await recordSkRejection(env, email, result.error))) {
+        quarantined.push(email);
+      }
+      let next: string | undefined;
+      while (!next && failoversLeft > 0 && remaining.length > 0) {
+        const candidate = await selectAccount(env, accountMap, remaining, failover!.strategy);
+        remaining.splice(remaining.indexOf(candidate), 1);
+        if (!failover!.admit || (await failover!.admit(candidate))) {
+          next = candidate;
+        }
+      }
+      if (next) {
+        console.warn(`Login: Failing over from ${email} to ${next} after the SK was rejected.`);
+        failoversLeft--;
+        email = next;
+        continue;
+      }
+    }
+
+    return {
+      ok: false,
+      email,
+      rejected,
+      quarantined,
+      attempts,
+      exchanges,
+      code: result.code,
+      error: describeFailure(result.code, email, rejected),
+      status: LOGIN_ERROR_STATUS[result.code],
+      ...(result.retryAfter !== undefined && { retryAfter: result.retryAfter }),
+    };
+  }
+}
@@ -0,0 +1,514 @@
+// src/metrics.ts
+/**
+ * Usage metrics: login counters per account, mode and outcome, token exchange latency and failures per upstream,
+ * admin actions, and the size and health of the pool.
+ * Each request collects its counts in a MetricsRecorder, which is flushed once, after the response: into the
+ * bucket of the current UTC hour (kept for METRICS_RETENTION_DAYS, the history of /api/admin/stats) and into the
+ * running totals that /metrics exposes as Prometheus counters. KV increments are not atomic, so concurrent
+ * requests may occasionally lose a count. If METRICS_DATASET is bound, every event is also written to Workers
+ * Analytics Engine, which has no such gaps.
+ */
+
+import type { AccountMap, CooldownMap, Env, HealthMap } from './types';
+import { getAccountMap } from './storage';
+import { getHealthMap } from './health';
+import { getCooldownMap, isCoolingDown } from './cooldowns';
+import type { UpstreamHealthMap } from './routing';
+import type { UpstreamErrorCode } from './upstream';
+
+const METRICS_BUCKET_PREFIX = 'METRICS:';
+const METRICS_TOTALS_KEY = 'METRICS_TOTALS';
+const DEFAULT_RETENTION_DAYS = 7;
+const HOUR_MS = 3600 * 1000;
+
+// Upper bounds of the exchange latency histogram buckets, in milliseconds; a last bucket catches the rest.
+export const LATENCY_BOUNDS_MS = [100, 250, 500, 1000, 2500, 5000, 10000];
+
+export const DEFAULT_HISTORY_HOURS = 24;
+const MAX_HISTORY_HOURS = 720;
+
+/**
+ * The counters kept, each a set of series identified by their labels.
+ * - 'logins_total': login attempts, labelled via ('user' | 'admin'), mode, account and outcome.
+ * - 'token_exchanges_total': token exchanges with an upstream, labelled upstream and outcome ('ok' or an error code).
+ * - 'admin_actions_total': audited admin actions, labelled action and result.
+ */
+export type CounterName = 'logins_total' | 'token_exchanges_total' | 'admin_actions_total';
+
+/**
+ * The outcome of a login, from its HTTP status: 'denied' for 4xx (invalid requests, access and limits), 'failed'
+ * for 5xx (no account available, upstream and decryption errors).
+ */
+export type LoginOutcome = 'success' | 'denied' | 'failed';
+
+/**
+ * A latency histogram. `buckets` holds the (non-cumulative) count per LATENCY_BOUNDS_MS bucket plus one for
+ * slower exchanges.
+ */
+export interface LatencyHistogram {
+  buckets: number[];
+  sum_ms: number;
+  count: number;
+}
+
+/**
+ * Counters and latency histograms. Series are keyed by the JSON of their labels, with the labels sorted.
+ */
+export interface MetricsData {
+  counters: Partial<Record<CounterName, Record<string, number>>>;
+  /**
+   * Token exchange latency (including retries) by upstream.
+   */
+  exchange_latency: Record<string, LatencyHistogram>;
+}
+
+/**
+ * The size and health of the pool at one point in time.
+ */
+export interface PoolGauges {
+  accounts: number;
+  enabled: number;
+  /**
+   * Enabled accounts that are not quarantined; random mode may select those of them not cooling down.
+   */
+  healthy: number;
+  quarantined: number;
+  /**
+   * Healthy accounts that are cooling down after reaching their usage limit.
+   */
+  cooling_down: number;
+}
+
+/**
+ * The metrics of one UTC hour. `pool` is recorded by the scheduled handler.
+ */
+export interface MetricsBucket extends MetricsData {
+  start: string;
+  pool?: PoolGauges;
+}
+
+/**
+ * The running totals, counted since `since`.
+ */
+export interface MetricsTotals extends MetricsData {
+  since: string;
+}
+
+/**
+ * The metrics collected while handling one request.
+ */
+export interface MetricsRecorder {
+  data: MetricsData;
+  points: AnalyticsEngineDataPoint[];
+}
+
+/**
+ * One token exchange of a login, as reported by exchangeLoginToken.
+ */
+export interface ExchangeSample {
+  upstream: string;
+  outcome: 'ok' | UpstreamErrorCode;
+  duration_ms: number;
+}
+
+const emptyMetrics = (): MetricsData => ({ counters: {}, exchange_latency: {} });
+
+const emptyHistogram = (): LatencyHistogram => ({ buckets: LATENCY_BOUNDS_MS.map(() => 0).concat(0), sum_ms: 0, count: 0 });
+
+/**
+ * Creates an empty recorder for a request.
+ * @returns The MetricsRecorder.
+ */
+export const createMetricsRecorder = (): MetricsRecorder => ({ data: emptyMetrics(), points: [] });
+
+/**
+ * Builds the key of a series.
+ * @param labels The series' labels.
+ * @returns The JSON of the labels, sorted by name.
+ */
+const seriesKey = (labels: Record<string, string>): string =>
+  JSON.stringify(Object.fromEntries(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b))));
+
+/**
+ * Adds to a counter series.
+ * @param data The MetricsData to modify.
+ * @param name The counter.
+ * @param key The series key.
+ * @param value The amount to add.
+ */
+const addCount = (data: MetricsData, name: CounterName, key: string, value: number): void => {
+  const series = (data.counters[name] ||= {});
+  series[key] = (series[key] || 0) + value;
+};
+
+/**
+ * Adds one histogram to another.
+ * @param target The histogram to modify.
+ * @param source The histogram to add.
+ */
+const addHistogram = (target: LatencyHistogram, source: LatencyHistogram): void => {
+  source.buckets.forEach((count, index) => (target.buckets[index] = (target.buckets[index] || 0) + count));
+  target.sum_ms += source.sum_ms;
+  target.count += source.count;
+};
+
+/**
+ * Adds all counts of one MetricsData to another.
+ * @param target The MetricsData to modify.
+ * @param source The MetricsData to add.
+ */
+const mergeMetrics = (target: MetricsData, source: MetricsData): void => {
+  for (const [name, series] of Object.entries(source.counters) as [CounterName, Record<string, number>][]) {
+    for (const [key, value] of Object.entries(series)) {
+      addCount(target, name, key, value);
+    }
+  }
+  for (const [upstream, histogram] of Object.entries(source.exchange_latency)) {
+    addHistogram((target.exchange_latency[upstream] ||= emptyHistogram()), histogram);
+  }
+};
+
+/**
+ * Counts a login attempt.
+ * @param recorder The request's MetricsRecorder.
+ * @param login The channel, the requested mode, the account used (if one was chosen) and the response status.
+ * @param accountMap The accounts in the pool, or undefined if the login ended before they were read.
+ */
+export function countLogin(
+  recorder: MetricsRecorder,
+  login: { via: 'user' | 'admin'; mode: unknown; account?: string; status: number },
+  accountMap: AccountMap | undefined,
+): void {
+  // Only known modes and accounts become label values; the request names them, and every distinct value would be
+  // a new series
+  const mode = login.mode === 'specific' || login.mode === 'random' || login.mode === 'sticky' ? login.mode : 'invalid';
+  const outcome: LoginOutcome = login.status < 400 ? 'success' : login.status < 500 ? 'denied' : 'failed';
+  const account = !login.account ? 'none' : accountMap?.[login.account] ? login.account : 'unknown';
+  addCount(recorder.data, 'logins_total', seriesKey({ via: login.via, mode, account, outcome }), 1);
+  recorder.points.push({ indexes: ['login'], blobs: ['login', login.via, mode, outcome, account], doubles: [1] });
+}
+
+/**
+ * Counts the token exchanges of a login and records their latency.
+ * @param recorder The request's MetricsRecorder.
+ * @param samples The exchanges, as reported by exchangeLoginToken.
+ */
+export function countExchanges(recorder: MetricsRecorder, samples: ExchangeSample[]): void {
+  for (const sample of samples) {
+    addCount(recorder.data, 'token_exchanges_total', seriesKey({ upstream: sample.upstream, outcome: sample.outcome }), 1);
+    const histogram = (recorder.data.exchange_latency[sample.upstream] ||= emptyHistogram());
+    const index = LATENCY_BOUNDS_MS.findIndex((bound) => sample.duration_ms <= bound);
+    histogram.buckets[index < 0 ? LATENCY_BOUNDS_MS.length : index]++;
+    histogram.sum_ms += sample.duration_ms;
+    histogram.count++;
+    recorder.points.push({ indexes: ['exchange'], blobs: ['exchange', sample.upstream, sample.outcome], doubles: [sample.duration_ms] });
+  }
+}
+
+/**
+ * Counts an audited admin action.
+ * @param recorder The request's MetricsRecorder.
+ * @param action The audit action, without the "admin." prefix.
+ * @param result The audit result.
+ */
+export function countAdminAction(recorder: MetricsRecorder, action: string, result: string): void {
+  addCount(recorder.data, 'admin_actions_total', seriesKey({ action, result }), 1);
+  recorder.points.push({ indexes: ['admin'], blobs: ['admin', action, result], doubles: [1] });
+}
+
+/**
+ * Reads the retention of the hourly buckets from the environment.
+ * @param env The Environment object containing METRICS_RETENTION_DAYS.
+ * @returns The retention in days.
+ */
+const getRetentionDays = (env: Env): number => {
+  const days = env.METRICS_RETENTION_DAYS ? parseInt(env.METRICS_RETENTION_DAYS, 10) : DEFAULT_RETENTION_DAYS;
+  return isNaN(days) || days < 1 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Computes the start of the UTC hour a timestamp falls into.
+ * @param timestamp Epoch milliseconds.
+ * @returns The ISO timestamp of the hour's start.
+ */
+const hourStart = (timestamp: number): string => new Date(Math.floor(timestamp / HOUR_MS) * HOUR_MS).toISOString();
+
+/**
+ * Reads the bucket of an hour.
+ * @param env The Environment object containing the KV namespace.
+ * @param start The ISO timestamp of the hour's start.
+ * @returns A Promise that resolves to the bucket, empty if nothing was recorded.
+ */
+async function getBucket(env: Env, start: string): Promise<MetricsBucket> {
+  return (await env.CLAUDE_KV.get<MetricsBucket>(`${METRICS_BUCKET_PREFIX}${start}`, 'json')) || { start, ...emptyMetrics() };
+}
+
+/**
+ * Stores the bucket of an hour, to expire after the retention period.
+ * @param env The Environment object.
+ * @param bucket The bucket.
+ */
+async function saveBucket(env: Env, bucket: MetricsBucket): Promise<void> {
+  const expiration = Math.floor(Date.parse(bucket.start) / 1000) + 3600 + getRetentionDays(env) * 86400;
+  await env.CLAUDE_KV.put(`${METRICS_BUCKET_PREFIX}${bucket.start}`, JSON.stringify(bucket), { expiration });
+}
+
+/**
+ * Reads the running totals.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the totals, empty (since now) if nothing was recorded yet.
+ */
+export async function getMetricsTotals(env: Env): Promise<MetricsTotals> {
+  return (await env.CLAUDE_KV.get<MetricsTotals>(METRICS_TOTALS_KEY, 'json')) || { since: new Date().toISOString(), ...emptyMetrics() };
+}
+
+/**
+ * Writes what a request recorded to the current hour's bucket, the running totals and, if bound, Analytics
+ * Engine. Failures are logged rather than thrown, so that metrics never break the request.
+ * @param env The Environment object.
+ * @param recorder The request's MetricsRecorder.
+ */
+export async function flushMetrics(env: Env, recorder: MetricsRecorder): Promise<void> {
+  if (recorder.points.length === 0) {
+    return;
+  }
+  try {
+    for (const point of recorder.points) {
+      env.METRICS_DATASET?.writeDataPoint(point);
+    }
+    const bucket = await getBucket(env, hourStart(Date.now()));
+    mergeMetrics(bucket, recorder.data);
+    const totals = await getMetricsTotals(env);
+    mergeMetrics(totals, recorder.data);
+    await Promise.all([saveBucket(env, bucket), env.CLAUDE_KV.put(METRICS_TOTALS_KEY, JSON.stringify(totals))]);
+  } catch (e) {
+    console.error('Failed to record metrics:', e);
+  }
+}
+
+/**
+ * Computes the size and health of the pool.
+ * @param accountMap The AccountMap.
+ * @param healthMap The HealthMap.
+ * @param cooldownMap The CooldownMap.
+ * @returns The PoolGauges.
+ */
+export function computePoolGauges(accountMap: AccountMap, healthMap: HealthMap, cooldownMap: CooldownMap): PoolGauges {
+  const emails = Object.keys(accountMap);
+  const quarantined = emails.filter((email) => healthMap[email]?.status === 'quarantined');
+  const healthy = emails.filter((email) => accountMap[email].enabled && !quarantined.includes(email));
+  const now = Date.now();
+  return {
+    accounts: emails.length,
+    enabled: emails.filter((email) => accountMap[email].enabled).length,
+    healthy: healthy.length,
+    quarantined: quarantined.length,
+    cooling_down: healthy.filter((email) => isCoolingDown(cooldownMap, email, now)).length,
+  };
+}
+
+/**
+ * Reads the pool from storage and computes its PoolGauges.
+ * @param env The Environment object.
+ * @returns A Promise that resolves to the PoolGauges.
+ */
+export const readPoolGauges = async (env: Env): Promise<PoolGauges> =>
+  computePoolGauges(await getAccountMap(env), await getHealthMap(env), await getCooldownMap(env));
+
+/**
+ * Stores the current size and health of the pool in the current hour's bucket, so that the history shows how they
+ * changed. Failures are logged rather than thrown.
+ * @param env The Environment object.
+ */
+export async function recordPoolGauges(env: Env): Promise<void> {
+  try {
+    const pool = await readPoolGauges(env);
+    const bucket = await getBucket(env, hourStart(Date.now()));
+    await saveBucket(env, { ...bucket, pool });
+    env.METRICS_DATASET?.writeDataPoint({
+      indexes: ['pool'],
+      blobs: ['pool'],
+      doubles: [pool.accounts, pool.enabled, pool.healthy, pool.quarantined, pool.cooling_down],
+    });
+  } catch (e) {
+    console.error('Failed to record the pool metrics:', e);
+  }
+}
+
+/**
+ * Reads the hourly buckets of a period, oldest first.
+ * @param env The Environment object.
+ * @param hours The number of hours to read, including the current one; capped at the retention period.
+ * @returns A Promise that resolves to one bucket per hour, empty for hours without activity.
+ */
+export async function getMetricsHistory(env: Env, hours: number): Promise<MetricsBucket[]> {
+  const count = Math.max(1, Math.min(Math.floor(hours), getRetentionDays(env) * 24, MAX_HISTORY_HOURS));
+  const now = Date.now();
+  const starts = Array.from({ length: count }, (_, index) => hourStart(now - (count - 1 - index) * HOUR_MS));
+  return Promise.all(starts.map((start) => getBucket(env, start)));
+}
+
+/**
+ * Estimates a quantile from a histogram.
+ * @param histogram The histogram.
+ * @param quantile The quantile, between 0 and 1.
+ * @returns The upper bound of the bucket the quantile falls into, or null if there is no data or it falls into
+ *   the last (unbounded) bucket.
+ */
+const estimateQuantile = (histogram: LatencyHistogram, quantile: number): number | null => {
+  let seen = 0;
+  for (const [index, count] of histogram.buckets.entries()) {
+    seen += count;
+    if (histogram.count > 0 && seen >= quantile * histogram.count) {
+      return LATENCY_BOUNDS_MS[index] ?? null;
+    }
+  }
+  return null;
+};
+
+/**
+ * Lists the series of a counter with their labels.
+ * @param data The MetricsData.
+ * @param name The counter.
+ * @returns The labels and value of every series.
+ */
+const listSeries = (data: MetricsData, name: CounterName): { labels: Record<string, string>; value: number }[] =>
+  Object.entries(data.counters[name] || {}).map(([key, value]) => ({ labels: JSON.parse(key), value }));
+
+/**
+ * Sums the series of a counter by one label.
+ * @param data The MetricsData.
+ * @param name The counter.
+ * @param label The label to group by.
+ * @returns The sum per label value.
+ */
+const sumBy = (data: MetricsData, name: CounterName, label: string): Record<string, number> => {
+  const sums: Record<string, number> = {};
+  for (const { labels, value } of listSeries(data, name)) {
+    sums[labels[label]] = (sums[labels[label]] || 0) + value;
+  }
+  return sums;
+};
+
+const total = (sums: Record<string, number>): number => Object.values(sums).reduce((sum, value) => sum + value, 0);
+
+/**
+ * Summarizes metrics for the stats endpoint.
+ * @param data The MetricsData.
+ * @param detailed If true, break logins down by account and mode and exchanges by upstream.
+ * @returns The summary.
+ */
+export function summarizeMetrics(data: MetricsData, detailed: boolean) {
+  const loginOutcomes = sumBy(data, 'logins_total', 'outcome');
+  const exchangeOutcomes = sumBy(data, 'token_exchanges_total', 'outcome');
+  const latency = emptyHistogram();
+  Object.values(data.exchange_latency).forEach((histogram) => addHistogram(latency, histogram));
+  const describeLatency = (histogram: LatencyHistogram) => ({
+    avg_ms: histogram.count > 0 ? Math.round(histogram.sum_ms / histogram.count) : null,
+    p50_ms: estimateQuantile(histogram, 0.5),
+    p95_ms: estimateQuantile(histogram, 0.95),
+  });
+
+  const summary = {
+    logins: { total: total(loginOutcomes), by_outcome: loginOutcomes },
+    token_exchanges: { total: total(exchangeOutcomes), failed: total(exchangeOutcomes) - (exchangeOutcomes.ok || 0), by_outcome: exchangeOutcomes, ...describeLatency(latency) },
+    admin_actions: { total: total(sumBy(data, 'admin_actions_total', 'action')) },
+  };
+  if (!detailed) {
+    return summary;
+  }
+
+  const byAccount: Record<string, Record<string, number>> = {};
+  for (const { labels, value } of listSeries(data, 'logins_total')) {
+    const account = (byAccount[labels.account] ||= {});
+    account[labels.outcome] = (account[labels.outcome] || 0) + value;
+  }
+  const byUpstream: Record<string, object> = {};
+  for (const [upstream, histogram] of Object.entries(data.exchange_latency)) {
+    const outcomes: Record<string, number> = {};
+    for (const { labels, value } of listSeries(data, 'token_exchanges_total').filter((series) => series.labels.upstream === upstream)) {
+      outcomes[labels.outcome] = value;
+    }
+    byUpstream[upstream] = { total: histogram.count, failed: histogram.count - (outcomes.ok || 0), by_outcome: outcomes, ...describeLatency(histogram) };
+  }
+  return {
+    logins: { ...summary.logins, by_mode: sumBy(data, 'logins_total', 'mode'), by_via: sumBy(data, 'logins_total', 'via'), by_account: byAccount },
+    token_exchanges: { ...summary.token_exchanges, by_upstream: byUpstream },
+    admin_actions: { ...summary.admin_actions, by_action: sumBy(data, 'admin_actions_total', 'action') },
+  };
+}
+
+/**
+ * Merges hourly buckets into one MetricsData.
+ * @param buckets The buckets.
+ * @returns The combined counts.
+ */
+export function mergeBuckets(buckets: MetricsBucket[]): MetricsData {
+  const merged = emptyMetrics();
+  buckets.forEach((bucket) => mergeMetrics(merged, bucket));
+  return merged;
+}
+
+/**
+ * Formats a label set in the Prometheus text format.
+ * @param labels The labels.
+ * @returns The label block, e.g. `{mode="random",outcome="success"}`, or an empty string.
+ */
+const formatLabels = (labels: Record<string, string>): string => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  const escape = (value: string) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+};
+
+/**
+ * Renders the running totals and the current pool and upstream state in the Prometheus text exposition format.
+ * @param totals The running totals.
+ * @param pool The current PoolGauges.
+ * @param upstreams The names of the configured upstreams.
+ * @param upstreamHealth The current UpstreamHealthMap.
+ * @returns The exposition text.
+ */
+export function renderPrometheus(totals: MetricsTotals, pool: PoolGauges, upstreams: string[], upstreamHealth: UpstreamHealthMap): string {
+  const lines: string[] = [];
+  const metric = (name: string, type: string, help: string, samples: [Record<string, string>, number][]) => {
+    lines.push(`# HELP fcpm_${name} ${help}`, `# TYPE fcpm_${name} ${type}`);
+    for (const [labels, value] of samples) {
+      lines.push(`fcpm_${name}${formatLabels(labels)} ${value}`);
+    }
+  };
+  const counter = (name: CounterName, help: string) =>
+    metric(name, 'counter', help, listSeries(totals, name).map(({ labels, value }): [Record<string, string>, number] => [labels, value]));
+
+  counter('logins_total', 'Login attempts by channel, mode, account and outcome.');
+  counter('token_exchanges_total', 'Token exchanges with an upstream by outcome.');
+
+  lines.push('# HELP fcpm_token_exchange_duration_ms Token exchange latency, including retries.', '# TYPE fcpm_token_exchange_duration_ms histogram');
+  for (const [upstream, histogram] of Object.entries(totals.exchange_latency)) {
+    let cumulative = 0;
+    histogram.buckets.forEach((count, index) => {
+      cumulative += count;
+      const le = index < LATENCY_BOUNDS_MS.length ? String(LATENCY_BOUNDS_MS[index]) : '+Inf';
+      lines.push(`fcpm_token_exchange_duration_ms_bucket${formatLabels({ upstream, le })} ${cumulative}`);
+    });
+    lines.push(`fcpm_token_exchange_duration_ms_sum${formatLabels({ upstream })} ${histogram.sum_ms}`);
+    lines.push(`fcpm_token_exchange_duration_ms_count${formatLabels({ upstream })} ${histogram.count}`);
+  }
+
+  counter('admin_actions_total', 'Audited admin actions by action and result.');
+  metric('pool_accounts', 'gauge', 'Accounts in the pool.', [[{}, pool.accounts]]);
+  metric('pool_enabled_accounts', 'gauge', 'Enabled accounts.', [[{}, pool.enabled]]);
+  metric('pool_healthy_accounts', 'gauge', 'Enabled accounts that are not quarantined.', [[{}, pool.healthy]]);
+  metric('pool_quarantined_accounts', 'gauge', 'Quarantined accounts.', [[{}, pool.quarantined]]);
+  metric('pool_cooling_down_accounts', 'gauge', 'Healthy accounts cooling down after reaching their usage limit.', [[{}, pool.cooling_down]]);
+  metric(
+    'upstream_up',
+    'gauge',
+    'Whether the last request to an upstream reached it (1) or not (0).',
+    upstreams.map((name): [Record<string, string>, number] => [{ upstream: name }, upstreamHealth[name]?.status === 'down' ? 0 : 1]),
+  );
+  metric('metrics_since_seconds', 'gauge', 'Unix time the counters started at.', [[{}, Math.floor(Date.parse(totals.since) / 1000)]]);
+  return `${lines.join('\n')}\n`;
+}
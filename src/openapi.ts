@@ -0,0 +1,107 @@
+// src/openapi.ts
+/**
+ * Generates the OpenAPI 3.1 description of the v1 API from its route table (see apiv1.ts), so that the document
+ * always matches the schemas the Worker validates against. Served at /api/v1/openapi.json.
+ */
+
+import type { ApiRoute } from './apiv1';
+import { getRequiredRole } from './admins';
+import { arr, obj, str, type Schema } from './schema';
+
+const API_VERSION = '1.0.0';
+
+const ERROR_SCHEMA: Schema = obj(
+  {
+    error: obj(
+      {
+        code: str({ description: 'A machine-readable code, e.g. INVALID_REQUEST, UNAUTHORIZED, NOT_FOUND or SK_REJECTED.' }),
+        message: str({ description: 'A human-readable description.' }),
+        details: arr(obj({ field: str(), message: str() }), { description: 'The problems found by validation.' }),
+      },
+      ['code', 'message'],
+    ),
+  },
+  ['error'],
+);
+
+// The failures every route of a tag may answer with, besides 400
+const ERROR_RESPONSES: Record<ApiRoute['tag'], Record<string, string>> = {
+  Meta: {},
+  User: { '401': 'The access code is missing or invalid.', '429': 'A rate limit or quota was reached.' },
+  Admin: {
+    '401': 'Authentication failed.',
+    '403': 'The admin role does not allow this route.',
+    '429': 'Too many failed authentications from this IP.',
+  },
+};
+
+const errorResponse = (description: string) => ({ description, content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } });
+
+/**
+ * Describes one operation.
+ */
+function buildOperation(route: ApiRoute) {
+  const parameters = [
+    ...Object.entries(route.params || {}).map(([name, schema]) => ({ name, in: 'path', required: true, schema })),
+    ...Object.entries(route.query?.properties || {}).map(([name, schema]) => ({ name, in: 'query', required: false, schema })),
+  ];
+  const legacyPath = route.legacy?.split(' ')[1];
+  const success = route.raw
+    ? { description: 'The document or file.' }
+    : {
+        description: route.created ? 'Created.' : 'Success.',
+        content: { 'application/json': { schema: obj({ data: { description: `The response of ${route.legacy}; see the README.` } }, ['data']) } },
+      };
+  const errors = { ...(route.body || route.query || route.params ? { '400': 'The request is invalid.' } : {}), ...ERROR_RESPONSES[route.tag] };
+  return {
+    summary: route.summary,
+    tags: [route.tag],
+    operationId: `${route.method.toLowerCase()}${route.path.replace(/[{}.]/g, '').replace(/[/_-](\w)/g, (_, char: string) => char.toUpperCase())}`,
+    ...(parameters.length > 0 && { parameters }),
+    ...(route.body && { requestBody: { required: !!route.body.required, content: { 'application/json': { schema: route.body } } } }),
+    responses: {
+      [route.created ? '201' : '200']: success,
+      ...Object.fromEntries(Object.entries(errors).map(([status, description]) => [status, errorResponse(description)])),
+    },
+    ...(route.tag === 'Admin' && legacyPath && { security: [{ adminBearer: [] }], 'x-required-role': getRequiredRole(legacyPath) }),
+    ...(route.tag === 'User' && { security: [{ accessCode: [] }, { accessCodeHeader: [] }, {}] }),
+    ...(legacyPath && { 'x-legacy-endpoint': route.legacy }),
+  };
+}
+
+/**
+ * Builds the OpenAPI document.
+ * @param routes The routes of the v1 API.
+ * @returns The document as a plain object.
+ */
+export function buildOpenApiDocument(routes: ApiRoute[]) {
+  const paths: Record<string, Record<string, unknown>> = {};
+  for (const route of routes) {
+    paths[route.path] = { ...paths[route.path], [route.method.toLowerCase()]: buildOperation(route) };
+  }
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Claude Pool Manager API',
+      version: API_VERSION,
+      description:
+        'Successful responses are wrapped as {"data": ...}, failures as {"error": {"code", "message", "details"?}}. ' +
+        'Request bodies and queries are validated against the schemas below; unknown body fields are rejected.',
+    },
+    servers: [{ url: '/api/v1' }],
+    tags: [
+      { name: 'User', description: 'Logins and account listing, optionally behind an access code.' },
+      { name: 'Admin', description: 'Pool management. x-required-role names the minimum admin role.' },
+      { name: 'Meta', description: 'This document.' },
+    ],
+    paths,
+    components: {
+      schemas: { Error: ERROR_SCHEMA },
+      securitySchemes: {
+        adminBearer: { type: 'http', scheme: 'bearer', description: 'An admin session token (POST /admin/sessions) or ADMIN_PASSWORD.' },
+        accessCode: { type: 'http', scheme: 'bearer', description: 'An access code.' },
+        accessCodeHeader: { type: 'apiKey', in: 'header', name: 'X-Access-Code' },
+      },
+    },
+  };
+}
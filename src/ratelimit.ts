@@ -0,0 +1,286 @@
+// src/ratelimit.ts
+/**
+ * Rate limits and login quotas for /api/login.
+ * Limits are configured per subject scope (client IP, access identity, account) through environment
+ * variables and enforced before the token exchange. Counters are KV keys that expire with their window.
+ * KV increments are not atomic, so concurrent bursts may slightly exceed a limit.
+ */
+
+import type { Env } from './types';
+
+const USAGE_KEY_PREFIX = 'USAGE:';
+
+// KV refuses expiration TTLs shorter than 60 seconds.
+const MIN_KV_TTL = 60;
+
+/**
+ * What a counter is attributed to.
+ * - 'ip': the client IP address (CF-Connecting-IP).
+ * - 'identity': the access code the request authenticated with.
+ * - 'account': the pool account the login is for.
+ */
+export type LimitScope = 'ip' | 'identity' | 'account';
+
+/**
+ * The kind of window a counter covers: a fixed window of N seconds, a UTC day or a UTC month.
+ */
+type LimitKind = 'rate' | 'daily' | 'monthly';
+
+/**
+ * A configured limit.
+ */
+interface LimitRule {
+  scope: LimitScope;
+  kind: LimitKind;
+  limit: number;
+  /**
+   * The window length for 'rate' rules.
+   */
+  windowSeconds?: number;
+}
+
+/**
+ * The subjects of a login attempt. Scopes without a subject are not limited.
+ */
+export interface LimitSubjects {
+  ip?: string;
+  identity?: string;
+  account?: string;
+}
+
+/**
+ * A counter as reported by the admin usage endpoint.
+ */
+export interface UsageCounter {
+  scope: LimitScope;
+  subject: string;
+  kind: LimitKind;
+  period: string;
+  count: number;
+  resets_at: string;
+}
+
+/**
+ * The outcome of a limit check. `retryAfter` is in seconds.
+ */
+export type LimitCheckResult = { ok: true } | { ok: false; error: string; retryAfter: number };
+
+/**
+ * Parses a "<count>/<seconds>" rate limit setting.
+ * @param value The environment variable value.
+ * @returns The limit and window, or null if unset or malformed.
+ */
+const parseRate = (value: string | undefined): { limit: number; windowSeconds: number } | null => {
+  const match = value?.trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match) {
+    if (value) console.warn(`Ignoring malformed rate limit "${value}". Expected "<count>/<seconds>".`);
+    return null;
+  }
+  const limit = parseInt(match[1], 10);
+  const windowSeconds = parseInt(match[2], 10);
+  return limit > 0 && windowSeconds > 0 ? { limit, windowSeconds } : null;
+};
+
+/**
+ * Parses a quota setting.
+ * @param value The environment variable value.
+ * @returns The quota, or null if unset, zero or malformed.
+ */
+const parseQuota = (value: string | undefined): number | null => {
+  const quota = value ? parseInt(value, 10) : NaN;
+  return quota > 0 ? quota : null;
+};
+
+/**
+ * Reads the configured limits from the environment.
+ * @param env The Environment object.
+ * @returns The list of active rules.
+ */
+const getLimitRules = (env: Env): LimitRule[] => {
+  const rules: LimitRule[] = [];
+  const rates: [LimitScope, string | undefined][] = [
+    ['ip', env.RATE_LIMIT_IP],
+    ['identity', env.RATE_LIMIT_IDENTITY],
+    ['account', env.RATE_LIMIT_ACCOUNT],
+  ];
+  for (const [scope, value] of rates) {
+    const rate = parseRate(value);
+    if (rate) rules.push({ scope, kind: 'rate', ...rate });
+  }
+  const quotas: [LimitScope, LimitKind, string | undefined][] = [
+    ['identity', 'daily', env.QUOTA_DAILY_IDENTITY],
+    ['identity', 'monthly', env.QUOTA_MONTHLY_IDENTITY],
+    ['account', 'daily', env.QUOTA_DAILY_ACCOUNT],
+    ['account', 'monthly', env.QUOTA_MONTHLY_ACCOUNT],
+  ];
+  for (const [scope, kind, value] of quotas) {
+    const limit = parseQuota(value);
+    if (limit) rules.push({ scope, kind, limit });
+  }
+  return rules;
+};
+
+/**
+ * Determines the current window of a rule.
+ * @param rule The rule.
+ * @param now The current time in epoch milliseconds.
+ * @returns The period label used in the counter key and the epoch milliseconds at which the window ends.
+ */
+const getWindow = (rule: LimitRule, now: number): { period: string; resetsAt: number } => {
+  const date = new Date(now);
+  if (rule.kind === 'daily') {
+    return {
+      period: date.toISOString().slice(0, 10),
+      resetsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1),
+    };
+  }
+  if (rule.kind === 'monthly') {
+    return {
+      period: date.toISOString().slice(0, 7),
+      resetsAt: Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1),
+    };
+  }
+  const windowMs = rule.windowSeconds! * 1000;
+  const start = Math.floor(now / windowMs) * windowMs;
+  return { period: `${rule.windowSeconds}s@${start / 1000}`, resetsAt: start + windowMs };
+};
+
+/**
+ * Builds the KV key of a counter. The subject is URI-encoded so that IPv6 colons cannot clash with separators.
+ */
+const counterKey = (scope: LimitScope, subject: string, kind: LimitKind, period: string): string =>
+  `${USAGE_KEY_PREFIX}${scope}:${encodeURIComponent(subject)}:${kind}:${period}`;
+
+/**
+ * Reads the current value of a counter.
+ * @param env The Environment object containing the KV namespace.
+ * @param key The counter key.
+ * @returns A Promise that resolves to the count (0 if the counter does not exist).
+ */
+async function readCount(env: Env, key: string): Promise<number> {
+  const value = await env.CLAUDE_KV.get(key);
+  return value ? parseInt(value, 10) || 0 : 0;
+}
+
+/**
+ * Describes a rule for error messages.
+ * @param rule The rule.
+ * @returns A phrase such as "rate limit of 10 logins per 60s".
+ */
+const describeRule = (rule: LimitRule): string =>
+  rule.kind === 'rate' ? `rate limit of ${rule.limit} logins per ${rule.windowSeconds}s` : `${rule.kind} quota of ${rule.limit} logins`;
+
+/**
+ * Checks every applicable limit and, if none is exceeded, counts the login against all of them.
+ * Nothing is counted when the login is refused.
+ * @param env The Environment object.
+ * @param subjects The subjects of the login attempt.
+ * @returns A Promise that resolves to the LimitCheckResult.
+ */
+export async function consumeLoginLimits(env: Env, subjects: LimitSubjects): Promise<LimitCheckResult> {
+  const now = Date.now();
+  const counters: { key: string; count: number; resetsAt: number; metadata: UsageCounter }[] = [];
+
+  for (const rule of getLimitRules(env)) {
+    const subject = subjects[rule.scope];
+    if (!subject) continue;
+    const { period, resetsAt } = getWindow(rule, now);
+    const key = counterKey(rule.scope, subject, rule.kind, period);
+    const count = await readCount(env, key);
+    if (count >= rule.limit) {
+      return {
+        ok: false,
+        error: `The ${rule.scope} ${describeRule(rule)} has been reached. Please try again later.`,
+        retryAfter: Math.max(1, Math.ceil((resetsAt - now) / 1000)),
+      };
+    }
+    counters.push({
+      key,
+      count,
+      resetsAt,
+      metadata: { scope: rule.scope, subject, kind: rule.kind, period, count: count + 1, resets_at: new Date(resetsAt).toISOString() },
+    });
+  }
+
+  await Promise.all(
+    counters.map(({ key, count, resetsAt, metadata }) =>
+      env.CLAUDE_KV.put(key, String(count + 1), {
+        expirationTtl: Math.max(MIN_KV_TTL, Math.ceil((resetsAt - now) / 1000)),
+        metadata,
+      }),
+    ),
+  );
+  return { ok: true };
+}
+
+/**
+ * Finds the accounts whose own limits are exhausted, so that random selection can avoid them.
+ * @param env The Environment object.
+ * @param emails The candidate accounts.
+ * @returns A Promise that resolves to a map from exhausted account to seconds until it is available again.
+ */
+export async function findExhaustedAccounts(env: Env, emails: string[]): Promise<Map<string, number>> {
+  const exhausted = new Map<string, number>();
+  const rules = getLimitRules(env).filter((rule) => rule.scope === 'account');
+  if (rules.length === 0) {
+    return exhausted;
+  }
+  const now = Date.now();
+  await Promise.all(
+    emails.map(async (email) => {
+      for (const rule of rules) {
+        const { period, resetsAt } = getWindow(rule, now);
+        if ((await readCount(env, counterKey('account', email, rule.kind, period))) >= rule.limit) {
+          const retryAfter = Math.max(1, Math.ceil((resetsAt - now) / 1000));
+          exhausted.set(email, Math.max(exhausted.get(email) || 0, retryAfter));
+        }
+      }
+    }),
+  );
+  return exhausted;
+}
+
+/**
+ * Lists the live usage counters, optionally filtered by scope and subject.
+ * @param env The Environment object containing the KV namespace.
+ * @param filter Optional: Only return counters of this scope and/or subject.
+ * @returns A Promise that resolves to the counters.
+ */
+export async function listUsage(env: Env, filter: { scope?: LimitScope; subject?: string } = {}): Promise<UsageCounter[]> {
+  const prefix = filter.scope
+    ? `${USAGE_KEY_PREFIX}${filter.scope}:${filter.subject ? `${encodeURIComponent(filter.subject)}:` : ''}`
+    : USAGE_KEY_PREFIX;
+  const counters: UsageCounter[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await env.CLAUDE_KV.list<UsageCounter>({ prefix, cursor });
+    for (const key of page.keys) {
+      if (key.metadata && (!filter.subject || key.metadata.subject === filter.subject)) {
+        counters.push(key.metadata);
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return counters;
+}
+
+/**
+ * Deletes usage counters, optionally filtered by scope and subject.
+ * @param env The Environment object containing the KV namespace.
+ * @param filter Optional: Only reset counters of this scope and/or subject.
+ * @returns A Promise that resolves to the number of counters deleted.
+ */
+export async function resetUsage(env: Env, filter: { scope?: LimitScope; subject?: string } = {}): Promise<number> {
+  const counters = await listUsage(env, filter);
+  await Promise.all(
+    counters.map((counter) => env.CLAUDE_KV.delete(counterKey(counter.scope, counter.subject, counter.kind, counter.period))),
+  );
+  return counters.length;
+}
+
+/**
+ * Checks whether a value names a limit scope.
+ * @param value The value to check.
+ * @returns True if the value is a LimitScope.
+ */
+export const isLimitScope = (value: unknown): value is LimitScope => value === 'ip' || value === 'identity' || value === 'account';
@@ -0,0 +1,175 @@
+// src/routing.ts
+/**
+ * Named upstreams and the routing of accounts to them.
+ * UPSTREAMS lists the fuclaude front-ends as "name=url" pairs; without it, BASE_URL is the single upstream
+ * "default". An account whose `upstreams` field names some of them is only served by those, in that order; any
+ * other account may be served by every upstream. Upstreams that failed recently are marked down in KV and skipped
+ * for DOWN_RECHECK_SECONDS, after which logins try them again; the scheduled handler also probes every upstream.
+ */
+
+import type { AccountRecord, Env } from './types';
+
+const UPSTREAM_HEALTH_KEY = 'UPSTREAM_HEALTH_MAP';
+
+export const DEFAULT_UPSTREAM = 'default';
+
+// A down upstream is given another chance by logins after this long, even before the next scheduled probe.
+const DOWN_RECHECK_SECONDS = 300;
+
+const PROBE_TIMEOUT_MS = 5000;
+
+/**
+ * A configured upstream. `base_url` has no trailing slash.
+ */
+export interface Upstream {
+  name: string;
+  base_url: string;
+}
+
+/**
+ * The health record kept for each upstream in KV.
+ * - 'up': the last request reached it (any answer below 500 counts).
+ * - 'down': the last request failed with a network error, timeout or 5xx.
+ */
+export interface UpstreamHealth {
+  status: 'up' | 'down';
+  last_checked: string;
+  last_error?: string;
+  /**
+   * ISO timestamp of the first failure of the current outage.
+   */
+  down_since?: string;
+}
+
+export type UpstreamHealthMap = Record<string, UpstreamHealth>;
+
+/**
+ * Checks whether a value is a valid upstream name: 1-32 letters, digits, "_" or "-".
+ * @param value The value to check.
+ * @returns True if the value can name an upstream.
+ */
+export const isValidUpstreamName = (value: unknown): value is string => typeof value === 'string' && /^[A-Za-z0-9_-]{1,32}$/.test(value);
+
+/**
+ * Reads the configured upstreams. Malformed UPSTREAMS entries are logged and skipped.
+ * @param env The Environment object containing UPSTREAMS or BASE_URL.
+ * @returns The upstreams, in configuration order.
+ */
+export function getUpstreams(env: Env): Upstream[] {
+  if (!env.UPSTREAMS?.trim()) {
+    return [{ name: DEFAULT_UPSTREAM, base_url: env.BASE_URL.replace(/\/+$/, '') }];
+  }
+  const upstreams: Upstream[] = [];
+  for (const entry of env.UPSTREAMS.split(',')) {
+    const separator = entry.indexOf('=');
+    const name = entry.slice(0, separator).trim();
+    const baseUrl = entry.slice(separator + 1).trim().replace(/\/+$/, '');
+    if (separator < 0 || !isValidUpstreamName(name) || !/^https?:\/\/\S+$/.test(baseUrl) || upstreams.some((u) => u.name === name)) {
+      console.error(`Ignoring invalid UPSTREAMS entry "${entry.trim()}". Use <name>=<url>, with unique names.`);
+      continue;
+    }
+    upstreams.push({ name, base_url: baseUrl });
+  }
+  return upstreams;
+}
+
+/**
+ * Retrieves the health records of the upstreams.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the UpstreamHealthMap (empty if nothing was recorded yet).
+ */
+export async function getUpstreamHealthMap(env: Env): Promise<UpstreamHealthMap> {
+  return (await env.CLAUDE_KV.get<UpstreamHealthMap>(UPSTREAM_HEALTH_KEY, 'json')) || {};
+}
+
+/**
+ * Checks whether an upstream should currently be skipped.
+ * @param healthMap The current UpstreamHealthMap.
+ * @param name The upstream's name.
+ * @param now Optional: The current time in epoch milliseconds.
+ * @returns True if it was found down within the last DOWN_RECHECK_SECONDS.
+ */
+export const isUpstreamDown = (healthMap: UpstreamHealthMap, name: string, now = Date.now()): boolean =>
+  healthMap[name]?.status === 'down' && now - Date.parse(healthMap[name].last_checked) < DOWN_RECHECK_SECONDS * 1000;
+
+/**
+ * Computes the new health record of an upstream from the outcome of a request.
+ * @param previous The previous record, if any.
+ * @param error The error, or undefined if the upstream answered.
+ * @returns The updated UpstreamHealth.
+ */
+const nextHealth = (previous: UpstreamHealth | undefined, error?: string): UpstreamHealth => {
+  const now = new Date().toISOString();
+  if (!error) {
+    return { status: 'up', last_checked: now };
+  }
+  return { status: 'down', last_checked: now, last_error: error, down_since: previous?.status === 'down' ? previous.down_since : now };
+};
+
+/**
+ * Records the outcome of a login's request to an upstream. To keep logins cheap, nothing is read or written
+ * unless the outcome changes what `known` says about the upstream.
+ * @param env The Environment object containing the KV namespace.
+ * @param known The UpstreamHealthMap the login was routed with.
+ * @param name The upstream's name.
+ * @param error The error, or undefined if the upstream answered.
+ */
+export async function recordUpstreamResult(env: Env, known: UpstreamHealthMap, name: string, error?: string): Promise<void> {
+  if (!error && known[name]?.status !== 'down') {
+    return;
+  }
+  const healthMap = await getUpstreamHealthMap(env);
+  if (error && healthMap[name]?.status !== 'down') {
+    console.warn(`Upstream ${name} is down: ${error}`);
+  }
+  healthMap[name] = nextHealth(healthMap[name], error);
+  await env.CLAUDE_KV.put(UPSTREAM_HEALTH_KEY, JSON.stringify(healthMap));
+}
+
+/**
+ * Probes every configured upstream with a GET of UPSTREAM_HEALTH_PATH (default "/") and stores the results.
+ * Records of upstreams that are no longer configured are dropped.
+ * @param env The Environment object.
+ * @returns A Promise that resolves to the new UpstreamHealthMap.
+ */
+export async function checkUpstreams(env: Env): Promise<UpstreamHealthMap> {
+  const previous = await getUpstreamHealthMap(env);
+  const healthMap: UpstreamHealthMap = {};
+  for (const upstream of getUpstreams(env)) {
+    let error: string | undefined;
+    try {
+      const response = await fetch(`${upstream.base_url}${env.UPSTREAM_HEALTH_PATH || '/'}`, {
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+        redirect: 'manual',
+      });
+      if (response.status >= 500) {
+        error = `Upstream responded with ${response.status}.`;
+      }
+      await response.body?.cancel();
+    } catch (e: any) {
+      error = e?.name === 'TimeoutError' ? `Upstream did not respond within ${PROBE_TIMEOUT_MS}ms.` : `Network error: ${e?.message || e}`;
+    }
+    healthMap[upstream.name] = nextHealth(previous[upstream.name], error);
+  }
+  await env.CLAUDE_KV.put(UPSTREAM_HEALTH_KEY, JSON.stringify(healthMap));
+  console.log(`Upstream check completed for ${Object.keys(healthMap).length} upstream(s).`);
+  return healthMap;
+}
+
+/**
+ * Lists the upstreams an account may be served by, in the order they should be tried: the preferred upstream
+ * first, then the others in the account's (or the configuration's) order. Upstreams that are down go last.
+ * @param upstreams The configured upstreams.
+ * @param healthMap The current UpstreamHealthMap.
+ * @param record The account record.
+ * @param preference Optional: The name of the upstream the caller prefers; ignored if the account may not use it.
+ * @returns The upstreams to try, or an empty array if the account is pinned only to upstreams that do not exist.
+ */
+export function routeAccount(upstreams: Upstream[], healthMap: UpstreamHealthMap, record: AccountRecord, preference?: string): Upstream[] {
+  const allowed = record.upstreams?.length
+    ? record.upstreams.map((name) => upstreams.find((upstream) => upstream.name === name)).filter((upstream): upstream is Upstream => !!upstream)
+    : upstreams;
+  const now = Date.now();
+  const rank = (upstream: Upstream) => (upstream.name === preference ? 0 : 1) + (isUpstreamDown(healthMap, upstream.name, now) ? 2 : 0);
+  return [...allowed].sort((a, b) => rank(a) - rank(b)); // Array.prototype.sort is stable
+}
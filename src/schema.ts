@@ -0,0 +1,225 @@
+// src/schema.ts
+/**
+ * Runtime validation of request bodies and query strings for the /api/v1 routes.
+ * Schemas are plain JSON Schema objects (the subset below), so the same declaration that validates a request
+ * is published as-is in the OpenAPI document (see openapi.ts). Validation only checks the shape of a request;
+ * rules that need the pool or the configuration, such as whether an account exists, stay with the handlers.
+ */
+
+export type SchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/**
+ * The supported subset of JSON Schema.
+ */
+export interface Schema {
+  type?: SchemaType | SchemaType[];
+  description?: string;
+  enum?: readonly (string | number)[];
+  /**
+   * 'date-time' accepts anything Date.parse understands; 'email' and 'uri' are checked loosely.
+   */
+  format?: 'date-time' | 'email' | 'uri';
+  pattern?: string;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+  items?: Schema;
+  maxItems?: number;
+  properties?: Record<string, Schema>;
+  required?: string[];
+  /**
+   * Unknown properties are rejected unless this is true.
+   */
+  additionalProperties?: boolean;
+  minProperties?: number;
+}
+
+/**
+ * A problem found in a request, with the path of the offending value (e.g. "actions[2].email").
+ */
+export interface SchemaIssue {
+  field: string;
+  message: string;
+}
+
+// --- Builders ---
+
+export const str = (options: Omit<Schema, 'type'> = {}): Schema => ({ type: 'string', ...options });
+export const int = (options: Omit<Schema, 'type'> = {}): Schema => ({ type: 'integer', ...options });
+export const num = (options: Omit<Schema, 'type'> = {}): Schema => ({ type: 'number', ...options });
+export const bool = (options: Omit<Schema, 'type'> = {}): Schema => ({ type: 'boolean', ...options });
+export const arr = (items: Schema, options: Omit<Schema, 'type' | 'items'> = {}): Schema => ({ type: 'array', items, ...options });
+export const oneOf = (values: readonly string[], options: Omit<Schema, 'type' | 'enum'> = {}): Schema => ({ type: 'string', enum: values, ...options });
+
+/**
+ * An object with the given properties, of which `required` must be present. Other properties are rejected.
+ */
+export const obj = (properties: Record<string, Schema>, required: string[] = [], options: Omit<Schema, 'type' | 'properties' | 'required'> = {}): Schema => ({
+  type: 'object',
+  properties,
+  ...(required.length > 0 && { required }),
+  additionalProperties: false,
+  ...options,
+});
+
+/**
+ * Allows null in addition to what the schema accepts.
+ */
+export const nullable = (schema: Schema): Schema => ({ ...schema, type: [...[schema.type || []].flat(), 'null'] });
+
+/**
+ * Accepts any JSON value.
+ */
+export const anything = (description?: string): Schema => (description ? { description } : {});
+
+// --- Validation ---
+
+const typeOf = (value: unknown): SchemaType => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value as SchemaType;
+};
+
+const TYPE_NAMES: Record<SchemaType, string> = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  object: 'an object',
+  array: 'an array',
+  null: 'null',
+};
+
+const matchesType = (value: unknown, type: SchemaType): boolean => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+const checkFormat = (value: string, format: Schema['format']): boolean => {
+  switch (format) {
+    case 'date-time':
+      return !isNaN(Date.parse(value));
+    case 'email':
+      return /^[^\s@]+@[^\s@]+$/.test(value);
+    case 'uri':
+      try {
+        new URL(value);
+        return true;
+      } catch {
+        return false;
+      }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Validates a value against a schema.
+ * @param schema The schema.
+ * @param value The value to check.
+ * @param path The path of the value, used in the messages.
+ * @param root What the value is when it has no path: 'body' or 'query'.
+ * @returns The issues found; empty if the value is valid.
+ */
+export function validateSchema(schema: Schema, value: unknown, path = '', root = 'body'): SchemaIssue[] {
+  const field = path || root;
+  const issue = (message: string): SchemaIssue[] => [{ field, message: `${path ? `Field "${path}"` : `The request ${root}`} ${message}.` }];
+
+  if (schema.type !== undefined) {
+    const types = [schema.type].flat();
+    if (!types.some((type) => matchesType(value, type))) {
+      return issue(`must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`);
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value as string | number)) {
+    return issue(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return issue(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return issue(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      return issue(`does not match the pattern ${schema.pattern}`);
+    }
+    if (schema.format !== undefined && !checkFormat(value, schema.format)) {
+      return issue(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return issue(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return issue(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return issue(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.flatMap((item, index) => validateSchema(schema.items!, item, `${path}[${index}]`, root));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const record = value as Record<string, unknown>;
+    const prefix = path ? `${path}.` : '';
+    const present = Object.keys(record).filter((key) => record[key] !== undefined);
+    if (schema.minProperties !== undefined && present.length < schema.minProperties) {
+      const names = Object.keys(schema.properties || {});
+      return issue(`must contain at least ${schema.minProperties === 1 ? 'one' : schema.minProperties} of: ${names.join(', ')}`);
+    }
+    const issues: SchemaIssue[] = [];
+    for (const key of schema.required || []) {
+      if (record[key] === undefined) {
+        issues.push({ field: `${prefix}${key}`, message: `Field "${prefix}${key}" is required.` });
+      }
+    }
+    for (const key of present) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        issues.push(...validateSchema(propertySchema, record[key], `${prefix}${key}`, root));
+      } else if (schema.properties && schema.additionalProperties !== true) {
+        issues.push({ field: `${prefix}${key}`, message: `Field "${prefix}${key}" is not allowed.` });
+      }
+    }
+    return issues;
+  }
+  return [];
+}
+
+/**
+ * Reads the properties of an object schema from a query string, converting numbers and booleans.
+ * Values that cannot be converted are kept as strings, so that validation reports them. Parameters the schema
+ * does not declare are ignored.
+ * @param schema The object schema of the query.
+ * @param params The query parameters.
+ * @returns The query as an object, ready for validateSchema.
+ */
+export function readQuery(schema: Schema, params: URLSearchParams): Record<string, unknown> {
+  const query: Record<string, unknown> = {};
+  for (const [name, propertySchema] of Object.entries(schema.properties || {})) {
+    const raw = params.get(name);
+    if (raw === null) {
+      continue;
+    }
+    const types = [propertySchema.type].flat();
+    if ((types.includes('integer') || types.includes('number')) && raw.trim() !== '' && !isNaN(Number(raw))) {
+      query[name] = Number(raw);
+    } else if (types.includes('boolean') && (raw === 'true' || raw === 'false')) {
+      query[name] = raw === 'true';
+    } else {
+      query[name] = raw;
+    }
+  }
+  return query;
+}
@@ -0,0 +1,221 @@
+// src/selection.ts
+/**
+ * Account selection strategies for random-mode login.
+ * The strategy is chosen by the SELECTION_STRATEGY environment variable and can be overridden per request.
+ * Usage state (last selection, last-used timestamps and active sessions) is kept in KV so that it is
+ * shared across isolates.
+ */
+
+import type { AccountMap, CooldownMap, Env, HealthMap } from './types';
+import { sortEmails } from './utils';
+import { isQuarantined } from './health';
+import { isCoolingDown } from './cooldowns';
+import { getActiveSessionWindow } from './sessions';
+
+const SELECTION_STATE_KEY = 'SELECTION_STATE';
+
+/**
+ * The supported selection strategies.
+ * - 'random': uniform random choice (the default).
+ * - 'round-robin': cycles through the accounts in sorted order.
+ * - 'least-recently-used': picks the account that was handed out longest ago.
+ * - 'weighted': random choice proportional to each account's `weight` (default 1).
+ * - 'least-active-sessions': picks the account with the fewest unexpired tokens.
+ */
+export const SELECTION_STRATEGIES = ['random', 'round-robin', 'least-recently-used', 'weighted', 'least-active-sessions'] as const;
+
+export type SelectionStrategy = (typeof SELECTION_STRATEGIES)[number];
+
+/**
+ * The usage state stored in KV.
+ */
+interface SelectionState {
+  /**
+   * The account most recently chosen by random-mode selection; round-robin continues after it.
+   */
+  last_selected?: string;
+  /**
+   * Epoch milliseconds of the last token issued per account.
+   */
+  last_used: { [email: string]: number };
+  /**
+   * Epoch milliseconds at which each issued token stops counting as active, per account.
+   */
+  active_sessions: { [email: string]: number[] };
+}
+
+/**
+ * Retrieves the selection state from KV.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the SelectionState. Returns an empty state if not found or on parse error.
+ */
+async function getSelectionState(env: Env): Promise<SelectionState> {
+  const stateStr = await env.CLAUDE_KV.get(SELECTION_STATE_KEY);
+  if (stateStr) {
+    try {
+      const state = JSON.parse(stateStr) as Partial<SelectionState>;
+      return { ...state, last_used: state.last_used || {}, active_sessions: state.active_sessions || {} };
+    } catch (e) {
+      console.error('Error parsing SELECTION_STATE from KV:', e);
+    }
+  }
+  return { last_used: {}, active_sessions: {} };
+}
+
+/**
+ * Checks whether a value names a supported strategy.
+ * @param value The value to check.
+ * @returns True if the value is a SelectionStrategy.
+ */
+export const isSelectionStrategy = (value: unknown): value is SelectionStrategy =>
+  typeof value === 'string' && (SELECTION_STRATEGIES as readonly string[]).includes(value);
+
+/**
+ * Determines the strategy to use for a login request.
+ * @param env The Environment object containing SELECTION_STRATEGY.
+ * @param requested Optional: The strategy requested in the login body.
+ * @returns The strategy to use, or null if the requested strategy is not supported.
+ */
+export const resolveStrategy = (env: Env, requested?: string): SelectionStrategy | null => {
+  if (requested !== undefined) {
+    return isSelectionStrategy(requested) ? requested : null;
+  }
+  if (isSelectionStrategy(env.SELECTION_STRATEGY)) {
+    return env.SELECTION_STRATEGY;
+  }
+  if (env.SELECTION_STRATEGY) {
+    console.warn(`Unknown SELECTION_STRATEGY "${env.SELECTION_STRATEGY}", falling back to random.`);
+  }
+  return 'random';
+};
+
+/**
+ * Lists the accounts that random selection may hand out: enabled, not quarantined and not cooling down.
+ * @param accountMap The current AccountMap.
+ * @param healthMap The current HealthMap.
+ * @param cooldownMap The current CooldownMap.
+ * @returns The eligible emails.
+ */
+export const getSelectableEmails = (accountMap: AccountMap, healthMap: HealthMap, cooldownMap: CooldownMap): string[] => {
+  const now = Date.now();
+  return Object.keys(accountMap).filter(
+    (email) => accountMap[email].enabled && !isQuarantined(healthMap, email) && !isCoolingDown(cooldownMap, email, now),
+  );
+};
+
+/**
+ * Picks a random element from an array.
+ * @param items A non-empty array.
+ * @returns One of its elements, chosen uniformly.
+ */
+const pickRandom = <T>(items: T[]): T => items[Math.floor(Math.random() * items.length)];
+
+/**
+ * Picks one of the candidates with the lowest score, breaking ties randomly.
+ * @param candidates A non-empty array of emails.
+ * @param score Returns the score of an email.
+ * @returns The chosen email.
+ */
+const pickLowest = (candidates: string[], score: (email: string) => number): string => {
+  const lowest = Math.min(...candidates.map(score));
+  return pickRandom(candidates.filter((email) => score(email) === lowest));
+};
+
+/**
+ * Selects an account from the candidates according to the strategy.
+ * @param env The Environment object containing the KV namespace.
+ * @param accountMap The current AccountMap, used for account weights.
+ * @param candidates A non-empty array of emails eligible for selection.
+ * @param strategy The strategy to apply.
+ * @returns A Promise that resolves to the chosen email.
+ */
+export async function selectAccount(env: Env, accountMap: AccountMap, candidates: string[], strategy: SelectionStrategy): Promise<string> {
+  if (strategy === 'random') {
+    return pickRandom(candidates);
+  }
+
+  if (strategy === 'weighted') {
+    const weights = candidates.map((email) => accountMap[email]?.weight ?? 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    if (total <= 0) {
+      return pickRandom(candidates); // All weights are zero: fall back to uniform choice
+    }
+    let roll = Math.random() * total;
+    for (let i = 0; i < candidates.length; i++) {
+      roll -= weights[i];
+      if (roll < 0) {
+        return candidates[i];
+      }
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  const state = await getSelectionState(env);
+
+  if (strategy === 'round-robin') {
+    const ordered = sortEmails([...candidates]);
+    if (!state.last_selected) {
+      return ordered[0];
+    }
+    // Continue after the last selected account, even if it is no longer a candidate.
+    const withLast = sortEmails([...new Set([...ordered, state.last_selected])]);
+    const position = withLast.indexOf(state.last_selected);
+    return withLast.slice(position + 1).find((email) => candidates.includes(email)) || ordered[0];
+  }
+
+  if (strategy === 'least-recently-used') {
+    return pickLowest(candidates, (email) => state.last_used[email] || 0);
+  }
+
+  const now = Date.now();
+  return pickLowest(candidates, (email) => (state.active_sessions[email] || []).filter((until) => until > now).length);
+}
+
+/**
+ * Records that a token was issued for an account, updating the shared usage state.
+ * @param env The Environment object containing the KV namespace.
+ * @param email The account the token was issued for.
+ * @param expiresIn The token lifetime in seconds (0 means it does not expire).
+ * @param selected True if the account was chosen by random-mode selection (advances round-robin).
+ */
+export async function recordAccountUsage(env: Env, email: string, expiresIn: number, selected: boolean): Promise<void> {
+  const state = await getSelectionState(env);
+  const now = Date.now();
+  const lifetime = expiresIn > 0 ? expiresIn : getActiveSessionWindow(env);
+
+  if (selected) {
+    state.last_selected = email;
+  }
+  state.last_used[email] = now;
+  state.active_sessions[email] = [...(state.active_sessions[email] || []), now + lifetime * 1000];
+
+  // Drop expired sessions so the state does not grow without bound.
+  for (const [key, sessions] of Object.entries(state.active_sessions)) {
+    const active = sessions.filter((until) => until > now);
+    if (active.length > 0) {
+      state.active_sessions[key] = active;
+    } else {
+      delete state.active_sessions[key];
+    }
+  }
+
+  await env.CLAUDE_KV.put(SELECTION_STATE_KEY, JSON.stringify(state));
+}
+
+/**
+ * Removes the usage state of the given accounts, e.g. after they were deleted.
+ * @param env The Environment object containing the KV namespace.
+ * @param emails The accounts whose usage state should be removed.
+ */
+export async function forgetAccountUsage(env: Env, emails: string[]): Promise<void> {
+  const state = await getSelectionState(env);
+  const known = emails.filter((email) => state.last_used[email] !== undefined || state.active_sessions[email]);
+  if (known.length === 0) {
+    return;
+  }
+  for (const email of known) {
+    delete state.last_used[email];
+    delete state.active_sessions[email];
+  }
+  await env.CLAUDE_KV.put(SELECTION_STATE_KEY, JSON.stringify(state));
+}
@@ -0,0 +1,258 @@
+// src/sessions.ts
+/**
+ * Tracking of the login tokens the Worker issues.
+ * Every successful token exchange is recorded under SESSION:<inverted timestamp>-<id>, with the record doubling as
+ * key metadata so that listing needs no read per key. A session is active until its token expires (tokens issued
+ * with expires_in 0 never do) or until its unique_name is revoked. Revoked unique_names are remembered under
+ * REVOKED_NAME:<unique_name> so that no new token is issued for them, and the scheduled handler prunes the records
+ * of expired and revoked sessions, and of sessions without expiration once they are older than ACTIVE_SESSION_WINDOW.
+ */
+
+import type { Env } from './types';
+
+const SESSION_KEY_PREFIX = 'SESSION:';
+
+const REVOKED_NAME_KEY_PREFIX = 'REVOKED_NAME:';
+
+// Inverting against this bound keeps timestamps sortable as fixed-width strings, so listings return the newest first.
+const MAX_TIMESTAMP = 9999999999999;
+
+// Each scheduled run deletes at most this many records, staying well within the per-invocation KV operation limit.
+const MAX_PRUNED_PER_RUN = 500;
+
+// Free-form fields are cut to this length, so that a record normally fits the 1024-byte KV metadata limit.
+const MAX_FIELD_LENGTH = { requester: 100, ip: 64 } as const;
+
+const MAX_METADATA_BYTES = 1024;
+
+// Tokens issued without an expiration are counted as active for this long by default.
+const DEFAULT_ACTIVE_SESSION_WINDOW = 86400;
+
+/**
+ * An issued token.
+ */
+export interface SessionRecord {
+  id: string;
+  email: string;
+  unique_name: string;
+  /**
+   * The login mode the token was issued through.
+   */
+  mode: string;
+  /**
+   * Whether the token was requested through /api/login ('user') or /api/admin/login ('admin').
+   */
+  via: 'user' | 'admin';
+  /**
+   * Who requested the token: the access code owner, 'anonymous', or the admin user.
+   */
+  requester: string;
+  access_code_id?: string;
+  /**
+   * The sticky-session identity, for sticky logins.
+   */
+  identity?: string;
+  ip?: string;
+  /**
+   * The name of the upstream that issued the token.
+   */
+  upstream?: string;
+  issued_at: string;
+  expires_in: number;
+  /**
+   * ISO timestamp of the token's expiration, or null if it never expires.
+   */
+  expires_at: string | null;
+  revoked_at?: string;
+  revoked_by?: string;
+}
+
+/**
+ * The details of a newly issued token, as passed to recordSession.
+ */
+export type NewSession = Omit<SessionRecord, 'id' | 'issued_at' | 'expires_at' | 'revoked_at' | 'revoked_by'>;
+
+/**
+ * The key metadata of a record too large to serve as its own metadata. Such records are read from their value.
+ */
+interface PartialSessionRecord {
+  id: string;
+  partial: true;
+}
+
+/**
+ * A revoked unique_name.
+ */
+export interface RevokedName {
+  unique_name: string;
+  revoked_at: string;
+  revoked_by: string;
+  reason?: string;
+}
+
+/**
+ * Reads how long a token issued without expiration counts as active, from ACTIVE_SESSION_WINDOW.
+ * @param env The Environment object.
+ * @returns The window in seconds.
+ */
+export const getActiveSessionWindow = (env: Env): number => {
+  const window = env.ACTIVE_SESSION_WINDOW ? parseInt(env.ACTIVE_SESSION_WINDOW, 10) : DEFAULT_ACTIVE_SESSION_WINDOW;
+  return isNaN(window) ? DEFAULT_ACTIVE_SESSION_WINDOW : window;
+};
+
+/**
+ * Checks whether a unique_name may be used: 1-128 letters, digits, ".", "_", "@" or "-". Names become part of KV keys
+ * and session records, so they are checked before a login uses them.
+ * @param uniqueName The unique_name to check.
+ * @returns True if the name is valid.
+ */
+export const isValidUniqueName = (uniqueName: unknown): uniqueName is string =>
+  typeof uniqueName === 'string' && /^[A-Za-z0-9._@-]{1,128}$/.test(uniqueName);
+
+/**
+ * Checks whether a session still holds a usable token.
+ * @param session The session record.
+ * @param now Optional: The current time in epoch milliseconds.
+ * @returns True if the session is neither revoked nor expired.
+ */
+export const isSessionActive = (session: SessionRecord, now = Date.now()): boolean =>
+  !session.revoked_at && (session.expires_at === null || Date.parse(session.expires_at) > now);
+
+/**
+ * Stores a session record.
+ */
+const saveSession = (env: Env, session: SessionRecord): Promise<void> => {
+  const serialized = JSON.stringify(session);
+  const metadata: SessionRecord | PartialSessionRecord =
+    new TextEncoder().encode(serialized).length <= MAX_METADATA_BYTES ? session : { id: session.id, partial: true };
+  return env.CLAUDE_KV.put(`${SESSION_KEY_PREFIX}${session.id}`, serialized, { metadata });
+};
+
+/**
+ * Records an issued token. Failures are logged rather than thrown, as the login itself already succeeded.
+ * @param env The Environment object containing the KV namespace.
+ * @param session The details of the token.
+ */
+export async function recordSession(env: Env, session: NewSession): Promise<void> {
+  const now = Date.now();
+  const record: SessionRecord = {
+    id: `${String(MAX_TIMESTAMP - now).padStart(13, '0')}-${crypto.randomUUID().slice(0, 8)}`,
+    ...session,
+    ...(session.requester && { requester: session.requester.slice(0, MAX_FIELD_LENGTH.requester) }),
+    ...(session.ip && { ip: session.ip.slice(0, MAX_FIELD_LENGTH.ip) }),
+    issued_at: new Date(now).toISOString(),
+    expires_at: session.expires_in > 0 ? new Date(now + session.expires_in * 1000).toISOString() : null,
+  };
+  try {
+    await saveSession(env, record);
+  } catch (e) {
+    console.error(`Failed to record the session of ${record.unique_name} on ${record.email}:`, e);
+  }
+}
+
+/**
+ * Lists session records, newest first.
+ * @param env The Environment object containing the KV namespace.
+ * @param filter Optional: Only sessions of this account and/or unique_name; inactive ones only if include_inactive is set.
+ * @returns A Promise that resolves to the session records.
+ */
+export async function listSessions(
+  env: Env,
+  filter: { email?: string; unique_name?: string; include_inactive?: boolean } = {},
+): Promise<SessionRecord[]> {
+  const now = Date.now();
+  const sessions: SessionRecord[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await env.CLAUDE_KV.list<SessionRecord | PartialSessionRecord>({ prefix: SESSION_KEY_PREFIX, cursor });
+    for (const key of page.keys) {
+      const session = key.metadata && 'partial' in key.metadata ? await env.CLAUDE_KV.get<SessionRecord>(key.name, 'json') : key.metadata;
+      if (
+        session &&
+        (!filter.email || session.email === filter.email) &&
+        (!filter.unique_name || session.unique_name === filter.unique_name) &&
+        (filter.include_inactive || isSessionActive(session, now))
+      ) {
+        sessions.push(session);
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return sessions;
+}
+
+/**
+ * Checks whether a unique_name has been revoked.
+ * @param env The Environment object containing the KV namespace.
+ * @param uniqueName The unique_name to check.
+ * @returns A Promise that resolves to the revocation, or null if the name is not revoked.
+ */
+export const getRevokedName = (env: Env, uniqueName: string): Promise<RevokedName | null> =>
+  env.CLAUDE_KV.get<RevokedName>(`${REVOKED_NAME_KEY_PREFIX}${uniqueName}`, 'json');
+
+/**
+ * Revokes a unique_name: its active sessions are marked revoked and no new token will be issued for it.
+ * @param env The Environment object containing the KV namespace.
+ * @param uniqueName The unique_name to revoke.
+ * @param actor The admin revoking it.
+ * @param reason Optional: A note stored with the revocation.
+ * @returns A Promise that resolves to the sessions that were revoked.
+ */
+export async function revokeUniqueName(env: Env, uniqueName: string, actor: string, reason?: string): Promise<SessionRecord[]> {
+  const revokedAt = new Date().toISOString();
+  const revocation: RevokedName = { unique_name: uniqueName, revoked_at: revokedAt, revoked_by: actor, ...(reason && { reason }) };
+  await env.CLAUDE_KV.put(`${REVOKED_NAME_KEY_PREFIX}${uniqueName}`, JSON.stringify(revocation));
+  const sessions = (await listSessions(env, { unique_name: uniqueName })).map((session) => ({
+    ...session,
+    revoked_at: revokedAt,
+    revoked_by: actor,
+  }));
+  await Promise.all(sessions.map((session) => saveSession(env, session)));
+  return sessions;
+}
+
+/**
+ * Lifts the revocation of a unique_name, so that tokens may be issued for it again.
+ * @param env The Environment object containing the KV namespace.
+ * @param uniqueName The revoked unique_name.
+ * @returns A Promise that resolves to true if the name was revoked.
+ */
+export async function unrevokeUniqueName(env: Env, uniqueName: string): Promise<boolean> {
+  if (!(await getRevokedName(env, uniqueName))) {
+    return false;
+  }
+  await env.CLAUDE_KV.delete(`${REVOKED_NAME_KEY_PREFIX}${uniqueName}`);
+  return true;
+}
+
+/**
+ * Moves every session of an account to its new email address after a rename.
+ * @param env The Environment object containing the KV namespace.
+ * @param fromEmail The previous email address.
+ * @param toEmail The new email address.
+ */
+export async function renameAccountSessions(env: Env, fromEmail: string, toEmail: string): Promise<void> {
+  const sessions = await listSessions(env, { email: fromEmail, include_inactive: true });
+  await Promise.all(sessions.map((session) => saveSession(env, { ...session, email: toEmail })));
+}
+
+/**
+ * Deletes the records of expired and revoked sessions, and of sessions without expiration that were issued more than
+ * ACTIVE_SESSION_WINDOW seconds ago, so that the records do not grow without bound. Called by the scheduled handler;
+ * anything beyond MAX_PRUNED_PER_RUN is left for the next run. Revocations themselves are kept, so a revoked
+ * unique_name stays blocked.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the number of records deleted.
+ */
+export async function pruneSessions(env: Env): Promise<number> {
+  const now = Date.now();
+  const retainedUntil = (session: SessionRecord) => Date.parse(session.issued_at) + getActiveSessionWindow(env) * 1000;
+  const inactive = (await listSessions(env, { include_inactive: true }))
+    .filter((session) => !isSessionActive(session, now) || (session.expires_at === null && retainedUntil(session) <= now))
+    .slice(0, MAX_PRUNED_PER_RUN);
+  await Promise.all(inactive.map((session) => env.CLAUDE_KV.delete(`${SESSION_KEY_PREFIX}${session.id}`)));
+  if (inactive.length > 0) {
+    console.log(`Pruned ${inactive.length} expired, revoked or retired session record(s).`);
+  }
+  return inactive.length;
+}
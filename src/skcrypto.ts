@@ -0,0 +1,135 @@
+// src/skcrypto.ts
+/**
+ * Encryption of session keys at rest.
+ * With SK_ENCRYPTION_KEY set (32 random bytes, base64-encoded), SKs are stored as
+ * "enc:v1:<key id>:<iv>:<ciphertext>" using AES-256-GCM, and are only decrypted right before a token exchange.
+ * The key id lets the Worker keep decrypting values written with an older key listed in
+ * SK_ENCRYPTION_KEY_PREVIOUS until they are re-encrypted. sk-crypto.mjs writes the same format for the deploy scripts.
+ */
+
+import type { Env } from './types';
+
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+/**
+ * An imported encryption key and its id (the first 8 hex digits of the SHA-256 of the raw key).
+ */
+export interface SkKey {
+  id: string;
+  key: CryptoKey;
+}
+
+// Imported keys are cached per isolate, keyed by the base64 secret.
+const keyCache = new Map<string, Promise<SkKey>>();
+
+const toBase64Url = (bytes: Uint8Array): string =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64 = (value: string): Uint8Array =>
+  Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), (char) => char.charCodeAt(0));
+
+/**
+ * Imports a base64-encoded AES-256 key.
+ * @param secret The base64 (or base64url) encoding of 32 bytes.
+ * @returns A Promise that resolves to the SkKey.
+ * @throws If the secret does not decode to 32 bytes.
+ */
+function importSkKey(secret: string): Promise<SkKey> {
+  let cached = keyCache.get(secret);
+  if (!cached) {
+    cached = (async () => {
+      const raw = fromBase64(secret.trim());
+      if (raw.length !== 32) {
+        throw new Error('SK encryption keys must be 32 bytes, base64-encoded.');
+      }
+      const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', raw));
+      const id = [...digest.slice(0, 4)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+      const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+      return { id, key };
+    })();
+    // A malformed secret should be reported again on the next call, not cached as a rejection.
+    cached.catch(() => keyCache.delete(secret));
+    keyCache.set(secret, cached);
+  }
+  return cached;
+}
+
+/**
+ * Returns the key new values are encrypted with.
+ * @param env The Environment object containing SK_ENCRYPTION_KEY.
+ * @returns A Promise that resolves to the current SkKey, or null if encryption is not configured.
+ */
+export const getCurrentSkKey = (env: Env): Promise<SkKey | null> =>
+  env.SK_ENCRYPTION_KEY ? importSkKey(env.SK_ENCRYPTION_KEY) : Promise.resolve(null);
+
+/**
+ * Returns every key values may be decrypted with: the current key and any previous keys.
+ * @param env The Environment object.
+ * @returns A Promise that resolves to the keys, by id.
+ */
+async function getAllSkKeys(env: Env): Promise<Map<string, SkKey>> {
+  const secrets = [env.SK_ENCRYPTION_KEY, ...(env.SK_ENCRYPTION_KEY_PREVIOUS || '').split(',')].filter((secret): secret is string => !!secret?.trim());
+  const keys = await Promise.all(secrets.map(importSkKey));
+  return new Map(keys.map((key) => [key.id, key]));
+}
+
+/**
+ * Checks whether a stored SK value is encrypted.
+ * @param value The stored value.
+ * @returns True if the value is in the encrypted format.
+ */
+export const isEncryptedSk = (value: string): boolean => value.startsWith(ENCRYPTED_PREFIX);
+
+/**
+ * Returns the id of the key a stored value was encrypted with.
+ * @param value The stored value.
+ * @returns The key id, or null if the value is plaintext.
+ */
+export const getSkKeyId = (value: string): string | null => (isEncryptedSk(value) ? value.slice(ENCRYPTED_PREFIX.length).split(':')[0] : null);
+
+/**
+ * Encrypts an SK.
+ * @param key The key to encrypt with.
+ * @param sk The plaintext SK.
+ * @returns A Promise that resolves to the encrypted value.
+ */
+export async function encryptSk(key: SkKey, sk: string): Promise<string> {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key.key, new TextEncoder().encode(sk));
+  return `${ENCRYPTED_PREFIX}${key.id}:${toBase64Url(iv)}:${toBase64Url(new Uint8Array(ciphertext))}`;
+}
+
+/**
+ * Decrypts a stored SK value. Plaintext values are returned unchanged.
+ * @param env The Environment object containing the encryption keys.
+ * @param value The stored value.
+ * @returns A Promise that resolves to the plaintext SK.
+ * @throws If the key the value was encrypted with is not configured, or the value was tampered with.
+ */
+export async function decryptSk(env: Env, value: string): Promise<string> {
+  if (!isEncryptedSk(value)) {
+    return value;
+  }
+  const [keyId, iv, ciphertext] = value.slice(ENCRYPTED_PREFIX.length).split(':');
+  const key = (await getAllSkKeys(env)).get(keyId);
+  if (!key) {
+    throw new Error(`SK was encrypted with key ${keyId}, which is not configured in SK_ENCRYPTION_KEY or SK_ENCRYPTION_KEY_PREVIOUS.`);
+  }
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key.key, fromBase64(ciphertext));
+  return new TextDecoder().decode(plaintext);
+}
+
+/**
+ * Checks whether a stored SK value holds a given plaintext SK.
+ * @param env The Environment object.
+ * @param stored The stored value (encrypted or plaintext).
+ * @param sk The plaintext SK to compare with.
+ * @returns A Promise that resolves to true if they are the same SK.
+ */
+export async function skMatches(env: Env, stored: string, sk: string): Promise<boolean> {
+  try {
+    return (await decryptSk(env, stored)) === sk;
+  } catch (e) {
+    return false;
+  }
+}
@@ -0,0 +1,171 @@
+// src/sticky.ts
+/**
+ * Sticky sessions: binding a caller identity to one account (and one unique_name) across logins,
+ * so that a person's Claude conversation history stays in one place.
+ * Each binding is its own KV key with an expiration, refreshed on every use (sliding affinity TTL).
+ */
+
+import type { Env } from './types';
+
+const STICKY_KEY_PREFIX = 'STICKY:';
+
+/**
+ * The name of the cookie the Worker sets to remember a caller's identity.
+ */
+export const STICKY_COOKIE_NAME = 'fcpm_sticky_id';
+
+// Bindings expire after 30 days without use by default.
+const DEFAULT_STICKY_TTL = 2592000;
+
+// KV refuses expiration TTLs shorter than 60 seconds.
+const MIN_KV_TTL = 60;
+
+/**
+ * A binding between a caller identity and an account.
+ */
+export interface StickyBinding {
+  identity: string;
+  email: string;
+  /**
+   * The unique_name used for every login of this identity. It is kept when the identity is rebound.
+   */
+  unique_name: string;
+  /**
+   * ISO timestamp of when the identity was bound to the current account.
+   */
+  bound_at: string;
+  /**
+   * ISO timestamp of the last login through this binding.
+   */
+  last_used_at: string;
+}
+
+/**
+ * Checks whether a caller-supplied identity is acceptable as part of a KV key.
+ * @param identity The identity to check.
+ * @returns True if the identity is 1-128 characters of letters, digits, '.', '_', '@' or '-'.
+ */
+export const isValidIdentity = (identity: unknown): identity is string =>
+  typeof identity === 'string' && /^[A-Za-z0-9._@-]{1,128}$/.test(identity);
+
+/**
+ * Generates a new random identity for callers that did not provide one.
+ * @returns A new identity string.
+ */
+export const generateIdentity = (): string => crypto.randomUUID();
+
+/**
+ * Generates a new unique_name for a binding.
+ * @returns A new unique_name string.
+ */
+export const generateStickyUniqueName = (): string =>
+  `sticky_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 7)}`;
+
+/**
+ * Reads the affinity TTL from the environment.
+ * @param env The Environment object.
+ * @returns The TTL in seconds, or 0 if bindings should never expire.
+ */
+export const getStickyTtl = (env: Env): number => {
+  const ttl = env.STICKY_TTL ? parseInt(env.STICKY_TTL, 10) : DEFAULT_STICKY_TTL;
+  if (isNaN(ttl) || ttl < 0) {
+    return DEFAULT_STICKY_TTL;
+  }
+  return ttl === 0 ? 0 : Math.max(ttl, MIN_KV_TTL);
+};
+
+/**
+ * Builds the Set-Cookie header value that stores the caller's identity.
+ * @param identity The identity to store.
+ * @param ttl The affinity TTL in seconds (0 means the cookie lasts for about a year).
+ * @returns The cookie string.
+ */
+export const buildStickyCookie = (identity: string, ttl: number): string =>
+  `${STICKY_COOKIE_NAME}=${identity}; Max-Age=${ttl > 0 ? ttl : 31536000}; Path=/; HttpOnly; Secure; SameSite=None`;
+
+/**
+ * Retrieves the binding of an identity.
+ * @param env The Environment object containing the KV namespace.
+ * @param identity The caller identity.
+ * @returns A Promise that resolves to the StickyBinding, or null if the identity is not bound.
+ */
+export async function getStickyBinding(env: Env, identity: string): Promise<StickyBinding | null> {
+  return env.CLAUDE_KV.get<StickyBinding>(`${STICKY_KEY_PREFIX}${identity}`, 'json');
+}
+
+/**
+ * Stores a binding, restarting its affinity TTL.
+ * The binding is also kept as key metadata so that listing bindings does not need a read per key.
+ * @param env The Environment object containing the KV namespace.
+ * @param binding The binding to store.
+ */
+export async function saveStickyBinding(env: Env, binding: StickyBinding): Promise<void> {
+  const ttl = getStickyTtl(env);
+  await env.CLAUDE_KV.put(`${STICKY_KEY_PREFIX}${binding.identity}`, JSON.stringify(binding), {
+    metadata: binding,
+    ...(ttl > 0 && { expirationTtl: ttl }),
+  });
+}
+
+/**
+ * Lists all bindings, optionally only those of one account.
+ * @param env The Environment object containing the KV namespace.
+ * @param email Optional: Only return bindings to this account.
+ * @returns A Promise that resolves to the bindings.
+ */
+export async function listStickyBindings(env: Env, email?: string): Promise<StickyBinding[]> {
+  const bindings: StickyBinding[] = [];
+  let cursor: string | undefined;
+  do {
+    const page = await env.CLAUDE_KV.list<StickyBinding>({ prefix: STICKY_KEY_PREFIX, cursor });
+    for (const key of page.keys) {
+      if (key.metadata && (!email || key.metadata.email === email)) {
+        bindings.push(key.metadata);
+      }
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return bindings;
+}
+
+/**
+ * Removes bindings, either of a single identity or of every identity bound to an account.
+ * @param env The Environment object containing the KV namespace.
+ * @param target The identity or account whose bindings should be removed.
+ * @returns A Promise that resolves to the identities that were unbound.
+ */
+export async function clearStickyBindings(env: Env, target: { identity?: string; email?: string }): Promise<string[]> {
+  let identities: string[];
+  if (target.identity) {
+    const binding = await getStickyBinding(env, target.identity);
+    identities = binding && (!target.email || binding.email === target.email) ? [binding.identity] : [];
+  } else {
+    identities = (await listStickyBindings(env, target.email)).map((binding) => binding.identity);
+  }
+  await Promise.all(identities.map((identity) => env.CLAUDE_KV.delete(`${STICKY_KEY_PREFIX}${identity}`)));
+  return identities;
+}
+
+/**
+ * Moves every binding of an account to its new email address after a rename, keeping the affinity.
+ * @param env The Environment object containing the KV namespace.
+ * @param fromEmail The previous email address.
+ * @param toEmail The new email address.
+ */
+export async function renameStickyBindings(env: Env, fromEmail: string, toEmail: string): Promise<void> {
+  const bindings = await listStickyBindings(env, fromEmail);
+  await Promise.all(bindings.map((binding) => saveStickyBinding(env, { ...binding, email: toEmail })));
+}
+
+/**
+ * Gives every binding that uses a unique_name a new one, e.g. after the unique_name was revoked.
+ * The identities stay bound to their accounts but start over with a fresh unique_name.
+ * @param env The Environment object containing the KV namespace.
+ * @param uniqueName The unique_name to replace.
+ * @returns A Promise that resolves to the identities whose unique_name was replaced.
+ */
+export async function rotateStickyUniqueName(env: Env, uniqueName: string): Promise<string[]> {
+  const bindings = (await listStickyBindings(env)).filter((binding) => binding.unique_name === uniqueName);
+  await Promise.all(bindings.map((binding) => saveStickyBinding(env, { ...binding, unique_name: generateStickyUniqueName() })));
+  return bindings.map((binding) => binding.identity);
+}
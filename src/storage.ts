@@ -0,0 +1,376 @@
+// src/storage.ts
+/**
+ * Persistence of the account pool.
+ * Two backends implement AccountStore:
+ * - 'durable-object' (used whenever the ACCOUNT_STORE binding exists): every account is its own key in a single
+ *   Durable Object, which applies each batch of operations atomically and is strongly consistent, so concurrent
+ *   admin requests no longer overwrite each other and new accounts are visible to /api/login immediately.
+ *   On first use it imports the pool from EMAIL_TO_SK_MAP.
+ * - 'kv' (legacy, or forced with ACCOUNT_STORAGE=kv): the whole pool as one JSON blob under EMAIL_TO_SK_MAP, rewritten
+ *   on every change.
+ * SKs are encrypted here, before they reach either backend, when SK_ENCRYPTION_KEY is set (see skcrypto.ts).
+ */
+
+import { DurableObject } from 'cloudflare:workers';
+import type { AccountMap, AccountRecord, Env, LegacyEmailSkMap } from './types';
+import { AccountOp, AccountOpResult, applyAccountOp, previewSk, toAccountRecord } from './accounts';
+import { decryptSk, encryptSk, getCurrentSkKey, getSkKeyId, isEncryptedSk } from './skcrypto';
+
+const ACCOUNT_MAP_KEY = 'EMAIL_TO_SK_MAP';
+
+// Durable Object storage keys
+const ACCOUNT_KEY_PREFIX = 'account:';
+const IMPORTED_KEY = 'meta:imported_at';
+
+// Durable Object storage reads and writes at most 128 keys per call.
+const DO_BATCH_SIZE = 128;
+
+export type StorageBackend = 'kv' | 'durable-object';
+
+/**
+ * How a set of operations is written.
+ * - atomic: write nothing unless every operation succeeds.
+ * - dry_run: compute the results without writing anything.
+ */
+export interface ApplyOptions {
+  atomic?: boolean;
+  dry_run?: boolean;
+}
+
+/**
+ * Decides whether the results of applying operations to a copy of the pool should be written.
+ */
+const shouldWrite = (results: AccountOpResult[], options: ApplyOptions): boolean =>
+  !options.dry_run && results.some((result) => result.ok) && (!options.atomic || results.every((result) => result.ok));
+
+/**
+ * A storage backend for the account pool.
+ */
+export interface AccountStore {
+  readonly backend: StorageBackend;
+  /**
+   * Reads every account.
+   */
+  list(): Promise<AccountMap>;
+  /**
+   * Applies operations in order. Failed operations leave the pool unchanged and do not stop the later ones,
+   * unless `options.atomic` is set.
+   */
+  apply(ops: AccountOp[], options?: ApplyOptions): Promise<AccountOpResult[]>;
+}
+
+/**
+ * Reads and normalizes the legacy EMAIL_TO_SK_MAP blob.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the AccountMap. Returns an empty object if not found or on parse error.
+ */
+async function readKvAccountMap(env: Env): Promise<AccountMap> {
+  const mapStr = await env.CLAUDE_KV.get(ACCOUNT_MAP_KEY);
+  if (!mapStr) {
+    console.log("EMAIL_TO_SK_MAP not found in KV, returning empty map.");
+    return {}; // Return an empty object if KV key doesn't exist
+  }
+  try {
+    const rawMap = JSON.parse(mapStr) as LegacyEmailSkMap;
+    const accountMap: AccountMap = {};
+    for (const [email, value] of Object.entries(rawMap)) {
+      accountMap[email] = toAccountRecord(value);
+    }
+    return accountMap;
+  } catch (e) {
+    console.error("Error parsing EMAIL_TO_SK_MAP from KV:", e);
+    return {}; // Return empty on parse error to prevent worker crashes
+  }
+}
+
+/**
+ * The legacy backend: the whole pool in one KV value.
+ * Each change is a read-modify-write of that value, so concurrent changes can overwrite each other and KV's
+ * eventual consistency may hide a change from other locations for up to a minute.
+ */
+class KvAccountStore implements AccountStore {
+  readonly backend = 'kv';
+
+  constructor(private env: Env) {}
+
+  list(): Promise<AccountMap> {
+    return readKvAccountMap(this.env);
+  }
+
+  async apply(ops: AccountOp[], options: ApplyOptions = {}): Promise<AccountOpResult[]> {
+    const accountMap = await readKvAccountMap(this.env);
+    const results = ops.map((op) => applyAccountOp(accountMap, op));
+    if (shouldWrite(results, options)) {
+      await this.env.CLAUDE_KV.put(ACCOUNT_MAP_KEY, JSON.stringify(accountMap));
+    }
+    return results;
+  }
+}
+
+/**
+ * The Durable Object holding the pool, one storage key per account.
+ * A single instance (named "accounts") serves every request, and Durable Objects process storage operations one at
+ * a time, so each apply() call sees and writes a consistent pool.
+ */
+export class AccountStoreObject extends DurableObject<Env> {
+  /**
+   * Reads every account.
+   */
+  async list(): Promise<AccountMap> {
+    await this.ensureImported();
+    return this.readAll();
+  }
+
+  /**
+   * Applies operations in order, writing their combined effect in one transaction.
+   */
+  async apply(ops: AccountOp[], options: ApplyOptions = {}): Promise<AccountOpResult[]> {
+    await this.ensureImported();
+    const accountMap = await this.readAll();
+    const results = ops.map((op) => applyAccountOp(accountMap, op));
+    if (!shouldWrite(results, options)) {
+      return results;
+    }
+    // Write back every email an operation may have changed, including both sides of a rename
+    const touched = new Set(ops.flatMap((op) => (op.type === 'update' && op.new_email ? [op.email, op.new_email] : [op.email])));
+    const puts: Record<string, AccountRecord> = {};
+    const deletes: string[] = [];
+    for (const email of touched) {
+      if (accountMap[email]) {
+        puts[`${ACCOUNT_KEY_PREFIX}${email}`] = accountMap[email];
+      } else {
+        deletes.push(`${ACCOUNT_KEY_PREFIX}${email}`);
+      }
+    }
+    await this.ctx.storage.transaction(async (txn) => {
+      const entries = Object.entries(puts);
+      for (let i = 0; i < entries.length; i += DO_BATCH_SIZE) {
+        await txn.put(Object.fromEntries(entries.slice(i, i + DO_BATCH_SIZE)));
+      }
+      for (let i = 0; i < deletes.length; i += DO_BATCH_SIZE) {
+        await txn.delete(deletes.slice(i, i + DO_BATCH_SIZE));
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Imports the pool from EMAIL_TO_SK_MAP in KV.
+   * @param replace If true, the current accounts are discarded and the import runs again even if it already ran.
+   * @returns The number of imported accounts, or null if the pool was already imported and `replace` is not set.
+   */
+  async importFromKv(replace = false): Promise<{ imported: number | null; imported_at: string }> {
+    const importedAt = await this.ctx.storage.get<string>(IMPORTED_KEY);
+    if (importedAt && !replace) {
+      return { imported: null, imported_at: importedAt };
+    }
+    const accountMap = await readKvAccountMap(this.env);
+    const now = new Date().toISOString();
+    await this.ctx.storage.transaction(async (txn) => {
+      const existing = [...(await txn.list({ prefix: ACCOUNT_KEY_PREFIX })).keys()];
+      for (let i = 0; i < existing.length; i += DO_BATCH_SIZE) {
+        await txn.delete(existing.slice(i, i + DO_BATCH_SIZE));
+      }
+      const entries = Object.entries(accountMap).map(([email, record]) => [`${ACCOUNT_KEY_PREFIX}${email}`, record] as const);
+      for (let i = 0; i < entries.length; i += DO_BATCH_SIZE) {
+        await txn.put(Object.fromEntries(entries.slice(i, i + DO_BATCH_SIZE)));
+      }
+      await txn.put(IMPORTED_KEY, now);
+    });
+    console.log(`Account store: Imported ${Object.keys(accountMap).length} account(s) from EMAIL_TO_SK_MAP.`);
+    return { imported: Object.keys(accountMap).length, imported_at: now };
+  }
+
+  // Reading KV lets other requests in, so concurrent first requests share a single import.
+  private imported?: Promise<void>;
+
+  private ensureImported(): Promise<void> {
+    if (!this.imported) {
+      this.imported = (async () => {
+        if (!(await this.ctx.storage.get<string>(IMPORTED_KEY))) {
+          await this.importFromKv();
+        }
+      })();
+      // Retry on the next request if the import failed
+      this.imported.catch(() => (this.imported = undefined));
+    }
+    return this.imported;
+  }
+
+  private async readAll(): Promise<AccountMap> {
+    const accountMap: AccountMap = {};
+    for (const [key, record] of await this.ctx.storage.list<AccountRecord>({ prefix: ACCOUNT_KEY_PREFIX })) {
+      accountMap[key.slice(ACCOUNT_KEY_PREFIX.length)] = record;
+    }
+    return accountMap;
+  }
+}
+
+/**
+ * The client side of the Durable Object backend.
+ */
+class DurableObjectAccountStore implements AccountStore {
+  readonly backend = 'durable-object';
+
+  constructor(private namespace: DurableObjectNamespace<AccountStoreObject>) {}
+
+  private get stub() {
+    return this.namespace.get(this.namespace.idFromName('accounts'));
+  }
+
+  async list(): Promise<AccountMap> {
+    return (await this.stub.list()) as AccountMap;
+  }
+
+  async apply(ops: AccountOp[], options?: ApplyOptions): Promise<AccountOpResult[]> {
+    return (await this.stub.apply(ops, options)) as AccountOpResult[];
+  }
+}
+
+/**
+ * Selects the storage backend.
+ * @param env The Environment object.
+ * @returns The Durable Object backend if ACCOUNT_STORE is bound and ACCOUNT_STORAGE is not "kv", otherwise the KV backend.
+ */
+export const getAccountStore = (env: Env): AccountStore =>
+  env.ACCOUNT_STORE && env.ACCOUNT_STORAGE !== 'kv' ? new DurableObjectAccountStore(env.ACCOUNT_STORE) : new KvAccountStore(env);
+
+/**
+ * Imports the pool from EMAIL_TO_SK_MAP into the Durable Object backend.
+ * @param env The Environment object.
+ * @param replace If true, the Durable Object's accounts are replaced even if the import already ran.
+ * @returns A Promise that resolves to the import result (see AccountStoreObject.importFromKv).
+ * @throws If the ACCOUNT_STORE binding is missing.
+ */
+export async function migrateAccountsToDurableObject(env: Env, replace: boolean): Promise<{ imported: number | null; imported_at: string }> {
+  if (!env.ACCOUNT_STORE) {
+    throw new Error('The ACCOUNT_STORE Durable Object binding is not configured.');
+  }
+  const stub = env.ACCOUNT_STORE.get(env.ACCOUNT_STORE.idFromName('accounts'));
+  return (await stub.importFromKv(replace)) as { imported: number | null; imported_at: string };
+}
+
+/**
+ * Encrypts the plaintext SKs of create, upsert, update and put operations if an encryption key is configured.
+ * @param env The Environment object.
+ * @param ops The operations; they are not modified.
+ * @returns A Promise that resolves to the operations as they should be stored.
+ */
+async function encryptOps(env: Env, ops: AccountOp[]): Promise<AccountOp[]> {
+  const key = await getCurrentSkKey(env);
+  if (!key) {
+    return ops;
+  }
+  return Promise.all(
+    ops.map(async (op): Promise<AccountOp> => {
+      if (op.type === 'put') {
+        const { sk } = op.record;
+        return sk && !isEncryptedSk(sk) ? { ...op, record: { ...op.record, sk: await encryptSk(key, sk), sk_preview: previewSk(sk) } } : op;
+      }
+      return op.type !== 'delete' && op.type !== 'replace_sk' && op.type !== 'update_groups' && op.sk && !isEncryptedSk(op.sk)
+        ? { ...op, sk: await encryptSk(key, op.sk), sk_preview: previewSk(op.sk) }
+        : op;
+    }),
+  );
+}
+
+/**
+ * Retrieves every account from the configured backend.
+ * If an encryption key is configured and any SK is still stored in plaintext, those SKs are encrypted and written back.
+ * @param env The Environment object.
+ * @returns A Promise that resolves to the AccountMap object.
+ */
+export async function getAccountMap(env: Env): Promise<AccountMap> {
+  const store = getAccountStore(env);
+  const accountMap = await store.list();
+  const key = await getCurrentSkKey(env).catch(() => null);
+  const plaintext = Object.keys(accountMap).filter((email) => accountMap[email].sk && !isEncryptedSk(accountMap[email].sk));
+  if (key && plaintext.length > 0) {
+    try {
+      const ops: AccountOp[] = await Promise.all(
+        plaintext.map(async (email) => {
+          const sk = accountMap[email].sk;
+          return { type: 'replace_sk' as const, email, expected_sk: sk, sk: await encryptSk(key, sk), sk_preview: previewSk(sk) };
+        }),
+      );
+      for (const result of await store.apply(ops)) {
+        if (result.ok && result.record) {
+          accountMap[result.email] = result.record;
+        }
+      }
+      console.log(`Encrypted ${plaintext.length} plaintext SK(s) in the account store.`);
+    } catch (e) {
+      // Serve the plaintext map rather than failing; the migration is retried on the next read
+      console.error("Error encrypting the plaintext SKs:", e);
+    }
+  }
+  return accountMap;
+}
+
+/**
+ * Applies operations to the pool, encrypting new SKs first if an encryption key is configured.
+ * @param env The Environment object.
+ * @param ops The operations, applied in order.
+ * @param options Optional: Write all or nothing, or nothing at all (see ApplyOptions).
+ * @returns A Promise that resolves to one AccountOpResult per operation.
+ */
+export async function mutateAccounts(env: Env, ops: AccountOp[], options: ApplyOptions = {}): Promise<AccountOpResult[]> {
+  // A dry run writes nothing, so there is nothing to encrypt
+  return getAccountStore(env).apply(options.dry_run ? ops : await encryptOps(env, ops), options);
+}
+
+/**
+ * Summarizes how the SKs in the pool are stored.
+ * @param env The Environment object.
+ * @returns A Promise that resolves to the storage backend, the current key id (null if encryption is off) and the
+ *   number of SKs per key id, with plaintext SKs counted under "plaintext".
+ */
+export async function getEncryptionStatus(
+  env: Env,
+): Promise<{ backend: StorageBackend; current_key_id: string | null; counts: Record<string, number> }> {
+  const key = await getCurrentSkKey(env);
+  const counts: Record<string, number> = {};
+  for (const record of Object.values(await getAccountMap(env))) {
+    const keyId = getSkKeyId(record.sk) || 'plaintext';
+    counts[keyId] = (counts[keyId] || 0) + 1;
+  }
+  return { backend: getAccountStore(env).backend, current_key_id: key?.id || null, counts };
+}
+
+/**
+ * Re-encrypts every SK that is not encrypted with the current key, e.g. after rotating SK_ENCRYPTION_KEY.
+ * SKs that cannot be decrypted (their key is no longer configured) are left unchanged and reported; SKs changed
+ * by another request in the meantime are left to that request.
+ * @param env The Environment object.
+ * @param dryRun If true, only report what would be re-encrypted.
+ * @returns A Promise that resolves to the re-encrypted emails and the emails that failed, with their errors.
+ * @throws If SK_ENCRYPTION_KEY is not set.
+ */
+export async function reencryptAccountMap(
+  env: Env,
+  dryRun = false,
+): Promise<{ key_id: string; reencrypted: string[]; failed: { email: string; error: string }[] }> {
+  const key = await getCurrentSkKey(env);
+  if (!key) {
+    throw new Error('SK_ENCRYPTION_KEY is not set.');
+  }
+  const accountMap = await getAccountMap(env);
+  const ops: AccountOp[] = [];
+  const failed: { email: string; error: string }[] = [];
+  for (const [email, record] of Object.entries(accountMap)) {
+    if (!record.sk || getSkKeyId(record.sk) === key.id) {
+      continue;
+    }
+    try {
+      const sk = await decryptSk(env, record.sk);
+      ops.push({ type: 'replace_sk', email, expected_sk: record.sk, sk: await encryptSk(key, sk), sk_preview: previewSk(sk) });
+    } catch (e: any) {
+      failed.push({ email, error: e.message || 'Decryption failed' });
+    }
+  }
+  if (dryRun || ops.length === 0) {
+    return { key_id: key.id, reencrypted: ops.map((op) => op.email), failed };
+  }
+  const results = await getAccountStore(env).apply(ops);
+  return { key_id: key.id, reencrypted: results.filter((result) => result.ok).map((result) => result.email), failed };
+}
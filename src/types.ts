@@ -0,0 +1,918 @@
+// src/types.ts
+/**
+ * Shared type definitions for the pool manager Worker.
+ */
+
+import type { AccountStoreObject } from './storage';
+
+/**
+ * Defines the environment variables and bindings expected by the Worker.
+ * These are configured in the Cloudflare dashboard or via wrangler.toml/wrangler.jsonc.
+ */
+export interface Env {
+  /**
+   * The KV Namespace used to store the account records.
+   * This is where `EMAIL_TO_SK_MAP` key holds the JSON string of email-to-account mappings.
+   */
+  CLAUDE_KV: KVNamespace;
+  /**
+   * Optional: The Durable Object namespace storing the account pool (see storage.ts). When bound, it replaces the
+   * EMAIL_TO_SK_MAP blob in KV, which it imports on first use.
+   */
+  ACCOUNT_STORE?: DurableObjectNamespace<AccountStoreObject>;
+  /**
+   * Optional: Set to "kv" to keep the account pool in the legacy EMAIL_TO_SK_MAP blob even if ACCOUNT_STORE is bound.
+   */
+  ACCOUNT_STORAGE?: string;
+  /**
+   * The password required for accessing administrative endpoints (e.g., /api/admin/*).
+   * This should be set as a Secret in the Worker's settings.
+   */
+  ADMIN_PASSWORD: string;
+  /**
+   * Optional: The secret used to sign admin session tokens. Should be set as a Secret.
+   * If not set, ADMIN_PASSWORD is used, so changing the password also ends every session.
+   */
+  ADMIN_SESSION_SECRET?: string;
+  /**
+   * Optional: The lifetime of admin session tokens in seconds. Defaults to 28800 (8 hours).
+   */
+  ADMIN_SESSION_TTL?: string;
+  /**
+   * Optional: The number of failed admin authentications after which a client IP is locked out (default 5),
+   * and the length of the lockout in seconds (default 900).
+   */
+  ADMIN_LOCKOUT_THRESHOLD?: string;
+  ADMIN_LOCKOUT_DURATION?: string;
+  /**
+   * Optional: The AES-256 key (32 random bytes, base64-encoded) that SKs are encrypted with at rest. Should be set as a Secret.
+   * Without it, SKs are stored in plaintext.
+   */
+  SK_ENCRYPTION_KEY?: string;
+  /**
+   * Optional: Comma-separated previous values of SK_ENCRYPTION_KEY, still accepted for decryption during a key rotation.
+   */
+  SK_ENCRYPTION_KEY_PREVIOUS?: string;
+  /**
+   * The base URL for the Claude API (e.g., https://demo.fuclaude.com).
+   * Used to construct the final login URL. Serves as the upstream "default" unless UPSTREAMS is set.
+   */
+  BASE_URL: string;
+  /**
+   * Optional: Named upstreams as comma-separated "name=url" pairs (e.g. "eu=https://eu.example.com,us=https://us.example.com").
+   * Replaces BASE_URL when set. See routing.ts.
+   */
+  UPSTREAMS?: string;
+  /**
+   * Optional: The path the scheduled handler probes on every upstream. Defaults to "/" if not set.
+   */
+  UPSTREAM_HEALTH_PATH?: string;
+  /**
+   * Optional: The static assets binding serving the web UI in ./public/.
+   */
+  ASSETS?: Fetcher;
+  /**
+   * Optional: The token expiration time in seconds.
+   * Defaults to 0 (never expires) if not set.
+   * Can be overridden by the 'expires_in' parameter in the login request.
+   */
+  TOKEN_EXPIRES_IN?: string;
+  /**
+   * Optional: The number of consecutive rejected health checks after which an account is quarantined.
+   * Defaults to 1 (quarantine on the first rejection) if not set.
+   */
+  HEALTH_QUARANTINE_THRESHOLD?: string;
+  /**
+   * Optional: The default account selection strategy for random-mode login.
+   * One of 'random', 'round-robin', 'least-recently-used', 'weighted' or 'least-active-sessions'.
+   * Defaults to 'random' if not set. Can be overridden by the 'strategy' parameter in the login request.
+   */
+  SELECTION_STRATEGY?: string;
+  /**
+   * Optional: How long, in seconds, a token issued without expiration counts as an active session
+   * for the 'least-active-sessions' strategy, and how long its session record is kept. Defaults to 86400 (24 hours) if not set.
+   */
+  ACTIVE_SESSION_WINDOW?: string;
+  /**
+   * Optional: The path of an upstream endpoint that invalidates the tokens of a unique_name, e.g. "/manage-api/auth/revoke".
+   * It receives `{"unique_name": "..."}` when an admin revokes a unique_name. Without it, revocation only stops the
+   * Worker from issuing new tokens for the name.
+   */
+  UPSTREAM_REVOKE_PATH?: string;
+  /**
+   * Optional: How long, in milliseconds, a single token exchange request may take before it is abandoned.
+   * Defaults to 10000 if not set.
+   */
+  UPSTREAM_TIMEOUT_MS?: string;
+  /**
+   * Optional: How many times a token exchange is retried, with exponential backoff, after a network error,
+   * timeout, 5xx or 429. Defaults to 2 if not set; 0 disables retries.
+   */
+  UPSTREAM_RETRIES?: string;
+  /**
+   * Optional: How many other accounts a random-mode login tries when the upstream rejects the chosen SK.
+   * Defaults to 2 if not set; 0 disables failover.
+   */
+  LOGIN_FAILOVER_ATTEMPTS?: string;
+  /**
+   * Optional: The affinity TTL in seconds for sticky-mode bindings, refreshed on every sticky login.
+   * Defaults to 2592000 (30 days) if not set. A value of 0 means bindings never expire.
+   */
+  STICKY_TTL?: string;
+  /**
+   * Optional: Set to "true" to require an admin-issued access code on /api/emails and /api/login.
+   * When not set, requests without a code are allowed, but a presented code is still validated and enforced.
+   */
+  REQUIRE_ACCESS_CODE?: string;
+  /**
+   * Optional: Rate limits for /api/login as "<count>/<seconds>", e.g. "10/60" for 10 logins per minute.
+   * Applied per client IP, per access code and per account respectively. Unset means unlimited.
+   */
+  RATE_LIMIT_IP?: string;
+  RATE_LIMIT_IDENTITY?: string;
+  RATE_LIMIT_ACCOUNT?: string;
+  /**
+   * Optional: Maximum logins per UTC day / UTC month, per access code and per account respectively.
+   * Unset or 0 means unlimited.
+   */
+  QUOTA_DAILY_IDENTITY?: string;
+  QUOTA_MONTHLY_IDENTITY?: string;
+  QUOTA_DAILY_ACCOUNT?: string;
+  QUOTA_MONTHLY_ACCOUNT?: string;
+  /**
+   * Optional: How many days audit log entries are kept. Unset or 0 keeps them forever.
+   */
+  AUDIT_RETENTION_DAYS?: string;
+  /**
+   * Optional: How many days pool snapshots are kept. Defaults to 30; 0 keeps them forever.
+   */
+  SNAPSHOT_RETENTION_DAYS?: string;
+  /**
+   * Optional: Days to keep the hourly metrics shown by /api/admin/stats. Defaults to 7.
+   */
+  METRICS_RETENTION_DAYS?: string;
+  /**
+   * Optional: The bearer token Prometheus sends to scrape /metrics. Should be set as a Secret.
+   * /metrics is disabled without it.
+   */
+  METRICS_TOKEN?: string;
+  /**
+   * Optional: A Workers Analytics Engine dataset that every login, token exchange and admin action is also written to.
+   */
+  METRICS_DATASET?: AnalyticsEngineDataset;
+  /**
+   * Optional: Seconds between two webhook notifications about the same recurring condition (a low or empty pool,
+   * an upstream's failing exchanges, failed admin logins from one IP). Defaults to 900; at least 60.
+   */
+  WEBHOOK_COOLDOWN?: string;
+  /**
+   * Optional: Webhooks are sent 'pool.low' when fewer healthy accounts than this remain. Defaults to 2.
+   */
+  WEBHOOK_POOL_THRESHOLD?: string;
+  /**
+   * Optional: Consecutive failed token exchanges at an upstream before webhooks are sent 'exchange.failures'. Defaults to 5.
+   */
+  WEBHOOK_EXCHANGE_FAILURES?: string;
+  /**
+   * Optional: The longest cooldown, in seconds, a user report may put an account on, and the cooldown a report
+   * without a reset time gets. Defaults to 18000 (5 hours).
+   */
+  COOLDOWN_REPORT_DURATION?: string;
+  /**
+   * Optional: How many different reporters must report an account as limited before it cools down. Defaults to 1.
+   */
+  COOLDOWN_REPORT_THRESHOLD?: string;
+  /**
+   * Optional: How many limited-account reports each reporter may make, as "<count>/<seconds>". Defaults to "5/3600".
+   */
+  COOLDOWN_REPORT_RATE?: string;
+  /**
+   * Optional: Comma-separated origins whose pages may call the user routes, e.g. "https://app.example.com,https://*.example.com",
+   * or "*" for any origin. Defaults to "*". Overridden by a policy saved with /api/admin/cors/update.
+   */
+  CORS_ALLOWED_ORIGINS?: string;
+  /**
+   * Optional: Set to "true" to let the origins listed in CORS_ALLOWED_ORIGINS send credentials (the sticky-session cookie).
+   */
+  CORS_ALLOW_CREDENTIALS?: string;
+  /**
+   * Optional: Comma-separated origins whose pages may call the admin routes. Defaults to none: only the Worker's own origin.
+   */
+  CORS_ADMIN_ALLOWED_ORIGINS?: string;
+  /**
+   * Optional: Set to "true" to let the origins listed in CORS_ADMIN_ALLOWED_ORIGINS send credentials.
+   */
+  CORS_ADMIN_ALLOW_CREDENTIALS?: string;
+}
+
+/**
+ * The optional, admin-editable metadata of an account.
+ */
+export interface AccountFields {
+  /**
+   * A human-readable label for the account.
+   */
+  label?: string;
+  /**
+   * Whether the account can be used for login. Disabled accounts keep their SK but are never handed out.
+   */
+  enabled?: boolean;
+  /**
+   * The Claude plan tier of the account (e.g., 'free', 'pro', 'team').
+   */
+  plan?: string;
+  /**
+   * Free-form notes about the account.
+   */
+  notes?: string;
+  /**
+   * Tags for organizing accounts.
+   */
+  tags?: string[];
+  /**
+   * The relative share of logins this account receives under the 'weighted' strategy. Defaults to 1.
+   */
+  weight?: number;
+  /**
+   * The names of the upstreams this account is pinned to, tried in this order. Any upstream may serve it if unset.
+   */
+  upstreams?: string[];
+  /**
+   * The names of the account groups this account belongs to.
+   */
+  groups?: string[];
+}
+
+/**
+ * A single account in the pool: its session key plus metadata.
+ */
+export interface AccountRecord extends AccountFields {
+  /**
+   * The session key (sk) of the account, encrypted ("enc:v1:...") when SK_ENCRYPTION_KEY is set.
+   */
+  sk: string;
+  /**
+   * A masked form of the plaintext SK for display, kept alongside encrypted SKs.
+   */
+  sk_preview?: string;
+  enabled: boolean;
+  /**
+   * ISO timestamp of when the account was added, or null for accounts migrated from the legacy string map.
+   */
+  created_at: string | null;
+  /**
+   * ISO timestamp of the last modification, or null for accounts migrated from the legacy string map.
+   */
+  updated_at: string | null;
+}
+
+/**
+ * Represents the structure of the email to account mapping stored in KV.
+ * Keys are email addresses (string), and values are their account records.
+ */
+export interface AccountMap {
+  [email: string]: AccountRecord;
+}
+
+/**
+ * The legacy format of EMAIL_TO_SK_MAP, where each email maps directly to its session key.
+ * Maps in this format (or mixing both formats) are migrated transparently when read.
+ */
+export interface LegacyEmailSkMap {
+  [email: string]: string | AccountRecord;
+}
+
+/**
+ * The health state of a single account, as determined by the last health checks.
+ * - 'unknown': never checked, or manually released from quarantine.
+ * - 'healthy': the last check exchanged the SK successfully.
+ * - 'failing': the SK was rejected, but the quarantine threshold has not been reached yet.
+ * - 'quarantined': the SK was rejected too many times; random mode skips this account.
+ */
+export type HealthStatus = 'unknown' | 'healthy' | 'failing' | 'quarantined';
+
+/**
+ * The health record kept for each account in KV.
+ */
+export interface AccountHealth {
+  status: HealthStatus;
+  /**
+   * ISO timestamp of the last completed check, or null if the account has never been checked.
+   */
+  last_checked: string | null;
+  /**
+   * A short description of the last error, if the last check did not succeed.
+   */
+  last_error?: string;
+  /**
+   * The number of consecutive checks in which the upstream rejected the SK.
+   */
+  consecutive_failures: number;
+  /**
+   * ISO timestamp of when the account entered quarantine.
+   */
+  quarantined_at?: string;
+}
+
+/**
+ * Represents the structure of the email to health record mapping stored in KV.
+ */
+export interface HealthMap {
+  [email: string]: AccountHealth;
+}
+
+/**
+ * A temporary hold on an account that reached its usage limit. Selection skips the account until `until`.
+ */
+export interface AccountCooldown {
+  /**
+   * ISO timestamp at which the cooldown ends.
+   */
+  until: string;
+  /**
+   * Whether an admin set the cooldown or user reports did.
+   */
+  source: 'admin' | 'report';
+  /**
+   * The admin who set the cooldown, or the reporters whose reports triggered it.
+   */
+  set_by: string;
+  set_at: string;
+  reason?: string;
+}
+
+/**
+ * Represents the structure of the email to cooldown mapping stored in KV.
+ */
+export interface CooldownMap {
+  [email: string]: AccountCooldown;
+}
+
+/**
+ * Defines the structure of the request body for the /api/login endpoint.
+ */
+export interface LoginRequest {
+  /**
+   * The mode of login: 'specific' (requires email and unique_name), 'random' or 'sticky'.
+   * 'sticky' binds the caller's identity to one account and reuses it for subsequent logins.
+   */
+  mode: 'specific' | 'random' | 'sticky';
+  /**
+   * Optional: The email address for 'specific' mode login.
+   */
+  email?: string;
+  /**
+   * Optional: A unique identifier for the session, required for 'specific' mode.
+   * For 'random' mode, this is generated by the worker.
+   */
+  unique_name?: string;
+  /**
+   * Optional: The desired token expiration time in seconds.
+   * Overrides the default and the TOKEN_EXPIRES_IN environment variable.
+   * A value of 0 means the token should not expire.
+   */
+  expires_in?: number;
+  /**
+   * Optional: The selection strategy for 'random' mode (and for binding in 'sticky' mode),
+   * overriding the SELECTION_STRATEGY environment variable.
+   */
+  strategy?: string;
+  /**
+   * Optional: The caller identity for 'sticky' mode. If omitted, the identity cookie is used,
+   * and a new identity is generated if there is no cookie either.
+   */
+  identity?: string;
+  /**
+   * Optional: The access code, for clients that cannot send it in the Authorization or X-Access-Code header.
+   */
+  access_code?: string;
+  /**
+   * Optional: The name of the upstream to use if the account may be served by it.
+   */
+  upstream?: string;
+  /**
+   * Optional: Restricts the login to the members of this account group.
+   */
+  group?: string;
+}
+
+/**
+ * Defines the structure of the request body for the /api/report-limited endpoint.
+ */
+export interface ReportLimitedRequest {
+  /**
+   * Optional: The account to report. Defaults to the account of the caller's latest login.
+   */
+  email?: string;
+  /**
+   * Optional: When the account's limit resets, as an ISO timestamp.
+   */
+  until?: string;
+  /**
+   * Optional: Seconds until the account's limit resets, as an alternative to `until`.
+   */
+  retry_after?: number;
+  /**
+   * Optional: A short note, e.g. the message Claude showed.
+   */
+  reason?: string;
+  /**
+   * Optional: The sticky-session identity the caller logs in with. The identity cookie is used if omitted.
+   */
+  identity?: string;
+  /**
+   * Optional: The access code, for clients that cannot send it in the Authorization or X-Access-Code header.
+   */
+  access_code?: string;
+}
+
+/**
+ * Defines the structure of the request body for the /api/admin/login endpoint.
+ * Inherits from LoginRequest and requires an admin password.
+ */
+export interface AdminLoginRequest extends LoginRequest, AdminRequestBase {}
+
+/**
+ * Base interface for administrative requests.
+ */
+export interface AdminRequestBase {
+  /**
+   * Legacy: The password to authenticate administrative actions. Must match the ADMIN_PASSWORD secret.
+   * Not needed when the request carries an `Authorization: Bearer` header.
+   */
+  admin_password?: string;
+  /**
+   * Legacy: The named admin user that `admin_password` belongs to. Omit it for ADMIN_PASSWORD.
+   */
+  admin_username?: string;
+}
+
+/**
+ * Defines the structure for adding a new account via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase and the optional metadata from AccountFields.
+ */
+export interface AdminAddRequest extends AdminRequestBase, AccountFields {
+  /**
+   * The email address to add or update.
+   */
+  email: string;
+  /**
+   * The session key (sk) associated with the email.
+   */
+  sk: string;
+}
+
+/**
+ * Defines the structure for deleting an email-SK pair via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminDeleteRequest extends AdminRequestBase {
+  /**
+   * The email address to delete from the mapping.
+   */
+  email: string;
+}
+
+/**
+ * Defines the structure for updating an account via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase and the optional metadata from AccountFields.
+ */
+export interface AdminUpdateRequest extends AdminRequestBase, AccountFields {
+  /**
+   * The current email address to identify the record to be updated.
+   */
+  email: string;
+  /**
+   * Optional: The new email address to replace the old one.
+   */
+  new_email?: string;
+  /**
+   * Optional: The new session key to replace the old one.
+   */
+  new_sk?: string;
+}
+
+/**
+ * Defines a single action within a batch request.
+ * Metadata fields are applied by 'add' and ignored for 'delete'.
+ */
+export interface AdminBatchAction extends AccountFields {
+  action: 'add' | 'upsert' | 'update' | 'enable' | 'disable' | 'delete';
+  email: string;
+  sk?: string; // Required for 'add' and 'upsert'
+  new_email?: string; // 'update' only
+  new_sk?: string; // 'update' only
+}
+
+/**
+ * Defines the structure for a batch processing request.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminBatchRequest extends AdminRequestBase {
+  actions: AdminBatchAction[];
+  /**
+   * Optional: Write nothing unless every action succeeds.
+   */
+  all_or_nothing?: boolean;
+  /**
+   * Optional: Report the result of every action without writing anything.
+   */
+  dry_run?: boolean;
+}
+
+/**
+ * Defines the structure for running health checks via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminHealthCheckRequest extends AdminRequestBase {
+  /**
+   * Optional: Only check this account. All accounts are checked if omitted.
+   */
+  email?: string;
+}
+
+/**
+ * Defines the structure for releasing an account from quarantine via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminUnquarantineRequest extends AdminRequestBase {
+  /**
+   * The email address of the account to release.
+   */
+  email: string;
+}
+
+/**
+ * Defines the structure for listing sticky-session bindings via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminStickyListRequest extends AdminRequestBase {
+  /**
+   * Optional: Only list the identities bound to this account.
+   */
+  email?: string;
+}
+
+/**
+ * Defines the structure for clearing sticky-session bindings via an admin endpoint.
+ * At least one of identity or email must be provided.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminStickyClearRequest extends AdminRequestBase {
+  /**
+   * Optional: Clear the binding of this identity.
+   */
+  identity?: string;
+  /**
+   * Optional: Clear every binding to this account (or, combined with identity, only if it is bound to this account).
+   */
+  email?: string;
+}
+
+/**
+ * Defines the structure for creating an access code via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminAccessCodeCreateRequest extends AdminRequestBase {
+  /**
+   * The person or team the code is issued to.
+   */
+  owner: string;
+  /**
+   * Optional: ISO date after which the code stops working. The code never expires if omitted.
+   */
+  expires_at?: string | null;
+  /**
+   * Optional: The accounts the code may use. Every account may be used if omitted.
+   */
+  allowed_accounts?: string[] | null;
+  /**
+   * Optional: The account groups whose members the code may use, in addition to `allowed_accounts`.
+   */
+  allowed_groups?: string[] | null;
+  /**
+   * Optional: The maximum token lifetime in seconds the code may request.
+   */
+  max_expires_in?: number | null;
+}
+
+/**
+ * Defines the structure for revoking or rotating an access code via an admin endpoint.
+ * Inherits admin_password from AdminRequestBase.
+ */
+export interface AdminAccessCodeIdRequest extends AdminRequestBase {
+  /**
+   * The id of the access code, as returned by the create and list endpoints.
+   */
+  id: string;
+}
+
+/**
+ * Request body for the admin usage endpoints (list and reset).
+ */
+export interface AdminUsageRequest extends AdminRequestBase {
+  /**
+   * Optional: Only include counters of this scope ('ip', 'identity' or 'account').
+   */
+  scope?: 'ip' | 'identity' | 'account';
+  /**
+   * Optional: Only include counters of this IP, access code id or email. Requires scope.
+   */
+  subject?: string;
+}
+
+/**
+ * Request body for the admin stats endpoint.
+ */
+export interface AdminStatsRequest extends AdminRequestBase {
+  /**
+   * Optional: The number of hours of history to return, including the current one. Defaults to 24.
+   */
+  hours?: number;
+}
+
+/**
+ * Request body for reading the audit log. Every filter is optional.
+ */
+export interface AdminAuditRequest extends AdminRequestBase {
+  action?: string;
+  actor?: string;
+  email?: string;
+  ip?: string;
+  result?: 'success' | 'failure';
+  /**
+   * ISO timestamps bounding the entries to return (inclusive).
+   */
+  since?: string;
+  until?: string;
+  /**
+   * The page size (default 50, at most 500).
+   */
+  limit?: number;
+  /**
+   * The cursor returned with the previous page.
+   */
+  cursor?: string;
+}
+
+/**
+ * Request body for re-encrypting every SK with the current SK_ENCRYPTION_KEY.
+ */
+export interface AdminEncryptionRotateRequest extends AdminRequestBase {
+  /**
+   * Optional: Only report what would be re-encrypted.
+   */
+  dry_run?: boolean;
+}
+
+/**
+ * Request body for importing EMAIL_TO_SK_MAP into the Durable Object account store.
+ */
+export interface AdminStorageMigrateRequest extends AdminRequestBase {
+  /**
+   * Optional: Discard the Durable Object's accounts and import again, even if the import already ran.
+   */
+  replace?: boolean;
+}
+
+/**
+ * Request body for listing issued sessions.
+ */
+export interface AdminSessionListRequest extends AdminRequestBase {
+  /**
+   * Optional: Only sessions of this account.
+   */
+  email?: string;
+  /**
+   * Optional: Only sessions of this unique_name.
+   */
+  unique_name?: string;
+  /**
+   * Optional: Also list expired and revoked sessions that have not been pruned yet.
+   */
+  include_inactive?: boolean;
+}
+
+/**
+ * Request body for revoking a unique_name, or lifting its revocation.
+ */
+export interface AdminSessionRevokeRequest extends AdminRequestBase {
+  unique_name: string;
+  /**
+   * Optional: A note stored with the revocation.
+   */
+  reason?: string;
+}
+
+/**
+ * Request body for exporting the account pool.
+ */
+export interface AdminExportRequest extends AdminRequestBase {
+  /**
+   * Optional: 'json' (default) or 'csv'.
+   */
+  format?: 'json' | 'csv';
+  /**
+   * Optional: Encrypt the export with this passphrase.
+   */
+  passphrase?: string;
+}
+
+/**
+ * Request body for importing accounts.
+ */
+export interface AdminImportRequest extends AdminRequestBase {
+  /**
+   * 'merge' adds and updates accounts; 'replace' also deletes the accounts missing from the import.
+   */
+  mode: 'merge' | 'replace';
+  /**
+   * An export (plain or encrypted), an `{"email": "sk" | record}` map, or CSV text.
+   */
+  data: unknown;
+  /**
+   * Optional: The passphrase of an encrypted export.
+   */
+  passphrase?: string;
+  /**
+   * Optional: Only report what would change.
+   */
+  dry_run?: boolean;
+}
+
+/**
+ * Request body for taking a snapshot of the account pool.
+ */
+export interface AdminSnapshotCreateRequest extends AdminRequestBase {
+  /**
+   * Optional: A note stored with the snapshot. Defaults to 'manual'.
+   */
+  reason?: string;
+}
+
+/**
+ * Request body for restoring the account pool from a snapshot.
+ */
+export interface AdminSnapshotRestoreRequest extends AdminRequestBase {
+  id: string;
+  /**
+   * Optional: Only report what would change.
+   */
+  dry_run?: boolean;
+}
+
+/**
+ * Request body for creating a named admin user.
+ */
+export interface AdminUserCreateRequest extends AdminRequestBase {
+  username: string;
+  password: string;
+  role: 'viewer' | 'operator' | 'owner';
+}
+
+/**
+ * Request body for updating a named admin user. At least one change is required.
+ */
+export interface AdminUserUpdateRequest extends AdminRequestBase {
+  username: string;
+  role?: 'viewer' | 'operator' | 'owner';
+  password?: string;
+  disabled?: boolean;
+}
+
+/**
+ * Request body for deleting a named admin user.
+ */
+export interface AdminUserDeleteRequest extends AdminRequestBase {
+  username: string;
+}
+
+/**
+ * Request body for creating an account group.
+ */
+export interface AdminGroupCreateRequest extends AdminRequestBase {
+  /**
+   * 1-64 letters, digits, ".", "_" or "-".
+   */
+  name: string;
+  description?: string;
+}
+
+/**
+ * Request body for updating an account group. At least one change is required.
+ */
+export interface AdminGroupUpdateRequest extends AdminRequestBase {
+  name: string;
+  /**
+   * Optional: The new description; an empty string clears it.
+   */
+  description?: string;
+  /**
+   * Optional: Accounts to add to the group.
+   */
+  add_accounts?: string[];
+  /**
+   * Optional: Accounts to remove from the group.
+   */
+  remove_accounts?: string[];
+}
+
+/**
+ * Request body for deleting an account group.
+ */
+export interface AdminGroupDeleteRequest extends AdminRequestBase {
+  name: string;
+}
+
+/**
+ * Request body for registering or updating a webhook. On update, only the given fields change.
+ */
+export interface AdminWebhookRequest extends AdminRequestBase {
+  /**
+   * The id of the webhook to update; ignored on create.
+   */
+  id?: string;
+  /**
+   * Optional: A label shown in the list.
+   */
+  name?: string;
+  /**
+   * The URL events are POSTed to. Required on create.
+   */
+  url?: string;
+  /**
+   * Optional: 'json' (default), 'slack', 'discord' or 'telegram'.
+   */
+  format?: string;
+  /**
+   * Optional: The events to send, or ['*'] (default) for all of them.
+   */
+  events?: string[];
+  /**
+   * Optional: The HMAC signing secret, at least 16 characters. Generated on create if omitted.
+   */
+  secret?: string;
+  /**
+   * The chat to post to. Required for the 'telegram' format.
+   */
+  chat_id?: string | number;
+  /**
+   * Optional: Set to false to stop deliveries without removing the webhook.
+   */
+  enabled?: boolean;
+}
+
+/**
+ * Request body for deleting or testing a webhook.
+ */
+export interface AdminWebhookIdRequest extends AdminRequestBase {
+  id: string;
+}
+
+/**
+ * Request body for changing the CORS policy of a scope. Fields that are not given keep their current value.
+ */
+export interface AdminCorsUpdateRequest extends AdminRequestBase {
+  /**
+   * 'user' or 'admin'.
+   */
+  scope: string;
+  /**
+   * Optional: The allowed origins, e.g. ["https://app.example.com", "https://*.example.com"], or ["*"] for any origin.
+   */
+  origins?: string[];
+  /**
+   * Optional: Whether the listed origins may send credentials (cookies).
+   */
+  credentials?: boolean;
+}
+
+/**
+ * Request body for removing the saved CORS policy of a scope.
+ */
+export interface AdminCorsResetRequest extends AdminRequestBase {
+  scope: string;
+}
+
+/**
+ * Request body for putting an account on cooldown.
+ */
+export interface AdminCooldownSetRequest extends AdminRequestBase {
+  email: string;
+  /**
+   * Optional: When the cooldown ends, as an ISO timestamp.
+   */
+  until?: string;
+  /**
+   * Optional: The cooldown's length in seconds, as an alternative to `until`. Defaults to 3600.
+   */
+  duration?: number;
+  reason?: string;
+}
+
+/**
+ * Request body for ending an account's cooldown.
+ */
+export interface AdminCooldownClearRequest extends AdminRequestBase {
+  email: string;
+}
@@ -0,0 +1,203 @@
+// src/upstream.ts
+/**
+ * Calls to the fuclaude upstreams (see routing.ts for how they are configured and chosen).
+ * Token exchanges go through exchangeToken, which bounds every attempt with a timeout, retries network errors,
+ * timeouts, 5xx and 429 responses with exponential backoff, and classifies what went wrong so that callers can
+ * tell an invalid SK from an upstream that is down.
+ */
+
+import type { Env } from './types';
+import { getUpstreams, Upstream } from './routing';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const DEFAULT_RETRIES = 2;
+
+// The first retry waits this long, each further one twice as long, plus up to BACKOFF_JITTER_MS of jitter.
+const BACKOFF_BASE_MS = 250;
+
+const BACKOFF_JITTER_MS = 100;
+
+// A Retry-After from a rate-limited upstream is honoured up to this long; anything longer is returned to the caller.
+const MAX_RETRY_AFTER_MS = 5000;
+
+/**
+ * The payload accepted by the upstream `/manage-api/auth/oauth_token` endpoint.
+ */
+export interface OAuthTokenPayload {
+  session_key: string;
+  unique_name: string;
+  expires_in: number;
+}
+
+/**
+ * Why a token exchange failed:
+ * - SK_REJECTED: the upstream refused the session key (401 or 403). Retrying with the same SK will not help.
+ * - UPSTREAM_BAD_REQUEST: the upstream refused the request itself (any other 4xx but 429), e.g. its unique_name or
+ *   expiration. The SK is not to blame, and retrying will not help either.
+ * - UPSTREAM_UNAVAILABLE: network error or 5xx on every attempt.
+ * - UPSTREAM_TIMEOUT: the last attempt did not complete within UPSTREAM_TIMEOUT_MS.
+ * - UPSTREAM_RATE_LIMITED: the upstream kept answering 429.
+ * - UPSTREAM_BAD_RESPONSE: the upstream answered 2xx but without a login_url.
+ */
+export type UpstreamErrorCode =
+  | 'SK_REJECTED'
+  | 'UPSTREAM_BAD_REQUEST'
+  | 'UPSTREAM_UNAVAILABLE'
+  | 'UPSTREAM_TIMEOUT'
+  | 'UPSTREAM_RATE_LIMITED'
+  | 'UPSTREAM_BAD_RESPONSE';
+
+/**
+ * The classified outcome of a single token exchange request.
+ */
+type ExchangeOutcome =
+  | { ok: true; login_url: string }
+  | { ok: false; code: UpstreamErrorCode; error: string; status?: number; retryAfter?: number };
+
+/**
+ * The classified outcome of a token exchange. `attempts` counts the requests made, including retries.
+ */
+export type TokenExchangeResult = ExchangeOutcome & { attempts: number };
+
+/**
+ * Reads a non-negative integer setting from the environment.
+ * @param value The raw environment value.
+ * @param fallback The value to use if it is unset or invalid.
+ * @returns The parsed value.
+ */
+const readSetting = (value: string | undefined, fallback: number): number => {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return isNaN(parsed) || parsed < 0 ? fallback : parsed;
+};
+
+/**
+ * Parses a Retry-After header given in seconds.
+ * @param header The header value.
+ * @returns The delay in seconds, or undefined if the header is missing or not a number of seconds.
+ */
+const parseRetryAfter = (header: string | null): number | undefined => {
+  const seconds = header ? parseInt(header, 10) : NaN;
+  return isNaN(seconds) || seconds < 0 ? undefined : seconds;
+};
+
+const sleep = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Sends a token exchange request to an upstream.
+ * @param upstream The upstream to ask.
+ * @param payload The session key, unique name and expiration to send upstream.
+ * @param signal Optional: Aborts the request, e.g. on timeout.
+ * @returns A Promise that resolves to the upstream Response.
+ */
+export async function requestOAuthToken(upstream: Upstream, payload: OAuthTokenPayload, signal?: AbortSignal): Promise<Response> {
+  return fetch(`${upstream.base_url}/manage-api/auth/oauth_token`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+}
+
+/**
+ * Makes a single, time-limited token exchange attempt and classifies its outcome.
+ * @param upstream The upstream to ask.
+ * @param payload The token exchange payload.
+ * @param timeoutMs The time limit for the request, including reading the response body.
+ * @returns A Promise that resolves to the outcome.
+ */
+async function attemptExchange(upstream: Upstream, payload: OAuthTokenPayload, timeoutMs: number): Promise<ExchangeOutcome> {
+  try {
+    const response = await requestOAuthToken(upstream, payload, AbortSignal.timeout(timeoutMs));
+    if (!response.ok) {
+      const errorText = (await response.text()).slice(0, 200);
+      const error = `Upstream responded with ${response.status}: ${errorText}`;
+      if (response.status === 429) {
+        return { ok: false, code: 'UPSTREAM_RATE_LIMITED', error, status: 429, retryAfter: parseRetryAfter(response.headers.get('Retry-After')) };
+      }
+      if (response.status === 401 || response.status === 403) {
+        return { ok: false, code: 'SK_REJECTED', error, status: response.status };
+      }
+      return { ok: false, code: response.status < 500 ? 'UPSTREAM_BAD_REQUEST' : 'UPSTREAM_UNAVAILABLE', error, status: response.status };
+    }
+    const data: any = await response.json().catch(() => ({}));
+    if (!data.login_url) {
+      return { ok: false, code: 'UPSTREAM_BAD_RESPONSE', error: 'Token exchange succeeded but login_url was not returned.', status: response.status };
+    }
+    return { ok: true, login_url: data.login_url };
+  } catch (e: any) {
+    if (e?.name === 'TimeoutError') {
+      return { ok: false, code: 'UPSTREAM_TIMEOUT', error: `Upstream did not respond within ${timeoutMs}ms.` };
+    }
+    return { ok: false, code: 'UPSTREAM_UNAVAILABLE', error: `Network error: ${e?.message || e}` };
+  }
+}
+
+/**
+ * Exchanges a session key for a login token at an upstream, with a timeout per attempt and bounded retries.
+ * Only transient failures (network errors, timeouts, 5xx and 429) are retried; a rejected SK, a refused request or a
+ * malformed success response is returned at once. The limits come from UPSTREAM_TIMEOUT_MS and UPSTREAM_RETRIES.
+ * @param env The Environment object containing the optional limits.
+ * @param upstream The upstream to ask.
+ * @param payload The session key, unique name and expiration to send upstream.
+ * @param options Optional: Overrides the number of retries, e.g. 0 for a single attempt.
+ * @returns A Promise that resolves to the classified outcome. It never rejects.
+ */
+export async function exchangeToken(env: Env, upstream: Upstream, payload: OAuthTokenPayload, options: { retries?: number } = {}): Promise<TokenExchangeResult> {
+  const timeoutMs = readSetting(env.UPSTREAM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS;
+  const retries = options.retries ?? readSetting(env.UPSTREAM_RETRIES, DEFAULT_RETRIES);
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await attemptExchange(upstream, payload, timeoutMs);
+    if (result.ok || result.code === 'SK_REJECTED' || result.code === 'UPSTREAM_BAD_REQUEST' || result.code === 'UPSTREAM_BAD_RESPONSE' || attempt > retries) {
+      return { ...result, attempts: attempt };
+    }
+    let delay = BACKOFF_BASE_MS * 2 ** (attempt - 1) + Math.random() * BACKOFF_JITTER_MS;
+    if (result.code === 'UPSTREAM_RATE_LIMITED' && result.retryAfter !== undefined) {
+      if (result.retryAfter * 1000 > MAX_RETRY_AFTER_MS) {
+        return { ...result, attempts: attempt };
+      }
+      delay = Math.max(delay, result.retryAfter * 1000);
+    }
+    console.warn(`Token exchange attempt ${attempt} at ${upstream.name} failed (${result.code}): ${result.error}. Retrying in ${Math.round(delay)}ms.`);
+    await sleep(delay);
+  }
+}
+
+/**
+ * The outcome of asking the upstream to invalidate the tokens of a unique_name.
+ * 'unsupported' means UPSTREAM_REVOKE_PATH is not configured, so only the Worker stops issuing tokens for it.
+ */
+export type UpstreamRevocation = 'revoked' | 'failed' | 'unsupported';
+
+/**
+ * Asks every upstream to invalidate the tokens issued for a unique_name, if they offer an endpoint for that.
+ * The endpoint is configured with UPSTREAM_REVOKE_PATH and receives `{"unique_name": "..."}`. Every upstream is
+ * asked because the name may have been served by any of them.
+ * @param env The Environment object containing the upstreams and UPSTREAM_REVOKE_PATH.
+ * @param uniqueName The unique_name whose tokens should be invalidated.
+ * @returns A Promise that resolves to the outcome: 'failed' if any upstream could not be reached or refused.
+ */
+export async function requestRevocation(env: Env, uniqueName: string): Promise<UpstreamRevocation> {
+  if (!env.UPSTREAM_REVOKE_PATH) {
+    return 'unsupported';
+  }
+  let outcome: UpstreamRevocation = 'revoked';
+  for (const upstream of getUpstreams(env)) {
+    try {
+      const response = await fetch(`${upstream.base_url}${env.UPSTREAM_REVOKE_PATH}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ unique_name: uniqueName }),
+      });
+      if (!response.ok) {
+        console.error(`Revocation of ${uniqueName} at ${upstream.name} failed with status ${response.status}: ${await response.text()}`);
+        outcome = 'failed';
+      }
+    } catch (e) {
+      console.error(`Revocation of ${uniqueName} at ${upstream.name} failed:`, e);
+      outcome = 'failed';
+    }
+  }
+  return outcome;
+}
@@ -0,0 +1,94 @@
+// src/utils.ts
+/**
+ * Shared helpers for building responses.
+ */
+
+// --- Helper Functions ---
+
+/**
+ * Creates a JSON response. The CORS headers are added by the fetch handler (see cors.ts).
+ * @param data The data to be stringified into the response body.
+ * @param status The HTTP status code for the response (default is 200).
+ * @param extraHeaders Additional headers to include in the response.
+ * @returns A Response object.
+ */
+export const jsonResponse = (data: any, status = 200, extraHeaders = {}) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    ...extraHeaders,
+  };
+  return new Response(JSON.stringify(data, null, 2), { status, headers });
+};
+
+/**
+ * Creates a downloadable response.
+ * @param body The file content.
+ * @param contentType The MIME type of the content.
+ * @param filename The file name suggested to the browser.
+ * @returns A Response object.
+ */
+export const fileResponse = (body: string, contentType: string, filename: string) =>
+  new Response(body, {
+    headers: {
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+    },
+  });
+
+/**
+ * Creates a plain-text response, e.g. for the Prometheus exposition format.
+ * @param body The text.
+ * @param contentType The MIME type of the text.
+ * @param status The HTTP status code for the response (default is 200).
+ * @param extraHeaders Additional headers to include in the response.
+ * @returns A Response object.
+ */
+export const textResponse = (body: string, contentType: string, status = 200, extraHeaders = {}) =>
+  new Response(body, { status, headers: { 'Content-Type': contentType, ...extraHeaders } });
+
+/**
+ * Sorts an array of email addresses, primarily by domain, then by the local part.
+ * @param emails An array of email strings.
+ * @returns A new array with sorted email strings.
+ */
+export const sortEmails = (emails: string[]): string[] => {
+  return emails.sort((a, b) => {
+    const [, domainA = ''] = a.split('@'); // Robust split with default
+    const [, domainB = ''] = b.split('@');
+    if (domainA !== domainB) {
+      return domainA.localeCompare(domainB); // Sort by domain first
+    }
+    return a.localeCompare(b); // Then by full email
+  });
+};
+
+/**
+ * Reads a cookie value from the request's Cookie header.
+ * @param request The incoming Request object.
+ * @param name The name of the cookie.
+ * @returns The cookie value, or undefined if the cookie is not present or is not valid percent-encoding.
+ */
+export const getCookie = (request: Request, name: string): string | undefined => {
+  const cookieHeader = request.headers.get('Cookie');
+  if (!cookieHeader) {
+    return undefined;
+  }
+  for (const part of cookieHeader.split(';')) {
+    const [key, ...valueParts] = part.trim().split('=');
+    if (key === name) {
+      try {
+        return decodeURIComponent(valueParts.join('='));
+      } catch {
+        return undefined;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Shortens a session key for logs and audit entries, so that the full SK is never written anywhere.
+ * @param sk The session key.
+ * @returns The first 12 and last 4 characters of the key.
+ */
+export const maskSk = (sk: string): string => (sk.length > 16 ? `${sk.slice(0, 12)}...${sk.slice(-4)}` : '***');
@@ -0,0 +1,639 @@
+// src/webhooks.ts
+/**
+ * Outbound webhook notifications for pool events.
+ * Admins register webhooks under a single KV key; each one receives the events it subscribed to, either as generic
+ * JSON or shaped as a Slack, Discord or Telegram message. Every delivery is signed with the webhook's secret
+ * (HMAC-SHA256 over the timestamp and the body), bounded by a timeout and retried with backoff. Events that could
+ * otherwise fire on every request (a low or empty pool, repeated exchange failures, failed admin logins) are
+ * throttled per subject with a KV cooldown. Deliveries are meant to run in ctx.waitUntil and never throw.
+ */
+
+import type { AccountCooldown, Env } from './types';
+import { HealthCheckResult } from './health';
+import { ExchangeSample, readPoolGauges } from './metrics';
+
+const WEBHOOKS_KEY = 'WEBHOOKS';
+
+const DELIVERY_KEY_PREFIX = 'WEBHOOK_DELIVERY:';
+
+const COOLDOWN_KEY_PREFIX = 'WEBHOOK_COOLDOWN:';
+
+const EXCHANGE_STREAKS_KEY = 'WEBHOOK_EXCHANGE_STREAKS';
+
+const MAX_WEBHOOKS = 20;
+
+// Each attempt may take this long; the first retry waits BACKOFF_BASE_MS, the second twice as long.
+const DELIVERY_TIMEOUT_MS = 5000;
+
+const DELIVERY_ATTEMPTS = 3;
+
+const BACKOFF_BASE_MS = 1000;
+
+const DEFAULT_COOLDOWN_SECONDS = 900;
+
+// KV refuses expiration TTLs below 60 seconds.
+const MIN_COOLDOWN_SECONDS = 60;
+
+const DEFAULT_POOL_THRESHOLD = 2;
+
+const DEFAULT_EXCHANGE_FAILURES = 5;
+
+// Discord rejects messages longer than this.
+const DISCORD_MAX_LENGTH = 2000;
+
+// Account events list at most this many emails in their summary; `data` always has all of them.
+const SUMMARY_MAX_EMAILS = 10;
+
+/**
+ * The events a webhook can subscribe to:
+ * - account.added / account.removed: an admin added or removed accounts (add, delete, batch, import, restore).
+ * - account.quarantined: an SK was rejected often enough for its account to be quarantined.
+ * - account.cooling_down: an admin or user reports put an account on cooldown after it reached its usage limit.
+ * - pool.low: fewer healthy accounts that are not cooling down than WEBHOOK_POOL_THRESHOLD remain.
+ * - pool.empty: a login failed because no account was available for selection.
+ * - exchange.failures: WEBHOOK_EXCHANGE_FAILURES token exchanges in a row failed at an upstream.
+ * - admin.auth_failed: a request to the admin API was refused authentication.
+ */
+export const WEBHOOK_EVENTS = [
+  'account.added',
+  'account.removed',
+  'account.quarantined',
+  'account.cooling_down',
+  'pool.low',
+  'pool.empty',
+  'exchange.failures',
+  'admin.auth_failed',
+] as const;
+
+/**
+ * An event type, including 'webhook.test', which is only sent by /api/admin/webhooks/test.
+ */
+export type WebhookEventType = (typeof WEBHOOK_EVENTS)[number] | 'webhook.test';
+
+/**
+ * How a delivery's body is shaped:
+ * - json: `{id, event, created_at, summary, data}`.
+ * - slack: a Slack incoming webhook message (`{text}`).
+ * - discord: a Discord webhook message (`{content}`).
+ * - telegram: a Bot API sendMessage call (`{chat_id, text}`); the URL is `https://api.telegram.org/bot<token>/sendMessage`.
+ */
+export const WEBHOOK_FORMATS = ['json', 'slack', 'discord', 'telegram'] as const;
+
+export type WebhookFormat = (typeof WEBHOOK_FORMATS)[number];
+
+/**
+ * A registered webhook as stored in KV.
+ */
+export interface Webhook {
+  id: string;
+  name?: string;
+  url: string;
+  format: WebhookFormat;
+  /**
+   * The subscribed events; ['*'] subscribes to every event.
+   */
+  events: string[];
+  /**
+   * The HMAC key deliveries are signed with. Only returned when the webhook is created.
+   */
+  secret: string;
+  /**
+   * The chat a 'telegram' webhook posts to.
+   */
+  chat_id?: string;
+  enabled: boolean;
+  created_at: string;
+  updated_at: string;
+}
+
+/**
+ * A webhook as listed by the admin API: the secret is replaced by a preview.
+ */
+export type WebhookSummary = Omit<Webhook, 'secret'> & { secret_preview: string; last_delivery: WebhookDelivery | null };
+
+/**
+ * The settings of a webhook, as accepted by the admin API.
+ */
+export type WebhookSettings = Partial<Pick<Webhook, 'name' | 'url' | 'format' | 'events' | 'secret' | 'chat_id' | 'enabled'>>;
+
+/**
+ * An event to notify the webhooks about. `summary` is the human-readable line sent to chat formats.
+ */
+export interface WebhookEvent {
+  type: WebhookEventType;
+  summary: string;
+  data: Record<string, unknown>;
+}
+
+/**
+ * The outcome of delivering an event to one webhook. The last one is kept per webhook.
+ */
+export interface WebhookDelivery {
+  id: string;
+  event: WebhookEventType;
+  at: string;
+  ok: boolean;
+  attempts: number;
+  status?: number;
+  error?: string;
+}
+
+/**
+ * Consecutive failed token exchanges per upstream.
+ */
+type ExchangeStreaks = Record<string, number>;
+
+/**
+ * Reads a positive integer setting from the environment.
+ * @param value The raw environment value.
+ * @param fallback The value to use if it is unset or invalid.
+ * @returns The parsed value.
+ */
+const readSetting = (value: string | undefined, fallback: number): number => {
+  const parsed = value ? parseInt(value, 10) : NaN;
+  return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+};
+
+const sleep = (ms: number): Promise<void> => new Promise((resolve) => setTimeout(resolve, ms));
+
+const toHex = (bytes: ArrayBuffer | Uint8Array): string =>
+  [...new Uint8Array(bytes)].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+
+/**
+ * Retrieves the registered webhooks.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the webhooks by id (empty if none was registered).
+ */
+export async function getWebhooks(env: Env): Promise<Record<string, Webhook>> {
+  return (await env.CLAUDE_KV.get<Record<string, Webhook>>(WEBHOOKS_KEY, 'json')) || {};
+}
+
+/**
+ * Saves the registered webhooks.
+ * @param env The Environment object containing the KV namespace.
+ * @param webhooks The webhooks by id.
+ */
+async function saveWebhooks(env: Env, webhooks: Record<string, Webhook>): Promise<void> {
+  await env.CLAUDE_KV.put(WEBHOOKS_KEY, JSON.stringify(webhooks));
+}
+
+/**
+ * Validates webhook settings from an admin request.
+ * @param body The request body.
+ * @param partial True for an update, where every field is optional.
+ * @returns The settings that were given, or an error message.
+ */
+export const parseWebhookSettings = (body: any, partial = false): WebhookSettings | string => {
+  const settings: WebhookSettings = {};
+  if (body.url !== undefined || !partial) {
+    if (typeof body.url !== 'string' || !/^https?:\/\/[^\s/]+/.test(body.url)) {
+      return 'Field "url" is required and must be an http(s) URL.';
+    }
+    settings.url = body.url;
+  }
+  if (body.format !== undefined) {
+    if (!WEBHOOK_FORMATS.includes(body.format)) {
+      return `Field "format" must be one of: ${WEBHOOK_FORMATS.join(', ')}.`;
+    }
+    settings.format = body.format;
+  }
+  if (body.events !== undefined) {
+    const valid = (event: unknown) => event === '*' || WEBHOOK_EVENTS.includes(event as (typeof WEBHOOK_EVENTS)[number]);
+    if (!Array.isArray(body.events) || body.events.length === 0 || !body.events.every(valid)) {
+      return `Field "events" must be a non-empty array of: *, ${WEBHOOK_EVENTS.join(', ')}.`;
+    }
+    settings.events = [...new Set<string>(body.events)];
+  }
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string' || body.name.length > 100) {
+      return 'Field "name" must be a string of at most 100 characters.';
+    }
+    settings.name = body.name.trim();
+  }
+  if (body.secret !== undefined) {
+    if (typeof body.secret !== 'string' || body.secret.length < 16) {
+      return 'Field "secret" must be a string of at least 16 characters.';
+    }
+    settings.secret = body.secret;
+  }
+  if (body.chat_id !== undefined) {
+    if ((typeof body.chat_id !== 'string' && typeof body.chat_id !== 'number') || String(body.chat_id).trim() === '') {
+      return 'Field "chat_id" must be a Telegram chat id or @channel name.';
+    }
+    settings.chat_id = String(body.chat_id).trim();
+  }
+  if (body.enabled !== undefined) {
+    if (typeof body.enabled !== 'boolean') {
+      return 'Field "enabled" must be a boolean.';
+    }
+    settings.enabled = body.enabled;
+  }
+  return settings;
+};
+
+/**
+ * Checks the settings a webhook ends up with, once an update is applied to its current ones.
+ * @param webhook The resulting webhook.
+ * @returns An error message, or undefined if the webhook can be delivered to.
+ */
+const validateWebhook = (webhook: Webhook): string | undefined =>
+  webhook.format === 'telegram' && !webhook.chat_id ? 'Field "chat_id" is required for the telegram format.' : undefined;
+
+/**
+ * Strips the secret from a webhook for listing.
+ * @param webhook The stored webhook.
+ * @param lastDelivery The outcome of its last delivery, if any.
+ * @returns The webhook with a preview of its secret.
+ */
+export const summarizeWebhook = (webhook: Webhook, lastDelivery: WebhookDelivery | null = null): WebhookSummary => {
+  const { secret, ...rest } = webhook;
+  return { ...rest, secret_preview: `${secret.slice(0, 10)}...`, last_delivery: lastDelivery };
+};
+
+/**
+ * Lists the registered webhooks with the outcome of their last delivery.
+ * @param env The Environment object containing the KV namespace.
+ * @returns A Promise that resolves to the webhooks, oldest first, without their secrets.
+ */
+export async function listWebhooks(env: Env): Promise<WebhookSummary[]> {
+  const webhooks = Object.values(await getWebhooks(env)).sort((a, b) => a.created_at.localeCompare(b.created_at));
+  return Promise.all(
+    webhooks.map(async (webhook) =>
+      summarizeWebhook(webhook, await env.CLAUDE_KV.get<WebhookDelivery>(`${DELIVERY_KEY_PREFIX}${webhook.id}`, 'json')),
+    ),
+  );
+}
+
+/**
+ * Registers a webhook. A secret is generated unless one is given.
+ * @param env The Environment object containing the KV namespace.
+ * @param settings The validated settings; `url` is required.
+ * @returns A Promise that resolves to the new webhook including its secret, or an error message.
+ */
+export async function createWebhook(env: Env, settings: WebhookSettings): Promise<Webhook | string> {
+  const webhooks = await getWebhooks(env);
+  if (Object.keys(webhooks).length >= MAX_WEBHOOKS) {
+    return `At most ${MAX_WEBHOOKS} webhooks can be registered.`;
+  }
+  const now = new Date().toISOString();
+  const webhook: Webhook = {
+    id: `wh_${crypto.randomUUID().replace(/-/g, '').slice(0, 12)}`,
+    ...(settings.name && { name: settings.name }),
+    url: settings.url!,
+    format: settings.format || 'json',
+    events: settings.events || ['*'],
+    secret: settings.secret || `whsec_${toHex(crypto.getRandomValues(new Uint8Array(24)))}`,
+    ...(settings.chat_id && { chat_id: settings.chat_id }),
+    enabled: settings.enabled ?? true,
+    created_at: now,
+    updated_at: now,
+  };
+  const error = validateWebhook(webhook);
+  if (error) {
+    return error;
+  }
+  webhooks[webhook.id] = webhook;
+  await saveWebhooks(env, webhooks);
+  return webhook;
+}
+
+/**
+ * Changes the settings of a webhook. An empty name clears it.
+ * @param env The Environment object containing the KV namespace.
+ * @param id The id of the webhook.
+ * @param settings The validated settings to change.
+ * @returns A Promise that resolves to the updated webhook, null if it does not exist, or an error message.
+ */
+export async function updateWebhook(env: Env, id: string, settings: WebhookSettings): Promise<Webhook | null | string> {
+  const webhooks = await getWebhooks(env);
+  if (!webhooks[id]) {
+    return null;
+  }
+  const { name, ...rest } = { ...webhooks[id], ...settings, updated_at: new Date().toISOString() };
+  const webhook: Webhook = { ...rest, ...(name && { name }) };
+  const error = validateWebhook(webhook);
+  if (error) {
+    return error;
+  }
+  webhooks[id] = webhook;
+  await saveWebhooks(env, webhooks);
+  return webhook;
+}
+
+/**
+ * Unregisters a webhook.
+ * @param env The Environment object containing the KV namespace.
+ * @param id The id of the webhook.
+ * @returns A Promise that resolves to the removed webhook, or null if it does not exist.
+ */
+export async function deleteWebhook(env: Env, id: string): Promise<Webhook | null> {
+  const webhooks = await getWebhooks(env);
+  const webhook = webhooks[id];
+  if (!webhook) {
+    return null;
+  }
+  delete webhooks[id];
+  await saveWebhooks(env, webhooks);
+  await env.CLAUDE_KV.delete(`${DELIVERY_KEY_PREFIX}${id}`);
+  return webhook;
+}
+
+/**
+ * Builds the body of a delivery in the webhook's format.
+ * @param webhook The receiving webhook.
+ * @param event The event.
+ * @param deliveryId The id of the delivery, repeated in the X-Webhook-Id header.
+ * @param createdAt When the event was raised.
+ * @returns The JSON body.
+ */
+const buildPayload = (webhook: Webhook, event: WebhookEvent, deliveryId: string, createdAt: string): string => {
+  const text = `[fuclaude-pool-manager] ${event.summary}`;
+  switch (webhook.format) {
+    case 'slack':
+      return JSON.stringify({ text });
+    case 'discord':
+      return JSON.stringify({ content: text.slice(0, DISCORD_MAX_LENGTH) });
+    case 'telegram':
+      return JSON.stringify({ chat_id: webhook.chat_id, text, disable_web_page_preview: true });
+    default:
+      return JSON.stringify({ id: deliveryId, event: event.type, created_at: createdAt, summary: event.summary, data: event.data });
+  }
+};
+
+/**
+ * Signs a delivery: HMAC-SHA256 of `<timestamp>.<body>` with the webhook's secret.
+ * Receivers recompute it to check that the request came from this Worker and reject old timestamps against replays.
+ * @param secret The webhook's secret.
+ * @param timestamp The Unix time in seconds sent in X-Webhook-Timestamp.
+ * @param body The request body.
+ * @returns A Promise that resolves to the X-Webhook-Signature value, `sha256=<hex>`.
+ */
+export async function signWebhookPayload(secret: string, timestamp: number, body: string): Promise<string> {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  return `sha256=${toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`)))}`;
+}
+
+/**
+ * Delivers an event to one webhook. Network errors, timeouts, 5xx and 429 answers are retried with backoff, up to
+ * DELIVERY_ATTEMPTS attempts; any other answer ends the delivery. Every attempt carries the same delivery id, so
+ * receivers can drop duplicates.
+ * @param webhook The receiving webhook.
+ * @param event The event.
+ * @returns A Promise that resolves to the outcome. It never rejects.
+ */
+async function deliver(webhook: Webhook, event: WebhookEvent): Promise<WebhookDelivery> {
+  const id = crypto.randomUUID();
+  const at = new Date().toISOString();
+  const body = buildPayload(webhook, event, id, at);
+  let outcome: { ok: boolean; status?: number; error?: string } = { ok: false };
+
+  for (let attempt = 1; ; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'fuclaude-pool-manager-webhooks',
+          'X-Webhook-Id': id,
+          'X-Webhook-Event': event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': await signWebhookPayload(webhook.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+      });
+      await response.body?.cancel();
+      outcome = response.ok ? { ok: true, status: response.status } : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+      if (response.ok || (response.status < 500 && response.status !== 429)) {
+        return { id, event: event.type, at, attempts: attempt, ...outcome };
+      }
+    } catch (e: any) {
+      const timedOut = e?.name === 'TimeoutError' || e?.name === 'AbortError';
+      outcome = { ok: false, error: timedOut ? `No response within ${DELIVERY_TIMEOUT_MS}ms.` : `Network error: ${e?.message || e}` };
+    }
+    if (attempt >= DELIVERY_ATTEMPTS) {
+      return { id, event: event.type, at, attempts: attempt, ...outcome };
+    }
+    await sleep(BACKOFF_BASE_MS * 2 ** (attempt - 1));
+  }
+}
+
+/**
+ * Delivers an event to a webhook and keeps the outcome as its last delivery.
+ * @param env The Environment object containing the KV namespace.
+ * @param webhook The receiving webhook.
+ * @param event The event.
+ * @returns A Promise that resolves to the outcome.
+ */
+async function deliverAndRecord(env: Env, webhook: Webhook, event: WebhookEvent): Promise<WebhookDelivery> {
+  const delivery = await deliver(webhook, event);
+  if (!delivery.ok) {
+    console.error(`Webhook ${webhook.id}: Delivering ${event.type} failed after ${delivery.attempts} attempt(s): ${delivery.error}`);
+  }
+  await env.CLAUDE_KV.put(`${DELIVERY_KEY_PREFIX}${webhook.id}`, JSON.stringify(delivery));
+  return delivery;
+}
+
+/**
+ * Reads the cooldown between two notifications about the same subject.
+ * @param env The Environment object.
+ * @returns The cooldown in seconds.
+ */
+const getCooldown = (env: Env): number => Math.max(MIN_COOLDOWN_SECONDS, readSetting(env.WEBHOOK_COOLDOWN, DEFAULT_COOLDOWN_SECONDS));
+
+/**
+ * Notifies every enabled webhook subscribed to an event. Failures are logged rather than thrown.
+ * @param env The Environment object.
+ * @param event The event.
+ * @param throttleKey Optional: The subject of a recurring event, e.g. 'pool.low'. Further events with the same key
+ *   are dropped until WEBHOOK_COOLDOWN has passed. The cooldown is best effort, as KV reads may be stale.
+ */
+export async function dispatchWebhookEvent(env: Env, event: WebhookEvent, throttleKey?: string): Promise<void> {
+  try {
+    const webhooks = Object.values(await getWebhooks(env)).filter(
+      (webhook) => webhook.enabled && (webhook.events.includes('*') || webhook.events.includes(event.type)),
+    );
+    if (webhooks.length === 0) {
+      return;
+    }
+    if (throttleKey) {
+      const cooldownKey = `${COOLDOWN_KEY_PREFIX}${throttleKey}`;
+      if (await env.CLAUDE_KV.get(cooldownKey)) {
+        return;
+      }
+      await env.CLAUDE_KV.put(cooldownKey, new Date().toISOString(), { expirationTtl: getCooldown(env) });
+    }
+    await Promise.all(webhooks.map((webhook) => deliverAndRecord(env, webhook, event)));
+  } catch (e) {
+    console.error(`Failed to dispatch the ${event.type} webhook event:`, e);
+  }
+}
+
+/**
+ * Sends a 'webhook.test' event to one webhook, whatever it subscribed to and even if it is disabled.
+ * @param env The Environment object.
+ * @param id The id of the webhook.
+ * @param actor Who asked for the test.
+ * @returns A Promise that resolves to the outcome, or null if the webhook does not exist.
+ */
+export async function testWebhook(env: Env, id: string, actor: string): Promise<WebhookDelivery | null> {
+  const webhook = (await getWebhooks(env))[id];
+  if (!webhook) {
+    return null;
+  }
+  return deliverAndRecord(env, webhook, {
+    type: 'webhook.test',
+    summary: `Test notification requested by ${actor}.`,
+    data: { webhook_id: id, actor },
+  });
+}
+
+/**
+ * Builds the event for accounts that were added to or removed from the pool.
+ * @param type 'account.added' or 'account.removed'.
+ * @param emails The accounts; not empty.
+ * @param actor The admin who made the change.
+ * @param via The admin action, e.g. 'add' or 'import'.
+ * @returns The event.
+ */
+export const accountsChangedEvent = (type: 'account.added' | 'account.removed', emails: string[], actor: string, via: string): WebhookEvent => {
+  const listed = emails.slice(0, SUMMARY_MAX_EMAILS).join(', ') + (emails.length > SUMMARY_MAX_EMAILS ? ', ...' : '');
+  const verb = type === 'account.added' ? 'added' : 'removed';
+  return {
+    type,
+    summary: `${actor} ${verb} ${emails.length} account(s) via ${via}: ${listed}`,
+    data: { emails, actor, via },
+  };
+};
+
+/**
+ * Builds the event for a login that found no account to select. Dispatch it with the 'pool.empty' throttle key.
+ * @param via 'user' or 'admin'.
+ * @param mode The login mode, 'random' or 'sticky'.
+ * @param group The group the login was restricted to, if any.
+ * @returns The event.
+ */
+export const poolEmptyEvent = (via: 'user' | 'admin', mode: string, group?: string): WebhookEvent => ({
+  type: 'pool.empty',
+  summary: `A ${mode} ${via} login failed: no account is available for selection${group ? ` in group ${group}` : ''}.`,
+  data: { via, mode, group: group ?? null },
+});
+
+/**
+ * Builds the event for an account that was put on cooldown.
+ * @param email The account.
+ * @param cooldown The cooldown.
+ * @returns The event.
+ */
+export const accountCooldownEvent = (email: string, cooldown: AccountCooldown): WebhookEvent => ({
+  type: 'account.cooling_down',
+  summary: `Account ${email} is cooling down until ${cooldown.until}, ${cooldown.source === 'admin' ? 'set by' : 'reported by'} ${cooldown.set_by}${cooldown.reason ? `: ${cooldown.reason}` : '.'}`,
+  data: { email, ...cooldown },
+});
+
+/**
+ * Sends 'pool.low' if fewer available accounts than WEBHOOK_POOL_THRESHOLD remain, at most once per cooldown.
+ * Available accounts are healthy (enabled and not quarantined, as for metrics; see metrics.ts) and not cooling down.
+ * @param env The Environment object.
+ */
+export async function checkPoolLevel(env: Env): Promise<void> {
+  try {
+    const threshold = readSetting(env.WEBHOOK_POOL_THRESHOLD, DEFAULT_POOL_THRESHOLD);
+    const pool = await readPoolGauges(env);
+    const available = pool.healthy - pool.cooling_down;
+    if (available >= threshold) {
+      return;
+    }
+    await dispatchWebhookEvent(
+      env,
+      {
+        type: 'pool.low',
+        summary: `Only ${available} available account(s) left (threshold ${threshold}; ${pool.enabled} enabled, ${pool.quarantined} quarantined, ${pool.cooling_down} cooling down).`,
+        data: { ...pool, threshold },
+      },
+      'pool.low',
+    );
+  } catch (e) {
+    console.error('Failed to check the pool level for webhooks:', e);
+  }
+}
+
+/**
+ * Sends 'account.quarantined' for every account a health check run quarantined, then checks the pool level.
+ * @param env The Environment object.
+ * @param results The results of the run.
+ */
+export async function notifyHealthCheckResults(env: Env, results: HealthCheckResult[]): Promise<void> {
+  for (const result of results.filter((result) => result.quarantined)) {
+    await dispatchWebhookEvent(env, {
+      type: 'account.quarantined',
+      summary: `Account ${result.email} was quarantined by a health check: ${result.error}`,
+      data: { email: result.email, source: 'health-check', reason: result.error },
+    });
+  }
+  await checkPoolLevel(env);
+}
+
+/**
+ * Reports the outcome of a login's token exchanges: sends 'account.quarantined' for the accounts whose rejected SK
+ * quarantined them, and 'exchange.failures' when an upstream's streak of failed exchanges reaches
+ * WEBHOOK_EXCHANGE_FAILURES. A rejected SK ends a streak, as the upstream itself answered. Streaks are kept in KV
+ * and only approximate under concurrent logins.
+ * @param env The Environment object.
+ * @param exchange The exchanges made and the accounts quarantined by the login.
+ */
+export async function notifyLoginExchange(env: Env, exchange: { exchanges: ExchangeSample[]; quarantined: string[] }): Promise<void> {
+  try {
+    for (const email of exchange.quarantined) {
+      await dispatchWebhookEvent(env, {
+        type: 'account.quarantined',
+        summary: `Account ${email} was quarantined after the upstream rejected its SK during a login.`,
+        data: { email, source: 'login' },
+      });
+    }
+    if (exchange.quarantined.length > 0) {
+      await checkPoolLevel(env);
+    }
+
+    if (exchange.exchanges.length === 0) {
+      return;
+    }
+    const threshold = readSetting(env.WEBHOOK_EXCHANGE_FAILURES, DEFAULT_EXCHANGE_FAILURES);
+    const streaks = (await env.CLAUDE_KV.get<ExchangeStreaks>(EXCHANGE_STREAKS_KEY, 'json')) || {};
+    let changed = false;
+    const failing: { upstream: string; failures: number; last_error: string }[] = [];
+    for (const sample of exchange.exchanges) {
+      const previous = streaks[sample.upstream] || 0;
+      if (sample.outcome === 'ok' || sample.outcome === 'SK_REJECTED' || sample.outcome === 'UPSTREAM_BAD_REQUEST') {
+        if (previous > 0) {
+          delete streaks[sample.upstream];
+          changed = true;
+        }
+        continue;
+      }
+      streaks[sample.upstream] = previous + 1;
+      changed = true;
+      if (streaks[sample.upstream] >= threshold) {
+        failing.push({ upstream: sample.upstream, failures: streaks[sample.upstream], last_error: sample.outcome });
+      }
+    }
+    if (changed) {
+      await env.CLAUDE_KV.put(EXCHANGE_STREAKS_KEY, JSON.stringify(streaks));
+    }
+    for (const streak of failing) {
+      await dispatchWebhookEvent(
+        env,
+        {
+          type: 'exchange.failures',
+          summary: `${streak.failures} token exchanges in a row failed at upstream ${streak.upstream} (last: ${streak.last_error}).`,
+          data: streak,
+        },
+        `exchange.failures:${streak.upstream}`,
+      );
+    }
+  } catch (e) {
+    console.error('Failed to report the login exchange to webhooks:', e);
+  }
+}
@@ -0,0 +1,411 @@
+// test/accounts.spec.ts
+/**
+ * Managing the pool: listing, adding, updating (including renames), deleting and batch changes of accounts,
+ * health checks and quarantine, cooldowns, and admin logins.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { addAccounts, admin, auditEntries, listAccounts, login, skFor } from './helpers';
+import { installMockUpstream, MockUpstream } from './mock-upstream';
+
+let upstream: MockUpstream;
+
+beforeEach(() => {
+  upstream = installMockUpstream();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const emailsOf = (accounts: any[]) => accounts.map((account) => account.email);
+
+describe('GET /api/admin/list', () => {
+  it('lists the accounts, sorted, with an SK preview and their state', async () => {
+    await addAccounts({ 'b@example.com': { label: 'second', tags: ['pro'], weight: 2 }, 'a@example.com': {} });
+
+    const response = await admin('/api/admin/list', undefined, { method: 'GET' });
+
+    expect(response.status).toBe(200);
+    expect(emailsOf(response.body)).toEqual(['a@example.com', 'b@example.com']);
+    const [first, second] = response.body;
+    expect(first).toMatchObject({ index: 1, enabled: true, sk_encrypted: false, cooldown: null, health: { status: 'unknown' } });
+    expect(first.sk).toBeUndefined();
+    expect(first.sk_preview).not.toBe(skFor('a@example.com'));
+    expect(second).toMatchObject({ index: 2, label: 'second', tags: ['pro'], weight: 2 });
+  });
+});
+
+describe('POST /api/admin/add', () => {
+  it('validates the email, the SK and the metadata', async () => {
+    expect((await admin('/api/admin/add', { email: 'a@example.com' })).status).toBe(400);
+    expect((await admin('/api/admin/add', { email: 'not-an-email', sk: skFor('a') })).status).toBe(400);
+    expect((await admin('/api/admin/add', { email: 'a@example.com', sk: 'sk-short' })).status).toBe(400);
+    expect((await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a'), weight: -1 })).status).toBe(400);
+    expect((await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a'), enabled: 'yes' })).status).toBe(400);
+    expect(await listAccounts()).toEqual([]);
+  });
+
+  it('refuses an email that already exists', async () => {
+    await addAccounts(['a@example.com']);
+
+    const response = await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('other') });
+
+    expect(response.status).toBe(409);
+  });
+
+  it('records the addition in the audit log with a masked SK', async () => {
+    await addAccounts(['a@example.com']);
+
+    const [entry] = await auditEntries({ action: 'admin.add' });
+    expect(entry).toMatchObject({ actor: 'admin', email: 'a@example.com', result: 'success' });
+    expect(entry.detail).not.toContain(skFor('a@example.com'));
+  });
+});
+
+describe('POST /api/admin/update', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('requires the email and at least one change', async () => {
+    expect((await admin('/api/admin/update', { new_sk: skFor('x') })).status).toBe(400);
+    expect((await admin('/api/admin/update', { email: 'a@example.com' })).status).toBe(400);
+    expect((await admin('/api/admin/update', { email: 'a@example.com', new_sk: 'bad' })).status).toBe(400);
+    expect((await admin('/api/admin/update', { email: 'missing@example.com', label: 'x' })).status).toBe(404);
+  });
+
+  it('changes the SK and the metadata', async () => {
+    const response = await admin('/api/admin/update', { email: 'a@example.com', new_sk: skFor('new'), label: 'renewed', enabled: false });
+
+    expect(response.status).toBe(200);
+    const [account] = await listAccounts();
+    expect(account).toMatchObject({ email: 'a@example.com', label: 'renewed', enabled: false });
+    await admin('/api/admin/login', { mode: 'specific', email: 'a@example.com', unique_name: 'check' });
+    expect(upstream.exchanges[0].session_key).toBe(skFor('new'));
+  });
+
+  it('gives a new SK a clean health record', async () => {
+    upstream.scenario = 'rejected';
+    await admin('/api/admin/health-check', { email: 'a@example.com' });
+    expect((await listAccounts())[0].health.status).toBe('quarantined');
+
+    await admin('/api/admin/update', { email: 'a@example.com', new_sk: skFor('new') });
+
+    expect((await listAccounts())[0].health.status).toBe('unknown');
+  });
+
+  describe('renames', () => {
+    it('moves the account, keeping its SK and metadata', async () => {
+      await admin('/api/admin/update', { email: 'a@example.com', label: 'kept' });
+
+      const response = await admin('/api/admin/update', { email: 'a@example.com', new_email: 'c@example.com' });
+
+      expect(response.status).toBe(200);
+      const accounts = await listAccounts();
+      expect(emailsOf(accounts)).toEqual(['b@example.com', 'c@example.com']);
+      expect(accounts[1].label).toBe('kept');
+      await admin('/api/admin/login', { mode: 'specific', email: 'c@example.com', unique_name: 'check' });
+      expect(upstream.exchanges[0].session_key).toBe(skFor('a@example.com'));
+    });
+
+    it('refuses to overwrite another account', async () => {
+      const response = await admin('/api/admin/update', { email: 'a@example.com', new_email: 'b@example.com' });
+
+      expect(response.status).toBe(409);
+      expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+    });
+
+    it('refuses to rename a missing account', async () => {
+      const response = await admin('/api/admin/update', { email: 'missing@example.com', new_email: 'c@example.com' });
+
+      expect(response.status).toBe(404);
+      expect((await admin('/api/admin/snapshots/list')).body.snapshots).toEqual([]);
+    });
+
+    it('carries the health, cooldown, sticky bindings and sessions over to the new email', async () => {
+      await admin('/api/admin/update', { email: 'b@example.com', enabled: false });
+      await login({ mode: 'sticky', identity: 'dave' });
+      await admin('/api/admin/update', { email: 'b@example.com', enabled: true });
+      await admin('/api/admin/cooldowns/set', { email: 'a@example.com', duration: 600, reason: 'maintenance' });
+      upstream.scenario = 'rejected';
+      await admin('/api/admin/health-check', { email: 'a@example.com' });
+
+      await admin('/api/admin/update', { email: 'a@example.com', new_email: 'c@example.com' });
+
+      const renamed = (await listAccounts()).find((account) => account.email === 'c@example.com');
+      expect(renamed.health.status).toBe('quarantined');
+      expect(renamed.cooldown).toMatchObject({ source: 'admin', reason: 'maintenance' });
+      expect((await admin('/api/admin/sticky/list')).body.bindings).toMatchObject([{ identity: 'dave', email: 'c@example.com' }]);
+      const { sessions } = (await admin('/api/admin/sessions/list', { email: 'c@example.com' })).body;
+      expect(sessions).toHaveLength(1);
+      expect((await admin('/api/admin/sessions/list', { email: 'a@example.com' })).body.sessions).toEqual([]);
+    });
+
+    it('takes a snapshot first and records the rename', async () => {
+      await admin('/api/admin/update', { email: 'a@example.com', new_email: 'c@example.com' });
+
+      const { snapshots } = (await admin('/api/admin/snapshots/list')).body;
+      expect(snapshots).toMatchObject([{ reason: 'update', count: 2 }]);
+      const [entry] = await auditEntries({ action: 'admin.update' });
+      expect(entry.detail).toContain('renamed to c@example.com');
+    });
+  });
+});
+
+describe('POST /api/admin/delete', () => {
+  it('deletes the account and forgets its state', async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+    await login({ mode: 'sticky', identity: 'erin' });
+    const { email } = (await admin('/api/admin/sticky/list')).body.bindings[0];
+
+    const response = await admin('/api/admin/delete', { email });
+
+    expect(response.status).toBe(200);
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com'].filter((other) => other !== email));
+    expect((await admin('/api/admin/sticky/list')).body.bindings).toEqual([]);
+    expect((await admin('/api/admin/snapshots/list')).body.snapshots).toMatchObject([{ reason: 'delete', count: 2 }]);
+  });
+
+  it('requires an existing email', async () => {
+    expect((await admin('/api/admin/delete', {})).status).toBe(400);
+    expect((await admin('/api/admin/delete', { email: 'missing@example.com' })).status).toBe(404);
+    expect((await admin('/api/admin/snapshots/list')).body.snapshots).toEqual([]);
+  });
+});
+
+describe('POST /api/admin/batch', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('requires an actions array', async () => {
+    expect((await admin('/api/admin/batch', {})).status).toBe(400);
+  });
+
+  it('applies every kind of action and reports each result', async () => {
+    const response = await admin('/api/admin/batch', {
+      actions: [
+        { action: 'add', email: 'c@example.com', sk: skFor('c') },
+        { action: 'upsert', email: 'd@example.com', sk: skFor('d') },
+        { action: 'upsert', email: 'a@example.com', sk: skFor('a2') },
+        { action: 'disable', email: 'b@example.com' },
+        { action: 'update', email: 'c@example.com', new_email: 'e@example.com' },
+        { action: 'delete', email: 'missing@example.com' },
+        { action: 'add', email: 'b@example.com', sk: skFor('b2') },
+        { action: 'frobnicate', email: 'a@example.com' },
+      ],
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ message: 'Batch processing complete.', dry_run: false, all_or_nothing: false, committed: true });
+    expect(response.body.results).toEqual([
+      { email: 'c@example.com', status: 'added' },
+      { email: 'd@example.com', status: 'added' },
+      { email: 'a@example.com', status: 'updated' },
+      { email: 'b@example.com', status: 'disabled' },
+      { email: 'c@example.com', status: 'updated', new_email: 'e@example.com' },
+      { email: 'missing@example.com', status: 'skipped', reason: 'Email not found.' },
+      { email: 'b@example.com', status: 'failed', reason: 'Email already exists. Use upsert or update.' },
+      { email: 'a@example.com', status: 'failed', reason: 'Unknown action: frobnicate' },
+    ]);
+    const accounts = await listAccounts();
+    expect(emailsOf(accounts)).toEqual(['a@example.com', 'b@example.com', 'd@example.com', 'e@example.com']);
+    expect(accounts[1].enabled).toBe(false);
+  });
+
+  it('changes nothing in a dry run', async () => {
+    const response = await admin('/api/admin/batch', {
+      dry_run: true,
+      actions: [
+        { action: 'add', email: 'c@example.com', sk: skFor('c') },
+        { action: 'delete', email: 'a@example.com' },
+      ],
+    });
+
+    expect(response.body).toMatchObject({ message: 'Dry run: no changes were made.', dry_run: true, committed: false });
+    expect(response.body.results.map((result: any) => result.status)).toEqual(['added', 'deleted']);
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+    expect((await admin('/api/admin/snapshots/list')).body.snapshots).toEqual([]);
+  });
+
+  describe('all_or_nothing', () => {
+    it('commits when every action succeeds', async () => {
+      const response = await admin('/api/admin/batch', {
+        all_or_nothing: true,
+        actions: [
+          { action: 'delete', email: 'a@example.com' },
+          { action: 'add', email: 'c@example.com', sk: skFor('c') },
+        ],
+      });
+
+      expect(response.body).toMatchObject({ committed: true, all_or_nothing: true });
+      expect(emailsOf(await listAccounts())).toEqual(['b@example.com', 'c@example.com']);
+    });
+
+    it('rolls every action back when one fails in the store', async () => {
+      const response = await admin('/api/admin/batch', {
+        all_or_nothing: true,
+        actions: [
+          { action: 'add', email: 'c@example.com', sk: skFor('c') },
+          { action: 'delete', email: 'missing@example.com' },
+        ],
+      });
+
+      expect(response.body).toMatchObject({ message: 'No changes were made.', committed: false });
+      expect(response.body.results).toEqual([
+        { email: 'c@example.com', status: 'rolled_back', reason: 'Another action in the batch failed.' },
+        { email: 'missing@example.com', status: 'failed', reason: 'Email not found.' },
+      ]);
+      expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+    });
+
+    it('writes nothing when an action is invalid', async () => {
+      const response = await admin('/api/admin/batch', {
+        all_or_nothing: true,
+        actions: [
+          { action: 'delete', email: 'a@example.com' },
+          { action: 'add', email: 'c@example.com', sk: 'bad' },
+        ],
+      });
+
+      expect(response.body.committed).toBe(false);
+      expect(response.body.results.map((result: any) => result.status)).toEqual(['rolled_back', 'failed']);
+      expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+    });
+
+    it('rolls back a rename onto an existing account', async () => {
+      const response = await admin('/api/admin/batch', {
+        all_or_nothing: true,
+        actions: [
+          { action: 'disable', email: 'b@example.com' },
+          { action: 'update', email: 'a@example.com', new_email: 'b@example.com' },
+        ],
+      });
+
+      expect(response.body.results).toEqual([
+        { email: 'b@example.com', status: 'rolled_back', reason: 'Another action in the batch failed.' },
+        { email: 'a@example.com', status: 'failed', reason: 'The new email b@example.com already exists.' },
+      ]);
+      expect((await listAccounts()).every((account) => account.enabled)).toBe(true);
+    });
+  });
+
+  it('carries the state of renamed accounts over, like update', async () => {
+    await admin('/api/admin/cooldowns/set', { email: 'a@example.com', duration: 600 });
+
+    await admin('/api/admin/batch', { actions: [{ action: 'update', email: 'a@example.com', new_email: 'c@example.com' }] });
+
+    const cooldowns = (await admin('/api/admin/cooldowns/list')).body.cooldowns;
+    expect(emailsOf(cooldowns)).toEqual(['c@example.com']);
+  });
+});
+
+describe('health checks and quarantine', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('checks every SK and quarantines the rejected ones', async () => {
+    upstream.scenarios[skFor('b@example.com')] = 'rejected';
+
+    const response = await admin('/api/admin/health-check');
+
+    expect(response.status).toBe(200);
+    expect(response.body.results).toMatchObject([
+      { email: 'a@example.com', outcome: 'ok', status: 'healthy' },
+      { email: 'b@example.com', outcome: 'rejected', status: 'quarantined' },
+    ]);
+    for (let i = 0; i < 3; i++) {
+      await login({ mode: 'random' });
+    }
+    const loginExchanges = upstream.exchanges.slice(2);
+    expect(loginExchanges.every((exchange) => exchange.session_key === skFor('a@example.com'))).toBe(true);
+  });
+
+  it('leaves the health alone when the upstream is unavailable', async () => {
+    upstream.scenario = 'server_error';
+
+    const response = await admin('/api/admin/health-check', { email: 'a@example.com' });
+
+    expect(response.body.results).toMatchObject([{ email: 'a@example.com', outcome: 'error', status: 'unknown' }]);
+  });
+
+  it('checks one account on request', async () => {
+    expect((await admin('/api/admin/health-check', { email: 'missing@example.com' })).status).toBe(404);
+    expect((await admin('/api/admin/health-check', { email: 'a@example.com' })).body.results).toHaveLength(1);
+  });
+
+  it('releases an account from quarantine', async () => {
+    upstream.scenario = 'rejected';
+    await admin('/api/admin/health-check', { email: 'a@example.com' });
+
+    expect((await admin('/api/admin/unquarantine', { email: 'a@example.com' })).status).toBe(200);
+    expect((await listAccounts())[0].health.status).toBe('unknown');
+    expect((await admin('/api/admin/unquarantine', { email: 'a@example.com' })).status).toBe(404);
+    expect((await admin('/api/admin/unquarantine', {})).status).toBe(400);
+  });
+});
+
+describe('cooldowns', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('sets, lists and clears a cooldown', async () => {
+    const until = new Date(Date.now() + 3_600_000).toISOString();
+
+    const set = await admin('/api/admin/cooldowns/set', { email: 'a@example.com', until, reason: 'limit' });
+    expect(set.status).toBe(200);
+    expect(set.body.cooldown).toMatchObject({ email: 'a@example.com', until, source: 'admin', set_by: 'admin', reason: 'limit' });
+
+    const { cooldowns } = (await admin('/api/admin/cooldowns/list', undefined, { method: 'GET' })).body;
+    expect(cooldowns).toMatchObject([{ email: 'a@example.com', until }]);
+    await login({ mode: 'random' });
+    expect(upstream.exchanges[0].session_key).toBe(skFor('b@example.com'));
+
+    expect((await admin('/api/admin/cooldowns/clear', { email: 'a@example.com' })).status).toBe(200);
+    expect((await admin('/api/admin/cooldowns/list')).body.cooldowns).toEqual([]);
+    expect((await admin('/api/admin/cooldowns/clear', { email: 'a@example.com' })).status).toBe(404);
+  });
+
+  it('validates the account and the duration', async () => {
+    expect((await admin('/api/admin/cooldowns/set', {})).status).toBe(400);
+    expect((await admin('/api/admin/cooldowns/set', { email: 'missing@example.com' })).status).toBe(404);
+    expect((await admin('/api/admin/cooldowns/set', { email: 'a@example.com', duration: 365 * 86400 })).status).toBe(400);
+    expect((await admin('/api/admin/cooldowns/set', { email: 'a@example.com', reason: 42 })).status).toBe(400);
+  });
+});
+
+describe('POST /api/admin/login', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com']);
+  });
+
+  it('logs into disabled accounts', async () => {
+    await admin('/api/admin/update', { email: 'a@example.com', enabled: false });
+
+    const response = await admin('/api/admin/login', { mode: 'specific', email: 'a@example.com', unique_name: 'ops' });
+
+    expect(response.status).toBe(200);
+    expect(upstream.exchanges[0]).toMatchObject({ unique_name: 'ops', expires_in: 0 });
+    const { sessions } = (await admin('/api/admin/sessions/list')).body;
+    expect(sessions[0]).toMatchObject({ via: 'admin', requester: 'admin' });
+  });
+
+  it('supports random mode and refuses sticky mode', async () => {
+    expect((await admin('/api/admin/login', { mode: 'random' })).status).toBe(200);
+    expect((await admin('/api/admin/login', { mode: 'sticky' })).status).toBe(400);
+  });
+
+  it('reports upstream failures with their code', async () => {
+    upstream.scenario = 'missing_login_url';
+
+    const response = await admin('/api/admin/login', { mode: 'specific', email: 'a@example.com', unique_name: 'ops' });
+
+    expect(response.status).toBe(502);
+    expect(response.body.code).toBe('UPSTREAM_BAD_RESPONSE');
+    const [entry] = await auditEntries({ action: 'admin.login' });
+    expect(entry).toMatchObject({ result: 'failure', status: 502 });
+  });
+});
@@ -0,0 +1,436 @@
+// test/admin.spec.ts
+/**
+ * Admin authentication and roles, named admin users, access codes, issued sessions and revocations, sticky
+ * bindings, account groups and upstreams.
+ */
+
+import { env } from 'cloudflare:test';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { pruneSessions } from '../src/sessions';
+import { addAccounts, admin, ADMIN_PASSWORD, auditEntries, createAccessCode, login, request, skFor } from './helpers';
+import { installMockUpstream, MOCK_BASE_URL, MockUpstream } from './mock-upstream';
+
+let upstream: MockUpstream;
+
+beforeEach(() => {
+  upstream = installMockUpstream();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+/**
+ * Opens a session for a named admin and returns its token.
+ */
+async function signIn(username: string, password: string): Promise<string> {
+  const response = await request('/api/admin/session', { body: { admin_username: username, admin_password: password } });
+  expect(response.status).toBe(200);
+  return response.body.token;
+}
+
+const asUser = (token: string) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+describe('admin authentication', () => {
+  it('requires credentials', async () => {
+    const response = await request('/api/admin/list');
+
+    expect(response.status).toBe(401);
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+  });
+
+  it('accepts the password as a bearer token or in the body', async () => {
+    expect((await admin('/api/admin/admins/me', undefined, { method: 'GET' })).body).toEqual({ username: 'admin', role: 'owner' });
+    expect((await request('/api/admin/admins/me', { body: { admin_password: ADMIN_PASSWORD } })).status).toBe(200);
+  });
+
+  it('issues session tokens, which cannot open further sessions', async () => {
+    const session = await admin('/api/admin/session');
+    expect(session.status).toBe(200);
+    expect(Date.parse(session.body.expires_at)).toBeGreaterThan(Date.now());
+
+    const options = asUser(session.body.token);
+    expect((await request('/api/admin/admins/me', options)).body.username).toBe('admin');
+    expect((await request('/api/admin/session', { ...options, body: {} })).status).toBe(401);
+  });
+
+  it('refuses an expired session without counting it towards the lockout', async () => {
+    const encode = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    const now = Math.floor(Date.now() / 1000);
+    const payload = encode(new TextEncoder().encode(JSON.stringify({ sub: 'admin', iat: now - 120, exp: now - 60 })));
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(ADMIN_PASSWORD), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(payload)));
+    const expired = { env: { ADMIN_LOCKOUT_THRESHOLD: '1' }, ...asUser(`${payload}.${encode(signature)}`) };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const response = await request('/api/admin/list', expired);
+      expect(response.status).toBe(401);
+      expect(response.body.error).toContain('expired');
+    }
+  });
+
+  it('locks out an IP after repeated failures and records them', async () => {
+    const env = { ADMIN_LOCKOUT_THRESHOLD: '2' };
+    const wrong = { env, headers: { Authorization: 'Bearer wrong-password' } };
+
+    expect((await request('/api/admin/list', wrong)).status).toBe(401);
+    const locked = await request('/api/admin/list', wrong);
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers.get('Retry-After'))).toBeGreaterThan(0);
+    expect((await admin('/api/admin/list', undefined, { env, method: 'GET' })).status).toBe(429);
+
+    // Other IPs are not locked out
+    const audit = await admin('/api/admin/audit', { action: 'admin.auth' }, { headers: { 'CF-Connecting-IP': '198.51.100.1' } });
+    expect(audit.body.entries).toMatchObject([{ result: 'failure', status: 429 }, { result: 'failure', status: 429 }, { result: 'failure', status: 401 }]);
+  });
+
+  it('refuses a missing or malformed body', async () => {
+    const headers = { Authorization: `Bearer ${ADMIN_PASSWORD}` };
+    for (const path of ['/api/admin/health-check', '/api/admin/add', '/api/admin/login', '/api/admin/stats']) {
+      const empty = await request(path, { method: 'POST', headers });
+      expect(empty.status, path).toBe(400);
+      expect(empty.body.error).toBe('Invalid JSON request body.');
+      expect((await request(path, { headers, body: '{"email":' })).status, path).toBe(400);
+      expect((await request(path, { headers, body: '[]' })).status, path).toBe(400);
+    }
+    // The session route reads its credentials from the header alone
+    expect((await request('/api/admin/session', { method: 'POST', headers })).status).toBe(200);
+  });
+
+  it('serves the read-only routes with GET', async () => {
+    const paths = ['list', 'admins/me', 'admins/list', 'sticky/list', 'sessions/list', 'encryption/status', 'snapshots/list', 'groups/list', 'stats', 'usage', 'audit'];
+    for (const path of paths) {
+      expect((await admin(`/api/admin/${path}`, undefined, { method: 'GET' })).status, path).toBe(200);
+    }
+  });
+
+  it('answers unknown admin paths with 404', async () => {
+    expect((await admin('/api/admin/nope')).status).toBe(404);
+  });
+});
+
+describe('named admins and roles', () => {
+  const PASSWORD = 'correct-horse';
+
+  beforeEach(async () => {
+    for (const role of ['viewer', 'operator', 'owner']) {
+      expect((await admin('/api/admin/admins/create', { username: role, password: PASSWORD, role })).status).toBe(200);
+    }
+  });
+
+  it('lists the admins without their password hashes', async () => {
+    const { admins } = (await admin('/api/admin/admins/list')).body;
+
+    expect(admins.map((user: any) => [user.username, user.role])).toEqual([
+      ['operator', 'operator'],
+      ['owner', 'owner'],
+      ['viewer', 'viewer'],
+    ]);
+    expect(JSON.stringify(admins)).not.toContain('password');
+  });
+
+  it('validates new admins', async () => {
+    expect((await admin('/api/admin/admins/create', { username: 'admin', password: PASSWORD, role: 'owner' })).status).toBe(400);
+    expect((await admin('/api/admin/admins/create', { username: 'x', password: PASSWORD, role: 'root' })).status).toBe(400);
+    expect((await admin('/api/admin/admins/create', { username: 'x', password: 'short', role: 'viewer' })).status).toBe(400);
+    expect((await admin('/api/admin/admins/create', { username: 'viewer', password: PASSWORD, role: 'viewer' })).status).toBe(409);
+  });
+
+  it('gives each role its routes', async () => {
+    const viewer = asUser(await signIn('viewer', PASSWORD));
+    const operator = asUser(await signIn('operator', PASSWORD));
+    const owner = asUser(await signIn('owner', PASSWORD));
+    await addAccounts(['a@example.com']);
+
+    expect((await request('/api/admin/list', viewer)).status).toBe(200);
+    expect((await request('/api/admin/admins/me', viewer)).body).toEqual({ username: 'viewer', role: 'viewer' });
+    const forbidden = await request('/api/admin/add', { ...viewer, body: { email: 'b@example.com', sk: skFor('b') } });
+    expect(forbidden.status).toBe(403);
+    expect(forbidden.body.error).toContain('requires the operator role');
+
+    expect((await request('/api/admin/add', { ...operator, body: { email: 'b@example.com', sk: skFor('b') } })).status).toBe(200);
+    expect((await request('/api/admin/delete', { ...operator, body: { email: 'b@example.com' } })).status).toBe(403);
+
+    expect((await request('/api/admin/delete', { ...owner, body: { email: 'b@example.com' } })).status).toBe(200);
+
+    const [entry] = await auditEntries({ action: 'admin.forbidden' });
+    expect(entry).toMatchObject({ actor: 'operator', status: 403 });
+    expect((await auditEntries({ action: 'admin.add', actor: 'operator' }))).toHaveLength(1);
+  });
+
+  it('refuses sessions when no signing secret is configured', async () => {
+    const token = await signIn('viewer', PASSWORD);
+    const env = { ADMIN_PASSWORD: '' };
+
+    const response = await request('/api/admin/session', { env, body: { admin_username: 'viewer', admin_password: PASSWORD } });
+    expect(response.status).toBe(503);
+    expect((await request('/api/admin/list', { env, ...asUser(token) })).status).toBe(401);
+  });
+
+  it('ends the sessions of an admin who is disabled or changes password', async () => {
+    const viewer = asUser(await signIn('viewer', PASSWORD));
+    const operator = asUser(await signIn('operator', PASSWORD));
+
+    await admin('/api/admin/admins/update', { username: 'viewer', disabled: true });
+    await admin('/api/admin/admins/update', { username: 'operator', password: 'another-password' });
+
+    expect((await request('/api/admin/list', viewer)).status).toBe(401);
+    expect((await request('/api/admin/list', operator)).status).toBe(401);
+    expect((await request('/api/admin/session', { body: { admin_username: 'viewer', admin_password: PASSWORD } })).status).toBe(401);
+    await signIn('operator', 'another-password');
+  });
+
+  it('changes roles and deletes admins', async () => {
+    expect((await admin('/api/admin/admins/update', { username: 'viewer', role: 'operator' })).status).toBe(200);
+    const promoted = asUser(await signIn('viewer', PASSWORD));
+    expect((await request('/api/admin/admins/me', promoted)).body.role).toBe('operator');
+
+    expect((await admin('/api/admin/admins/update', { username: 'viewer' })).status).toBe(400);
+    expect((await admin('/api/admin/admins/update', { username: 'nobody', role: 'viewer' })).status).toBe(404);
+
+    expect((await admin('/api/admin/admins/delete', { username: 'viewer' })).status).toBe(200);
+    expect((await request('/api/admin/list', promoted)).status).toBe(401);
+    expect((await admin('/api/admin/admins/delete', { username: 'viewer' })).status).toBe(404);
+  });
+});
+
+describe('access codes', () => {
+  it('creates codes that are only shown once', async () => {
+    const response = await admin('/api/admin/access-codes/create', { owner: 'team-a', max_expires_in: 600 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.access_code).toMatchObject({ owner: 'team-a', max_expires_in: 600 });
+    const { access_codes } = (await admin('/api/admin/access-codes/list', undefined, { method: 'GET' })).body;
+    expect(access_codes).toHaveLength(1);
+    expect(JSON.stringify(access_codes)).not.toContain(response.body.code);
+  });
+
+  it('validates the settings', async () => {
+    expect((await admin('/api/admin/access-codes/create', {})).status).toBe(400);
+    expect((await admin('/api/admin/access-codes/create', { owner: 'x', expires_at: 'soon' })).status).toBe(400);
+    expect((await admin('/api/admin/access-codes/create', { owner: 'x', allowed_accounts: 'a@example.com' })).status).toBe(400);
+    expect((await admin('/api/admin/access-codes/create', { owner: 'x', max_expires_in: -5 })).status).toBe(400);
+  });
+
+  it('rotates a code, keeping its settings', async () => {
+    await addAccounts(['a@example.com']);
+    const { code, id } = await createAccessCode({ allowed_accounts: ['a@example.com'] });
+
+    const rotated = await admin('/api/admin/access-codes/rotate', { id });
+
+    expect(rotated.status).toBe(200);
+    expect(rotated.body.access_code).toMatchObject({ owner: 'team-a', allowed_accounts: ['a@example.com'] });
+    expect((await login({ mode: 'random', access_code: code })).status).toBe(401);
+    expect((await login({ mode: 'random', access_code: rotated.body.code })).status).toBe(200);
+    expect((await admin('/api/admin/access-codes/rotate', { id })).status).toBe(404);
+  });
+
+  it('revokes a code', async () => {
+    const { id } = await createAccessCode();
+
+    expect((await admin('/api/admin/access-codes/revoke', { id })).status).toBe(200);
+    expect((await admin('/api/admin/access-codes/list')).body.access_codes).toEqual([]);
+    expect((await admin('/api/admin/access-codes/revoke', { id })).status).toBe(404);
+    expect((await admin('/api/admin/access-codes/revoke', {})).status).toBe(400);
+  });
+});
+
+describe('sessions and revocation', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('lists the issued sessions with a count per account', async () => {
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'one' });
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'two' });
+    await login({ mode: 'specific', email: 'b@example.com', unique_name: 'three' });
+
+    const all = (await admin('/api/admin/sessions/list')).body;
+    expect(all.sessions).toHaveLength(3);
+    expect(all.by_account).toEqual({ 'a@example.com': 2, 'b@example.com': 1 });
+    expect((await admin('/api/admin/sessions/list', { unique_name: 'two' })).body.sessions).toHaveLength(1);
+    const filtered = await admin('/api/admin/sessions/list?email=b%40example.com', undefined, { method: 'GET' });
+    expect(filtered.body.sessions.map((session: any) => session.unique_name)).toEqual(['three']);
+  });
+
+  it('revokes a unique_name until the revocation is lifted', async () => {
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'mallory' });
+
+    const revoked = await admin('/api/admin/sessions/revoke', { unique_name: 'mallory', reason: 'left the team' });
+
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.revoked_sessions).toHaveLength(1);
+    expect(revoked.body.upstream).toBe('unsupported');
+    expect((await admin('/api/admin/sessions/list')).body.sessions).toEqual([]);
+    expect((await login({ mode: 'specific', email: 'a@example.com', unique_name: 'mallory' })).status).toBe(403);
+    expect((await admin('/api/admin/login', { mode: 'specific', email: 'a@example.com', unique_name: 'mallory' })).status).toBe(403);
+
+    expect((await admin('/api/admin/sessions/unrevoke', { unique_name: 'mallory' })).status).toBe(200);
+    expect((await login({ mode: 'specific', email: 'a@example.com', unique_name: 'mallory' })).status).toBe(200);
+    expect((await admin('/api/admin/sessions/unrevoke', { unique_name: 'mallory' })).status).toBe(404);
+  });
+
+  it('asks the upstream to revoke the tokens when UPSTREAM_REVOKE_PATH is set', async () => {
+    const response = await admin('/api/admin/sessions/revoke', { unique_name: 'mallory' }, { env: { UPSTREAM_REVOKE_PATH: '/manage-api/revoke' } });
+
+    expect(response.body.upstream).toBe('revoked');
+    const [call] = upstream.outbound;
+    expect(call).toMatchObject({ method: 'POST', url: `${MOCK_BASE_URL}/manage-api/revoke` });
+    expect(JSON.parse(call.body)).toEqual({ unique_name: 'mallory' });
+  });
+
+  it('gives sticky identities using a revoked name a new one', async () => {
+    await login({ mode: 'sticky', identity: 'frank' });
+    const name = upstream.exchanges[0].unique_name;
+
+    const response = await admin('/api/admin/sessions/revoke', { unique_name: name });
+
+    expect(response.body.rotated_identities).toEqual(['frank']);
+    await login({ mode: 'sticky', identity: 'frank' });
+    expect(upstream.exchanges[1].unique_name).not.toBe(name);
+  });
+
+  it('validates the unique_name', async () => {
+    expect((await admin('/api/admin/sessions/revoke', {})).status).toBe(400);
+    expect((await admin('/api/admin/sessions/revoke', { unique_name: 'x'.repeat(129) })).status).toBe(400);
+    expect((await admin('/api/admin/sessions/unrevoke', {})).status).toBe(400);
+
+    for (const unique_name of ['x'.repeat(5000), 'two words', 'é']) {
+      expect((await login({ mode: 'specific', email: 'a@example.com', unique_name })).status).toBe(400);
+      expect((await admin('/api/admin/login', { mode: 'specific', email: 'a@example.com', unique_name })).status).toBe(400);
+    }
+    expect(upstream.exchanges).toEqual([]);
+  });
+
+  it('records sessions of requesters with long names', async () => {
+    const { code } = await createAccessCode({ owner: 'é'.repeat(600) });
+
+    expect((await login({ mode: 'specific', email: 'a@example.com', unique_name: 'long-owner' }, { headers: { Authorization: `Bearer ${code}` } })).status).toBe(200);
+
+    const [session] = (await admin('/api/admin/sessions/list')).body.sessions;
+    expect(session).toMatchObject({ unique_name: 'long-owner', requester: 'é'.repeat(100) });
+  });
+
+  it('prunes sessions without expiration after ACTIVE_SESSION_WINDOW', async () => {
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'forever' });
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'hourly', expires_in: 3600 });
+
+    expect(await pruneSessions(env)).toBe(0);
+    expect(await pruneSessions({ ...env, ACTIVE_SESSION_WINDOW: '0' })).toBe(1);
+
+    const { sessions } = (await admin('/api/admin/sessions/list', { include_inactive: true })).body;
+    expect(sessions.map((session: any) => session.unique_name)).toEqual(['hourly']);
+  });
+});
+
+describe('sticky bindings', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com']);
+    await login({ mode: 'sticky', identity: 'gina' });
+    await login({ mode: 'sticky', identity: 'hank' });
+  });
+
+  it('lists the bindings, optionally of one account', async () => {
+    const { bindings } = (await admin('/api/admin/sticky/list', { email: 'a@example.com' })).body;
+
+    expect(bindings.map((binding: any) => binding.identity)).toEqual(['gina', 'hank']);
+    expect((await admin('/api/admin/sticky/list', { email: 'b@example.com' })).body.bindings).toEqual([]);
+  });
+
+  it('clears the binding of an identity or of every identity on an account', async () => {
+    expect((await admin('/api/admin/sticky/clear', {})).status).toBe(400);
+
+    expect((await admin('/api/admin/sticky/clear', { identity: 'gina' })).body.cleared).toHaveLength(1);
+    expect((await admin('/api/admin/sticky/clear', { email: 'a@example.com' })).body.cleared).toHaveLength(1);
+    expect((await admin('/api/admin/sticky/list')).body.bindings).toEqual([]);
+  });
+});
+
+describe('groups', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('creates a group, manages its members and deletes it', async () => {
+    expect((await admin('/api/admin/groups/create', { name: 'team', description: 'The team' })).status).toBe(200);
+    expect((await admin('/api/admin/groups/create', { name: 'team' })).status).toBe(409);
+
+    const updated = await admin('/api/admin/groups/update', { name: 'team', add_accounts: ['a@example.com', 'b@example.com'] });
+    expect(updated.body.members).toEqual(['a@example.com', 'b@example.com']);
+    await admin('/api/admin/groups/update', { name: 'team', remove_accounts: ['b@example.com'], description: 'Smaller' });
+
+    const { groups } = (await admin('/api/admin/groups/list', undefined, { method: 'GET' })).body;
+    expect(groups).toMatchObject([{ name: 'team', description: 'Smaller', members: ['a@example.com'] }]);
+    expect((await login({ mode: 'random', group: 'team' })).status).toBe(200);
+    expect(upstream.exchanges[0].session_key).toBe(skFor('a@example.com'));
+
+    const deleted = await admin('/api/admin/groups/delete', { name: 'team' });
+    expect(deleted.body.removed_members).toEqual(['a@example.com']);
+    expect((await admin('/api/admin/groups/list')).body.groups).toEqual([]);
+    expect((await admin('/api/admin/groups/delete', { name: 'team' })).status).toBe(404);
+  });
+
+  it('changes no membership when an account is missing', async () => {
+    await admin('/api/admin/groups/create', { name: 'team' });
+
+    const response = await admin('/api/admin/groups/update', { name: 'team', add_accounts: ['a@example.com', 'missing@example.com'] });
+
+    expect(response.status).toBe(404);
+    expect((await admin('/api/admin/groups/list')).body.groups[0].members).toEqual([]);
+  });
+
+  it('validates the requests', async () => {
+    expect((await admin('/api/admin/groups/create', { name: 'no spaces' })).status).toBe(400);
+    expect((await admin('/api/admin/groups/update', { name: 'team' })).status).toBe(400);
+    expect((await admin('/api/admin/groups/update', { name: 'team', add_accounts: 'a@example.com' })).status).toBe(400);
+    expect((await admin('/api/admin/groups/update', { name: 'team', description: 'x' })).status).toBe(404);
+    for (const name of [undefined, 42, { team: true }, 'no spaces']) {
+      expect((await admin('/api/admin/groups/update', { name, description: 'x' })).status, String(name)).toBe(400);
+      expect((await admin('/api/admin/groups/delete', { name })).status, String(name)).toBe(400);
+    }
+  });
+
+  it('reports group names used by accounts but never defined', async () => {
+    await admin('/api/admin/update', { email: 'a@example.com', groups: ['ghost'] });
+
+    expect((await admin('/api/admin/groups/list')).body.undefined_groups).toEqual(['ghost']);
+  });
+});
+
+describe('upstreams', () => {
+  const UPSTREAMS = `primary=${MOCK_BASE_URL}/primary,backup=${MOCK_BASE_URL}/backup`;
+
+  it('lists the upstreams with the accounts pinned to them', async () => {
+    await addAccounts({ 'a@example.com': { upstreams: ['backup'] }, 'b@example.com': { upstreams: ['gone'] } });
+
+    const response = await admin('/api/admin/upstreams/list', undefined, { method: 'GET', env: { UPSTREAMS } });
+
+    expect(response.body.upstreams).toMatchObject([
+      { name: 'primary', base_url: `${MOCK_BASE_URL}/primary`, health: null, skipped: false, pinned_accounts: 0 },
+      { name: 'backup', base_url: `${MOCK_BASE_URL}/backup`, health: null, skipped: false, pinned_accounts: 1 },
+    ]);
+    expect(response.body.unrouted_accounts).toEqual(['b@example.com']);
+  });
+
+  it('falls back to BASE_URL without UPSTREAMS', async () => {
+    const { upstreams } = (await admin('/api/admin/upstreams/list')).body;
+
+    expect(upstreams).toMatchObject([{ name: 'default', base_url: MOCK_BASE_URL }]);
+  });
+
+  it('probes every upstream on request', async () => {
+    const response = await admin('/api/admin/upstreams/check', {}, { env: { UPSTREAMS } });
+
+    expect(response.status).toBe(200);
+    expect(Object.keys(response.body.health)).toEqual(['primary', 'backup']);
+    expect(upstream.outbound.map((call) => call.url)).toEqual([`${MOCK_BASE_URL}/primary/`, `${MOCK_BASE_URL}/backup/`]);
+  });
+
+  it('sends logins to the requested upstream', async () => {
+    await addAccounts(['a@example.com']);
+
+    const response = await login({ mode: 'random', upstream: 'backup' }, { env: { UPSTREAMS } });
+
+    expect(response.body.upstream).toBe('backup');
+  });
+});
@@ -0,0 +1,160 @@
+// test/apiv1.spec.ts
+/**
+ * The versioned API: the envelope, validation, method and route errors, the resource routes and the OpenAPI
+ * document. Behaviour shared with the legacy endpoints is covered by the other suites.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { API_ROUTES } from '../src/apiv1';
+import { addAccounts, ADMIN_PASSWORD, request, RequestOptions, skFor, TestResponse } from './helpers';
+import { installMockUpstream, MOCK_BASE_URL, MOCK_LOGIN_PATH, MockUpstream } from './mock-upstream';
+
+let upstream: MockUpstream;
+
+beforeEach(() => {
+  upstream = installMockUpstream();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+/**
+ * Calls a v1 route as the bootstrap admin.
+ */
+const v1 = (method: string, path: string, body?: unknown, options: RequestOptions = {}): Promise<TestResponse> =>
+  request(`/api/v1${path}`, { ...options, method, body, headers: { Authorization: `Bearer ${ADMIN_PASSWORD}`, ...options.headers } });
+
+describe('envelope', () => {
+  it('wraps successful responses in data', async () => {
+    await addAccounts(['a@example.com']);
+
+    const response = await request('/api/v1/emails');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ data: { emails: ['a@example.com'], cooling_down: {} } });
+  });
+
+  it('answers created resources with 201', async () => {
+    const response = await v1('POST', '/admin/accounts', { email: 'a@example.com', sk: skFor('a') });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.message).toContain('a@example.com');
+  });
+
+  it('reports schema violations with their fields', async () => {
+    const response = await v1('POST', '/admin/accounts', { email: 'not-an-email', weight: -1, colour: 'red' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('INVALID_REQUEST');
+    expect(response.body.error.details.map((issue: any) => issue.field)).toEqual(['sk', 'email', 'weight', 'colour']);
+  });
+
+  it('reports malformed JSON', async () => {
+    const response = await v1('POST', '/admin/accounts', '{');
+
+    expect(response.body.error.code).toBe('INVALID_JSON');
+  });
+
+  it('reports unknown routes and methods', async () => {
+    const unknown = await v1('GET', '/nope');
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error.code).toBe('NOT_FOUND');
+
+    const wrongMethod = await v1('PATCH', '/admin/accounts');
+    expect(wrongMethod.status).toBe(405);
+    expect(wrongMethod.headers.get('Allow')).toBe('GET, POST');
+  });
+
+  it('keeps the error codes and headers of the legacy endpoints', async () => {
+    await addAccounts(['a@example.com']);
+    upstream.scenario = 'rate_limited';
+
+    const response = await request('/api/v1/login', { body: { mode: 'random' }, env: { UPSTREAM_RETRIES: '0' } });
+
+    expect(response.status).toBe(503);
+    expect(response.body.error.code).toBe('UPSTREAM_RATE_LIMITED');
+    expect(response.headers.get('Retry-After')).toBe('1');
+  });
+
+  it('maps other failures to a code for their status', async () => {
+    const response = await request('/api/v1/admin/accounts');
+
+    expect(response.status).toBe(401);
+    expect(response.body.error).toEqual({ code: 'UNAUTHORIZED', message: 'Unauthorized. Admin credentials are required.' });
+    expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+  });
+});
+
+describe('resources', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com']);
+  });
+
+  it('shows, changes, renames and deletes an account by its email', async () => {
+    expect((await v1('GET', '/admin/accounts/a%40example.com')).body.data.email).toBe('a@example.com');
+    expect((await v1('GET', '/admin/accounts/b%40example.com')).status).toBe(404);
+    expect((await v1('PUT', '/admin/accounts/a@example.com', {})).status).toBe(400);
+
+    expect((await v1('PUT', '/admin/accounts/a@example.com', { email: 'b@example.com', label: 'moved' })).status).toBe(200);
+    const { accounts } = (await v1('GET', '/admin/accounts')).body.data;
+    expect(accounts).toMatchObject([{ email: 'b@example.com', label: 'moved' }]);
+
+    expect((await v1('DELETE', '/admin/accounts/b@example.com')).status).toBe(200);
+    expect((await v1('DELETE', '/admin/accounts/b@example.com')).body.error.code).toBe('NOT_FOUND');
+  });
+
+  it('puts an account on cooldown and ends it', async () => {
+    expect((await v1('PUT', '/admin/accounts/a@example.com/cooldown', { duration: 600, reason: 'limit' })).status).toBe(200);
+    expect((await v1('GET', '/admin/cooldowns')).body.data.cooldowns).toMatchObject([{ email: 'a@example.com', reason: 'limit' }]);
+
+    expect((await v1('DELETE', '/admin/accounts/a@example.com/cooldown')).status).toBe(200);
+    expect((await v1('DELETE', '/admin/accounts/a@example.com/cooldown')).status).toBe(404);
+  });
+
+  it('logs in and applies batches', async () => {
+    const login = await request('/api/v1/login', { body: { mode: 'specific', email: 'a@example.com', unique_name: 'v1' } });
+    expect(login.body.data).toEqual({ login_url: `${MOCK_BASE_URL}${MOCK_LOGIN_PATH}`, upstream: 'default' });
+
+    const batch = await v1('POST', '/admin/accounts/batch', { all_or_nothing: true, actions: [{ action: 'disable', email: 'a@example.com' }] });
+    expect(batch.body.data).toMatchObject({ committed: true, results: [{ email: 'a@example.com', status: 'disabled' }] });
+  });
+
+  it('opens admin sessions and downloads exports unchanged', async () => {
+    const session = await request('/api/v1/admin/sessions', { body: { admin_password: ADMIN_PASSWORD } });
+    expect(session.status).toBe(201);
+
+    const headers = { Authorization: `Bearer ${session.body.data.token}` };
+    expect((await request('/api/v1/admin/me', { headers })).body.data).toEqual({ username: 'admin', role: 'owner' });
+    const csv = await request('/api/v1/admin/export', { headers, body: { format: 'csv' } });
+    expect(csv.headers.get('Content-Type')).toContain('text/csv');
+    expect(csv.body).toContain(skFor('a@example.com'));
+  });
+});
+
+describe('routes', () => {
+  it('are each served by an existing endpoint', async () => {
+    for (const route of API_ROUTES) {
+      const path = route.path.replace(/\{(\w+)\}/g, (_, name) => (name === 'scope' ? 'user' : 'missing'));
+      const response = await v1(route.method, path, route.method === 'GET' || route.method === 'DELETE' ? undefined : {});
+
+      // Validation or the resource may refuse the empty request, but the route and its endpoint must exist
+      expect(response.status, `${route.method} ${route.path}`).toBeLessThan(500);
+      expect(response.body.error?.message ?? '', `${route.method} ${route.path}`).not.toMatch(/No API route|Admin endpoint not found|endpoint does not exist/);
+    }
+  });
+});
+
+describe('GET /api/v1/openapi.json', () => {
+  it('describes every route', async () => {
+    const response = await request('/api/v1/openapi.json');
+
+    expect(response.status).toBe(200);
+    expect(response.body.openapi).toMatch(/^3\./);
+    expect(response.body.servers).toEqual([{ url: '/api/v1' }]);
+    const operations = Object.entries(response.body.paths).flatMap(([path, methods]: [string, any]) =>
+      Object.keys(methods).map((method) => `${method.toUpperCase()} ${path}`),
+    );
+    expect(operations.sort()).toEqual(API_ROUTES.map((route) => `${route.method} ${route.path}`).sort());
+  });
+});
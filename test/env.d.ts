@@ -0,0 +1,5 @@
+import type { Env } from '../src/types';
+
+declare module 'cloudflare:test' {
+  interface ProvidedEnv extends Env {}
+}
@@ -0,0 +1,115 @@
+// test/helpers.ts
+/**
+ * Request helpers for the test suite. Requests are handed straight to the Worker's fetch handler with the
+ * test bindings (see vitest.config.mts), optionally overriding environment variables, and the handler's
+ * waitUntil work is awaited so that audit entries, sessions and metrics are written before the next request.
+ */
+
+import { createExecutionContext, env, waitOnExecutionContext } from 'cloudflare:test';
+import worker from '../src/index';
+import type { Env } from '../src/types';
+
+export const ORIGIN = 'https://pool.test';
+
+export const ADMIN_PASSWORD = 'test-admin-password';
+
+export const CLIENT_IP = '203.0.113.7';
+
+/**
+ * A valid SK for an account, distinct per label.
+ */
+export const skFor = (label: string): string => `sk-ant-test-${label.replace(/[^A-Za-z0-9]/g, '_').padEnd(12, '0')}`;
+
+/**
+ * A parsed response.
+ */
+export interface TestResponse<T = any> {
+  status: number;
+  headers: Headers;
+  body: T;
+}
+
+export interface RequestOptions {
+  method?: string;
+  body?: unknown;
+  headers?: Record<string, string>;
+  /**
+   * Environment variables to set for this request only.
+   */
+  env?: Partial<Env>;
+}
+
+/**
+ * Sends a request to the Worker and waits for the work it scheduled.
+ * @param path The path, with the query string.
+ * @param options The method (POST if there is a body, otherwise GET), body, headers and environment overrides.
+ * @returns The raw Response.
+ */
+export async function send(path: string, options: RequestOptions = {}): Promise<Response> {
+  const method = options.method ?? (options.body === undefined ? 'GET' : 'POST');
+  const headers = { 'CF-Connecting-IP': CLIENT_IP, ...(options.body !== undefined && { 'Content-Type': 'application/json' }), ...options.headers };
+  const body = options.body === undefined ? undefined : typeof options.body === 'string' ? options.body : JSON.stringify(options.body);
+  const ctx = createExecutionContext();
+  const response = await worker.fetch(new Request(`${ORIGIN}${path}`, { method, headers, body }), { ...env, ...options.env }, ctx);
+  await waitOnExecutionContext(ctx);
+  return response;
+}
+
+/**
+ * Sends a request and parses the JSON response (or keeps the text of any other response).
+ */
+export async function request<T = any>(path: string, options: RequestOptions = {}): Promise<TestResponse<T>> {
+  const response = await send(path, options);
+  const text = await response.text();
+  const isJson = response.headers.get('Content-Type')?.includes('application/json');
+  return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+}
+
+/**
+ * Calls an admin endpoint with the ADMIN_PASSWORD bearer token. Every admin endpoint reads a JSON body unless it
+ * is called with GET, so an empty one is sent by default.
+ */
+export const admin = <T = any>(path: string, body: unknown = {}, options: Omit<RequestOptions, 'body'> = {}): Promise<TestResponse<T>> =>
+  request<T>(path, {
+    ...options,
+    body: options.method === 'GET' ? undefined : body,
+    headers: { Authorization: `Bearer ${ADMIN_PASSWORD}`, ...options.headers },
+  });
+
+/**
+ * Calls POST /api/login.
+ */
+export const login = <T = any>(body: Record<string, unknown>, options: Omit<RequestOptions, 'body'> = {}): Promise<TestResponse<T>> =>
+  request<T>('/api/login', { ...options, body });
+
+/**
+ * Adds accounts through the admin API and fails the test if any of them is refused.
+ * @param accounts The accounts by email, with their metadata. Each gets the SK skFor(email) unless it has one.
+ */
+export async function addAccounts(accounts: Record<string, Record<string, unknown>> | string[]): Promise<void> {
+  const entries = Array.isArray(accounts) ? accounts.map((email) => [email, {}] as const) : Object.entries(accounts);
+  for (const [email, fields] of entries) {
+    const response = await admin('/api/admin/add', { email, sk: skFor(email), ...fields });
+    if (response.status !== 200) {
+      throw new Error(`Adding ${email} failed with ${response.status}: ${JSON.stringify(response.body)}`);
+    }
+  }
+}
+
+/**
+ * Lists the accounts as the admin API returns them.
+ */
+export const listAccounts = async (): Promise<any[]> => (await admin('/api/admin/list')).body;
+
+/**
+ * Creates an access code and returns the code itself with its record.
+ */
+export async function createAccessCode(settings: Record<string, unknown> = {}): Promise<{ code: string; id: string }> {
+  const response = await admin('/api/admin/access-codes/create', { owner: 'team-a', ...settings });
+  return { code: response.body.code, id: response.body.access_code.id };
+}
+
+/**
+ * Reads the audit log, newest first.
+ */
+export const auditEntries = async (filter: Record<string, unknown> = {}): Promise<any[]> => (await admin('/api/admin/audit', filter)).body.entries;
@@ -0,0 +1,407 @@
+// test/login.spec.ts
+/**
+ * The user endpoints: /api/emails, /api/login against every outcome of the upstream token exchange, the expiry
+ * limits of TOKEN_EXPIRES_IN and access codes, and /api/report-limited.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { addAccounts, admin, CLIENT_IP, createAccessCode, login, request, skFor } from './helpers';
+import { installMockUpstream, MOCK_BASE_URL, MOCK_LOGIN_PATH, MockUpstream } from './mock-upstream';
+
+const LOGIN_URL = `${MOCK_BASE_URL}${MOCK_LOGIN_PATH}`;
+
+let upstream: MockUpstream;
+
+beforeEach(() => {
+  upstream = installMockUpstream();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('GET /api/emails', () => {
+  it('lists the enabled accounts, sorted, with their cooldowns', async () => {
+    await addAccounts({ 'b@example.com': {}, 'a@example.com': {}, 'off@example.com': { enabled: false } });
+    await admin('/api/admin/cooldowns/set', { email: 'b@example.com', duration: 600 });
+
+    const response = await request('/api/emails');
+
+    expect(response.status).toBe(200);
+    expect(response.body.emails).toEqual(['a@example.com', 'b@example.com']);
+    expect(Object.keys(response.body.cooling_down)).toEqual(['b@example.com']);
+  });
+
+  it('lists the members of a group', async () => {
+    await admin('/api/admin/groups/create', { name: 'team' });
+    await addAccounts({ 'a@example.com': { groups: ['team'] }, 'b@example.com': {} });
+
+    expect((await request('/api/emails?group=team')).body.emails).toEqual(['a@example.com']);
+    expect((await request('/api/emails?group=nope')).status).toBe(400);
+  });
+
+  it('requires an access code when REQUIRE_ACCESS_CODE is set, and only lists the accounts it allows', async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+    const { code } = await createAccessCode({ allowed_accounts: ['b@example.com'] });
+    const env = { REQUIRE_ACCESS_CODE: 'true' };
+
+    const anonymous = await request('/api/emails', { env });
+    expect(anonymous.status).toBe(401);
+    expect(anonymous.headers.get('WWW-Authenticate')).toBe('Bearer');
+    expect((await request('/api/emails', { env, headers: { 'X-Access-Code': 'wrong' } })).status).toBe(401);
+
+    const allowed = await request('/api/emails', { env, headers: { Authorization: `Bearer ${code}` } });
+    expect(allowed.body.emails).toEqual(['b@example.com']);
+  });
+});
+
+describe('POST /api/login', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  describe('modes', () => {
+    it('logs into a specific account with its SK and unique_name', async () => {
+      const response = await login({ mode: 'specific', email: 'a@example.com', unique_name: 'alice' });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ login_url: LOGIN_URL, upstream: 'default' });
+      expect(upstream.exchanges).toEqual([
+        { url: `${MOCK_BASE_URL}/manage-api/auth/oauth_token`, session_key: skFor('a@example.com'), unique_name: 'alice', expires_in: 0 },
+      ]);
+    });
+
+    it('picks an account in random mode', async () => {
+      const response = await login({ mode: 'random' });
+
+      expect(response.status).toBe(200);
+      expect([skFor('a@example.com'), skFor('b@example.com')]).toContain(upstream.exchanges[0].session_key);
+      expect(upstream.exchanges[0].unique_name).toMatch(/^rand_/);
+    });
+
+    it('binds an identity to one account in sticky mode', async () => {
+      const first = await login({ mode: 'sticky', identity: 'carol' });
+      expect(first.status).toBe(200);
+      expect(first.body.identity).toBe('carol');
+      expect(first.headers.get('Set-Cookie')).toContain('fcpm_sticky_id=carol');
+
+      await login({ mode: 'sticky', identity: 'carol' });
+      const [one, two] = upstream.exchanges;
+      expect(two.session_key).toBe(one.session_key);
+      expect(two.unique_name).toBe(one.unique_name);
+
+      const bindings = (await admin('/api/admin/sticky/list')).body.bindings;
+      expect(bindings).toHaveLength(1);
+      expect(bindings[0].identity).toBe('carol');
+    });
+
+    it('ignores a sticky cookie that is not valid percent-encoding', async () => {
+      const response = await login({ mode: 'sticky' }, { headers: { Cookie: 'fcpm_sticky_id=%E0%A4%A' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.identity).not.toBe('%E0%A4%A');
+      expect(upstream.exchanges).toHaveLength(1);
+    });
+
+    it('rejects invalid requests before reaching the upstream', async () => {
+      expect((await request('/api/login', { body: 'not json' })).status).toBe(400);
+      expect((await login({ mode: 'other' })).status).toBe(400);
+      expect((await login({ mode: 'specific', email: 'a@example.com' })).status).toBe(400);
+      expect((await login({ mode: 'random', strategy: 'nope' })).status).toBe(400);
+      expect((await login({ mode: 'random', upstream: 'nope' })).status).toBe(400);
+      expect((await login({ mode: 'random', group: 'nope' })).status).toBe(400);
+      expect((await login({ mode: 'sticky', identity: 'not valid!' })).status).toBe(400);
+      expect((await login({ mode: 'specific', email: 'missing@example.com', unique_name: 'x' })).status).toBe(404);
+      expect(upstream.exchanges).toHaveLength(0);
+    });
+
+    it('refuses disabled accounts and an empty pool', async () => {
+      await admin('/api/admin/update', { email: 'a@example.com', enabled: false });
+      expect((await login({ mode: 'specific', email: 'a@example.com', unique_name: 'x' })).status).toBe(403);
+
+      await admin('/api/admin/update', { email: 'b@example.com', enabled: false });
+      expect((await login({ mode: 'random' })).status).toBe(503);
+      expect((await login({ mode: 'sticky' })).status).toBe(503);
+    });
+
+    it('records the login as a session and in the audit log', async () => {
+      await login({ mode: 'specific', email: 'a@example.com', unique_name: 'alice', expires_in: 60 });
+
+      const { sessions } = (await admin('/api/admin/sessions/list')).body;
+      expect(sessions).toHaveLength(1);
+      expect(sessions[0]).toMatchObject({ email: 'a@example.com', unique_name: 'alice', mode: 'specific', via: 'user', ip: CLIENT_IP, expires_in: 60 });
+
+      const [entry] = (await admin('/api/admin/audit', { action: 'login' })).body.entries;
+      expect(entry).toMatchObject({ actor: 'anonymous', email: 'a@example.com', result: 'success', status: 200 });
+    });
+  });
+
+  describe('expiry limits', () => {
+    const specific = (extra: Record<string, unknown> = {}) => ({ mode: 'specific', email: 'a@example.com', unique_name: 'alice', ...extra });
+
+    it('passes the requested expiration through when TOKEN_EXPIRES_IN is 0', async () => {
+      const response = await login(specific({ expires_in: 999999 }), { env: { TOKEN_EXPIRES_IN: '0' } });
+
+      expect(response.body.warning).toBeUndefined();
+      expect(upstream.exchanges[0].expires_in).toBe(999999);
+    });
+
+    it('keeps an expiration within TOKEN_EXPIRES_IN', async () => {
+      const response = await login(specific({ expires_in: 1800 }), { env: { TOKEN_EXPIRES_IN: '3600' } });
+
+      expect(response.body.warning).toBeUndefined();
+      expect(upstream.exchanges[0].expires_in).toBe(1800);
+    });
+
+    it('clamps a longer expiration to TOKEN_EXPIRES_IN with a warning', async () => {
+      const response = await login(specific({ expires_in: 7200 }), { env: { TOKEN_EXPIRES_IN: '3600' } });
+
+      expect(response.status).toBe(200);
+      expect(response.body.warning).toContain('maximum allowed of 3600s');
+      expect(upstream.exchanges[0].expires_in).toBe(3600);
+    });
+
+    it('clamps a request for a token that never expires', async () => {
+      const response = await login(specific({ expires_in: 0 }), { env: { TOKEN_EXPIRES_IN: '3600' } });
+
+      expect(response.body.warning).toBeDefined();
+      expect(upstream.exchanges[0].expires_in).toBe(3600);
+    });
+
+    it('uses TOKEN_EXPIRES_IN when no expiration is requested', async () => {
+      const response = await login(specific(), { env: { TOKEN_EXPIRES_IN: '3600' } });
+
+      expect(response.body.warning).toBeUndefined();
+      expect(upstream.exchanges[0].expires_in).toBe(3600);
+    });
+
+    it("applies the access code's max_expires_in when it is stricter", async () => {
+      const { code } = await createAccessCode({ max_expires_in: 600 });
+      const headers = { 'X-Access-Code': code };
+
+      await login(specific({ expires_in: 1200 }), { headers, env: { TOKEN_EXPIRES_IN: '3600' } });
+      await login(specific({ expires_in: 1200 }), { headers, env: { TOKEN_EXPIRES_IN: '300' } });
+      await login(specific({ expires_in: 1200 }), { headers, env: { TOKEN_EXPIRES_IN: '0' } });
+
+      expect(upstream.exchanges.map((exchange) => exchange.expires_in)).toEqual([600, 300, 600]);
+    });
+
+    it('does not limit admin logins', async () => {
+      const response = await admin('/api/admin/login', specific({ expires_in: 999999 }), { env: { TOKEN_EXPIRES_IN: '3600' } });
+
+      expect(response.status).toBe(200);
+      expect(upstream.exchanges[0].expires_in).toBe(999999);
+    });
+  });
+
+  describe('upstream failures', () => {
+    const specific = { mode: 'specific', email: 'a@example.com', unique_name: 'alice' };
+    const noRetries = { UPSTREAM_RETRIES: '0' };
+
+    it('reports a success without login_url as a bad response', async () => {
+      upstream.scenario = 'missing_login_url';
+
+      const response = await login(specific);
+
+      expect(response.status).toBe(502);
+      expect(response.body.code).toBe('UPSTREAM_BAD_RESPONSE');
+      expect(upstream.exchanges).toHaveLength(1);
+    });
+
+    it('reports a 401 as a rejected SK, without retrying or quarantining the account the caller chose', async () => {
+      upstream.scenario = 'rejected';
+
+      const response = await login(specific);
+
+      expect(response.status).toBe(502);
+      expect(response.body.code).toBe('SK_REJECTED');
+      expect(response.body.error).toContain('a@example.com');
+      expect(upstream.exchanges).toHaveLength(1);
+      const [account] = (await admin('/api/admin/list')).body;
+      expect(account.health.status).toBe('unknown');
+    });
+
+    it('quarantines a randomly picked account whose SK is rejected', async () => {
+      upstream.scenario = 'rejected';
+
+      const response = await login({ mode: 'random' }, { env: { LOGIN_FAILOVER_ATTEMPTS: '0' } });
+
+      expect(response.body.code).toBe('SK_REJECTED');
+      const statuses = (await admin('/api/admin/list')).body.map((account: any) => account.health.status);
+      expect(statuses.sort()).toEqual(['quarantined', 'unknown']);
+    });
+
+    it('reports any other 4xx as a refused request, without retrying or blaming the SK', async () => {
+      upstream.scenario = 'bad_request';
+
+      const response = await login(specific);
+
+      expect(response.status).toBe(400);
+      expect(response.body.code).toBe('UPSTREAM_BAD_REQUEST');
+      expect(upstream.exchanges).toHaveLength(1);
+      const [account] = (await admin('/api/admin/list')).body;
+      expect(account.health.status).toBe('unknown');
+      expect((await login({ mode: 'random' })).body.code).toBe('UPSTREAM_BAD_REQUEST');
+      expect(upstream.exchanges).toHaveLength(2);
+    });
+
+    it('reports a 5xx as the upstream being unavailable', async () => {
+      upstream.scenario = 'server_error';
+
+      const response = await login(specific, { env: noRetries });
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('UPSTREAM_UNAVAILABLE');
+    });
+
+    it('retries a 5xx up to UPSTREAM_RETRIES times', async () => {
+      upstream.queue = ['server_error'];
+
+      const response = await login(specific, { env: { UPSTREAM_RETRIES: '1' } });
+
+      expect(response.status).toBe(200);
+      expect(upstream.exchanges).toHaveLength(2);
+    });
+
+    it('reports a network error as the upstream being unavailable', async () => {
+      upstream.scenario = 'network_error';
+
+      const response = await login(specific, { env: noRetries });
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('UPSTREAM_UNAVAILABLE');
+    });
+
+    it('reports an upstream that does not answer within UPSTREAM_TIMEOUT_MS', async () => {
+      upstream.scenario = 'timeout';
+
+      const response = await login(specific, { env: { ...noRetries, UPSTREAM_TIMEOUT_MS: '50' } });
+
+      expect(response.status).toBe(504);
+      expect(response.body.code).toBe('UPSTREAM_TIMEOUT');
+    });
+
+    it('passes on the Retry-After of a rate-limited upstream', async () => {
+      upstream.scenario = 'rate_limited';
+
+      const response = await login(specific, { env: noRetries });
+
+      expect(response.status).toBe(503);
+      expect(response.body.code).toBe('UPSTREAM_RATE_LIMITED');
+      expect(response.headers.get('Retry-After')).toBe('1');
+    });
+
+    it('fails over to another account when a randomly picked SK is rejected', async () => {
+      upstream.queue = ['rejected'];
+
+      const response = await login({ mode: 'random' });
+
+      expect(response.status).toBe(200);
+      expect(upstream.exchanges).toHaveLength(2);
+      expect(upstream.exchanges[1].session_key).not.toBe(upstream.exchanges[0].session_key);
+    });
+
+    it('moves on to the next upstream when one is down', async () => {
+      const env = { ...noRetries, UPSTREAMS: `primary=${MOCK_BASE_URL}/primary,backup=${MOCK_BASE_URL}/backup` };
+      upstream.queue = ['server_error'];
+
+      const response = await login(specific, { env });
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ login_url: `${MOCK_BASE_URL}/backup${MOCK_LOGIN_PATH}`, upstream: 'backup' });
+      expect(upstream.exchanges.map((exchange) => new URL(exchange.url).pathname.split('/')[1])).toEqual(['primary', 'backup']);
+    });
+
+    it('records failed logins in the audit log with their code', async () => {
+      upstream.scenario = 'rejected';
+      await login(specific);
+
+      const [entry] = (await admin('/api/admin/audit', { action: 'login' })).body.entries;
+      expect(entry).toMatchObject({ result: 'failure', status: 502 });
+      expect(entry.detail).toMatch(/^SK_REJECTED: /);
+    });
+  });
+
+  describe('access codes', () => {
+    it('attributes the login to the owner of the code and keeps it to the allowed accounts', async () => {
+      const { code, id } = await createAccessCode({ allowed_accounts: ['b@example.com'] });
+      const headers = { Authorization: `Bearer ${code}` };
+
+      expect((await login({ mode: 'specific', email: 'a@example.com', unique_name: 'x' }, { headers })).status).toBe(403);
+      expect((await login({ mode: 'random' }, { headers })).status).toBe(200);
+      expect(upstream.exchanges.map((exchange) => exchange.session_key)).toEqual([skFor('b@example.com')]);
+
+      const { sessions } = (await admin('/api/admin/sessions/list')).body;
+      expect(sessions[0]).toMatchObject({ requester: 'team-a', access_code_id: id });
+    });
+
+    it('accepts the code in the body and rejects revoked codes', async () => {
+      const { code, id } = await createAccessCode();
+      const body = { mode: 'random', access_code: code };
+
+      expect((await login(body)).status).toBe(200);
+      await admin('/api/admin/access-codes/revoke', { id });
+      expect((await login(body)).status).toBe(401);
+    });
+
+    it('rejects expired codes', async () => {
+      const { code } = await createAccessCode({ expires_at: '2000-01-01T00:00:00Z' });
+
+      expect((await login({ mode: 'random', access_code: code })).status).toBe(401);
+    });
+  });
+});
+
+describe('POST /api/report-limited', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('only accepts reports of an account the caller recently logged in with', async () => {
+    const response = await request('/api/report-limited', { body: { email: 'a@example.com' } });
+
+    expect(response.status).toBe(403);
+    expect((await admin('/api/admin/cooldowns/list')).body.cooldowns).toEqual([]);
+  });
+
+  it('puts the reported account on cooldown until the reset time', async () => {
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'alice' });
+    const until = new Date(Date.now() + 600_000).toISOString();
+
+    const response = await request('/api/report-limited', { body: { until, reason: 'usage limit' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ email: 'a@example.com', cooldown_until: until, reports: 1, threshold: 1 });
+    expect((await request('/api/emails')).body.cooling_down).toEqual({ 'a@example.com': until });
+    expect((await login({ mode: 'random' })).status).toBe(200);
+    expect(upstream.exchanges.at(-1)!.session_key).toBe(skFor('b@example.com'));
+  });
+
+  it('waits for COOLDOWN_REPORT_THRESHOLD reporters', async () => {
+    const env = { COOLDOWN_REPORT_THRESHOLD: '2' };
+    await login({ mode: 'sticky', identity: 'one' }, { env });
+    const { email } = (await admin('/api/admin/sticky/list')).body.bindings[0];
+    await admin('/api/admin/sticky/clear', { identity: 'one' });
+
+    const response = await request('/api/report-limited', { body: { identity: 'one' }, env });
+
+    expect(response.body).toMatchObject({ email, cooldown_until: null, reports: 1, threshold: 2 });
+    expect((await admin('/api/admin/cooldowns/list')).body.pending_reports[email]).toHaveLength(1);
+  });
+
+  it('ignores a sticky cookie that is not valid percent-encoding', async () => {
+    const response = await request('/api/report-limited', { body: {}, headers: { Cookie: 'fcpm_sticky_id=%E0%A4%A' } });
+
+    expect(response.status).toBe(403);
+  });
+
+  it('rate-limits reports', async () => {
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'alice' });
+    const env = { COOLDOWN_REPORT_RATE: '1/3600', COOLDOWN_REPORT_THRESHOLD: '5' };
+
+    expect((await request('/api/report-limited', { body: {}, env })).status).toBe(200);
+    const limited = await request('/api/report-limited', { body: {}, env });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBeTruthy();
+  });
+});
@@ -0,0 +1,122 @@
+// test/mock-upstream.ts
+/**
+ * An in-process stand-in for the fuclaude upstream, installed in place of the global fetch so that every
+ * outbound request of the Worker stays inside the test. POST /manage-api/auth/oauth_token answers according to
+ * the scenario of the session key it receives; every other request (health probes, revocations, webhook
+ * deliveries) is recorded and answered with 200.
+ */
+
+import { vi } from 'vitest';
+
+export const MOCK_BASE_URL = 'https://fuclaude.test';
+
+export const MOCK_LOGIN_PATH = '/login_token?session=mock';
+
+/**
+ * How the token exchange endpoint answers:
+ * - success: 200 with a login_url.
+ * - missing_login_url: 200 without a login_url.
+ * - rejected: 401, the upstream's verdict on the SK.
+ * - bad_request: 400, the upstream's verdict on the rest of the request.
+ * - server_error: 503.
+ * - rate_limited: 429 with Retry-After: 1.
+ * - timeout: no answer until the request is aborted.
+ * - network_error: the connection fails.
+ */
+export type ExchangeScenario =
+  | 'success'
+  | 'missing_login_url'
+  | 'rejected'
+  | 'bad_request'
+  | 'server_error'
+  | 'rate_limited'
+  | 'timeout'
+  | 'network_error';
+
+/**
+ * A token exchange received by the mock, with its JSON payload.
+ */
+export interface ExchangeCall {
+  url: string;
+  session_key: string;
+  unique_name: string;
+  expires_in: number;
+}
+
+/**
+ * Any other outbound request, with its body as text.
+ */
+export interface OutboundCall {
+  method: string;
+  url: string;
+  headers: Headers;
+  body: string;
+}
+
+export interface MockUpstream {
+  /**
+   * The answer to exchanges whose session key has no scenario in `scenarios`.
+   */
+  scenario: ExchangeScenario;
+  /**
+   * Scenarios by session key, e.g. to have one account's SK rejected.
+   */
+  scenarios: Record<string, ExchangeScenario>;
+  /**
+   * Scenarios for the next exchanges, used up before `scenarios` and `scenario`, e.g. to fail only the first attempt.
+   */
+  queue: ExchangeScenario[];
+  exchanges: ExchangeCall[];
+  outbound: OutboundCall[];
+}
+
+const json = (body: unknown, status = 200, headers: Record<string, string> = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+/**
+ * Answers a token exchange according to a scenario.
+ */
+function answerExchange(scenario: ExchangeScenario, signal: AbortSignal | null | undefined): Promise<Response> {
+  switch (scenario) {
+    case 'success':
+      return Promise.resolve(json({ login_url: MOCK_LOGIN_PATH }));
+    case 'missing_login_url':
+      return Promise.resolve(json({ detail: 'ok' }));
+    case 'rejected':
+      return Promise.resolve(json({ detail: 'invalid session key' }, 401));
+    case 'bad_request':
+      return Promise.resolve(json({ detail: 'invalid unique_name' }, 400));
+    case 'server_error':
+      return Promise.resolve(new Response('upstream unavailable', { status: 503 }));
+    case 'rate_limited':
+      return Promise.resolve(json({ detail: 'slow down' }, 429, { 'Retry-After': '1' }));
+    case 'network_error':
+      return Promise.reject(new TypeError('Network connection lost.'));
+    case 'timeout':
+      if (!signal) {
+        return Promise.reject(new Error('A timeout scenario needs a request with an AbortSignal.'));
+      }
+      return new Promise((_, reject) => signal.addEventListener('abort', () => reject(signal.reason)));
+  }
+}
+
+/**
+ * Replaces the global fetch with the mock upstream. Restore it with vi.restoreAllMocks().
+ * @returns The mock, whose scenarios a test may change at any time.
+ */
+export function installMockUpstream(): MockUpstream {
+  const upstream: MockUpstream = { scenario: 'success', scenarios: {}, queue: [], exchanges: [], outbound: [] };
+  vi.spyOn(globalThis, 'fetch').mockImplementation(async (input: RequestInfo | URL, init?: RequestInit) => {
+    const request = new Request(input, init);
+    const body = await request.text();
+    if (request.method === 'POST' && new URL(request.url).pathname.endsWith('/manage-api/auth/oauth_token')) {
+      const payload = JSON.parse(body);
+      upstream.exchanges.push({ url: request.url, ...payload });
+      const scenario = upstream.queue.shift() ?? upstream.scenarios[payload.session_key] ?? upstream.scenario;
+      return answerExchange(scenario, init?.signal);
+    }
+    upstream.outbound.push({ method: request.method, url: request.url, headers: request.headers, body });
+    return new Response('ok');
+  });
+  return upstream;
+}
@@ -0,0 +1,404 @@
+// test/operations.spec.ts
+/**
+ * Operating the pool: metrics and usage counters, the audit log, webhooks, CORS policies, SK encryption, the
+ * storage migration, export and import, and snapshots.
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { addAccounts, admin, auditEntries, listAccounts, login, ORIGIN, request, send, skFor } from './helpers';
+import { installMockUpstream, MockUpstream } from './mock-upstream';
+
+let upstream: MockUpstream;
+
+beforeEach(() => {
+  upstream = installMockUpstream();
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+const emailsOf = (accounts: any[]) => accounts.map((account) => account.email);
+
+describe('metrics', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'one' });
+    upstream.scenario = 'rejected';
+    // Rejections only count against an account the caller did not choose, or in admin logins
+    await admin('/api/admin/login', { mode: 'specific', email: 'b@example.com', unique_name: 'two' });
+  });
+
+  it('summarizes the pool, the logins and the exchanges in /api/admin/stats', async () => {
+    const response = await admin('/api/admin/stats', undefined, { method: 'GET' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.pool).toMatchObject({ accounts: 2, enabled: 2, healthy: 1, quarantined: 1, cooling_down: 0 });
+    expect(response.body.totals.logins.total).toBe(2);
+    expect(response.body.totals.token_exchanges).toMatchObject({ total: 2, failed: 1 });
+    expect(response.body.history).toHaveLength(24);
+    expect((await admin('/api/admin/stats', { hours: 2 })).body.history).toHaveLength(2);
+    expect((await admin('/api/admin/stats', { hours: 0 })).status).toBe(400);
+  });
+
+  it('serves /metrics to holders of METRICS_TOKEN', async () => {
+    expect((await request('/metrics')).status).toBe(404);
+
+    const env = { METRICS_TOKEN: 'scrape-me' };
+    expect((await request('/metrics', { env, headers: { Authorization: 'Bearer wrong' } })).status).toBe(401);
+    const response = await request('/metrics', { env, headers: { Authorization: 'Bearer scrape-me' } });
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('Content-Type')).toContain('text/plain; version=0.0.4');
+    expect(response.body).toContain('# TYPE fcpm_logins_total counter');
+    expect(response.body).toMatch(/fcpm_logins_total\{[^}]*account="a@example.com"[^}]*\} 1/);
+  });
+
+  it('labels logins only with accounts in the pool', async () => {
+    expect((await login({ mode: 'specific', email: 'made-up@example.com', unique_name: 'x' })).status).toBe(404);
+    expect((await login({ mode: 'specific', email: 12345, unique_name: 'x' })).status).toBe(404);
+
+    const response = await request('/metrics', { env: { METRICS_TOKEN: 'scrape-me' }, headers: { Authorization: 'Bearer scrape-me' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body).not.toContain('made-up@example.com');
+    expect(response.body).not.toContain('12345');
+    expect(response.body).toMatch(/fcpm_logins_total\{[^}]*account="unknown"[^}]*\} 2/);
+  });
+});
+
+describe('usage counters', () => {
+  const env = { RATE_LIMIT_IP: '2/3600' };
+
+  beforeEach(async () => {
+    await addAccounts(['a@example.com']);
+  });
+
+  it('rate-limits logins and lists and resets the counters', async () => {
+    expect((await login({ mode: 'random' }, { env })).status).toBe(200);
+    expect((await login({ mode: 'random' }, { env })).status).toBe(200);
+    const limited = await login({ mode: 'random' }, { env });
+    expect(limited.status).toBe(429);
+    expect(limited.headers.get('Retry-After')).toBeTruthy();
+    expect(upstream.exchanges).toHaveLength(2);
+
+    const { usage } = (await admin('/api/admin/usage', { scope: 'ip' }, { env })).body;
+    expect(usage).toMatchObject([{ scope: 'ip', count: 2 }]);
+    const viaQuery = await admin('/api/admin/usage?scope=ip', undefined, { env, method: 'GET' });
+    expect(viaQuery.body.usage).toEqual(usage);
+    expect((await admin('/api/admin/usage?scope=account', undefined, { env, method: 'GET' })).body.usage).toEqual([]);
+
+    expect((await admin('/api/admin/usage/reset', { scope: 'ip' }, { env })).body.reset).toBe(1);
+    expect((await login({ mode: 'random' }, { env })).status).toBe(200);
+  });
+
+  it('validates the filters', async () => {
+    expect((await admin('/api/admin/usage', { scope: 'planet' })).status).toBe(400);
+    expect((await admin('/api/admin/usage', { subject: 'x' })).status).toBe(400);
+    expect((await admin('/api/admin/usage/reset', { subject: 'x' })).status).toBe(400);
+    expect((await admin('/api/admin/usage?subject=x', undefined, { method: 'GET' })).status).toBe(400);
+  });
+});
+
+describe('audit log', () => {
+  it('pages through the entries, newest first', async () => {
+    await addAccounts(['a@example.com', 'b@example.com', 'c@example.com']);
+
+    const first = (await admin('/api/admin/audit', { action: 'admin.add', limit: 2 })).body;
+    expect(first.entries.map((entry: any) => entry.email)).toEqual(['c@example.com', 'b@example.com']);
+    expect(first.cursor).toBeTruthy();
+
+    const second = (await admin('/api/admin/audit', { action: 'admin.add', limit: 2, cursor: first.cursor })).body;
+    expect(second.entries.map((entry: any) => entry.email)).toEqual(['a@example.com']);
+
+    const viaQuery = await admin(`/api/admin/audit?action=admin.add&limit=2&cursor=${encodeURIComponent(first.cursor)}`, undefined, { method: 'GET' });
+    expect(viaQuery.body).toEqual(second);
+  });
+
+  it('records logins with oversized fields', async () => {
+    const email = `${'x'.repeat(1100)}@example.com`;
+    expect((await login({ mode: 'specific', email, unique_name: 'long' })).status).toBe(404);
+    expect((await login({ mode: 'specific', email: `${'é'.repeat(250)}@example.com`, unique_name: 'wide' })).status).toBe(404);
+
+    const entries = await auditEntries({ action: 'login' });
+    expect(entries).toHaveLength(2);
+    expect(entries[0].email).toHaveLength(254);
+    expect(entries[1]).toMatchObject({ email: email.slice(0, 254), result: 'failure', status: 404 });
+  });
+
+  it('records logins whose fields are not strings', async () => {
+    expect((await login({ mode: 'specific', email: 12345, unique_name: 'numeric' })).status).toBe(404);
+
+    const [entry] = await auditEntries({ action: 'login' });
+    expect(entry).toMatchObject({ email: '12345', result: 'failure', status: 404 });
+  });
+
+  it('validates the filters', async () => {
+    expect((await admin('/api/admin/audit', { result: 'maybe' })).status).toBe(400);
+    expect((await admin('/api/admin/audit', { since: 'yesterday' })).status).toBe(400);
+    expect((await admin('/api/admin/audit', { limit: 0 })).status).toBe(400);
+    expect((await admin('/api/admin/audit?limit=ten', undefined, { method: 'GET' })).status).toBe(400);
+  });
+});
+
+describe('webhooks', () => {
+  const HOOK_URL = 'https://hooks.test/pool';
+
+  const hmac = async (secret: string, message: string) => {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+    return `sha256=${[...signature].map((byte) => byte.toString(16).padStart(2, '0')).join('')}`;
+  };
+
+  it('delivers subscribed events, signed with the secret', async () => {
+    const created = await admin('/api/admin/webhooks/create', { url: HOOK_URL, events: ['account.added'] });
+    expect(created.status).toBe(200);
+    expect(created.body.webhook.secret).toBeUndefined();
+
+    await addAccounts(['a@example.com']);
+
+    const deliveries = upstream.outbound.filter((call) => call.url === HOOK_URL);
+    expect(deliveries).toHaveLength(1);
+    const [delivery] = deliveries;
+    expect(delivery.headers.get('X-Webhook-Event')).toBe('account.added');
+    const timestamp = delivery.headers.get('X-Webhook-Timestamp');
+    expect(delivery.headers.get('X-Webhook-Signature')).toBe(await hmac(created.body.secret, `${timestamp}.${delivery.body}`));
+    expect(JSON.parse(delivery.body)).toMatchObject({ event: 'account.added', data: { emails: ['a@example.com'] } });
+  });
+
+  it('lists, updates, tests and deletes webhooks', async () => {
+    const { id } = (await admin('/api/admin/webhooks/create', { url: HOOK_URL, format: 'slack', events: ['pool.empty'] })).body.webhook;
+
+    expect((await admin('/api/admin/webhooks/list', undefined, { method: 'GET' })).body.webhooks).toMatchObject([{ id, url: HOOK_URL, format: 'slack' }]);
+    expect((await admin('/api/admin/webhooks/update', { id, enabled: false })).body.webhook.enabled).toBe(false);
+
+    const tested = await admin('/api/admin/webhooks/test', { id });
+    expect(tested.body.delivery).toMatchObject({ ok: true, status: 200 });
+    expect(JSON.parse(upstream.outbound[0].body)).toHaveProperty('text');
+
+    expect((await admin('/api/admin/webhooks/delete', { id })).status).toBe(200);
+    expect((await admin('/api/admin/webhooks/list')).body.webhooks).toEqual([]);
+    expect((await admin('/api/admin/webhooks/test', { id })).status).toBe(404);
+  });
+
+  it('validates the settings', async () => {
+    expect((await admin('/api/admin/webhooks/create', { url: 'ftp://hooks.test', events: ['pool.low'] })).status).toBe(400);
+    expect((await admin('/api/admin/webhooks/create', { url: HOOK_URL, events: ['nope'] })).status).toBe(400);
+    expect((await admin('/api/admin/webhooks/create', { url: HOOK_URL, events: ['pool.low'], secret: 'short' })).status).toBe(400);
+    expect((await admin('/api/admin/webhooks/update', { url: HOOK_URL })).status).toBe(400);
+    expect((await admin('/api/admin/webhooks/update', { id: 'missing', enabled: true })).status).toBe(404);
+  });
+});
+
+describe('CORS', () => {
+  const preflight = (path: string, origin: string) =>
+    send(path, { method: 'OPTIONS', headers: { Origin: origin, 'Access-Control-Request-Method': 'POST' } });
+
+  it('lets any origin call the user routes and only the same origin call the admin routes by default', async () => {
+    const user = await send('/api/emails', { headers: { Origin: 'https://elsewhere.test' } });
+    expect(user.headers.get('Access-Control-Allow-Origin')).toBe('*');
+    expect(user.headers.get('Vary')).toContain('Origin');
+
+    expect((await preflight('/api/admin/list', 'https://elsewhere.test')).status).toBe(403);
+    const sameOrigin = await admin('/api/admin/list', undefined, { method: 'GET', headers: { Origin: ORIGIN } });
+    expect(sameOrigin.status).toBe(200);
+    expect(sameOrigin.headers.get('Access-Control-Allow-Origin')).toBeNull();
+  });
+
+  it('applies a saved admin policy, with credentials and subdomain wildcards', async () => {
+    const updated = await admin('/api/admin/cors/update', { scope: 'admin', origins: ['https://*.example.com'], credentials: true });
+    expect(updated.body.policy).toMatchObject({ scope: 'admin', source: 'kv', updated_by: 'admin' });
+
+    const allowed = await preflight('/api/v1/admin/accounts', 'https://ops.example.com');
+    expect(allowed.status).toBe(204);
+    expect(allowed.headers.get('Access-Control-Allow-Origin')).toBe('https://ops.example.com');
+    expect(allowed.headers.get('Access-Control-Allow-Credentials')).toBe('true');
+    expect((await preflight('/api/admin/list', 'https://example.org')).status).toBe(403);
+
+    const { policies } = (await admin('/api/admin/cors', undefined, { method: 'GET' })).body;
+    expect(policies).toMatchObject([{ scope: 'user', source: 'env', origins: ['*'] }, { scope: 'admin', source: 'kv' }]);
+
+    expect((await admin('/api/admin/cors/reset', { scope: 'admin' })).body.policy).toMatchObject({ source: 'env', origins: [] });
+    expect((await preflight('/api/admin/list', 'https://ops.example.com')).status).toBe(403);
+  });
+
+  it('reads the policies from the environment', async () => {
+    const env = { CORS_ALLOWED_ORIGINS: 'https://app.example.com' };
+    const response = await send('/api/emails', { env, headers: { Origin: 'https://other.example.com' } });
+
+    expect(response.headers.get('Access-Control-Allow-Origin')).toBeNull();
+  });
+
+  it('validates policy changes', async () => {
+    expect((await admin('/api/admin/cors/update', { scope: 'everything', origins: [] })).status).toBe(400);
+    expect((await admin('/api/admin/cors/update', { scope: 'user', origins: ['not an origin'] })).status).toBe(400);
+    expect((await admin('/api/admin/cors/update', { scope: 'user', credentials: 'yes' })).status).toBe(400);
+    expect((await admin('/api/admin/cors/reset', {})).status).toBe(400);
+  });
+});
+
+describe('SK encryption', () => {
+  const env = { SK_ENCRYPTION_KEY: btoa('k'.repeat(32)) };
+
+  it('stores new SKs encrypted and decrypts them for the exchange', async () => {
+    await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a@example.com') }, { env });
+
+    const [account] = (await admin('/api/admin/list', {}, { env })).body;
+    expect(account.sk_encrypted).toBe(true);
+    const status = (await admin('/api/admin/encryption/status', {}, { env })).body;
+    expect(status.current_key_id).toBeTruthy();
+    expect(status.counts).toEqual({ [status.current_key_id]: 1 });
+    await login({ mode: 'specific', email: 'a@example.com', unique_name: 'x' }, { env });
+    expect(upstream.exchanges[0].session_key).toBe(skFor('a@example.com'));
+  });
+
+  it('encrypts plaintext SKs once a key is set', async () => {
+    await addAccounts(['a@example.com']);
+
+    expect((await admin('/api/admin/encryption/status')).body).toMatchObject({ current_key_id: null, counts: { plaintext: 1 } });
+    const status = (await admin('/api/admin/encryption/status', {}, { env })).body;
+    expect(status.counts).toEqual({ [status.current_key_id]: 1 });
+  });
+
+  it('re-encrypts the SKs of the previous key after a rotation', async () => {
+    await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a@example.com') }, { env });
+    await admin('/api/admin/add', { email: 'b@example.com', sk: skFor('b@example.com') }, { env });
+    const rotated = { SK_ENCRYPTION_KEY: btoa('n'.repeat(32)), SK_ENCRYPTION_KEY_PREVIOUS: env.SK_ENCRYPTION_KEY };
+    expect((await admin('/api/admin/encryption/rotate')).status).toBe(400);
+
+    const dryRun = await admin('/api/admin/encryption/rotate', { dry_run: true }, { env: rotated });
+    expect(dryRun.body).toMatchObject({ dry_run: true, reencrypted: ['a@example.com', 'b@example.com'], failed: [] });
+
+    await admin('/api/admin/encryption/rotate', {}, { env: rotated });
+
+    const status = (await admin('/api/admin/encryption/status', {}, { env: rotated })).body;
+    expect(status.counts).toEqual({ [status.current_key_id]: 2 });
+    await login({ mode: 'specific', email: 'b@example.com', unique_name: 'x' }, { env: { SK_ENCRYPTION_KEY: rotated.SK_ENCRYPTION_KEY } });
+    expect(upstream.exchanges[0].session_key).toBe(skFor('b@example.com'));
+  });
+
+  it('reports SKs whose key is gone', async () => {
+    await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a@example.com') }, { env });
+
+    const response = await admin('/api/admin/encryption/rotate', {}, { env: { SK_ENCRYPTION_KEY: btoa('n'.repeat(32)) } });
+
+    expect(response.body.failed).toMatchObject([{ email: 'a@example.com' }]);
+    expect((await login({ mode: 'specific', email: 'a@example.com', unique_name: 'x' })).body.code).toBe('SK_DECRYPTION_FAILED');
+  });
+});
+
+describe('POST /api/admin/storage/migrate', () => {
+  it('imports the KV pool into the Durable Object store', async () => {
+    const kv = { ACCOUNT_STORAGE: 'kv' };
+    await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a') }, { env: kv });
+
+    const response = await admin('/api/admin/storage/migrate');
+
+    expect(response.body).toMatchObject({ backend: 'durable-object', imported: 1 });
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com']);
+  });
+
+  it('only imports again with replace', async () => {
+    const kv = { ACCOUNT_STORAGE: 'kv' };
+    await admin('/api/admin/add', { email: 'a@example.com', sk: skFor('a') }, { env: kv });
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com']); // The first read imports
+    await admin('/api/admin/add', { email: 'b@example.com', sk: skFor('b') }, { env: kv });
+
+    expect((await admin('/api/admin/storage/migrate')).body.imported).toBeNull();
+    expect((await admin('/api/admin/storage/migrate', { replace: true })).body.imported).toBe(2);
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+    expect((await admin('/api/admin/snapshots/list')).body.snapshots).toMatchObject([{ reason: 'storage.migrate', count: 1 }]);
+  });
+});
+
+describe('export and import', () => {
+  beforeEach(async () => {
+    await addAccounts({ 'a@example.com': { label: 'first', tags: ['pro'] }, 'b@example.com': {} });
+  });
+
+  it('exports the pool with its SKs as JSON or CSV', async () => {
+    const json = await admin('/api/admin/export');
+    expect(json.headers.get('Content-Disposition')).toMatch(/attachment; filename="accounts-.*\.json"/);
+    expect(json.body.accounts['a@example.com']).toMatchObject({ sk: skFor('a@example.com'), label: 'first', tags: ['pro'] });
+
+    const csv = await admin('/api/admin/export', { format: 'csv' });
+    expect(csv.headers.get('Content-Type')).toContain('text/csv');
+    expect(csv.body).toContain(skFor('b@example.com'));
+
+    expect((await admin('/api/admin/export', { format: 'xml' })).status).toBe(400);
+    expect((await admin('/api/admin/export', { passphrase: 'short' })).status).toBe(400);
+    expect((await auditEntries({ action: 'admin.export' }))).toHaveLength(2);
+  });
+
+  it('round-trips an encrypted export', async () => {
+    const exported = (await admin('/api/admin/export', { passphrase: 'open sesame' })).body;
+    expect(JSON.stringify(exported)).not.toContain(skFor('a@example.com'));
+    await admin('/api/admin/batch', { actions: [{ action: 'delete', email: 'a@example.com' }, { action: 'delete', email: 'b@example.com' }] });
+
+    expect((await admin('/api/admin/import', { mode: 'merge', data: exported })).status).toBe(400);
+    expect((await admin('/api/admin/import', { mode: 'merge', data: exported, passphrase: 'wrong passphrase' })).status).toBe(400);
+    const response = await admin('/api/admin/import', { mode: 'merge', data: exported, passphrase: 'open sesame' });
+
+    expect(response.body.diff.added).toEqual(['a@example.com', 'b@example.com']);
+    expect((await listAccounts())[0]).toMatchObject({ email: 'a@example.com', label: 'first' });
+  });
+
+  it('merges or replaces the pool, reporting the changes', async () => {
+    const data = { accounts: { 'b@example.com': { sk: skFor('b2') }, 'c@example.com': { sk: skFor('c') } } };
+
+    const dryRun = await admin('/api/admin/import', { mode: 'replace', data, dry_run: true });
+    expect(dryRun.body.diff).toMatchObject({ added: ['c@example.com'], removed: ['a@example.com'] });
+    expect(dryRun.body.diff.updated).toMatchObject([{ email: 'b@example.com', changes: expect.arrayContaining(['sk']) }]);
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+
+    const merged = await admin('/api/admin/import', { mode: 'merge', data });
+    expect(merged.body.snapshot_id).toBeTruthy();
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com', 'c@example.com']);
+
+    await admin('/api/admin/import', { mode: 'replace', data });
+    expect(emailsOf(await listAccounts())).toEqual(['b@example.com', 'c@example.com']);
+
+    const unchanged = await admin('/api/admin/import', { mode: 'replace', data });
+    expect(unchanged.body.message).toBe('Nothing to import: the pool already matches.');
+  });
+
+  it('refuses invalid imports as a whole', async () => {
+    expect((await admin('/api/admin/import', { mode: 'overwrite', data: {} })).status).toBe(400);
+    expect((await admin('/api/admin/import', { mode: 'merge' })).status).toBe(400);
+    expect((await admin('/api/admin/import', { mode: 'replace', data: { accounts: {} } })).status).toBe(400);
+    const invalid = { accounts: { 'c@example.com': { sk: skFor('c') }, 'd@example.com': { sk: 'bad' } } };
+    expect((await admin('/api/admin/import', { mode: 'merge', data: invalid })).status).toBe(400);
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+  });
+});
+
+describe('snapshots', () => {
+  beforeEach(async () => {
+    await addAccounts(['a@example.com', 'b@example.com']);
+  });
+
+  it('restores the pool as it was, snapshotting the pool it replaces', async () => {
+    const { snapshot } = (await admin('/api/admin/snapshots/create', { reason: 'before cleanup' })).body;
+    expect(snapshot).toMatchObject({ reason: 'before cleanup', actor: 'admin', count: 2 });
+    await admin('/api/admin/delete', { email: 'a@example.com' });
+    await addAccounts(['c@example.com']);
+
+    const dryRun = await admin('/api/admin/snapshots/restore', { id: snapshot.id, dry_run: true });
+    expect(dryRun.body.diff).toMatchObject({ added: ['a@example.com'], removed: ['c@example.com'] });
+
+    const restored = await admin('/api/admin/snapshots/restore', { id: snapshot.id });
+    expect(restored.status).toBe(200);
+    expect(emailsOf(await listAccounts())).toEqual(['a@example.com', 'b@example.com']);
+
+    const { snapshots } = (await admin('/api/admin/snapshots/list')).body;
+    expect(snapshots.map((info: any) => info.reason)).toEqual(['restore', 'delete', 'before cleanup']);
+    expect(snapshots[0].id).toBe(restored.body.snapshot_id);
+  });
+
+  it('validates the requests', async () => {
+    expect((await admin('/api/admin/snapshots/create', { reason: 'x'.repeat(201) })).status).toBe(400);
+    expect((await admin('/api/admin/snapshots/restore', {})).status).toBe(400);
+    expect((await admin('/api/admin/snapshots/restore', { id: 'missing' })).status).toBe(404);
+  });
+});
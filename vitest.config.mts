@@ -5,6 +5,13 @@ export default defineWorkersConfig({
 		poolOptions: {
 			workers: {
 				wrangler: { configPath: './wrangler.jsonc' },
+				// The upstream is mocked in-process (see test/mock-upstream.ts), so BASE_URL never leaves the test
+				miniflare: {
+					bindings: {
+						ADMIN_PASSWORD: 'test-admin-password',
+						BASE_URL: 'https://fuclaude.test',
+					},
+				},
 			},
 		},
 	},